@@ -26,16 +26,19 @@ module.exports = {
     displayName: "XRP",
   },
 
-  // RLUSD Currency Configuration
-  currency: {
-    // RLUSD currency definition
-    currency: "USD",
-    issuer: process.env.RLUSD_ISSUER || "rwZFUkGLkLujcCWykEw7BGJGKNw8N6qYKN", // Custom testnet RLUSD issuer
+  // Issued tokens (currency code, issuer and decimals: src/config/tokenRegistry.js)
+  tokens: {
+    // Token RLUSD-style streams pay in when none is given
+    defaultToken: process.env.DEFAULT_TOKEN || "RLUSD",
 
-    // Display formatting
-    symbol: "RLUSD",
-    decimals: 2,
-    displayName: "Ripple USD",
+    // JSON file with more tokens, keyed by token ID
+    registryFile: process.env.TOKEN_REGISTRY_FILE,
+
+    // Point RLUSD at another currency code or issuer on the configured network
+    rlusd: {
+      currency: process.env.RLUSD_CURRENCY,
+      issuer: process.env.RLUSD_ISSUER,
+    },
   },
 
   // Payment Channel Defaults (NOTE: Payment channels only support XRP)
@@ -59,6 +62,12 @@ module.exports = {
 
     // Threshold percentage for low balance warnings
     LOW_BALANCE_THRESHOLD: 0.2, // 20% remaining
+
+    // Auto top-up: how often opted-in sender sessions are checked (milliseconds)
+    TOP_UP_CHECK_INTERVAL_MS: 15000, // 15 seconds
+
+    // Auto top-up: refill size when a policy sets neither amount nor minutes
+    DEFAULT_TOP_UP_MINUTES: 10,
   },
 
   // Streaming Configuration
@@ -77,12 +86,61 @@ module.exports = {
 
     // Maximum claims per minute (rate limiting)
     MAX_CLAIMS_PER_MINUTE: 60,
+
+    // Unified XRP streams: claims the receiver may reject in a row before
+    // the stream is stopped
+    MAX_CONSECUTIVE_REJECTIONS: parseInt(process.env.MAX_CLAIM_REJECTIONS) || 3,
+  },
+
+  // Escrow-ladder RLUSD streams (see src/core/escrowLadder.js)
+  escrowLadder: {
+    // A rung can be released this long after it falls due; after that it
+    // can only be canceled back to the sender
+    cancelGraceSeconds: parseInt(process.env.ESCROW_CANCEL_GRACE_SECONDS) || 3600,
+
+    // Most installments one escrow stream may lock (one escrow each)
+    maxRungs: parseInt(process.env.ESCROW_MAX_RUNGS) || 24,
+
+    // How often stopped streams' rungs are checked for EscrowCancel (milliseconds)
+    cancelCheckIntervalMs: 60000,
+  },
+
+  // RLUSD streams paid for in XRP (mode "cross-currency", see src/core/crossCurrency.js)
+  crossCurrency: {
+    // XRP an installment may cost above the quote taken at stream start,
+    // in basis points (100 = 1%), unless the stream sets maxSlippageBps
+    defaultSlippageBps: parseInt(process.env.CROSS_CURRENCY_SLIPPAGE_BPS) || 100,
+
+    // Highest maxSlippageBps a stream may set
+    maxSlippageBps: 1000,
+  },
+
+  // Trust line and balance checks before RLUSD-style streams start
+  // (see src/core/preflight.js)
+  preflight: {
+    enabled: process.env.ENABLE_PREFLIGHT !== "false",
   },
 
   // Storage Configuration
   storage: {
+    // Backend: "json" (single file), "sqlite" or "journal" (append-only log)
+    driver: process.env.STORAGE_DRIVER || "json",
+
+    // JSON backend file
     path: process.env.STORAGE_PATH || "./data/channels.json",
 
+    // SQLite backend database file
+    sqlitePath: process.env.STORAGE_SQLITE_PATH || "./data/channels.db",
+
+    // Journal backend log file (snapshot is written next to it)
+    journalPath: process.env.STORAGE_JOURNAL_PATH || "./data/channels.journal",
+
+    // Journal entries before the log is compacted into a snapshot
+    journalCompactionThreshold: 10000,
+
+    // fsync each journal entry before acknowledging the write
+    journalFsync: process.env.STORAGE_JOURNAL_FSYNC !== "false",
+
     // Auto-save interval (milliseconds)
     autoSaveInterval: 5000, // Every 5 seconds
 
@@ -90,6 +148,80 @@ module.exports = {
     maxClaimHistory: 1000,
   },
 
+  // Session Persistence (active streams are restored after a restart)
+  // Uses the storage driver above. Session records only reference wallets by
+  // keystore key ID; the seeds themselves live in the keystore file below.
+  sessions: {
+    enabled: process.env.ENABLE_SESSION_PERSISTENCE !== "false",
+    path: process.env.SESSION_STORAGE_PATH || "./data/sessions.json",
+    sqlitePath: process.env.SESSION_SQLITE_PATH || "./data/sessions.db",
+    journalPath: process.env.SESSION_JOURNAL_PATH || "./data/sessions.journal",
+    // Claims are saved at most this often per XRP session (later ones coalesce)
+    claimSaveIntervalMs: parseInt(process.env.SESSION_CLAIM_SAVE_INTERVAL_MS) || 5000,
+  },
+
+  // Outbound webhooks (enabled by ENABLE_WEBHOOKS, see src/core/webhooks.js)
+  // Endpoints and the delivery log use the storage driver above.
+  webhooks: {
+    path: process.env.WEBHOOK_STORAGE_PATH || "./data/webhooks.json",
+    sqlitePath: process.env.WEBHOOK_SQLITE_PATH || "./data/webhooks.db",
+    journalPath: process.env.WEBHOOK_JOURNAL_PATH || "./data/webhooks.journal",
+    timeoutMs: 10000, // Per delivery attempt
+    maxAttempts: 8,
+    retryBaseDelayMs: 10000, // Doubles after every failed attempt
+    retryMaxDelayMs: 3600000, // 1 hour
+    checkIntervalMs: 5000, // How often due retries are sent
+    deliveryLogLimit: 500, // Finished deliveries kept for the log
+    // Accept endpoints on localhost and private networks (development only)
+    allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true",
+  },
+
+  // Encrypted wallet keystore (see src/core/keystore.js)
+  // Seeds are encrypted with a key derived from KEYSTORE_PASSPHRASE; without
+  // it the keystore is locked. Records use the storage driver above.
+  keystore: {
+    passphrase: process.env.KEYSTORE_PASSPHRASE,
+    path: process.env.KEYSTORE_STORAGE_PATH || "./data/keystore.json",
+    sqlitePath: process.env.KEYSTORE_SQLITE_PATH || "./data/keystore.db",
+    journalPath: process.env.KEYSTORE_JOURNAL_PATH || "./data/keystore.journal",
+    scrypt: { N: 16384, r: 8, p: 1 }, // Key derivation cost
+    minPassphraseLength: 12,
+  },
+
+  // Tenant API keys (see src/core/tenants.js), managed with the API_KEY admin key
+  tenants: {
+    path: process.env.TENANT_STORAGE_PATH || "./data/tenants.json",
+    sqlitePath: process.env.TENANT_SQLITE_PATH || "./data/tenants.db",
+    journalPath: process.env.TENANT_JOURNAL_PATH || "./data/tenants.journal",
+  },
+
+  // Contract registry and its revision history (see src/core/contractStore.js)
+  contracts: {
+    path: process.env.CONTRACT_STORAGE_PATH || "./data/contracts.json",
+    sqlitePath: process.env.CONTRACT_SQLITE_PATH || "./data/contracts.db",
+    journalPath: process.env.CONTRACT_JOURNAL_PATH || "./data/contracts.journal",
+  },
+
+  // Starts queued while a contract is full (see ServiceContract waitlist);
+  // held in memory, so a restart drops the queue
+  waitlist: {
+    ttlMs: parseInt(process.env.CONTRACT_WAITLIST_TTL_MS) || 15 * 60 * 1000,
+    maxSize: parseInt(process.env.CONTRACT_WAITLIST_MAX) || 100,
+  },
+
+  // Signed service agreements (see src/core/agreements.js); the system key
+  // signs the terms of built-in contracts
+  agreements: {
+    systemSeed: process.env.AGREEMENT_SYSTEM_SEED || null,
+  },
+
+  // Contract provider authentication (see src/core/providerAuth.js):
+  // providers sign a one-time challenge with their XRPL key for a session token
+  providerAuth: {
+    challengeTtlMs: parseInt(process.env.PROVIDER_CHALLENGE_TTL_MS) || 5 * 60 * 1000,
+    tokenTtlMs: parseInt(process.env.PROVIDER_TOKEN_TTL_MS) || 60 * 60 * 1000,
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
@@ -113,11 +245,28 @@ module.exports = {
 
     // Percentage of channel used to trigger finalization
     channelBalanceThreshold: 0.8, // 80%
+
+    // Auto-finalization worker (features.autoFinalization)
+    // How often every stored channel is evaluated (milliseconds)
+    checkIntervalMs: parseInt(process.env.FINALIZATION_INTERVAL_MS) || 60000, // 1 minute
+
+    // Receiver wallet that submits claims (must be the channel destination),
+    // as a seed or as a keystore key ID
+    receiverWalletSeed: process.env.FINALIZATION_WALLET_SEED,
+    receiverKeyId: process.env.FINALIZATION_KEY_ID,
+
+    // Retry failed submissions with exponential backoff
+    maxAttempts: 5,
+    retryBaseDelayMs: 30000, // 30 seconds, doubled per attempt
+    retryMaxDelayMs: 1800000, // 30 minutes
+
+    // Finished finalizations kept for the inspection API
+    historyLimit: 100,
   },
 
-  // WebSocket Configuration (for future real-time streaming)
+  // WebSocket claim delivery (see src/api/claimSocket.js)
   websocket: {
-    enabled: false,
+    enabled: process.env.ENABLE_WEBSOCKET === "true",
     port: parseInt(process.env.WS_PORT) || 3001,
     pingInterval: 30000, // 30 seconds
     maxConnections: 1000,
@@ -9,10 +9,11 @@
 const xrpl = require('xrpl');
 const { getClient } = require('../src/utils/xrplClient');
 const { getChannelInfo } = require('./createChannel');
+const { resolveWallet } = require('../src/core/keystore');
 
 /**
  * Claims XRP from a payment channel (receiver's action)
- * @param {object} receiverWallet - Wallet object of the receiver
+ * @param {object|string} receiverWallet - Wallet object of the receiver, or its keystore key ID
  * @param {string} channelId - The payment channel ID
  * @param {string} amount - Amount to claim in drops (must match signed claim)
  * @param {string} signature - Signature from sender authorizing this amount
@@ -23,6 +24,8 @@ async function claimChannel(receiverWallet, channelId, amount, signature, public
   const client = await getClient();
   
   try {
+    receiverWallet = await resolveWallet(receiverWallet);
+    
     // Verify the channel exists
     const channelInfo = await getChannelInfo(channelId);
     
@@ -130,8 +130,50 @@ async function getChannelInfo(channelId) {
   }
 }
 
+/**
+ * Finds open channels from a sender to a destination
+ * Channels that are closing (Expiration set) or past CancelAfter are left out.
+ * @param {string} senderAddress - Channel source account
+ * @param {string} destinationAddress - Channel destination account
+ * @param {string} publicKey - Only channels with this public key (optional)
+ * @returns {Promise<Array>} account_channels entries with remaining drops, most remaining first
+ */
+async function findOpenChannels(senderAddress, destinationAddress, publicKey = null) {
+  const client = await getClient();
+  
+  // account_channels is paged; follow the marker until every channel is read
+  const channels = [];
+  let marker;
+  do {
+    const response = await client.request({
+      command: 'account_channels',
+      account: senderAddress,
+      destination_account: destinationAddress,
+      ledger_index: 'validated',
+      ...(marker && { marker }),
+    });
+    channels.push(...(response.result.channels || []));
+    marker = response.result.marker;
+  } while (marker);
+  
+  const now = Date.now();
+  return channels
+    .filter(channel => !channel.expiration)
+    .filter(channel => !channel.cancel_after || xrpl.rippleTimeToUnixTime(channel.cancel_after) > now)
+    .filter(channel => !publicKey || (channel.public_key_hex || '').toUpperCase() === publicKey.toUpperCase())
+    .map(channel => ({
+      ...channel,
+      remaining: (BigInt(channel.amount) - BigInt(channel.balance)).toString(),
+    }))
+    .sort((a, b) => {
+      const d = BigInt(b.remaining) - BigInt(a.remaining);
+      return d > 0n ? 1 : d < 0n ? -1 : 0;
+    });
+}
+
 module.exports = {
   createChannel,
   getChannelInfo,
+  findOpenChannels,
 };
 
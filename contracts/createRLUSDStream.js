@@ -2,110 +2,140 @@
  * createRLUSDStream.js
  * Alternative streaming implementation using RLUSD Payment transactions
  *
- * Since XRPL Payment Channels only support XRP, we use a different approach:
- * - Create an Escrow with periodic releases, OR
- * - Use direct Payment transactions with streaming logic
+ * Since XRPL Payment Channels only support XRP, RLUSD streams are paid as:
+ * - Direct Payment transactions, one per installment, OR
+ * - An escrow ladder: every installment locked up front in its own escrow
+ *   and released as its interval elapses (see src/core/escrowLadder.js), OR
+ * - Cross-currency Payments: the sender spends XRP, converted along a path
+ *   through order books and AMM pools (see src/core/crossCurrency.js)
  *
- * This implementation uses the Escrow approach for better security.
+ * Amounts are in RLUSD unless a token ID from src/config/tokenRegistry.js
+ * names another issued currency (EUR stablecoins and the like).
  */
 
 const xrpl = require("xrpl");
 const { getClient } = require("../src/utils/xrplClient");
+const { getToken, tokenAmount } = require("../src/config/tokenRegistry");
+const { splitAmount } = require("../src/utils/money");
 const config = require("../config");
 
 /**
- * Creates an escrow for RLUSD streaming payments
+ * Locks the installments of an RLUSD stream in escrows (an escrow ladder)
+ * One EscrowCreate per rung, submitted in order. If a rung fails, the error
+ * carries the rungs already created (error.created) so they can be canceled.
  * @param {object} senderWallet - Sender's wallet object
  * @param {string} destinationAddress - XRPL address of the receiver
- * @param {string} amount - Amount of RLUSD to lock
- * @param {number} duration - Duration in seconds for the streaming period
- * @param {number} intervalSeconds - How often payments can be released
- * @returns {Promise<object>} Escrow creation result
+ * @param {Array<object>} rungs - { amount, finishAfter, cancelAfter, condition }
+ *   (times in unix milliseconds, condition as hex)
+ * @param {string} tokenId - Registered token the rungs hold (see tokenRegistry.js)
+ * @returns {Promise<Array<object>>} The rungs with their escrow sequence and transactionHash
  */
-async function createRLUSDStream(
-  senderWallet,
-  destinationAddress,
-  amount,
-  duration = 3600,
-  intervalSeconds = 60
-) {
+async function createRLUSDEscrowLadder(senderWallet, destinationAddress, rungs, tokenId = config.tokens.defaultToken) {
   const client = await getClient();
+  const created = [];
 
-  try {
-    // Calculate finish time
-    const currentTime = Math.floor(Date.now() / 1000);
-    const finishAfter = currentTime + duration;
-
-    // RLUSD amount object
-    const rlusdAmount = {
-      currency: config.currency.currency,
-      issuer: config.currency.issuer,
-      value: amount.toString(),
-    };
-
-    console.log("Creating RLUSD escrow stream...");
-    console.log(`Sender: ${senderWallet.address}`);
-    console.log(`Destination: ${destinationAddress}`);
-    console.log(`Amount: ${amount} ${config.currency.symbol}`);
-    console.log(`Duration: ${duration} seconds`);
-    console.log(`Release interval: ${intervalSeconds} seconds`);
+  console.log("Creating RLUSD escrow ladder...");
+  console.log(`Sender: ${senderWallet.address}`);
+  console.log(`Destination: ${destinationAddress}`);
+  console.log(`Rungs: ${rungs.length}`);
 
-    // Create EscrowCreate transaction
-    const escrowTx = {
-      TransactionType: "EscrowCreate",
-      Account: senderWallet.address,
-      Destination: destinationAddress,
-      Amount: rlusdAmount,
-      FinishAfter: finishAfter,
-      // Add a condition that allows periodic releases
-      // This would need custom condition logic for streaming
-    };
-
-    // Submit and wait for validation
-    const prepared = await client.autofill(escrowTx);
-    const signed = senderWallet.sign(prepared);
-    const result = await client.submitAndWait(signed.tx_blob);
+  try {
+    for (const rung of rungs) {
+      const escrowTx = {
+        TransactionType: "EscrowCreate",
+        Account: senderWallet.address,
+        Destination: destinationAddress,
+        Amount: tokenAmount(tokenId, rung.amount),
+        FinishAfter: xrpl.unixTimeToRippleTime(rung.finishAfter),
+        CancelAfter: xrpl.unixTimeToRippleTime(rung.cancelAfter),
+        Condition: rung.condition,
+      };
 
-    if (result.result.meta.TransactionResult !== "tesSUCCESS") {
-      throw new Error(
-        `Transaction failed: ${result.result.meta.TransactionResult}`
-      );
-    }
+      const prepared = await client.autofill(escrowTx);
+      const signed = senderWallet.sign(prepared);
+      const result = await client.submitAndWait(signed.tx_blob);
 
-    // Extract the escrow sequence number
-    let escrowSequence = null;
-    if (result.result.meta.AffectedNodes) {
-      for (const node of result.result.meta.AffectedNodes) {
-        if (node.CreatedNode && node.CreatedNode.LedgerEntryType === "Escrow") {
-          // The escrow sequence is the transaction sequence
-          escrowSequence = result.result.Sequence;
-          break;
-        }
+      if (result.result.meta.TransactionResult !== "tesSUCCESS") {
+        throw new Error(
+          `Transaction failed: ${result.result.meta.TransactionResult}`
+        );
       }
-    }
 
-    console.log("✓ RLUSD escrow stream created successfully!");
-    console.log(`Escrow Sequence: ${escrowSequence}`);
-    console.log(`Transaction Hash: ${result.result.hash}`);
-    console.log(`Finish After: ${new Date(finishAfter * 1000).toISOString()}`);
+      // An escrow is identified by its owner and the sequence that created it
+      created.push({
+        ...rung,
+        sequence: prepared.Sequence,
+        transactionHash: result.result.hash,
+      });
+      console.log(`✓ Escrow ${created.length}/${rungs.length} created (sequence ${prepared.Sequence})`);
+    }
 
-    return {
-      success: true,
-      escrowSequence,
-      transactionHash: result.result.hash,
-      senderAddress: senderWallet.address,
-      destinationAddress,
-      amount: rlusdAmount,
-      finishAfter,
-      intervalSeconds,
-      createdAt: Date.now(),
-    };
+    return created;
   } catch (error) {
-    console.error("Error creating RLUSD stream:", error);
+    console.error("Error creating RLUSD escrow ladder:", error);
+    error.created = created;
     throw error;
   }
 }
 
+/**
+ * Releases an escrowed RLUSD installment to its destination (EscrowFinish)
+ * @param {object} wallet - Wallet submitting the transaction (any account may)
+ * @param {string} ownerAddress - Account that created the escrow
+ * @param {number} sequence - Sequence of the EscrowCreate
+ * @param {string} condition - Escrow condition (hex)
+ * @param {string} fulfillment - Fulfillment of the condition (hex)
+ * @returns {Promise<object>} { success, transactionHash } or { success: false, resultCode }
+ */
+async function finishRLUSDEscrow(wallet, ownerAddress, sequence, condition, fulfillment) {
+  return submitEscrowTransaction(wallet, {
+    TransactionType: "EscrowFinish",
+    Account: wallet.address,
+    Owner: ownerAddress,
+    OfferSequence: sequence,
+    Condition: condition,
+    Fulfillment: fulfillment,
+  });
+}
+
+/**
+ * Returns an expired escrow to its owner (EscrowCancel)
+ * Only valid once the escrow's CancelAfter has passed.
+ * @param {object} wallet - Wallet submitting the transaction (any account may)
+ * @param {string} ownerAddress - Account that created the escrow
+ * @param {number} sequence - Sequence of the EscrowCreate
+ * @returns {Promise<object>} { success, transactionHash } or { success: false, resultCode }
+ */
+async function cancelRLUSDEscrow(wallet, ownerAddress, sequence) {
+  return submitEscrowTransaction(wallet, {
+    TransactionType: "EscrowCancel",
+    Account: wallet.address,
+    Owner: ownerAddress,
+    OfferSequence: sequence,
+  });
+}
+
+/**
+ * Submit an escrow transaction; ledger results other than tesSUCCESS are
+ * returned (resultCode) rather than thrown, since callers act on them
+ * (tecNO_PERMISSION: not yet time, tecNO_TARGET: escrow already gone)
+ */
+async function submitEscrowTransaction(wallet, tx) {
+  const client = await getClient();
+
+  const prepared = await client.autofill(tx);
+  const signed = wallet.sign(prepared);
+  const result = await client.submitAndWait(signed.tx_blob);
+  const resultCode = result.result.meta.TransactionResult;
+
+  if (resultCode !== "tesSUCCESS") {
+    return { success: false, resultCode, transactionHash: result.result.hash };
+  }
+
+  console.log(`✓ ${tx.TransactionType} for escrow ${tx.Owner}:${tx.OfferSequence}`);
+  return { success: true, transactionHash: result.result.hash };
+}
+
 /**
  * Alternative: Direct Payment-based streaming for RLUSD
  * This creates smaller, frequent payments instead of using channels/escrow
@@ -113,19 +143,22 @@ async function createRLUSDStream(
  * @param {string} destinationAddress - XRPL address of the receiver
  * @param {string} totalAmount - Total amount of RLUSD to stream
  * @param {number} paymentCount - Number of payments to split into
- * @returns {Promise<object>} Stream setup result
+ * @param {number} decimals - Decimal places of the token (default 2)
+ * @returns {Promise<object>} Stream setup result; the last payment
+ *   (finalPaymentAmount) carries the remainder so the total is paid exactly
  */
 async function createDirectRLUSDStream(
   senderWallet,
   destinationAddress,
   totalAmount,
-  paymentCount = 60
+  paymentCount = 60,
+  decimals = 2
 ) {
-  const paymentAmount = (parseFloat(totalAmount) / paymentCount).toFixed(2);
+  const { amount: paymentAmount, finalAmount: finalPaymentAmount } = splitAmount(totalAmount, paymentCount, decimals);
 
   console.log("Setting up direct RLUSD payment stream...");
   console.log(`Total: ${totalAmount} RLUSD in ${paymentCount} payments`);
-  console.log(`Per payment: ${paymentAmount} RLUSD`);
+  console.log(`Per payment: ${paymentAmount} RLUSD (last: ${finalPaymentAmount})`);
 
   return {
     success: true,
@@ -134,6 +167,7 @@ async function createDirectRLUSDStream(
     destinationAddress,
     totalAmount,
     paymentAmount,
+    finalPaymentAmount,
     paymentCount,
     paymentsRemaining: paymentCount,
     createdAt: Date.now(),
@@ -145,17 +179,18 @@ async function createDirectRLUSDStream(
  * @param {object} senderWallet - Sender's wallet object
  * @param {string} destinationAddress - XRPL address of the receiver
  * @param {string} amount - Amount of RLUSD to send
+ * @param {object} options - Optional hooks
+ * @param {Function} options.onSigned - Awaited with { transactionHash, lastLedgerSequence }
+ *   after signing and before submission, so callers can record the in-flight payment
+ * @param {string} options.token - Registered token to pay in (default config.tokens.defaultToken)
  * @returns {Promise<object>} Payment result
  */
-async function executeRLUSDPayment(senderWallet, destinationAddress, amount) {
+async function executeRLUSDPayment(senderWallet, destinationAddress, amount, options = {}) {
   const client = await getClient();
 
   try {
-    const rlusdAmount = {
-      currency: config.currency.currency,
-      issuer: config.currency.issuer,
-      value: amount.toString(),
-    };
+    const token = getToken(options.token);
+    const rlusdAmount = tokenAmount(token.id, amount);
 
     const paymentTx = {
       TransactionType: "Payment",
@@ -164,10 +199,18 @@ async function executeRLUSDPayment(senderWallet, destinationAddress, amount) {
       Amount: rlusdAmount,
     };
 
-    console.log(`Sending ${amount} RLUSD to ${destinationAddress}...`);
+    console.log(`Sending ${amount} ${token.symbol} to ${destinationAddress}...`);
 
     const prepared = await client.autofill(paymentTx);
     const signed = senderWallet.sign(prepared);
+
+    if (options.onSigned) {
+      await options.onSigned({
+        transactionHash: signed.hash,
+        lastLedgerSequence: prepared.LastLedgerSequence,
+      });
+    }
+
     const result = await client.submitAndWait(signed.tx_blob);
 
     if (result.result.meta.TransactionResult !== "tesSUCCESS") {
@@ -176,7 +219,7 @@ async function executeRLUSDPayment(senderWallet, destinationAddress, amount) {
       );
     }
 
-    console.log("✓ RLUSD payment sent successfully!");
+    console.log(`✓ ${token.symbol} payment sent successfully!`);
     console.log(`Transaction Hash: ${result.result.hash}`);
 
     return {
@@ -191,8 +234,179 @@ async function executeRLUSDPayment(senderWallet, destinationAddress, amount) {
   }
 }
 
+/**
+ * Cheapest XRP cost of delivering a token amount (ripple_path_find)
+ * Path finding considers order books and AMM pools.
+ * @param {string} senderAddress - Account that would pay
+ * @param {string} destinationAddress - XRPL address of the receiver
+ * @param {string} amount - Token amount to deliver
+ * @param {string} tokenId - Registered token to deliver (see tokenRegistry.js)
+ * @returns {Promise<object|null>} { sourceDrops, paths }, or null if no path delivers the amount
+ */
+async function quoteXRPPayment(senderAddress, destinationAddress, amount, tokenId = config.tokens.defaultToken) {
+  const client = await getClient();
+
+  const response = await client.request({
+    command: "ripple_path_find",
+    source_account: senderAddress,
+    destination_account: destinationAddress,
+    destination_amount: tokenAmount(tokenId, amount),
+    source_currencies: [{ currency: "XRP" }],
+  });
+
+  // XRP source amounts are strings of drops
+  const quotes = (response.result.alternatives || [])
+    .filter((alternative) => typeof alternative.source_amount === "string")
+    .map((alternative) => ({
+      sourceDrops: alternative.source_amount,
+      paths: alternative.paths_computed || [],
+    }));
+  if (quotes.length === 0) return null;
+
+  return quotes.reduce((best, quote) =>
+    (BigInt(quote.sourceDrops) < BigInt(best.sourceDrops) ? quote : best));
+}
+
+/**
+ * Deliver a token amount paid for in XRP (cross-currency Payment)
+ * Without tfPartialPayment the payment delivers the full amount or fails;
+ * SendMax caps its XRP cost (tecPATH_PARTIAL when the rate moved past it).
+ * @param {object} senderWallet - Sender's wallet object
+ * @param {string} destinationAddress - XRPL address of the receiver
+ * @param {string} amount - Token amount to deliver
+ * @param {object} options
+ * @param {string} options.token - Registered token to deliver (default config.tokens.defaultToken)
+ * @param {string} options.sendMaxDrops - Most XRP the payment may spend (drops)
+ * @param {Array} options.paths - Paths from quoteXRPPayment (empty: default path)
+ * @param {Function} options.onSigned - As for executeRLUSDPayment, also given sendMax
+ * @returns {Promise<object>} { success, transactionHash, amount, delivered, xrpSpent, fee, timestamp }
+ *   with xrpSpent in drops, excluding the fee
+ */
+async function executeCrossCurrencyPayment(senderWallet, destinationAddress, amount, options = {}) {
+  const client = await getClient();
+
+  try {
+    const token = getToken(options.token);
+    const paths = options.paths || [];
+
+    const paymentTx = {
+      TransactionType: "Payment",
+      Account: senderWallet.address,
+      Destination: destinationAddress,
+      Amount: tokenAmount(token.id, amount),
+      SendMax: options.sendMaxDrops,
+      ...(paths.length > 0 && { Paths: paths }),
+    };
+
+    console.log(`Sending ${amount} ${token.symbol} for at most ${options.sendMaxDrops} drops to ${destinationAddress}...`);
+
+    const prepared = await client.autofill(paymentTx);
+    const signed = senderWallet.sign(prepared);
+
+    if (options.onSigned) {
+      await options.onSigned({
+        transactionHash: signed.hash,
+        lastLedgerSequence: prepared.LastLedgerSequence,
+        sendMax: options.sendMaxDrops,
+      });
+    }
+
+    const result = await client.submitAndWait(signed.tx_blob);
+
+    if (result.result.meta.TransactionResult !== "tesSUCCESS") {
+      throw new Error(
+        `Payment failed: ${result.result.meta.TransactionResult}`
+      );
+    }
+
+    const outcome = crossCurrencyOutcome(senderWallet.address, prepared.Fee, result.result.meta);
+    console.log(`✓ ${outcome.delivered.value} ${token.symbol} delivered for ${outcome.xrpSpent} drops`);
+    console.log(`Transaction Hash: ${result.result.hash}`);
+
+    return {
+      success: true,
+      transactionHash: result.result.hash,
+      amount: paymentTx.Amount,
+      ...outcome,
+      fee: prepared.Fee,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    console.error("Error executing cross-currency payment:", error);
+    throw error;
+  }
+}
+
+/**
+ * What a validated cross-currency payment delivered and what it cost
+ * @returns {object} { delivered, xrpSpent } (xrpSpent in drops, excluding the fee)
+ */
+function crossCurrencyOutcome(account, fee, meta) {
+  const change = xrpl.getBalanceChanges(meta).find((entry) => entry.account === account);
+  const xrp = change && change.balances.find((balance) => balance.currency === "XRP");
+  const spentWithFee = xrp ? BigInt(xrpl.xrpToDrops(xrp.value.replace(/^-/, ""))) : null;
+
+  return {
+    delivered: meta.delivered_amount,
+    xrpSpent: spentWithFee === null ? null : (spentWithFee - BigInt(fee)).toString(),
+  };
+}
+
+/**
+ * Look up the outcome of a previously signed payment
+ * Used to reconcile payments that were in flight when the server stopped.
+ * @param {string} transactionHash - Hash of the signed payment
+ * @param {number} lastLedgerSequence - LastLedgerSequence of the signed payment
+ * @returns {Promise<object>} { status: 'success' | 'failed' | 'expired' | 'pending', ... }
+ */
+async function getRLUSDPaymentStatus(transactionHash, lastLedgerSequence) {
+  const client = await getClient();
+
+  try {
+    const response = await client.request({
+      command: "tx",
+      transaction: transactionHash,
+    });
+
+    if (response.result.validated) {
+      const transactionResult = response.result.meta.TransactionResult;
+      const tx = response.result.tx_json || response.result;
+      return {
+        status: transactionResult === "tesSUCCESS" ? "success" : "failed",
+        transactionHash,
+        transactionResult,
+        // Cross-currency payments also report what they delivered and cost
+        ...(transactionResult === "tesSUCCESS" && tx.SendMax &&
+          crossCurrencyOutcome(tx.Account, tx.Fee, response.result.meta)),
+      };
+    }
+  } catch (error) {
+    if (error.data?.error !== "txnNotFound") {
+      throw error;
+    }
+  }
+
+  // Not validated yet: it can only still land while LastLedgerSequence is ahead
+  const ledger = await client.request({
+    command: "ledger",
+    ledger_index: "validated",
+  });
+  const validatedLedger = ledger.result.ledger_index;
+
+  return {
+    status: validatedLedger > lastLedgerSequence ? "expired" : "pending",
+    transactionHash,
+    validatedLedger,
+  };
+}
+
 module.exports = {
-  createRLUSDStream,
+  createRLUSDEscrowLadder,
+  finishRLUSDEscrow,
+  cancelRLUSDEscrow,
   createDirectRLUSDStream,
   executeRLUSDPayment,
+  quoteXRPPayment,
+  executeCrossCurrencyPayment,
+  getRLUSDPaymentStatus,
 };
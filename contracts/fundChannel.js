@@ -9,10 +9,11 @@
 const xrpl = require('xrpl');
 const { getClient } = require('../src/utils/xrplClient');
 const { getChannelInfo } = require('./createChannel');
+const { resolveWallet } = require('../src/core/keystore');
 
 /**
  * Adds additional XRP to an existing payment channel
- * @param {string} senderWallet - Wallet object of the sender (channel owner)
+ * @param {object|string} senderWallet - Wallet object of the sender (channel owner), or its keystore key ID
  * @param {string} channelId - The payment channel ID to fund
  * @param {string} amount - Additional amount of XRP to add in drops
  * @param {number} expiration - Optional new expiration time for the channel
@@ -22,6 +23,8 @@ async function fundChannel(senderWallet, channelId, amount, expiration = null) {
   const client = await getClient();
   
   try {
+    senderWallet = await resolveWallet(senderWallet);
+    
     // First verify the channel exists and belongs to the sender
     const channelInfo = await getChannelInfo(channelId);
     
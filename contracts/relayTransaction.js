@@ -0,0 +1,230 @@
+/**
+ * relayTransaction.js
+ * Non-custodial transaction flow: prepare unsigned transactions, relay signed ones
+ *
+ * In non-custodial mode the server never sees a seed. It autofills the
+ * transaction (Fee, Sequence, LastLedgerSequence) and hands it to the client,
+ * the client signs it locally and posts the signed blob back. The blob is only
+ * decoded, checked against what the server expects and submitted as-is.
+ */
+
+const xrpl = require('xrpl');
+const { getClient } = require('../src/utils/xrplClient');
+const config = require('../config');
+const { tokenAmount } = require('../src/config/tokenRegistry');
+
+// Transaction types the server prepares and relays
+const RELAYABLE_TYPES = [
+  'PaymentChannelCreate',
+  'PaymentChannelFund',
+  'PaymentChannelClaim',
+  'Payment',
+];
+
+/**
+ * Unsigned PaymentChannelCreate (same fields as createChannel)
+ * @param {object} params
+ * @param {string} params.account - Sender address (the signing account)
+ * @param {string} params.destination - Receiver address
+ * @param {string} params.amount - Drops to lock in the channel
+ * @param {string} params.publicKey - Key that will sign the off-chain claims
+ * @param {number} params.settleDelay - Seconds before the sender can reclaim funds
+ */
+function buildChannelCreate({ account, destination, amount, publicKey, settleDelay = config.DEFAULT_SETTLE_DELAY }) {
+  return {
+    TransactionType: 'PaymentChannelCreate',
+    Account: account,
+    Destination: destination,
+    Amount: amount.toString(),
+    SettleDelay: settleDelay,
+    PublicKey: publicKey,
+  };
+}
+
+/**
+ * Unsigned PaymentChannelFund (same fields as fundChannel)
+ */
+function buildChannelFund({ account, channelId, amount, expiration = null }) {
+  const tx = {
+    TransactionType: 'PaymentChannelFund',
+    Account: account,
+    Channel: channelId,
+    Amount: amount.toString(),
+  };
+  if (expiration) {
+    tx.Expiration = expiration;
+  }
+  return tx;
+}
+
+/**
+ * Unsigned PaymentChannelClaim redeeming a sender-signed claim (same fields as claimChannel)
+ */
+function buildChannelClaim({ account, channelId, amount, signature, publicKey }) {
+  return {
+    TransactionType: 'PaymentChannelClaim',
+    Account: account,
+    Channel: channelId,
+    Balance: amount.toString(),
+    Amount: amount.toString(),
+    Signature: signature.toUpperCase(),
+    PublicKey: publicKey.toUpperCase(),
+  };
+}
+
+/**
+ * Unsigned RLUSD Payment (same fields as executeRLUSDPayment)
+ * token: registered token ID (default config.tokens.defaultToken)
+ */
+function buildRLUSDPayment({ account, destination, amount, token = config.tokens.defaultToken }) {
+  return {
+    TransactionType: 'Payment',
+    Account: account,
+    Destination: destination,
+    Amount: tokenAmount(token, amount),
+  };
+}
+
+/**
+ * Autofill an unsigned transaction for the client to sign
+ * @param {object} tx - Transaction from one of the build* helpers
+ * @returns {Promise<object>} Prepared transaction (Fee, Sequence, LastLedgerSequence set)
+ */
+async function prepareTransaction(tx) {
+  if (!RELAYABLE_TYPES.includes(tx.TransactionType)) {
+    throw new Error(`Unsupported transaction type: ${tx.TransactionType}`);
+  }
+
+  const client = await getClient();
+  return client.autofill(tx);
+}
+
+/**
+ * Decode a signed transaction blob and verify its signature
+ * @param {string} txBlob - Signed transaction (hex)
+ * @returns {object} { tx, hash }
+ */
+function decodeSignedTransaction(txBlob) {
+  let tx;
+  try {
+    tx = xrpl.decode(txBlob);
+  } catch (error) {
+    throw new Error('Signed transaction is not a valid transaction blob');
+  }
+
+  if (!RELAYABLE_TYPES.includes(tx.TransactionType)) {
+    throw new Error(`Unsupported transaction type: ${tx.TransactionType}`);
+  }
+  if (!tx.TxnSignature || !tx.SigningPubKey) {
+    throw new Error('Transaction is not signed');
+  }
+  if (!xrpl.verifySignature(txBlob)) {
+    throw new Error('Transaction signature is invalid');
+  }
+  // A partial payment could deliver less than its Amount
+  if (tx.TransactionType === 'Payment' && (Number(tx.Flags || 0) & xrpl.PaymentFlags.tfPartialPayment)) {
+    throw new Error('Partial payments are not accepted');
+  }
+
+  return { tx, hash: xrpl.hashes.hashSignedTx(txBlob) };
+}
+
+/**
+ * Check the decoded fields the server cares about
+ * Issued currency amounts compare by value, so "0.50" matches "0.5".
+ * @param {object} tx - Decoded transaction
+ * @param {object} expected - Field -> required value
+ */
+function assertTransactionFields(tx, expected) {
+  for (const [field, value] of Object.entries(expected)) {
+    const actual = tx[field];
+    const matches = typeof value === 'object' && value !== null
+      ? typeof actual === 'object' && actual !== null &&
+        actual.currency === value.currency &&
+        actual.issuer === value.issuer &&
+        parseFloat(actual.value) === parseFloat(value.value)
+      : String(actual).toUpperCase() === String(value).toUpperCase();
+
+    if (!matches) {
+      throw new Error(`Signed transaction ${field} does not match: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+}
+
+/**
+ * Relay a client-signed transaction to the ledger
+ * @param {string} txBlob - Signed transaction (hex)
+ * @param {object} expected - Fields the transaction must carry (e.g. Account, Destination, Amount)
+ * @param {object} options - Optional hooks
+ * @param {Function} options.onSigned - Awaited with { transactionHash, lastLedgerSequence }
+ *   before submission (same hook as executeRLUSDPayment)
+ * @returns {Promise<object>} Transaction result (with channelId for PaymentChannelCreate)
+ */
+async function submitSignedTransaction(txBlob, expected = {}, options = {}) {
+  const { tx, hash } = decodeSignedTransaction(txBlob);
+  assertTransactionFields(tx, expected);
+
+  const client = await getClient();
+
+  try {
+    if (options.onSigned) {
+      await options.onSigned({
+        transactionHash: hash,
+        lastLedgerSequence: tx.LastLedgerSequence,
+      });
+    }
+
+    console.log(`Relaying signed ${tx.TransactionType} from ${tx.Account}...`);
+    const result = await client.submitAndWait(txBlob);
+
+    if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+      throw new Error(`Transaction failed: ${result.result.meta.TransactionResult}`);
+    }
+
+    console.log(`✓ ${tx.TransactionType} validated`);
+    console.log(`Transaction hash: ${result.result.hash}`);
+
+    const relayed = {
+      success: true,
+      transactionType: tx.TransactionType,
+      transactionHash: result.result.hash,
+      account: tx.Account,
+      ledgerIndex: result.result.ledger_index,
+      tx,
+    };
+
+    if (tx.TransactionType === 'PaymentChannelCreate') {
+      relayed.channelId = findCreatedChannel(result.result.meta);
+    }
+
+    return relayed;
+
+  } catch (error) {
+    console.error(`Error relaying ${tx.TransactionType}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Channel ID of the PayChannel created by a transaction
+ */
+function findCreatedChannel(meta) {
+  for (const node of meta.AffectedNodes || []) {
+    if (node.CreatedNode && node.CreatedNode.LedgerEntryType === 'PayChannel') {
+      return node.CreatedNode.LedgerIndex;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RELAYABLE_TYPES,
+  buildChannelCreate,
+  buildChannelFund,
+  buildChannelClaim,
+  buildRLUSDPayment,
+  prepareTransaction,
+  decodeSignedTransaction,
+  assertTransactionFields,
+  submitSignedTransaction,
+};
@@ -0,0 +1,58 @@
+/**
+ * trustLines.js
+ * Read-only ledger queries about issued-token holdings
+ *
+ * Used before an RLUSD-style stream starts (see src/core/preflight.js) to
+ * find the trust lines of sender and receiver and the issuer's account flags.
+ */
+
+const { getClient } = require('../src/utils/xrplClient');
+
+/**
+ * Trust lines between an account and a peer (usually the token issuer)
+ * @param {string} account - Account whose lines are listed
+ * @param {string} peer - Only lines with this counterparty
+ * @returns {Promise<Array|null>} account_lines entries, or null if the account does not exist
+ */
+async function getTrustLines(account, peer) {
+  const client = await getClient();
+
+  try {
+    const response = await client.request({
+      command: 'account_lines',
+      account,
+      peer,
+      ledger_index: 'validated',
+    });
+    return response.result.lines || [];
+  } catch (error) {
+    if (error.data?.error === 'actNotFound') return null;
+    throw error;
+  }
+}
+
+/**
+ * AccountRoot of an account (Flags, Balance, ...)
+ * @param {string} account - Account to look up
+ * @returns {Promise<object|null>} account_data, or null if the account does not exist
+ */
+async function getAccountRoot(account) {
+  const client = await getClient();
+
+  try {
+    const response = await client.request({
+      command: 'account_info',
+      account,
+      ledger_index: 'validated',
+    });
+    return response.result.account_data;
+  } catch (error) {
+    if (error.data?.error === 'actNotFound') return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  getTrustLines,
+  getAccountRoot,
+};
@@ -6,13 +6,29 @@
 const express = require("express");
 const config = require("./config");
 const { getClientManager } = require("./src/utils/xrplClient");
+const { getChannelStore } = require("./src/core/channelStore");
+const { getSessionStore } = require("./src/core/sessionStore");
+const { getSessionManager } = require("./src/core/sessionManager");
+const { getFinalizationWorker } = require("./src/core/finalizationWorker");
+const { getWebhookService } = require("./src/core/webhooks");
+const { getKeystore } = require("./src/core/keystore");
+const { getTenantService } = require("./src/core/tenants");
+const { getContractStore } = require("./src/core/contractStore");
+const { getAgreementBook } = require("./src/core/agreements");
+const { loadContracts } = require("./src/config/contractsRegistry");
+const { listTokens } = require("./src/config/tokenRegistry");
 const streamRoutes = require("./src/api/streamRoutes");
 const rlusdRoutes = require("./src/api/rlusdRoutes");
 const m2mDemoRoutes = require("./src/api/m2mDemoRoutes");
 const unifiedRoutes = require("./src/api/unifiedRoutes");
+const { getClaimSocketServer } = require("./src/api/claimSocket");
+const webhookRoutes = require("./src/api/webhookRoutes");
+const keyRoutes = require("./src/api/keyRoutes");
+const tenantRoutes = require("./src/api/tenantRoutes");
 const {
   configureCORS,
   createRateLimiter,
+  createTenantRateLimiter,
   errorHandler,
   requestLogger,
   securityHeaders,
@@ -63,24 +79,57 @@ app.get("/api", (req, res) => {
     name: "XRPL Streaming Payment API",
     version: require("./package.json").version,
     network: config.network.type,
-    currencies: ["XRP", "RLUSD"],
+    currencies: ["XRP", ...listTokens().map((token) => token.id)],
     endpoints: {
       health: "/health",
       xrp_channels: {
         start: "POST /api/stream/start",
         stop: "POST /api/stream/stop",
+        pause: "POST /api/stream/pause",
+        resume: "POST /api/stream/resume",
         claim: "GET /api/stream/claim",
+        submit_claim: "POST /api/stream/claim",
+        prepare: "POST /api/stream/prepare",
+        submit: "POST /api/stream/submit",
         validate: "POST /api/stream/validate",
         finalize: "POST /api/stream/finalize",
         status: "GET /api/stream/status",
         history: "GET /api/stream/history",
+        finalizations: "GET /api/stream/finalizations",
       },
+      webhooks: {
+        register: "POST /api/webhooks",
+        list: "GET /api/webhooks",
+        remove: "DELETE /api/webhooks/:id",
+        deliveries: "GET /api/webhooks/deliveries",
+      },
+      keys: {
+        create: "POST /api/keys",
+        import: "POST /api/keys/import",
+        list: "GET /api/keys",
+        get: "GET /api/keys/:keyId",
+        rotate: "POST /api/keys/rotate",
+      },
+      tenants: {
+        me: "GET /api/tenants/me",
+        create: "POST /api/tenants",
+        list: "GET /api/tenants",
+        get: "GET /api/tenants/:tenantId",
+        update: "PUT /api/tenants/:tenantId",
+        revoke: "DELETE /api/tenants/:tenantId",
+      },
+      claim_websocket: config.websocket.enabled
+        ? `ws://<host>:${config.websocket.port}`
+        : null,
       rlusd_streaming: {
         start: "POST /api/rlusd/stream/start",
         payment: "POST /api/rlusd/stream/payment",
+        prepare: "GET /api/rlusd/stream/prepare/:sessionKey",
         status: "GET /api/rlusd/stream/status/:sessionKey",
         stop: "POST /api/rlusd/stream/stop",
         active: "GET /api/rlusd/streams/active",
+        tokens: "GET /api/rlusd/tokens",
+        preflight: "POST /api/rlusd/preflight",
       },
     },
   });
@@ -105,6 +154,11 @@ app.use("/api/rlusd/demo", rlusdDemoRouter);
 // Authentication middleware (skip health checks)
 if (config.security.enableApiKeyAuth) {
   app.use("/api", healthCheckBypass, authenticateApiKey);
+
+  // Tenant keys with their own rate limit
+  if (config.security.enableRateLimiting) {
+    app.use("/api", createTenantRateLimiter(config.rateLimit.windowMs));
+  }
 }
 
 // Validation middleware
@@ -114,6 +168,9 @@ app.use("/api", validateRequest);
 app.use("/api/unified", unifiedRoutes); // Unified contract-based API
 app.use("/api/stream", streamRoutes); // XRP Payment Channels
 app.use("/api/rlusd", rlusdRoutes); // RLUSD Direct Payments
+app.use("/api/webhooks", webhookRoutes); // Outbound webhook endpoints
+app.use("/api/keys", keyRoutes); // Encrypted wallet keystore
+app.use("/api/tenants", tenantRoutes); // Tenant API keys, scopes and quotas
 
 // 404 handler
 app.use((req, res) => {
@@ -144,6 +201,41 @@ async function startServer() {
 
     console.log("✓ XRPL client initialized and connected");
 
+    // Provider contracts, their revisions and session agreements survive restarts
+    await loadContracts(getContractStore());
+    await getAgreementBook().load(getContractStore());
+
+    // Resume streams that were active before the last shutdown
+    if (config.sessions.enabled) {
+      const restored = await getSessionManager().restore();
+      await unifiedRoutes.restoreSessions();
+      console.log(`✓ Restored ${restored} persisted session(s)`);
+    }
+
+    // Count tenant spend against monthly caps
+    await getTenantService().start();
+
+    // Refill channels for sender sessions that opted in to auto top-up
+    getSessionManager().startBackgroundTasks();
+
+    // Settle received claims on-chain in the background
+    if (config.features.autoFinalization) {
+      if (config.finalization.receiverKeyId) {
+        await getFinalizationWorker().addReceiverKey(config.finalization.receiverKeyId);
+      }
+      getFinalizationWorker().start();
+    }
+
+    // Notify registered endpoints of stream lifecycle events
+    if (config.features.webhooks) {
+      await getWebhookService().start();
+    }
+
+    // Push and receive claims in real time
+    if (config.websocket.enabled) {
+      getClaimSocketServer().start();
+    }
+
     // Set up graceful shutdown
     setupGracefulShutdown(clientManager);
 
@@ -162,11 +254,16 @@ async function startServer() {
       console.log("\nStreaming endpoints:");
       console.log(`  Start Stream: POST /api/stream/start`);
       console.log(`  Stop Stream: POST /api/stream/stop`);
+      console.log(`  Pause/Resume: POST /api/stream/pause, /api/stream/resume`);
       console.log(`  Get Claim: GET /api/stream/claim?channelId=<id>`);
+      console.log(`  Non-custodial: POST /api/stream/claim, /api/stream/prepare, /api/stream/submit`);
       console.log(`  Validate Claim: POST /api/stream/validate`);
       console.log(`  Finalize Stream: POST /api/stream/finalize`);
       console.log(`  Get Status: GET /api/stream/status?channelId=<id>`);
       console.log(`  Get History: GET /api/stream/history?channelId=<id>`);
+      console.log(`  Finalizations: GET /api/stream/finalizations`);
+      console.log(`  Keystore: POST /api/keys, GET /api/keys`);
+      console.log(`  Tenants: GET /api/tenants/me, POST /api/tenants (admin)`);
       console.log("\n" + "=".repeat(50));
 
       console.log('\nDemo UI:');
@@ -212,6 +309,32 @@ function setupGracefulShutdown(clientManager) {
     console.log(`\n\nReceived ${signal}, shutting down gracefully...`);
 
     try {
+      // Stop auto-execution first; persisted sessions are kept for restore
+      unifiedRoutes.clearAutoExecutionTimers();
+      getFinalizationWorker().stop();
+      getSessionManager().stopBackgroundTasks();
+      await getClaimSocketServer().stop();
+
+      await getWebhookService().close();
+      console.log("✓ Webhook store closed");
+
+      await getKeystore().close();
+      console.log("✓ Keystore closed");
+
+      await getTenantService().close();
+      console.log("✓ Tenant store closed");
+
+      await getContractStore().close();
+      console.log("✓ Contract store closed");
+
+      // Flush channel storage backend
+      await getChannelStore().close();
+      console.log("✓ Channel store closed");
+
+      await getSessionManager().flushClaimSaves();
+      await getSessionStore().close();
+      console.log("✓ Session store closed");
+
       // Disconnect from XRPL
       console.log("Disconnecting from XRPL...");
       await clientManager.disconnect();
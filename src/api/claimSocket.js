@@ -0,0 +1,406 @@
+/**
+ * claimSocket.js
+ * Real-time claim delivery over WebSocket (config.websocket)
+ *
+ * Replaces polling GET /api/stream/claim + POST /api/stream/validate:
+ *
+ *   Receiver side - subscribe to a channel whose sender session runs here:
+ *     -> { type: 'subscribe', channelId }
+ *     <- { type: 'claim', id, claim }        every CLAIM_INTERVAL_MS while accruing
+ *     -> { type: 'ack', id } | { type: 'nack', id, reason }
+ *
+ *   Sender side - push claims to a receiver session running here:
+ *     -> { type: 'claim', id, claim: { channelId, amount, signature } }
+ *     <- { type: 'ack', id, amount } | { type: 'nack', id, reason }
+ *
+ * Claims are cumulative, so a lost or rejected claim is simply superseded by
+ * the next one; nothing is retried. When API_KEY is set, clients must send
+ * the admin key or a tenant key as a Bearer token or as the apiKey query
+ * parameter. Tenants only reach their own sessions, and pushing claims
+ * needs the stream:start scope, as on the REST API.
+ * Handshakes beyond maxConnections are refused with 503.
+ *
+ * Events: connected, disconnected, claimAcked, claimRejected
+ */
+
+const EventEmitter = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../../config');
+const { getSessionManager } = require('../core/sessionManager');
+const { getChannelStore } = require('../core/channelStore');
+const { authenticateKey, hasScope, ownsSession } = require('./middleware');
+
+class ClaimSocketServer extends EventEmitter {
+  /**
+   * @param {object} options - WebSocket config (defaults to config.websocket)
+   */
+  constructor(options = config.websocket) {
+    super();
+    this.options = options;
+    this.wss = null;
+    this.heartbeat = null;
+    this.clients = new Set();
+    this.onSessionStopped = this.onSessionStopped.bind(this);
+  }
+
+  /**
+   * Listen on options.port
+   */
+  start() {
+    if (this.wss) return;
+
+    this.wss = new WebSocketServer({
+      port: this.options.port,
+      host: config.server.host,
+      verifyClient: (info, done) => {
+        authenticateUpgrade(info.req).then(
+          (allowed) => {
+            if (!allowed) return done(false, 401, 'Unauthorized');
+            // The upgrade completes synchronously after this, so the count
+            // cannot grow between the check and the connection
+            if (this.clients.size >= this.options.maxConnections) {
+              return done(false, 503, 'Too many connections');
+            }
+            done(true);
+          },
+          (error) => {
+            console.error('WebSocket tenant lookup failed:', error.message);
+            done(false, 500, 'Authentication failed');
+          }
+        );
+      },
+    });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.wss.on('error', (error) => {
+      console.error('WebSocket server error:', error.message);
+    });
+
+    // Drop clients that did not answer the previous ping
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, this.options.pingInterval);
+
+    getSessionManager().on('sessionStopped', this.onSessionStopped);
+
+    console.log(`✓ Claim WebSocket listening on port ${this.options.port}`);
+  }
+
+  async stop() {
+    if (!this.wss) return;
+
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    getSessionManager().off('sessionStopped', this.onSessionStopped);
+
+    for (const ws of this.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+
+    await new Promise((resolve) => this.wss.close(resolve));
+    this.wss = null;
+    console.log('✓ Claim WebSocket closed');
+  }
+
+  handleConnection(ws, req) {
+    ws.isAlive = true;
+    ws.auth = { tenant: req.tenant }; // Checked like a REST request (ownsSession, hasScope)
+    ws.subscriptions = new Map(); // channelId -> subscription
+    ws.nextClaimId = 1; // Claim ids are unique per connection
+    this.clients.add(ws);
+    this.emit('connected', { clients: this.clients.size });
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      this.handleMessage(ws, data).catch((error) => {
+        send(ws, { type: 'error', error: error.message });
+      });
+    });
+
+    ws.on('close', () => {
+      for (const subscription of ws.subscriptions.values()) {
+        clearInterval(subscription.timer);
+      }
+      this.clients.delete(ws);
+      this.emit('disconnected', { clients: this.clients.size });
+    });
+
+    send(ws, { type: 'welcome', claimIntervalMs: config.channel.CLAIM_INTERVAL_MS });
+  }
+
+  async handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      send(ws, { type: 'error', error: 'Messages must be JSON' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        return this.subscribe(ws, message.channelId);
+      case 'unsubscribe':
+        return this.unsubscribe(ws, message.channelId);
+      case 'claim':
+        return this.receiveClaim(ws, message);
+      case 'ack':
+      case 'nack':
+        return this.handleReceipt(ws, message);
+      default:
+        send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // SENDER SESSIONS -> REMOTE RECEIVER
+  // ═══════════════════════════════════════════════════════════════════════
+
+  subscribe(ws, channelId) {
+    if (!channelId) {
+      send(ws, { type: 'error', error: 'channelId required' });
+      return;
+    }
+
+    const sessionId = `${channelId}-sender`;
+    if (!getSessionManager().getXRPSession(sessionId) || !ownsSession(ws.auth, sessionId)) {
+      send(ws, { type: 'error', error: 'No active sender stream found for this channel', channelId });
+      return;
+    }
+
+    if (ws.subscriptions.has(channelId)) return;
+
+    const subscription = {
+      sessionId,
+      channelId,
+      lastSentAmount: 0n,
+      lastAckedAmount: '0',
+      pending: new Map(), // id -> amount
+      timer: null,
+    };
+
+    subscription.timer = setInterval(() => {
+      this.pushClaim(ws, subscription).catch((error) => {
+        console.error(`Claim push failed for ${channelId}:`, error.message);
+      });
+    }, config.channel.CLAIM_INTERVAL_MS);
+
+    ws.subscriptions.set(channelId, subscription);
+    send(ws, { type: 'subscribed', channelId });
+  }
+
+  unsubscribe(ws, channelId) {
+    const subscription = ws.subscriptions.get(channelId);
+    if (subscription) {
+      clearInterval(subscription.timer);
+      ws.subscriptions.delete(channelId);
+    }
+    send(ws, { type: 'unsubscribed', channelId });
+  }
+
+  /**
+   * Send the current claim if it grew since the last one
+   */
+  async pushClaim(ws, subscription) {
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(subscription.sessionId);
+    if (!session || ws.readyState !== WebSocket.OPEN) return;
+
+    // Paused or exhausted streams have nothing new to send; non-custodial
+    // streams only have the claim their client last submitted
+    const available = session.custody === 'client'
+      ? BigInt(session.latestClaim ? session.latestClaim.amount : 0)
+      : BigInt(session.signer.getCurrentAmount());
+    if (available <= subscription.lastSentAmount) return;
+
+    const claim = await manager.getXRPClaim(subscription.sessionId);
+    const id = ws.nextClaimId++;
+    subscription.lastSentAmount = BigInt(claim.amount);
+    subscription.pending.set(id, claim.amount);
+
+    // Only the newest claims matter; forget ones that were never answered
+    if (subscription.pending.size > 10) {
+      subscription.pending.delete(subscription.pending.keys().next().value);
+    }
+
+    send(ws, {
+      type: 'claim',
+      id,
+      claim: {
+        channelId: claim.channelId,
+        amount: claim.amount,
+        amountXRP: parseInt(claim.amount) / 1000000,
+        signature: claim.signature,
+        publicKey: claim.publicKey,
+        timestamp: claim.timestamp,
+      },
+    });
+  }
+
+  handleReceipt(ws, message) {
+    const subscription = Array.from(ws.subscriptions.values())
+      .find((s) => s.pending.has(message.id));
+    const amount = subscription && subscription.pending.get(message.id);
+
+    if (!amount) {
+      send(ws, { type: 'error', error: `Unknown claim id: ${message.id}` });
+      return;
+    }
+    subscription.pending.delete(message.id);
+
+    const event = {
+      sessionId: subscription.sessionId,
+      channelId: subscription.channelId,
+      id: message.id,
+      amount,
+    };
+
+    if (message.type === 'ack') {
+      if (BigInt(amount) > BigInt(subscription.lastAckedAmount)) {
+        subscription.lastAckedAmount = amount;
+      }
+      this.emit('claimAcked', event);
+    } else {
+      console.warn(`⚠️  Receiver rejected claim ${message.id} on ${subscription.channelId}: ${message.reason}`);
+      this.emit('claimRejected', { ...event, reason: message.reason || null });
+    }
+  }
+
+  onSessionStopped({ sessionId, currency }) {
+    if (currency !== 'XRP' || !sessionId.endsWith('-sender')) return;
+
+    for (const ws of this.clients) {
+      for (const subscription of ws.subscriptions.values()) {
+        if (subscription.sessionId === sessionId) {
+          clearInterval(subscription.timer);
+          ws.subscriptions.delete(subscription.channelId);
+          send(ws, {
+            type: 'streamEnded',
+            channelId: subscription.channelId,
+            lastAckedAmount: subscription.lastAckedAmount,
+          });
+        }
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // REMOTE SENDER -> RECEIVER SESSIONS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Validate a pushed claim with the channel's receiver session
+   */
+  async receiveClaim(ws, message) {
+    const { id } = message;
+    const { channelId, amount, signature } = message.claim || {};
+
+    if (!channelId || !amount || !signature) {
+      send(ws, { type: 'nack', id, reason: 'Missing required fields: channelId, amount, signature' });
+      return;
+    }
+
+    if (!hasScope(ws.auth, 'stream:start')) {
+      send(ws, { type: 'nack', id, reason: 'API key lacks the stream:start scope' });
+      return;
+    }
+
+    const sessionId = `${channelId}-receiver`;
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionId);
+    if (!session || !ownsSession(ws.auth, sessionId)) {
+      send(ws, { type: 'nack', id, reason: 'No active receiver stream found for this channel' });
+      return;
+    }
+
+    const result = await manager.validateXRPClaim(sessionId, amount, signature);
+
+    if (!result.valid) {
+      send(ws, { type: 'nack', id, reason: result.reason });
+      return;
+    }
+
+    await getChannelStore().addClaimToHistory(channelId, {
+      amount,
+      signature,
+      publicKey: session.validator.publicKey,
+    });
+
+    send(ws, { type: 'ack', id, amount });
+  }
+
+  getStats() {
+    let subscriptions = 0;
+    for (const ws of this.clients) {
+      subscriptions += ws.subscriptions.size;
+    }
+
+    return {
+      running: this.wss !== null,
+      connections: this.clients.size,
+      maxConnections: this.options.maxConnections,
+      subscriptions,
+    };
+  }
+}
+
+/**
+ * Check the API key of an upgrade request and set req.tenant, like
+ * authenticateApiKey does for the REST API
+ * @returns {Promise<boolean>} Whether the connection is allowed
+ */
+async function authenticateUpgrade(req) {
+  if (!process.env.API_KEY) return true;
+
+  const header = req.headers['authorization']?.replace('Bearer ', '');
+  const query = new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+  const apiKey = header || query;
+  if (!apiKey) return false;
+
+  req.tenant = await authenticateKey(apiKey);
+  return Boolean(req.tenant);
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+// Singleton instance
+let socketInstance = null;
+
+/**
+ * Get the singleton claim WebSocket server
+ */
+function getClaimSocketServer(options) {
+  if (!socketInstance) {
+    socketInstance = new ClaimSocketServer(options);
+  }
+  return socketInstance;
+}
+
+/**
+ * Reset the server instance (mainly for testing)
+ */
+async function resetClaimSocketServer() {
+  if (socketInstance) {
+    await socketInstance.stop();
+  }
+  socketInstance = null;
+}
+
+module.exports = {
+  ClaimSocketServer,
+  getClaimSocketServer,
+  resetClaimSocketServer,
+};
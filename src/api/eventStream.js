@@ -0,0 +1,116 @@
+/**
+ * eventStream.js
+ * Server-Sent Events feed of live session events
+ *
+ * Relays session manager events to dashboards: lifecycle changes, claims
+ * signed and validated, RLUSD payments, balance warnings and on-chain
+ * finalization. Event names match the webhook names (see webhooks.js) plus
+ * the high-frequency claim.signed, claim.validated and payment.sent.
+ */
+
+const { getSessionManager } = require('../core/sessionManager');
+const { EVENT_MAP } = require('../core/webhooks');
+
+// Session manager event -> SSE event
+const STREAM_EVENTS = {
+  ...EVENT_MAP,
+  claimSigned: 'claim.signed',
+  claimValidated: 'claim.validated',
+  paymentSent: 'payment.sent',
+  topUpRefused: 'channel.topup_refused',
+};
+
+// Events after which a single-session feed has nothing more to say
+const TERMINAL_EVENTS = ['sessionStopped', 'sessionCompleted'];
+
+// Comment line sent to keep proxies from closing idle connections
+const KEEP_ALIVE_MS = 15000;
+
+/**
+ * Channel ID of an XRP session ID ("<channelId>-<role>"), if it is one
+ */
+function getSessionChannelId(sessionId) {
+  const match = /^([A-F0-9]{64})-(sender|receiver)$/i.exec(sessionId);
+  return match ? match[1] : null;
+}
+
+/**
+ * Open an SSE response and relay matching session manager events
+ * @param {object} req - Express request (the feed ends when it closes)
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {string} options.sessionId - Only this session's events (omit for all)
+ * @param {string} options.apiKeyId - Only events of streams owned by this key
+ *   (omit for all; see getTenantScope)
+ */
+function openEventStream(req, res, { sessionId = null, apiKeyId = null } = {}) {
+  const manager = getSessionManager();
+  const channelId = sessionId ? getSessionChannelId(sessionId) : null;
+  const listeners = [];
+  let nextId = 1;
+  let closed = false;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`id: ${nextId++}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const matches = (data) => {
+    // Ownerless events are not shown to tenants
+    if (apiKeyId && data.apiKeyId !== apiKeyId) return false;
+    if (!sessionId) return true;
+
+    // Channel events (finalization, balance) belong to both ends of the channel
+    return data.sessionId === sessionId || Boolean(channelId && data.channelId === channelId);
+  };
+
+  // Runs on a terminal event and again when the request closes
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    for (const [source, listener] of listeners) {
+      manager.off(source, listener);
+    }
+    res.end();
+  };
+
+  for (const [source, event] of Object.entries(STREAM_EVENTS)) {
+    const listener = (data) => {
+      if (!matches(data)) return;
+
+      const { apiKeyId: owner, ...payload } = data;
+      send(event, { ...payload, timestamp: Date.now() });
+
+      if (sessionId && data.sessionId === sessionId && TERMINAL_EVENTS.includes(source)) {
+        close();
+      }
+    };
+    manager.on(source, listener);
+    listeners.push([source, listener]);
+  }
+
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, KEEP_ALIVE_MS);
+
+  req.on('close', close);
+
+  send('connected', {
+    sessionId,
+    events: Object.values(STREAM_EVENTS),
+    timestamp: Date.now(),
+  });
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  openEventStream,
+};
@@ -5,20 +5,24 @@
  */
 
 const xrpl = require("xrpl");
+const config = require("../../../config");
 const {
-  createDirectRLUSDStream,
-  executeRLUSDPayment,
-} = require("../../../contracts/createRLUSDStream");
+  getSessionManager,
+  formatSessionAmount,
+  sessionAmountSent,
+  sessionAmountRemaining,
+} = require("../../core/sessionManager");
+const { hasToken } = require("../../config/tokenRegistry");
+const { describeEscrows, validateEscrowStream } = require("../../core/escrowLadder");
+const { describeCrossCurrency, validateCrossCurrencyStream } = require("../../core/crossCurrency");
+const { preflightTokenStream } = require("../../core/preflight");
+const { spendCurrency } = require("../../core/tenants");
 const {
-  calculateRLUSDStreamingRate,
-  formatRLUSD,
-} = require("../../utils/converters");
-
-// Store active RLUSD streaming sessions
-const activeRLUSDSessions = new Map();
-
-// Store payment history for completed sessions
-const paymentHistory = new Map();
+  checkSpendCap,
+  getApiKeyId,
+  ownsSession,
+  resolveRequestWallet,
+} = require("../middleware");
 
 /**
  * Start a new RLUSD streaming session
@@ -27,74 +31,137 @@ async function startStream(req, res) {
   try {
     const {
       senderSeed,
+      senderKeyId,
+      senderAddress,
       receiverAddress,
       totalAmount,
       duration = 3600,
       intervalSeconds = 60,
+      mode = "direct",
+      token = config.tokens.defaultToken,
+      maxSlippageBps = config.crossCurrency.defaultSlippageBps,
     } = req.body;
 
     // Validation
-    if (!senderSeed || !receiverAddress || !totalAmount) {
+    if (!(senderSeed || senderKeyId || senderAddress) || !receiverAddress || !totalAmount) {
       return res.status(400).json({
         error:
-          "Missing required fields: senderSeed, receiverAddress, totalAmount",
+          "Missing required fields: senderSeed or senderKeyId (or senderAddress for non-custodial), receiverAddress, totalAmount",
       });
     }
 
-    const senderWallet = xrpl.Wallet.fromSeed(senderSeed);
-    const sessionKey = `${senderWallet.address}-${receiverAddress}`;
+    if (!senderSeed && !senderKeyId && !xrpl.isValidClassicAddress(senderAddress)) {
+      return res.status(400).json({ error: "Invalid senderAddress" });
+    }
+
+    if (!hasToken(token)) {
+      return res.status(400).json({ error: `Unknown token: ${token} (see GET /api/rlusd/tokens)` });
+    }
+
+    if (!["direct", "escrow", "cross-currency"].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "direct", "escrow" or "cross-currency"' });
+    }
+
+    if (mode === "cross-currency") {
+      const check = validateCrossCurrencyStream({
+        custodial: Boolean(senderSeed || senderKeyId),
+        maxSlippageBps,
+      });
+      if (!check.valid) {
+        return res.status(400).json({ error: check.error });
+      }
+    }
+
+    if (mode === "escrow") {
+      const check = validateEscrowStream({
+        custodial: Boolean(senderSeed || senderKeyId),
+        duration,
+        intervalSeconds,
+      });
+      if (!check.valid) {
+        return res.status(400).json({ error: check.error });
+      }
+    }
+
+    const spendCheck = await checkSpendCap(req, spendCurrency({ mode, token }));
+    if (!spendCheck.allowed) {
+      return res.status(429).json({
+        error: spendCheck.error,
+        spent: spendCheck.spent,
+        cap: spendCheck.cap,
+      });
+    }
+
+    // Without a seed or key ID the stream is non-custodial: the client signs each payment
+    const { wallet: senderWallet, error } = await resolveRequestWallet(req, {
+      seed: senderSeed,
+      keyId: senderKeyId,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sender = senderWallet ? senderWallet.address : senderAddress;
+    const sessionKey = `${sender}-${receiverAddress}`;
 
     // Check if session already exists
-    if (activeRLUSDSessions.has(sessionKey)) {
+    const manager = getSessionManager();
+    if (manager.hasSession(sessionKey)) {
       return res.status(409).json({
         error: "RLUSD stream already active between these addresses",
-        senderAddress: senderWallet.address,
+        senderAddress: sender,
         receiverAddress,
       });
     }
 
-    // Calculate streaming parameters
-    const paymentCount = Math.floor(duration / intervalSeconds);
-    const paymentAmount = (parseFloat(totalAmount) / paymentCount).toFixed(2);
+    // Trust lines, balance and issuer flags, before anything is paid or locked
+    if (config.preflight.enabled) {
+      const preflight = await preflightTokenStream({
+        senderAddress: sender,
+        receiverAddress,
+        totalAmount,
+        token,
+        mode,
+      });
+      if (!preflight.ok) {
+        return res.status(400).json({
+          error: "RLUSD stream preflight failed",
+          errors: preflight.errors,
+          preflight,
+        });
+      }
+    }
 
-    const streamConfig = await createDirectRLUSDStream(
+    const { session } = await manager.startRLUSDSession({
       senderWallet,
+      senderAddress: sender,
       receiverAddress,
       totalAmount,
-      paymentCount
-    );
-
-    // Store session
-    activeRLUSDSessions.set(sessionKey, {
-      senderWallet,
-      receiverAddress,
-      totalAmount: parseFloat(totalAmount),
-      paymentAmount: parseFloat(paymentAmount),
-      paymentCount,
-      paymentsCompleted: 0,
+      duration,
       intervalSeconds,
-      startTime: Date.now(),
-      config: streamConfig,
-      isPaused: false,
-      payments: [], // Track individual payments
+      mode,
+      token,
+      maxSlippageBps,
+      apiKeyId: getApiKeyId(req),
     });
 
-    console.log(
-      `✓ Started RLUSD stream: ${senderWallet.address} → ${receiverAddress}`
-    );
-
     return res.json({
       success: true,
       message: "RLUSD stream started",
       sessionId: sessionKey,
       sessionKey,
-      senderAddress: senderWallet.address,
+      senderAddress: sender,
+      custody: session.custody,
+      mode: session.mode,
+      token: session.token,
       receiverAddress,
       totalAmount,
-      paymentAmount,
-      paymentCount,
+      paymentAmount: formatSessionAmount(session, session.paymentAmount),
+      finalPaymentAmount: session.finalPaymentAmount,
+      paymentCount: session.paymentCount,
       intervalSeconds,
       estimatedDuration: duration,
+      ...(session.escrows && { escrows: describeEscrows(session.escrows) }),
+      ...(session.crossCurrency && { crossCurrency: describeCrossCurrency(session) }),
     });
   } catch (error) {
     console.error("Error starting RLUSD stream:", error);
@@ -117,8 +184,9 @@ async function executePayment(req, res) {
       return res.status(400).json({ error: "sessionKey or sessionId required" });
     }
 
-    const session = activeRLUSDSessions.get(actualSessionKey);
-    if (!session) {
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(actualSessionKey);
+    if (!session || !ownsSession(req, actualSessionKey)) {
       return res.status(404).json({
         error: "No active RLUSD stream found",
         sessionKey: actualSessionKey,
@@ -133,73 +201,84 @@ async function executePayment(req, res) {
       });
     }
 
+    // Non-custodial streams pay with a Payment the client signed
+    const signedTransaction =
+      session.custody === "client" ? req.body.signedTransaction : null;
+    if (session.custody === "client") {
+      if (!signedTransaction) {
+        return res.status(400).json({
+          error:
+            "signedTransaction required: sign the Payment from GET /api/rlusd/stream/prepare/:sessionKey",
+          sessionKey: actualSessionKey,
+        });
+      }
+
+      const check = manager.validateRLUSDPayment(actualSessionKey, signedTransaction);
+      if (!check.valid) {
+        return res.status(400).json({
+          error: "Invalid signed payment",
+          details: check.error,
+        });
+      }
+    }
+
+    const result = await manager.executeRLUSDPayment(actualSessionKey, {
+      signedTransaction,
+    });
+
+    if (result.status === "pending") {
+      return res.status(409).json({
+        error: "Previous RLUSD payment is still pending on the ledger",
+        sessionKey: actualSessionKey,
+        transactionHash: result.transactionHash,
+      });
+    }
+
+    if (result.status === "in-progress") {
+      return res.status(409).json({
+        error: "Another RLUSD payment for this session is being sent",
+        sessionKey: actualSessionKey,
+      });
+    }
+
+    if (result.status === "scheduled") {
+      return res.status(409).json({
+        error: "Next escrow is not due yet",
+        sessionKey: actualSessionKey,
+        dueAt: result.dueAt,
+      });
+    }
+
     // Check if stream is complete
-    if (session.paymentsCompleted >= session.paymentCount) {
+    if (result.status === "complete") {
       return res.status(400).json({
         error: "RLUSD stream is already complete",
         progress: {
           completed: session.paymentsCompleted,
           total: session.paymentCount,
-          totalSent: (
-            session.paymentsCompleted * session.paymentAmount
-          ).toFixed(2),
+          totalSent: sessionAmountSent(session),
         },
       });
     }
 
-    // Execute payment
-    const paymentResult = await executeRLUSDPayment(
-      session.senderWallet,
-      session.receiverAddress,
-      session.paymentAmount.toFixed(2)
-    );
-
-    if (paymentResult.success) {
-      session.paymentsCompleted++;
-      const totalSent = (
-        session.paymentsCompleted * session.paymentAmount
-      ).toFixed(2);
-      const remaining = session.paymentCount - session.paymentsCompleted;
-
-      // Track individual payment
-      const paymentRecord = {
-        paymentNumber: session.paymentsCompleted,
-        amount: session.paymentAmount.toFixed(2),
-        transactionHash: paymentResult.transactionHash,
-        timestamp: Date.now(),
-      };
-      session.payments.push(paymentRecord);
-
-      console.log(
-        `✓ RLUSD payment ${session.paymentsCompleted}/${session.paymentCount} sent`
-      );
-
-      // Clean up session if complete but preserve history
-      if (remaining === 0) {
-        paymentHistory.set(actualSessionKey, {
-          ...session,
-          completedAt: Date.now(),
-        });
-        activeRLUSDSessions.delete(actualSessionKey);
-        console.log(`✓ RLUSD stream completed: ${actualSessionKey}`);
-      }
-
-      return res.json({
-        success: true,
-        transactionHash: paymentResult.transactionHash,
-        amount: session.paymentAmount.toFixed(2),
-        progress: {
-          completed: session.paymentsCompleted,
-          total: session.paymentCount,
-          totalSent,
-        },
-      });
-    } else {
+    if (result.status === "failed") {
       return res.status(500).json({
         error: "Payment execution failed",
-        details: paymentResult.error,
+        details: result.error,
       });
     }
+
+    return res.json({
+      success: true,
+      transactionHash: result.payment.transactionHash,
+      amount: result.payment.amount,
+      ...(result.payment.xrpSpent !== undefined && { xrpSpent: result.payment.xrpSpent }),
+      progress: {
+        completed: session.paymentsCompleted,
+        total: session.paymentCount,
+        totalSent: result.totalSent,
+      },
+    });
   } catch (error) {
     console.error("Error executing RLUSD payment:", error);
     return res.status(500).json({
@@ -214,28 +293,31 @@ async function executePayment(req, res) {
  */
 async function getStatus(req, res) {
   try {
-    const { sessionKey, sessionId } = req.params || req.query || req.body;
+    const { sessionKey, sessionId } = { ...req.body, ...req.query, ...req.params };
     const actualSessionKey = sessionKey || sessionId;
 
     if (!actualSessionKey) {
       return res.status(400).json({ error: "sessionKey or sessionId required" });
     }
 
-    const session = activeRLUSDSessions.get(actualSessionKey);
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(actualSessionKey);
 
-    if (!session) {
+    if (!session || !ownsSession(req, actualSessionKey)) {
       // Check payment history
-      const historicalSession = paymentHistory.get(actualSessionKey);
-      if (historicalSession) {
+      const historicalSession = manager.getRLUSDHistory(actualSessionKey);
+      if (historicalSession && ownsSession(req, actualSessionKey)) {
         return res.json({
           sessionKey: actualSessionKey,
           active: false,
           completed: true,
-          senderAddress: historicalSession.senderWallet.address,
+          senderAddress: historicalSession.senderAddress,
           receiverAddress: historicalSession.receiverAddress,
+          token: historicalSession.token,
           totalAmount: historicalSession.totalAmount,
           paymentsCompleted: historicalSession.paymentsCompleted,
           completedAt: historicalSession.completedAt,
+          ...(historicalSession.crossCurrency && { crossCurrency: describeCrossCurrency(historicalSession) }),
         });
       }
 
@@ -245,24 +327,29 @@ async function getStatus(req, res) {
       });
     }
 
-    const totalSent = (session.paymentsCompleted * session.paymentAmount).toFixed(2);
+    const totalSent = sessionAmountSent(session);
     const remaining = session.paymentCount - session.paymentsCompleted;
     const elapsed = Date.now() - session.startTime;
 
     return res.json({
       sessionKey: actualSessionKey,
       active: true,
-      senderAddress: session.senderWallet.address,
+      senderAddress: session.senderAddress,
       receiverAddress: session.receiverAddress,
+      token: session.token,
       totalAmount: session.totalAmount,
       paymentAmount: session.paymentAmount,
+      finalPaymentAmount: session.finalPaymentAmount,
       startTime: session.startTime,
       isPaused: session.isPaused,
+      mode: session.mode || "direct",
+      ...(session.escrows && { escrows: describeEscrows(session.escrows) }),
+      ...(session.crossCurrency && { crossCurrency: describeCrossCurrency(session) }),
       progress: {
         completed: session.paymentsCompleted,
         total: session.paymentCount,
         totalSent,
-        remaining: (session.totalAmount - parseFloat(totalSent)).toFixed(2),
+        remaining: sessionAmountRemaining(session),
       },
       elapsedTimeMs: elapsed,
       streamComplete: remaining === 0,
@@ -288,7 +375,9 @@ async function stopStream(req, res) {
       return res.status(400).json({ error: "sessionKey or sessionId required" });
     }
 
-    const session = activeRLUSDSessions.get(actualSessionKey);
+    const session = ownsSession(req, actualSessionKey)
+      ? await getSessionManager().stopRLUSDSession(actualSessionKey)
+      : null;
     if (!session) {
       return res.status(404).json({
         error: "No active RLUSD stream found",
@@ -296,16 +385,8 @@ async function stopStream(req, res) {
       });
     }
 
-    const totalSent = (session.paymentsCompleted * session.paymentAmount).toFixed(2);
-    const elapsed = Date.now() - session.startTime;
-
-    // Preserve history before deleting session
-    paymentHistory.set(actualSessionKey, {
-      ...session,
-      stoppedAt: Date.now(),
-    });
-
-    activeRLUSDSessions.delete(actualSessionKey);
+    const totalSent = sessionAmountSent(session);
+    const elapsed = session.stoppedAt - session.startTime;
 
     return res.json({
       success: true,
@@ -314,6 +395,10 @@ async function stopStream(req, res) {
       paymentsCompleted: session.paymentsCompleted,
       totalSent,
       elapsedTimeMs: elapsed,
+      ...(session.escrows && {
+        escrows: describeEscrows(session.escrows),
+        message: "RLUSD stream stopped - unreleased escrows return to the sender after their cancelAfter",
+      }),
     });
   } catch (error) {
     console.error("Error stopping RLUSD stream:", error);
@@ -324,6 +409,98 @@ async function stopStream(req, res) {
   }
 }
 
+/**
+ * Pause an RLUSD stream (payments are held until resumed)
+ */
+async function pauseStream(req, res) {
+  try {
+    const { sessionKey, sessionId } = req.body;
+    const actualSessionKey = sessionKey || sessionId;
+
+    if (!actualSessionKey) {
+      return res.status(400).json({ error: "sessionKey or sessionId required" });
+    }
+
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(actualSessionKey);
+    if (!session || !ownsSession(req, actualSessionKey)) {
+      return res.status(404).json({
+        error: "No active RLUSD stream found",
+        sessionKey: actualSessionKey,
+      });
+    }
+
+    if (session.isPaused) {
+      return res.status(400).json({
+        error: "RLUSD stream is already paused",
+        sessionKey: actualSessionKey,
+      });
+    }
+
+    await manager.pauseSession(actualSessionKey);
+
+    return res.json({
+      success: true,
+      message: "RLUSD stream paused",
+      sessionKey: actualSessionKey,
+      paymentsCompleted: session.paymentsCompleted,
+      pausedAt: session.pausedAt,
+    });
+  } catch (error) {
+    console.error("Error pausing RLUSD stream:", error);
+    return res.status(500).json({
+      error: "Failed to pause stream",
+      details: error.message,
+    });
+  }
+}
+
+/**
+ * Resume a paused RLUSD stream
+ */
+async function resumeStream(req, res) {
+  try {
+    const { sessionKey, sessionId } = req.body;
+    const actualSessionKey = sessionKey || sessionId;
+
+    if (!actualSessionKey) {
+      return res.status(400).json({ error: "sessionKey or sessionId required" });
+    }
+
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(actualSessionKey);
+    if (!session || !ownsSession(req, actualSessionKey)) {
+      return res.status(404).json({
+        error: "No active RLUSD stream found",
+        sessionKey: actualSessionKey,
+      });
+    }
+
+    if (!session.isPaused) {
+      return res.status(400).json({
+        error: "RLUSD stream is not paused",
+        sessionKey: actualSessionKey,
+      });
+    }
+
+    await manager.resumeSession(actualSessionKey);
+
+    return res.json({
+      success: true,
+      message: "RLUSD stream resumed",
+      sessionKey: actualSessionKey,
+      remainingPayments: session.paymentCount - session.paymentsCompleted,
+      paymentsCompleted: session.paymentsCompleted,
+    });
+  } catch (error) {
+    console.error("Error resuming RLUSD stream:", error);
+    return res.status(500).json({
+      error: "Failed to resume stream",
+      details: error.message,
+    });
+  }
+}
+
 /**
  * Generate claim (no-op for RLUSD - just return current status)
  */
@@ -343,6 +520,8 @@ async function finalizeClaim(req, res) {
 module.exports = {
   startStream,
   stopStream,
+  pauseStream,
+  resumeStream,
   executePayment,
   generateClaim,
   finalizeClaim,
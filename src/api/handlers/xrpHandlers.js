@@ -4,26 +4,30 @@
  * Extracted from streamRoutes.js for use in unified API
  */
 
-const xrpl = require('xrpl');
-const { StreamingSigner } = require('../../core/signer');
-const { StreamingValidator } = require('../../core/validator');
 const { getChannelStore } = require('../../core/channelStore');
+const { getSessionManager } = require('../../core/sessionManager');
+const { validateTopUpPolicy } = require('../../core/channelTopUp');
 const { getChannelInfo } = require('../../../contracts/createChannel');
 const { claimChannel } = require('../../../contracts/claimChannel');
-const { validateAndStoreClaim, shouldFinalizeClaim } = require('../../core/validator');
-
-// Store active streaming sessions
-const activeSessions = new Map();
+const { shouldFinalizeClaim } = require('../../core/validator');
+const {
+  checkSpendCap,
+  getApiKeyId,
+  ownsChannel,
+  ownsSession,
+  resolveRequestWallet,
+} = require('../middleware');
 
 /**
  * Start a new XRP streaming session
  */
 async function startStream(req, res) {
   try {
-    const { channelId, walletSeed, ratePerSecond, role, publicKey, senderSeed, receiverAddress } = req.body;
+    const { channelId, walletSeed, keyId, ratePerSecond, role, publicKey, senderSeed, senderKeyId, receiverAddress, autoTopUp } = req.body;
     
-    // Handle unified API format (senderSeed + receiverAddress)
+    // Handle unified API format (senderSeed/senderKeyId + receiverAddress)
     let actualWalletSeed = walletSeed || senderSeed;
+    let actualKeyId = keyId || senderKeyId;
     let actualRole = role || 'sender';
     
     // Basic validation
@@ -46,9 +50,19 @@ async function startStream(req, res) {
       });
     }
     
+    if (autoTopUp) {
+      const policyCheck = validateTopUpPolicy(autoTopUp);
+      if (!policyCheck.valid) {
+        return res.status(400).json({
+          error: 'Invalid autoTopUp policy',
+          message: policyCheck.error,
+        });
+      }
+    }
+    
     // Check if THIS ROLE already has an active session
     const sessionKey = `${channelId}-${actualRole}`;
-    if (activeSessions.has(sessionKey)) {
+    if (getSessionManager().hasSession(sessionKey)) {
       return res.status(409).json({
         error: `${actualRole.charAt(0).toUpperCase() + actualRole.slice(1)} stream already active for this channel`,
         channelId,
@@ -56,44 +70,80 @@ async function startStream(req, res) {
       });
     }
     
+    if (actualRole === 'sender') {
+      const spendCheck = await checkSpendCap(req, 'XRP');
+      if (!spendCheck.allowed) {
+        return res.status(429).json({
+          error: spendCheck.error,
+          spent: spendCheck.spent,
+          cap: spendCheck.cap,
+        });
+      }
+    }
+    
+    // A receiver session reads and finalizes the channel's claims: only for
+    // channels of this key (or not yet tracked)
+    if (actualRole === 'receiver' && !(await ownsChannel(req, channelId))) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId,
+      });
+    }
+    
     // Verify channel exists on ledger
     const channelInfo = await getChannelInfo(channelId);
     
     if (actualRole === 'sender') {
-      if (!actualWalletSeed) {
-        return res.status(400).json({ error: 'walletSeed or senderSeed required for sender' });
+      if (!actualWalletSeed && !actualKeyId && !publicKey) {
+        return res.status(400).json({
+          error: 'walletSeed, senderSeed or keyId (custodial), or publicKey (non-custodial) required for sender',
+        });
       }
       
-      const wallet = xrpl.Wallet.fromSeed(actualWalletSeed);
-      
-      // Verify wallet is the channel sender
-      if (channelInfo.Account !== wallet.address) {
-        return res.status(403).json({
-          error: 'Wallet is not the channel sender',
-        });
+      const { wallet, error } = await resolveRequestWallet(req, { seed: actualWalletSeed, keyId: actualKeyId });
+      if (error) {
+        return res.status(400).json({ error });
       }
       
-      // Create streaming signer
-      const signer = new StreamingSigner(wallet, channelId, ratePerSecond);
-      signer.start();
+      if (wallet) {
+        // Verify wallet is the channel sender
+        if (channelInfo.Account !== wallet.address) {
+          return res.status(403).json({
+            error: 'Wallet is not the channel sender',
+          });
+        }
+      } else {
+        // Client-signed claims must verify against the channel's key
+        if (channelInfo.PublicKey.toUpperCase() !== publicKey.toUpperCase()) {
+          return res.status(403).json({
+            error: 'publicKey does not match the channel public key',
+          });
+        }
+        if (autoTopUp) {
+          return res.status(400).json({
+            error: 'autoTopUp requires a sender seed or key ID',
+          });
+        }
+      }
       
-      activeSessions.set(sessionKey, {
-        role: 'sender',
+      await getSessionManager().startXRPSender({
         channelId,
-        signer,
+        wallet,
+        ratePerSecond,
         channelInfo,
-        startTime: Date.now(),
+        autoTopUp,
+        apiKeyId: getApiKeyId(req),
       });
       
-      console.log(`✓ Started sender stream for channel ${channelId}`);
-      
       return res.json({
         success: true,
         message: 'Sender stream started',
         sessionId: sessionKey,
         channelId,
+        custody: wallet ? 'server' : 'client',
         ratePerSecond,
         channelBalance: channelInfo.Amount,
+        autoTopUp: getSessionManager().getXRPSession(sessionKey).topUp?.policy || null,
       });
       
     } else if (actualRole === 'receiver') {
@@ -101,31 +151,20 @@ async function startStream(req, res) {
         return res.status(400).json({ error: 'publicKey required for receiver' });
       }
       
-      // Create streaming validator
-      const validator = new StreamingValidator(channelId, publicKey, {
-        maxClaimsPerMinute: 60,
-      });
+      // Claims are validated against this key
+      if (channelInfo.PublicKey.toUpperCase() !== publicKey.toUpperCase()) {
+        return res.status(403).json({
+          error: 'publicKey does not match the channel public key',
+        });
+      }
       
-      activeSessions.set(sessionKey, {
-        role: 'receiver',
+      await getSessionManager().startXRPReceiver({
         channelId,
-        validator,
+        publicKey,
         channelInfo,
-        startTime: Date.now(),
+        apiKeyId: getApiKeyId(req),
       });
       
-      // Initialize channel in store if not exists
-      const store = getChannelStore();
-      const exists = await store.hasChannel(channelId);
-      if (!exists) {
-        await store.initializeChannel(channelId, {
-          receiverStartTime: Date.now(),
-          senderPublicKey: publicKey,
-        });
-      }
-      
-      console.log(`✓ Started receiver stream for channel ${channelId}`);
-      
       return res.json({
         success: true,
         message: 'Receiver stream started',
@@ -173,38 +212,10 @@ async function stopStream(req, res) {
     const results = [];
     
     for (const r of rolesToStop) {
-      const sessionKey = `${actualChannelId}-${r}`;
-      const session = activeSessions.get(sessionKey);
-      
-      if (session) {
-        if (session.role === 'sender') {
-          session.signer.stop();
-          const finalAmount = session.signer.getCurrentAmount();
-          
-          activeSessions.delete(sessionKey);
-          
-          results.push({
-            role: 'sender',
-            finalAmount,
-            finalXRP: parseInt(finalAmount) / 1000000,
-            duration: Date.now() - session.startTime,
-          });
-          
-          console.log(`✓ Stopped sender stream for channel ${actualChannelId}`);
-          
-        } else if (session.role === 'receiver') {
-          const stats = session.validator.getStats();
-          
-          activeSessions.delete(sessionKey);
-          
-          results.push({
-            role: 'receiver',
-            stats,
-            duration: Date.now() - session.startTime,
-          });
-          
-          console.log(`✓ Stopped receiver stream for channel ${actualChannelId}`);
-        }
+      if (!ownsSession(req, `${actualChannelId}-${r}`)) continue;
+      const summary = await getSessionManager().stopXRPSession(`${actualChannelId}-${r}`);
+      if (summary) {
+        results.push(summary);
       }
     }
     
@@ -230,12 +241,118 @@ async function stopStream(req, res) {
   }
 }
 
+/**
+ * Resolve the sender session key from sessionId or channelId
+ */
+function getSenderSessionKey({ channelId, sessionId }) {
+  if (sessionId && !channelId) {
+    const parts = sessionId.split('-');
+    return `${parts.slice(0, -1).join('-')}-sender`;
+  }
+  return channelId ? `${channelId}-sender` : null;
+}
+
+/**
+ * Pause an XRP sender stream (claims stop accruing)
+ */
+async function pauseStream(req, res) {
+  try {
+    const sessionKey = getSenderSessionKey(req.body);
+    
+    if (!sessionKey) {
+      return res.status(400).json({ error: 'sessionId or channelId required' });
+    }
+    
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionKey);
+    
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: 'No active sender stream found for this channel',
+      });
+    }
+    
+    if (session.signer.isPaused()) {
+      return res.status(400).json({
+        error: 'Stream is already paused',
+        sessionId: sessionKey,
+      });
+    }
+    
+    await manager.pauseSession(sessionKey);
+    
+    return res.json({
+      success: true,
+      message: 'Stream paused',
+      sessionId: sessionKey,
+      channelId: session.channelId,
+      currentAmount: session.signer.getCurrentAmount(),
+      pausedAt: session.signer.pausedAt,
+    });
+    
+  } catch (error) {
+    console.error('Error pausing XRP stream:', error);
+    return res.status(500).json({
+      error: 'Failed to pause stream',
+      details: error.message,
+    });
+  }
+}
+
+/**
+ * Resume a paused XRP sender stream
+ */
+async function resumeStream(req, res) {
+  try {
+    const sessionKey = getSenderSessionKey(req.body);
+    
+    if (!sessionKey) {
+      return res.status(400).json({ error: 'sessionId or channelId required' });
+    }
+    
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionKey);
+    
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: 'No active sender stream found for this channel',
+      });
+    }
+    
+    if (!session.signer.isPaused()) {
+      return res.status(400).json({
+        error: 'Stream is not paused',
+        sessionId: sessionKey,
+      });
+    }
+    
+    await manager.resumeSession(sessionKey);
+    
+    return res.json({
+      success: true,
+      message: 'Stream resumed',
+      sessionId: sessionKey,
+      channelId: session.channelId,
+      currentAmount: session.signer.getCurrentAmount(),
+    });
+    
+  } catch (error) {
+    console.error('Error resuming XRP stream:', error);
+    return res.status(500).json({
+      error: 'Failed to resume stream',
+      details: error.message,
+    });
+  }
+}
+
 /**
  * Generate a signed claim from active sender session
+ * Non-custodial sessions accept a client-signed claim (amount + signature)
+ * instead, or return the latest one when none is given.
  */
 async function generateClaim(req, res) {
   try {
-    const { channelId, sessionId } = req.body || req.query;
+    const { channelId, sessionId, amount, signature } = req.body || req.query;
     
     // Handle both formats
     let actualChannelId = channelId;
@@ -249,16 +366,34 @@ async function generateClaim(req, res) {
     }
     
     const sessionKey = `${actualChannelId}-sender`;
-    const session = activeSessions.get(sessionKey);
+    const manager = getSessionManager();
     
-    if (!session || session.role !== 'sender') {
+    const session = manager.getXRPSession(sessionKey);
+    if (!session || !ownsSession(req, sessionKey)) {
       return res.status(404).json({
         error: 'No active sender stream found for this channel',
       });
     }
     
+    if (session.custody === 'client' && amount && signature) {
+      const result = await manager.submitXRPClaim(sessionKey, { amount, signature });
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Claim rejected',
+          reason: result.reason,
+        });
+      }
+    }
+    
     // Generate current claim
-    const claim = session.signer.signCurrentClaim();
+    const claim = await manager.getXRPClaim(sessionKey);
+    
+    if (!claim) {
+      return res.status(404).json({
+        error: 'No claim submitted yet for this non-custodial stream',
+      });
+    }
     
     return res.json({
       success: true,
@@ -270,6 +405,7 @@ async function generateClaim(req, res) {
         publicKey: claim.publicKey,
         timestamp: claim.timestamp,
       },
+      exhausted: manager.getXRPSession(sessionKey).signer.isExhausted(),
     });
     
   } catch (error) {
@@ -286,7 +422,7 @@ async function generateClaim(req, res) {
  */
 async function finalizeClaim(req, res) {
   try {
-    const { channelId, receiverWalletSeed, sessionId } = req.body;
+    const { channelId, receiverWalletSeed, receiverKeyId, sessionId } = req.body;
     
     // Handle both formats
     let actualChannelId = channelId;
@@ -295,9 +431,9 @@ async function finalizeClaim(req, res) {
       actualChannelId = parts.slice(0, -1).join('-');
     }
     
-    if (!actualChannelId || !receiverWalletSeed) {
+    if (!actualChannelId || (!receiverWalletSeed && !receiverKeyId)) {
       return res.status(400).json({
-        error: 'Missing required fields: channelId (or sessionId), receiverWalletSeed',
+        error: 'Missing required fields: channelId (or sessionId), receiverWalletSeed (or receiverKeyId)',
       });
     }
     
@@ -310,7 +446,13 @@ async function finalizeClaim(req, res) {
       });
     }
     
-    const receiverWallet = xrpl.Wallet.fromSeed(receiverWalletSeed);
+    const { wallet: receiverWallet, error } = await resolveRequestWallet(req, {
+      seed: receiverWalletSeed,
+      keyId: receiverKeyId,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     // Submit the claim on-chain
     const result = await claimChannel(
@@ -323,6 +465,12 @@ async function finalizeClaim(req, res) {
     
     // Update finalized amount in store
     await store.updateFinalizedAmount(actualChannelId, channelData.lastValidAmount);
+    getSessionManager().emit('channelFinalized', {
+      channelId: actualChannelId,
+      amount: channelData.lastValidAmount,
+      transactionHash: result.transactionHash,
+      source: 'api',
+    });
     
     return res.json({
       success: true,
@@ -344,7 +492,7 @@ async function finalizeClaim(req, res) {
  */
 async function getStatus(req, res) {
   try {
-    const { channelId, sessionId } = req.query || req.params;
+    const { channelId, sessionId } = { ...req.query, ...req.params };
     
     // Handle both formats
     let actualChannelId = channelId;
@@ -357,11 +505,10 @@ async function getStatus(req, res) {
       return res.status(400).json({ error: 'channelId or sessionId required' });
     }
     
-    // Check for both sender and receiver sessions
-    const senderKey = `${actualChannelId}-sender`;
-    const receiverKey = `${actualChannelId}-receiver`;
-    const senderSession = activeSessions.get(senderKey);
-    const receiverSession = activeSessions.get(receiverKey);
+    // Check for both sender and receiver sessions (only this key's)
+    const sessions = getSessionManager().getXRPChannelSessions(actualChannelId);
+    const senderSession = ownsSession(req, `${actualChannelId}-sender`) ? sessions.sender : null;
+    const receiverSession = ownsSession(req, `${actualChannelId}-receiver`) ? sessions.receiver : null;
     
     const store = getChannelStore();
     const stats = await store.getChannelStats(actualChannelId);
@@ -377,6 +524,9 @@ async function getStatus(req, res) {
         sender: senderSession ? {
           startTime: senderSession.startTime,
           duration: Date.now() - senderSession.startTime,
+          custody: senderSession.custody,
+          ...senderSession.signer.getStatus(),
+          autoTopUp: senderSession.topUp,
         } : null,
         receiver: receiverSession ? {
           startTime: receiverSession.startTime,
@@ -408,6 +558,8 @@ async function executePayment(req, res) {
 module.exports = {
   startStream,
   stopStream,
+  pauseStream,
+  resumeStream,
   generateClaim,
   finalizeClaim,
   getStatus,
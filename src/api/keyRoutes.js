@@ -0,0 +1,204 @@
+/**
+ * keyRoutes.js
+ * API endpoints for the encrypted wallet keystore
+ *
+ * Keys are scoped to the API key of the request. Seeds are never returned;
+ * other endpoints take the key ID (keyId, senderKeyId, receiverKeyId) instead.
+ */
+
+const express = require('express');
+const router = express.Router();
+const xrpl = require('xrpl');
+const { getApiKeyId, requireScope } = require('./middleware');
+const { getKeystore, ALGORITHMS } = require('../core/keystore');
+
+/**
+ * Refuse keystore requests while no passphrase is configured
+ */
+router.use((req, res, next) => {
+  if (!getKeystore().isUnlocked()) {
+    return res.status(503).json({
+      error: 'Keystore is locked',
+      message: 'Set KEYSTORE_PASSPHRASE to enable the keystore',
+    });
+  }
+  next();
+});
+
+/**
+ * POST /keys
+ * Generate a new wallet
+ *
+ * Body: {
+ *   label: string (optional),
+ *   algorithm: 'ed25519' | 'secp256k1' (optional, default ed25519)
+ * }
+ */
+router.post('/', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { label, algorithm = 'ed25519' } = req.body;
+
+    if (!ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({
+        error: 'Invalid algorithm',
+        supported: ALGORITHMS,
+      });
+    }
+
+    const key = await getKeystore().createKey(getApiKeyId(req), { label, algorithm });
+
+    res.status(201).json({
+      success: true,
+      key,
+      message: 'Fund the address before using it',
+    });
+
+  } catch (error) {
+    console.error('Error creating key:', error);
+    res.status(500).json({
+      error: 'Failed to create key',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /keys/import
+ * Encrypt and store an existing wallet seed
+ *
+ * Body: { seed: string, label: string (optional) }
+ */
+router.post('/import', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { seed, label } = req.body;
+
+    if (!seed) {
+      return res.status(400).json({ error: 'seed required' });
+    }
+
+    let address;
+    try {
+      address = xrpl.Wallet.fromSeed(seed).address;
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid seed' });
+    }
+
+    const keystore = getKeystore();
+    const apiKeyId = getApiKeyId(req);
+    const existing = await keystore.findKeyByAddress(apiKeyId, address);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Wallet already imported',
+        keyId: existing.keyId,
+        address,
+      });
+    }
+
+    const key = await keystore.importKey(apiKeyId, { seed, label });
+
+    res.status(201).json({
+      success: true,
+      key,
+    });
+
+  } catch (error) {
+    console.error('Error importing key:', error);
+    res.status(500).json({
+      error: 'Failed to import key',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /keys
+ * List the keys of this API key
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await getKeystore().listKeys(getApiKeyId(req));
+
+    res.json({
+      success: true,
+      count: keys.length,
+      keys,
+    });
+
+  } catch (error) {
+    console.error('Error listing keys:', error);
+    res.status(500).json({
+      error: 'Failed to list keys',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /keys/rotate
+ * Re-encrypt every stored key under a new passphrase
+ * KEYSTORE_PASSPHRASE must be updated before the next restart.
+ *
+ * Body: { currentPassphrase: string, newPassphrase: string }
+ */
+router.post('/rotate', requireScope('admin'), async (req, res) => {
+  try {
+    const { currentPassphrase, newPassphrase } = req.body;
+
+    if (!currentPassphrase || !newPassphrase) {
+      return res.status(400).json({
+        error: 'Missing required fields: currentPassphrase, newPassphrase',
+      });
+    }
+
+    let rotated;
+    try {
+      rotated = await getKeystore().rotatePassphrase(currentPassphrase, newPassphrase);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Passphrase rotation refused',
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      rotated,
+      message: 'Keys re-encrypted. Update KEYSTORE_PASSPHRASE before restarting.',
+    });
+
+  } catch (error) {
+    console.error('Error rotating keystore passphrase:', error);
+    res.status(500).json({
+      error: 'Failed to rotate keystore passphrase',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /keys/:keyId
+ * Public details of one key
+ */
+router.get('/:keyId', async (req, res) => {
+  try {
+    const key = await getKeystore().getKey(req.params.keyId, getApiKeyId(req));
+
+    if (!key) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    res.json({
+      success: true,
+      key,
+    });
+
+  } catch (error) {
+    console.error('Error getting key:', error);
+    res.status(500).json({
+      error: 'Failed to get key',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
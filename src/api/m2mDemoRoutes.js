@@ -16,6 +16,7 @@ const { validateAndStoreClaim, StreamingValidator } = require('../core/validator
 const { getChannelStore } = require('../core/channelStore');
 const { getChannelInfo } = require('../../contracts/createChannel');
 const { claimChannel } = require('../../contracts/claimChannel');
+const { resolveWallet } = require('../core/keystore');
 
 // Store active demo sessions
 const activeDemos = new Map();
@@ -136,13 +137,15 @@ router.get('/start', async (req, res) => {
     category: req.query.category || DEFAULT_CONFIG.category,
   };
   
-  // Get wallet seeds from environment
+  // Get wallet seeds (or keystore key IDs) from environment
   const senderSeed = process.env.SENDER_WALLET_SEED;
   const receiverSeed = process.env.RECEIVER_WALLET_SEED;
+  const senderKeyId = process.env.SENDER_KEY_ID;
+  const receiverKeyId = process.env.RECEIVER_KEY_ID;
   
-  if (!senderSeed || !receiverSeed) {
+  if (!(senderSeed || senderKeyId) || !(receiverSeed || receiverKeyId)) {
     sendSSE(res, 'error', {
-      message: 'Missing wallet seeds in .env (SENDER_WALLET_SEED, RECEIVER_WALLET_SEED)',
+      message: 'Missing wallets in .env (SENDER_WALLET_SEED or SENDER_KEY_ID, RECEIVER_WALLET_SEED or RECEIVER_KEY_ID)',
     });
     res.end();
     return;
@@ -185,8 +188,8 @@ router.get('/start', async (req, res) => {
     
     sendSSE(res, 'phase', { phase: 'init', message: 'Initializing machines...' });
     
-    const consumerWallet = xrpl.Wallet.fromSeed(senderSeed);
-    const supplierWallet = xrpl.Wallet.fromSeed(receiverSeed);
+    const consumerWallet = senderKeyId ? await resolveWallet(senderKeyId) : xrpl.Wallet.fromSeed(senderSeed);
+    const supplierWallet = receiverKeyId ? await resolveWallet(receiverKeyId) : xrpl.Wallet.fromSeed(receiverSeed);
     
     demoState.consumer = {
       address: consumerWallet.address,
@@ -326,7 +329,8 @@ router.get('/start', async (req, res) => {
     const signer = new StreamingSigner(
       consumerWallet,
       channelResult.channelId,
-      CONFIG.dropsPerWorkUnit
+      CONFIG.dropsPerWorkUnit,
+      CONFIG.channelAmount
     );
     signer.start();
     
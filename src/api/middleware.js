@@ -4,13 +4,34 @@
  */
 
 const rateLimit = require('express-rate-limit');
+const xrpl = require('xrpl');
+const { resolveWallet } = require('../core/keystore');
+const { SCOPES, apiKeyId, getTenantService } = require('../core/tenants');
+const { getSessionManager } = require('../core/sessionManager');
+const { getChannelStore } = require('../core/channelStore');
+
+/**
+ * API key of a request
+ * Taken from the Authorization header. Event streams may pass it as the
+ * apiKey query parameter instead, since browsers' EventSource cannot set headers.
+ */
+function extractApiKey(req) {
+  const header = req.headers['authorization']?.replace('Bearer ', '');
+  if (header) return header;
+
+  if (req.headers['accept'] === 'text/event-stream' && req.query) {
+    return req.query.apiKey;
+  }
+  return undefined;
+}
 
 /**
  * API Key authentication middleware
- * Checks for valid API key in Authorization header
+ * Accepts the admin key (API_KEY) or a tenant key and sets req.tenant:
+ * { tenantId, name, scopes, rateLimit, monthlySpendCap, admin }
  */
-function authenticateApiKey(req, res, next) {
-  const apiKey = req.headers['authorization']?.replace('Bearer ', '');
+async function authenticateApiKey(req, res, next) {
+  const apiKey = extractApiKey(req);
   const validApiKey = process.env.API_KEY;
   
   // Skip auth if no API_KEY is configured (development mode)
@@ -26,16 +47,155 @@ function authenticateApiKey(req, res, next) {
     });
   }
   
-  if (apiKey !== validApiKey) {
+  let tenant;
+  try {
+    tenant = await authenticateKey(apiKey);
+  } catch (error) {
+    console.error('Tenant lookup failed:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      details: error.message,
+    });
+  }
+  
+  if (!tenant) {
     return res.status(403).json({
       error: 'Forbidden',
       message: 'Invalid API key',
     });
   }
   
+  req.tenant = tenant;
   next();
 }
 
+/**
+ * Tenant of an API key: the admin key (API_KEY) or a tenant key
+ * Used for REST requests and claim WebSocket upgrades alike.
+ * @returns {Promise<object|null>} { tenantId, name, scopes, rateLimit,
+ *   monthlySpendCap, admin }, or null for an unknown key
+ */
+async function authenticateKey(apiKey) {
+  if (apiKey === process.env.API_KEY) {
+    return {
+      tenantId: apiKeyId(apiKey),
+      name: 'admin',
+      scopes: SCOPES,
+      rateLimit: null,
+      monthlySpendCap: null,
+      admin: true,
+    };
+  }
+
+  const tenant = await getTenantService().authenticate(apiKey);
+  return tenant ? { ...tenant, admin: tenant.scopes.includes('admin') } : null;
+}
+
+/**
+ * Whether the request's key has a scope
+ * Every valid key may read; without authentication everything is allowed.
+ */
+function hasScope(req, scope) {
+  if (!req.tenant) return true;
+  return req.tenant.admin || req.tenant.scopes.includes(scope);
+}
+
+/**
+ * Route middleware rejecting keys without a scope
+ * @param {string} scope - 'stream:start', 'contracts:write', 'finalize' or 'admin'
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req, scope)) return next();
+
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `API key lacks the ${scope} scope`,
+    });
+  };
+}
+
+/**
+ * Whether the request's key may see or control a session
+ * Unknown sessions pass, so routes keep answering 404 for them. Other
+ * tenants' sessions should be reported as not found, not as forbidden.
+ * @param {object} req - Express request
+ * @param {string} sessionId - Active session or finished RLUSD session
+ */
+function ownsSession(req, sessionId) {
+  if (!req.tenant || req.tenant.admin) return true;
+
+  const manager = getSessionManager();
+  const active = manager.getSession(sessionId);
+  const session = active ? active.session : manager.getRLUSDHistory(sessionId);
+  if (!session) return true;
+
+  return session.apiKeyId === req.tenant.tenantId;
+}
+
+/**
+ * Whether the request's key may see or use a channel's stored claims
+ * A channel belongs to the keys of its active sessions, else to the owner
+ * its record was tagged with. Unknown channels pass, like in ownsSession.
+ * @returns {Promise<boolean>}
+ */
+async function ownsChannel(req, channelId) {
+  const tenantId = getTenantScope(req);
+  if (!tenantId) return true;
+
+  const { sender, receiver } = getSessionManager().getXRPChannelSessions(channelId);
+  if (sender || receiver) {
+    return [sender, receiver].some((session) => session && session.apiKeyId === tenantId);
+  }
+
+  const channel = await getChannelStore().getChannelData(channelId);
+  return !channel || channel.apiKeyId === tenantId;
+}
+
+/**
+ * Stable identifier for the API key of a request
+ * Resources owned per key (e.g. webhook endpoints) are stored under this id,
+ * never under the raw key. Requests without a key share the 'default' id.
+ */
+function getApiKeyId(req) {
+  const apiKey = extractApiKey(req);
+  if (!apiKey) return 'default';
+  return apiKeyId(apiKey);
+}
+
+/**
+ * API key a request is limited to: a tenant only sees its own streams
+ * @returns {string|null} Tenant ID, or null for the admin key and when auth is disabled
+ */
+function getTenantScope(req) {
+  return req.tenant && !req.tenant.admin ? req.tenant.tenantId : null;
+}
+
+/**
+ * Whether the request's tenant may start another paying stream in a currency
+ * @returns {Promise<object>} { allowed, error, spent, cap } (see TenantService.checkSpendCap)
+ */
+async function checkSpendCap(req, currency) {
+  return getTenantService().checkSpendCap(getApiKeyId(req), currency);
+}
+
+/**
+ * Wallet named by a request: a seed, or a keystore key ID owned by its API key
+ * @param {object} req - Express request
+ * @param {object} source - { seed, keyId } from the body (keyId wins)
+ * @returns {Promise<object>} { wallet } (null if neither was given) or { wallet: null, error }
+ */
+async function resolveRequestWallet(req, { seed, keyId }) {
+  try {
+    if (keyId) {
+      return { wallet: await resolveWallet(keyId, getApiKeyId(req)) };
+    }
+    return { wallet: seed ? xrpl.Wallet.fromSeed(seed) : null };
+  } catch (error) {
+    return { wallet: null, error: keyId ? error.message : 'Invalid seed' };
+  }
+}
+
 /**
  * Validate XRPL address format
  */
@@ -101,6 +261,26 @@ const createRateLimiter = (windowMs = 60000, max = 100) => {
   });
 };
 
+/**
+ * Per-key rate limiting middleware (mount after authenticateApiKey)
+ * Tenants with a rateLimit get their own budget per window; other requests
+ * are only subject to the global limiter.
+ */
+const createTenantRateLimiter = (windowMs = 60000) => {
+  return rateLimit({
+    windowMs,
+    max: (req) => req.tenant.rateLimit,
+    keyGenerator: (req) => req.tenant.tenantId,
+    skip: (req) => !req.tenant || !req.tenant.rateLimit,
+    message: {
+      error: 'Too many requests',
+      message: `API key rate limit exceeded. Try again in ${windowMs / 1000} seconds.`,
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+};
+
 /**
  * Error handling middleware
  * Catches and formats errors consistently
@@ -244,12 +424,22 @@ function healthCheckBypass(req, res, next) {
 
 module.exports = {
   authenticateApiKey,
+  authenticateKey,
+  hasScope,
+  requireScope,
+  ownsSession,
+  ownsChannel,
+  getApiKeyId,
+  getTenantScope,
+  checkSpendCap,
+  resolveRequestWallet,
   validateRequest,
   validateAmount,
   validateAmountMiddleware,
   isValidXRPLAddress,
   isValidChannelId,
   createRateLimiter,
+  createTenantRateLimiter,
   errorHandler,
   requestLogger,
   configureCORS,
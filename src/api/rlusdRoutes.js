@@ -7,106 +7,190 @@
 
 const express = require("express");
 const router = express.Router();
-const {
-  createDirectRLUSDStream,
-  executeRLUSDPayment,
-} = require("../../contracts/createRLUSDStream");
 const {
   calculateRLUSDStreamingRate,
   formatRLUSD,
 } = require("../utils/converters");
 const xrpl = require("xrpl");
 const config = require("../../config");
-
-// Store active RLUSD streaming sessions
-const activeRLUSDSessions = new Map();
-
-// Store payment history for completed sessions
-const paymentHistory = new Map();
+const {
+  getSessionManager,
+  formatSessionAmount,
+  sessionAmountSent,
+  sessionAmountRemaining,
+} = require("../core/sessionManager");
+const { hasToken, listTokens } = require("../config/tokenRegistry");
+const {
+  checkSpendCap,
+  getApiKeyId,
+  ownsSession,
+  requireScope,
+  resolveRequestWallet,
+} = require("./middleware");
+const { resolveWallet } = require("../core/keystore");
+const { spendCurrency } = require("../core/tenants");
+const { describeEscrows, validateEscrowStream } = require("../core/escrowLadder");
+const { describeCrossCurrency, validateCrossCurrencyStream } = require("../core/crossCurrency");
+const { preflightTokenStream } = require("../core/preflight");
+const { splitAmount } = require("../utils/money");
 
 /**
  * POST /rlusd/stream/start
  * Start a new RLUSD streaming payment session
  *
  * Body: {
- *   senderSeed: string,
+ *   senderSeed: string (omit for non-custodial),
+ *   senderKeyId: string (keystore key ID instead of senderSeed),
+ *   senderAddress: string (non-custodial: the client signs each payment),
  *   receiverAddress: string,
  *   totalAmount: string (RLUSD),
  *   duration: number (seconds),
- *   intervalSeconds: number
+ *   intervalSeconds: number,
+ *   mode: "direct" (default, a Payment per installment), "escrow"
+ *     (every installment locked in an escrow up front, released as it falls due)
+ *     or "cross-currency" (the sender pays XRP, converted on the DEX and AMMs),
+ *   token: string (registered token to pay in, default RLUSD - see GET /rlusd/tokens),
+ *   maxSlippageBps: number (cross-currency: XRP an installment may cost above
+ *     the quote at start, in basis points - default CROSS_CURRENCY_SLIPPAGE_BPS)
  * }
+ *
+ * The ledger is checked first as in POST /rlusd/preflight; if a check fails
+ * nothing is started and the response is 400 with the errors.
  */
-router.post("/stream/start", async (req, res) => {
+router.post("/stream/start", requireScope("stream:start"), async (req, res) => {
   try {
     const {
       senderSeed,
+      senderKeyId,
+      senderAddress,
       receiverAddress,
       totalAmount,
       duration = 3600,
       intervalSeconds = 60,
+      mode = "direct",
+      token = config.tokens.defaultToken,
+      maxSlippageBps = config.crossCurrency.defaultSlippageBps,
     } = req.body;
 
     // Validation
-    if (!senderSeed || !receiverAddress || !totalAmount) {
+    if (!(senderSeed || senderKeyId || senderAddress) || !receiverAddress || !totalAmount) {
       return res.status(400).json({
         error:
-          "Missing required fields: senderSeed, receiverAddress, totalAmount",
+          "Missing required fields: senderSeed or senderKeyId (or senderAddress for non-custodial), receiverAddress, totalAmount",
+      });
+    }
+
+    if (!senderSeed && !senderKeyId && !xrpl.isValidClassicAddress(senderAddress)) {
+      return res.status(400).json({ error: "Invalid senderAddress" });
+    }
+
+    if (!hasToken(token)) {
+      return res.status(400).json({ error: `Unknown token: ${token} (see GET /api/rlusd/tokens)` });
+    }
+
+    if (!["direct", "escrow", "cross-currency"].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "direct", "escrow" or "cross-currency"' });
+    }
+
+    if (mode === "cross-currency") {
+      const check = validateCrossCurrencyStream({
+        custodial: Boolean(senderSeed || senderKeyId),
+        maxSlippageBps,
       });
+      if (!check.valid) {
+        return res.status(400).json({ error: check.error });
+      }
     }
 
-    const senderWallet = xrpl.Wallet.fromSeed(senderSeed);
-    const sessionKey = `${senderWallet.address}-${receiverAddress}`;
+    if (mode === "escrow") {
+      const check = validateEscrowStream({
+        custodial: Boolean(senderSeed || senderKeyId),
+        duration,
+        intervalSeconds,
+      });
+      if (!check.valid) {
+        return res.status(400).json({ error: check.error });
+      }
+    }
+
+    const spendCheck = await checkSpendCap(req, spendCurrency({ mode, token }));
+    if (!spendCheck.allowed) {
+      return res.status(429).json({
+        error: spendCheck.error,
+        spent: spendCheck.spent,
+        cap: spendCheck.cap,
+      });
+    }
+
+    // Without a seed or key ID the stream is non-custodial: the client signs each payment
+    const { wallet: senderWallet, error } = await resolveRequestWallet(req, {
+      seed: senderSeed,
+      keyId: senderKeyId,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sender = senderWallet ? senderWallet.address : senderAddress;
+    const sessionKey = `${sender}-${receiverAddress}`;
 
     // Check if session already exists
-    if (activeRLUSDSessions.has(sessionKey)) {
+    const manager = getSessionManager();
+    if (manager.hasSession(sessionKey)) {
       return res.status(409).json({
         error: "RLUSD stream already active between these addresses",
-        senderAddress: senderWallet.address,
+        senderAddress: sender,
         receiverAddress,
       });
     }
 
-    // Calculate streaming parameters
-    const paymentCount = Math.floor(duration / intervalSeconds);
-    const paymentAmount = (parseFloat(totalAmount) / paymentCount).toFixed(2);
+    // Trust lines, balance and issuer flags, before anything is paid or locked
+    if (config.preflight.enabled) {
+      const preflight = await preflightTokenStream({
+        senderAddress: sender,
+        receiverAddress,
+        totalAmount,
+        token,
+        mode,
+      });
+      if (!preflight.ok) {
+        return res.status(400).json({
+          error: "RLUSD stream preflight failed",
+          errors: preflight.errors,
+          preflight,
+        });
+      }
+    }
 
-    const streamConfig = await createDirectRLUSDStream(
+    const { session } = await manager.startRLUSDSession({
       senderWallet,
+      senderAddress: sender,
       receiverAddress,
       totalAmount,
-      paymentCount
-    );
-
-    // Store session
-    activeRLUSDSessions.set(sessionKey, {
-      senderWallet,
-      receiverAddress,
-      totalAmount: parseFloat(totalAmount),
-      paymentAmount: parseFloat(paymentAmount),
-      paymentCount,
-      paymentsCompleted: 0,
+      duration,
       intervalSeconds,
-      startTime: Date.now(),
-      config: streamConfig,
-      isPaused: false,
-      payments: [], // Track individual payments
+      mode,
+      token,
+      maxSlippageBps,
+      apiKeyId: getApiKeyId(req),
     });
 
-    console.log(
-      `✓ Started RLUSD stream: ${senderWallet.address} → ${receiverAddress}`
-    );
-
     res.json({
       success: true,
       message: "RLUSD stream started",
       sessionKey,
-      senderAddress: senderWallet.address,
+      senderAddress: sender,
+      custody: session.custody,
+      mode: session.mode,
+      token: session.token,
       receiverAddress,
       totalAmount,
-      paymentAmount,
-      paymentCount,
+      paymentAmount: formatSessionAmount(session, session.paymentAmount),
+      finalPaymentAmount: session.finalPaymentAmount,
+      paymentCount: session.paymentCount,
       intervalSeconds,
       estimatedDuration: duration,
+      ...(session.escrows && { escrows: describeEscrows(session.escrows) }),
+      ...(session.crossCurrency && { crossCurrency: describeCrossCurrency(session) }),
     });
   } catch (error) {
     console.error("Error starting RLUSD stream:", error);
@@ -122,9 +206,12 @@ router.post("/stream/start", async (req, res) => {
  * Execute the next payment in an RLUSD stream (alias for /stream/payment)
  * Returns response structure expected by tests
  *
- * Body: { sessionKey: string }
+ * Body: {
+ *   sessionKey: string,
+ *   signedTransaction: string (non-custodial: signed blob of the prepared Payment)
+ * }
  */
-router.post("/stream/execute", async (req, res) => {
+router.post("/stream/execute", requireScope("stream:start"), async (req, res) => {
   try {
     const { sessionKey } = req.body;
 
@@ -132,8 +219,9 @@ router.post("/stream/execute", async (req, res) => {
       return res.status(400).json({ error: "sessionKey required" });
     }
 
-    const session = activeRLUSDSessions.get(sessionKey);
-    if (!session) {
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(sessionKey);
+    if (!session || !ownsSession(req, sessionKey)) {
       return res.status(404).json({
         error: "No active RLUSD stream found",
         sessionKey,
@@ -148,73 +236,84 @@ router.post("/stream/execute", async (req, res) => {
       });
     }
 
+    // Non-custodial streams pay with a Payment the client signed
+    const signedTransaction =
+      session.custody === "client" ? req.body.signedTransaction : null;
+    if (session.custody === "client") {
+      if (!signedTransaction) {
+        return res.status(400).json({
+          error:
+            "signedTransaction required: sign the Payment from GET /api/rlusd/stream/prepare/:sessionKey",
+          sessionKey: sessionKey,
+        });
+      }
+
+      const check = manager.validateRLUSDPayment(sessionKey, signedTransaction);
+      if (!check.valid) {
+        return res.status(400).json({
+          error: "Invalid signed payment",
+          details: check.error,
+        });
+      }
+    }
+
+    const result = await manager.executeRLUSDPayment(sessionKey, {
+      signedTransaction,
+    });
+
+    if (result.status === "pending") {
+      return res.status(409).json({
+        error: "Previous RLUSD payment is still pending on the ledger",
+        sessionKey,
+        transactionHash: result.transactionHash,
+      });
+    }
+
+    if (result.status === "in-progress") {
+      return res.status(409).json({
+        error: "Another RLUSD payment for this session is being sent",
+        sessionKey,
+      });
+    }
+
+    if (result.status === "scheduled") {
+      return res.status(409).json({
+        error: "Next escrow is not due yet",
+        sessionKey,
+        dueAt: result.dueAt,
+      });
+    }
+
     // Check if stream is complete
-    if (session.paymentsCompleted >= session.paymentCount) {
+    if (result.status === "complete") {
       return res.status(400).json({
         error: "RLUSD stream is already complete",
         progress: {
           completed: session.paymentsCompleted,
           total: session.paymentCount,
-          totalSent: (
-            session.paymentsCompleted * session.paymentAmount
-          ).toFixed(2),
+          totalSent: sessionAmountSent(session),
         },
       });
     }
 
-    // Execute payment
-    const paymentResult = await executeRLUSDPayment(
-      session.senderWallet,
-      session.receiverAddress,
-      session.paymentAmount.toFixed(2)
-    );
-
-    if (paymentResult.success) {
-      session.paymentsCompleted++;
-      const totalSent = (
-        session.paymentsCompleted * session.paymentAmount
-      ).toFixed(2);
-      const remaining = session.paymentCount - session.paymentsCompleted;
-
-      // Track individual payment
-      const paymentRecord = {
-        paymentNumber: session.paymentsCompleted,
-        amount: session.paymentAmount.toFixed(2),
-        transactionHash: paymentResult.transactionHash,
-        timestamp: Date.now(),
-      };
-      session.payments.push(paymentRecord);
-
-      console.log(
-        `✓ RLUSD payment ${session.paymentsCompleted}/${session.paymentCount} sent`
-      );
-
-      // Clean up session if complete but preserve history
-      if (remaining === 0) {
-        paymentHistory.set(sessionKey, {
-          ...session,
-          completedAt: Date.now(),
-        });
-        activeRLUSDSessions.delete(sessionKey);
-        console.log(`✓ RLUSD stream completed: ${sessionKey}`);
-      }
-
-      res.json({
-        success: true,
-        transactionHash: paymentResult.transactionHash,
-        amount: session.paymentAmount.toFixed(2),
-        progress: {
-          completed: session.paymentsCompleted,
-          total: session.paymentCount,
-          totalSent,
-        },
-      });
-    } else {
-      res.status(500).json({
+    if (result.status === "failed") {
+      return res.status(500).json({
         error: "Payment execution failed",
-        details: paymentResult.error,
+        details: result.error,
       });
     }
+
+    res.json({
+      success: true,
+      transactionHash: result.payment.transactionHash,
+      amount: result.payment.amount,
+      ...(result.payment.xrpSpent !== undefined && { xrpSpent: result.payment.xrpSpent }),
+      progress: {
+        completed: session.paymentsCompleted,
+        total: session.paymentCount,
+        totalSent: result.totalSent,
+      },
+    });
   } catch (error) {
     console.error("Error executing RLUSD payment:", error);
     res.status(500).json({
@@ -228,9 +327,12 @@ router.post("/stream/execute", async (req, res) => {
  * POST /rlusd/stream/payment
  * Execute the next payment in an RLUSD stream
  *
- * Body: { sessionKey: string }
+ * Body: {
+ *   sessionKey: string,
+ *   signedTransaction: string (non-custodial: signed blob of the prepared Payment)
+ * }
  */
-router.post("/stream/payment", async (req, res) => {
+router.post("/stream/payment", requireScope("stream:start"), async (req, res) => {
   try {
     const { sessionKey } = req.body;
 
@@ -238,16 +340,65 @@ router.post("/stream/payment", async (req, res) => {
       return res.status(400).json({ error: "sessionKey required" });
     }
 
-    const session = activeRLUSDSessions.get(sessionKey);
-    if (!session) {
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(sessionKey);
+    if (!session || !ownsSession(req, sessionKey)) {
       return res.status(404).json({
         error: "No active RLUSD stream found",
         sessionKey,
       });
     }
 
+    // Non-custodial streams pay with a Payment the client signed
+    const signedTransaction =
+      session.custody === "client" ? req.body.signedTransaction : null;
+    if (session.custody === "client") {
+      if (!signedTransaction) {
+        return res.status(400).json({
+          error:
+            "signedTransaction required: sign the Payment from GET /api/rlusd/stream/prepare/:sessionKey",
+          sessionKey: sessionKey,
+        });
+      }
+
+      const check = manager.validateRLUSDPayment(sessionKey, signedTransaction);
+      if (!check.valid) {
+        return res.status(400).json({
+          error: "Invalid signed payment",
+          details: check.error,
+        });
+      }
+    }
+
+    const result = await manager.executeRLUSDPayment(sessionKey, {
+      signedTransaction,
+    });
+
+    if (result.status === "pending") {
+      return res.status(409).json({
+        error: "Previous RLUSD payment is still pending on the ledger",
+        sessionKey,
+        transactionHash: result.transactionHash,
+      });
+    }
+
+    if (result.status === "in-progress") {
+      return res.status(409).json({
+        error: "Another RLUSD payment for this session is being sent",
+        sessionKey,
+      });
+    }
+
+    if (result.status === "scheduled") {
+      return res.status(409).json({
+        error: "Next escrow is not due yet",
+        sessionKey,
+        dueAt: result.dueAt,
+      });
+    }
+
     // Check if stream is complete
-    if (session.paymentsCompleted >= session.paymentCount) {
+    if (result.status === "complete") {
       return res.status(400).json({
         error: "RLUSD stream is already complete",
         totalCompleted: session.paymentsCompleted,
@@ -255,59 +406,24 @@ router.post("/stream/payment", async (req, res) => {
       });
     }
 
-    // Execute payment
-    const paymentResult = await executeRLUSDPayment(
-      session.senderWallet,
-      session.receiverAddress,
-      session.paymentAmount.toFixed(2)
-    );
-
-    if (paymentResult.success) {
-      session.paymentsCompleted++;
-      const totalSent = (
-        session.paymentsCompleted * session.paymentAmount
-      ).toFixed(2);
-      const remaining = session.paymentCount - session.paymentsCompleted;
-
-      // Track individual payment
-      const paymentRecord = {
-        paymentNumber: session.paymentsCompleted,
-        amount: session.paymentAmount.toFixed(2),
-        transactionHash: paymentResult.transactionHash,
-        timestamp: Date.now(),
-      };
-      session.payments.push(paymentRecord);
-
-      console.log(
-        `✓ RLUSD payment ${session.paymentsCompleted}/${session.paymentCount} sent`
-      );
-
-      // Clean up session if complete but preserve history
-      if (remaining === 0) {
-        paymentHistory.set(sessionKey, {
-          ...session,
-          completedAt: Date.now(),
-        });
-        activeRLUSDSessions.delete(sessionKey);
-        console.log(`✓ RLUSD stream completed: ${sessionKey}`);
-      }
-
-      res.json({
-        success: true,
-        transactionHash: paymentResult.transactionHash,
-        paymentNumber: session.paymentsCompleted,
-        totalPayments: session.paymentCount,
-        paymentAmount: session.paymentAmount,
-        totalSent,
-        remainingPayments: remaining,
-        streamComplete: remaining === 0,
-      });
-    } else {
-      res.status(500).json({
+    if (result.status === "failed") {
+      return res.status(500).json({
         error: "Payment execution failed",
-        details: paymentResult.error,
+        details: result.error,
       });
     }
+
+    res.json({
+      success: true,
+      transactionHash: result.payment.transactionHash,
+      paymentNumber: session.paymentsCompleted,
+      totalPayments: session.paymentCount,
+      paymentAmount: result.payment.amount,
+      ...(result.payment.xrpSpent !== undefined && { xrpSpent: result.payment.xrpSpent }),
+      totalSent: result.totalSent,
+      remainingPayments: result.remaining,
+      streamComplete: result.remaining === 0,
+    });
   } catch (error) {
     console.error("Error executing RLUSD payment:", error);
     res.status(500).json({
@@ -317,41 +433,95 @@ router.post("/stream/payment", async (req, res) => {
   }
 });
 
+/**
+ * GET /rlusd/stream/prepare/:sessionKey
+ * Unsigned, autofilled Payment for the next installment of a non-custodial
+ * stream. Sign it client-side and send the blob as signedTransaction to
+ * POST /rlusd/stream/payment.
+ */
+router.get("/stream/prepare/:sessionKey", async (req, res) => {
+  try {
+    const { sessionKey } = req.params;
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(sessionKey);
+
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: "No active RLUSD stream found",
+        sessionKey,
+      });
+    }
+
+    if (session.custody !== "client") {
+      return res.status(400).json({
+        error: "RLUSD stream is custodial; payments are signed by the server",
+        sessionKey,
+      });
+    }
+
+    const transaction = await manager.prepareRLUSDPayment(sessionKey);
+    if (!transaction) {
+      return res.status(400).json({
+        error: "RLUSD stream is already complete",
+        sessionKey,
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionKey,
+      paymentNumber: session.paymentsCompleted + 1,
+      totalPayments: session.paymentCount,
+      transaction,
+    });
+  } catch (error) {
+    console.error("Error preparing RLUSD payment:", error);
+    res.status(500).json({
+      error: "Failed to prepare RLUSD payment",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * GET /rlusd/stream/status/:sessionKey
  * Get status of an active RLUSD stream
  */
 router.get("/stream/status/:sessionKey", (req, res) => {
   const { sessionKey } = req.params;
-  const session = activeRLUSDSessions.get(sessionKey);
+  const session = getSessionManager().getRLUSDSession(sessionKey);
 
-  if (!session) {
+  if (!session || !ownsSession(req, sessionKey)) {
     return res.status(404).json({
       error: "No active RLUSD stream found",
       sessionKey,
     });
   }
 
-  const totalSent = (session.paymentsCompleted * session.paymentAmount).toFixed(
-    2
-  );
+  const totalSent = sessionAmountSent(session);
   const remaining = session.paymentCount - session.paymentsCompleted;
   const elapsed = Date.now() - session.startTime;
 
   res.json({
     sessionKey,
     active: true,
-    senderAddress: session.senderWallet.address,
+    senderAddress: session.senderAddress,
+    custody: session.custody,
     receiverAddress: session.receiverAddress,
+    token: session.token,
     totalAmount: session.totalAmount,
     paymentAmount: session.paymentAmount,
+    finalPaymentAmount: session.finalPaymentAmount,
     startTime: session.startTime,
     isPaused: session.isPaused,
+    mode: session.mode || "direct",
+    ...(session.escrows && { escrows: describeEscrows(session.escrows) }),
+    ...(session.crossCurrency && { crossCurrency: describeCrossCurrency(session) }),
     progress: {
       completed: session.paymentsCompleted,
       total: session.paymentCount,
       totalSent,
-      remaining: (session.totalAmount - parseFloat(totalSent)).toFixed(2),
+      remaining: sessionAmountRemaining(session),
     },
     elapsedTimeMs: elapsed,
     streamComplete: remaining === 0,
@@ -366,16 +536,17 @@ router.get("/stream/history/:sessionKey", (req, res) => {
   const { sessionKey } = req.params;
 
   // Check active session first
-  let session = activeRLUSDSessions.get(sessionKey);
+  const manager = getSessionManager();
+  let session = manager.getRLUSDSession(sessionKey);
   let isActive = true;
 
   // If not active, check completed sessions
   if (!session) {
-    session = paymentHistory.get(sessionKey);
+    session = manager.getRLUSDHistory(sessionKey);
     isActive = false;
   }
 
-  if (!session) {
+  if (!session || !ownsSession(req, sessionKey)) {
     return res.status(404).json({
       error: "No RLUSD stream session found",
       sessionKey,
@@ -385,13 +556,14 @@ router.get("/stream/history/:sessionKey", (req, res) => {
   res.json({
     sessionKey,
     active: isActive,
-    senderAddress: session.senderWallet.address,
+    senderAddress: session.senderAddress,
     receiverAddress: session.receiverAddress,
     totalAmount: session.totalAmount,
     startTime: session.startTime,
     completedAt: session.completedAt || null,
     payments: session.payments || [],
     paymentCount: session.payments ? session.payments.length : 0,
+    ...(session.crossCurrency && { crossCurrency: describeCrossCurrency(session) }),
   });
 });
 
@@ -399,126 +571,140 @@ router.get("/stream/history/:sessionKey", (req, res) => {
  * POST /rlusd/stream/pause
  * Pause an active RLUSD stream
  */
-router.post("/stream/pause", (req, res) => {
-  const { sessionKey } = req.body;
+router.post("/stream/pause", requireScope("stream:start"), async (req, res) => {
+  try {
+    const { sessionKey } = req.body;
 
-  if (!sessionKey) {
-    return res.status(400).json({ error: "sessionKey required" });
-  }
+    if (!sessionKey) {
+      return res.status(400).json({ error: "sessionKey required" });
+    }
 
-  const session = activeRLUSDSessions.get(sessionKey);
-  if (!session) {
-    return res.status(404).json({
-      error: "No active RLUSD stream found",
-      sessionKey,
-    });
-  }
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(sessionKey);
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: "No active RLUSD stream found",
+        sessionKey,
+      });
+    }
 
-  if (session.isPaused) {
-    return res.status(400).json({
-      error: "RLUSD stream is already paused",
+    if (session.isPaused) {
+      return res.status(400).json({
+        error: "RLUSD stream is already paused",
+        sessionKey,
+      });
+    }
+
+    await manager.pauseSession(sessionKey);
+
+    res.json({
+      success: true,
+      message: "RLUSD stream paused",
       sessionKey,
+      paymentsCompleted: session.paymentsCompleted,
+      pausedAt: session.pausedAt,
+    });
+  } catch (error) {
+    console.error("Error pausing RLUSD stream:", error);
+    res.status(500).json({
+      error: "Failed to pause stream",
+      details: error.message,
     });
   }
-
-  session.isPaused = true;
-  session.pausedAt = Date.now();
-
-  res.json({
-    success: true,
-    message: "RLUSD stream paused",
-    sessionKey,
-    paymentsCompleted: session.paymentsCompleted,
-    pausedAt: session.pausedAt,
-  });
-
-  console.log(`⏸️ RLUSD stream paused: ${sessionKey}`);
 });
 
 /**
  * POST /rlusd/stream/resume
  * Resume a paused RLUSD stream
  */
-router.post("/stream/resume", (req, res) => {
-  const { sessionKey } = req.body;
-
-  if (!sessionKey) {
-    return res.status(400).json({ error: "sessionKey required" });
-  }
+router.post("/stream/resume", requireScope("stream:start"), async (req, res) => {
+  try {
+    const { sessionKey } = req.body;
 
-  const session = activeRLUSDSessions.get(sessionKey);
-  if (!session) {
-    return res.status(404).json({
-      error: "No active RLUSD stream found",
-      sessionKey,
-    });
-  }
+    if (!sessionKey) {
+      return res.status(400).json({ error: "sessionKey required" });
+    }
 
-  if (!session.isPaused) {
-    return res.status(400).json({
-      error: "RLUSD stream is not paused",
-      sessionKey,
-    });
-  }
+    const manager = getSessionManager();
+    const session = manager.getRLUSDSession(sessionKey);
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: "No active RLUSD stream found",
+        sessionKey,
+      });
+    }
 
-  session.isPaused = false;
-  delete session.pausedAt;
+    if (!session.isPaused) {
+      return res.status(400).json({
+        error: "RLUSD stream is not paused",
+        sessionKey,
+      });
+    }
 
-  const remaining = session.paymentCount - session.paymentsCompleted;
+    await manager.resumeSession(sessionKey);
 
-  res.json({
-    success: true,
-    message: "RLUSD stream resumed",
-    sessionKey,
-    remainingPayments: remaining,
-    paymentsCompleted: session.paymentsCompleted,
-  });
+    const remaining = session.paymentCount - session.paymentsCompleted;
 
-  console.log(`▶️ RLUSD stream resumed: ${sessionKey}`);
+    res.json({
+      success: true,
+      message: "RLUSD stream resumed",
+      sessionKey,
+      remainingPayments: remaining,
+      paymentsCompleted: session.paymentsCompleted,
+    });
+  } catch (error) {
+    console.error("Error resuming RLUSD stream:", error);
+    res.status(500).json({
+      error: "Failed to resume stream",
+      details: error.message,
+    });
+  }
 });
 
 /**
  * POST /rlusd/stream/stop
  * Stop an active RLUSD stream
  */
-router.post("/stream/stop", (req, res) => {
-  const { sessionKey } = req.body;
+router.post("/stream/stop", requireScope("stream:start"), async (req, res) => {
+  try {
+    const { sessionKey } = req.body;
 
-  if (!sessionKey) {
-    return res.status(400).json({ error: "sessionKey required" });
-  }
+    if (!sessionKey) {
+      return res.status(400).json({ error: "sessionKey required" });
+    }
 
-  const session = activeRLUSDSessions.get(sessionKey);
-  if (!session) {
-    return res.status(404).json({
-      error: "No active RLUSD stream found",
+    const session = ownsSession(req, sessionKey)
+      ? await getSessionManager().stopRLUSDSession(sessionKey)
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        error: "No active RLUSD stream found",
+        sessionKey,
+      });
+    }
+
+    const totalSent = sessionAmountSent(session);
+    const elapsed = session.stoppedAt - session.startTime;
+
+    res.json({
+      success: true,
+      message: "RLUSD stream stopped",
       sessionKey,
+      paymentsCompleted: session.paymentsCompleted,
+      totalSent,
+      elapsedTimeMs: elapsed,
+      ...(session.escrows && {
+        escrows: describeEscrows(session.escrows),
+        message: "RLUSD stream stopped - unreleased escrows return to the sender after their cancelAfter",
+      }),
+    });
+  } catch (error) {
+    console.error("Error stopping RLUSD stream:", error);
+    res.status(500).json({
+      error: "Failed to stop stream",
+      details: error.message,
     });
   }
-
-  const totalSent = (session.paymentsCompleted * session.paymentAmount).toFixed(
-    2
-  );
-  const elapsed = Date.now() - session.startTime;
-
-  // Preserve history before deleting session
-  paymentHistory.set(sessionKey, {
-    ...session,
-    stoppedAt: Date.now(),
-  });
-
-  activeRLUSDSessions.delete(sessionKey);
-
-  res.json({
-    success: true,
-    message: "RLUSD stream stopped",
-    sessionKey,
-    paymentsCompleted: session.paymentsCompleted,
-    totalSent,
-    elapsedTimeMs: elapsed,
-  });
-
-  console.log(`✓ RLUSD stream stopped: ${sessionKey}`);
 });
 
 /**
@@ -526,17 +712,18 @@ router.post("/stream/stop", (req, res) => {
  * List all active RLUSD streams
  */
 router.get("/streams/active", (req, res) => {
-  const streams = Array.from(activeRLUSDSessions.entries()).map(
-    ([key, session]) => ({
+  const streams = getSessionManager().listRLUSDSessions()
+    .filter(([key]) => ownsSession(req, key))
+    .map(([key, session]) => ({
       sessionKey: key,
-      senderAddress: session.senderWallet.address,
+      senderAddress: session.senderAddress,
       receiverAddress: session.receiverAddress,
+      token: session.token,
       totalAmount: session.totalAmount,
       paymentsCompleted: session.paymentsCompleted,
       totalPayments: session.paymentCount,
       elapsedTimeMs: Date.now() - session.startTime,
-    })
-  );
+    }));
 
   res.json({
     activeStreams: streams,
@@ -544,6 +731,101 @@ router.get("/streams/active", (req, res) => {
   });
 });
 
+/**
+ * GET /rlusd/tokens
+ * Issued tokens streams can pay in on the configured network
+ */
+router.get("/tokens", (req, res) => {
+  const tokens = listTokens();
+
+  res.json({
+    network: config.network.type,
+    defaultToken: config.tokens.defaultToken,
+    tokens,
+    totalCount: tokens.length,
+  });
+});
+
+/**
+ * POST /rlusd/preflight
+ * Check that a stream could start, without starting it: both trust lines,
+ * the sender's balance, the receiver's limit and the issuer's flags
+ *
+ * Body: {
+ *   senderAddress: string (or senderSeed / senderKeyId),
+ *   receiverAddress: string,
+ *   totalAmount: string,
+ *   token: string (default RLUSD),
+ *   mode: "direct" (default), "escrow" or "cross-currency" (the sender pays XRP)
+ * }
+ *
+ * Returns the report whether or not the checks pass (ok: false with errors,
+ * each { code, account, message, fix })
+ */
+router.post("/preflight", async (req, res) => {
+  try {
+    const {
+      senderSeed,
+      senderKeyId,
+      senderAddress,
+      receiverAddress,
+      totalAmount,
+      mode = "direct",
+      token = config.tokens.defaultToken,
+    } = req.body;
+
+    if (!(senderSeed || senderKeyId || senderAddress) || !receiverAddress || !totalAmount) {
+      return res.status(400).json({
+        error: "Missing required fields: senderAddress (or senderSeed or senderKeyId), receiverAddress, totalAmount",
+      });
+    }
+
+    if (!senderSeed && !senderKeyId && !xrpl.isValidClassicAddress(senderAddress)) {
+      return res.status(400).json({ error: "Invalid senderAddress" });
+    }
+
+    if (!xrpl.isValidClassicAddress(receiverAddress)) {
+      return res.status(400).json({ error: "Invalid receiverAddress" });
+    }
+
+    if (!(parseFloat(totalAmount) > 0)) {
+      return res.status(400).json({ error: "totalAmount must be a positive amount" });
+    }
+
+    if (!hasToken(token)) {
+      return res.status(400).json({ error: `Unknown token: ${token} (see GET /api/rlusd/tokens)` });
+    }
+
+    if (!["direct", "escrow", "cross-currency"].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "direct", "escrow" or "cross-currency"' });
+    }
+
+    const { wallet: senderWallet, error } = await resolveRequestWallet(req, {
+      seed: senderSeed,
+      keyId: senderKeyId,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const preflight = await preflightTokenStream({
+      senderAddress: senderWallet ? senderWallet.address : senderAddress,
+      receiverAddress,
+      totalAmount,
+      token,
+      mode,
+    });
+
+    res.json(preflight);
+  } catch (error) {
+    console.error("Error running RLUSD preflight:", error);
+    res.status(500).json({
+      error: "Failed to run RLUSD preflight",
+      details: error.message,
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SSE DEMO ENDPOINT - Real-time RLUSD Streaming Demo
 // This is mounted separately BEFORE auth middleware for public access
@@ -589,14 +871,16 @@ rlusdDemoRouter.get("/start", async (req, res) => {
   const duration = parseInt(req.query.duration) || 60;
   const intervalSeconds = parseInt(req.query.intervalSeconds) || 10;
 
-  // Get wallet seeds from environment
+  // Get wallet seeds (or keystore key IDs) from environment
   const senderSeed = process.env.SENDER_WALLET_SEED;
   const receiverSeed = process.env.RECEIVER_WALLET_SEED;
+  const senderKeyId = process.env.SENDER_KEY_ID;
+  const receiverKeyId = process.env.RECEIVER_KEY_ID;
 
-  if (!senderSeed || !receiverSeed) {
+  if (!(senderSeed || senderKeyId) || !(receiverSeed || receiverKeyId)) {
     sendSSE(res, "error", {
       message:
-        "Missing wallet seeds in .env (SENDER_WALLET_SEED, RECEIVER_WALLET_SEED)",
+        "Missing wallets in .env (SENDER_WALLET_SEED or SENDER_KEY_ID, RECEIVER_WALLET_SEED or RECEIVER_KEY_ID)",
     });
     res.end();
     return;
@@ -614,7 +898,7 @@ rlusdDemoRouter.get("/start", async (req, res) => {
     paymentAmount: 0,
     paymentCount: 0,
     paymentsCompleted: 0,
-    totalSent: 0,
+    totalSent: "0.00",
     totalFees: 0,
     transactions: [],
     startTime: Date.now(),
@@ -634,15 +918,15 @@ rlusdDemoRouter.get("/start", async (req, res) => {
 
     sendSSE(res, "phase", { phase: "init", message: "Initializing RLUSD stream..." });
 
-    const senderWallet = xrpl.Wallet.fromSeed(senderSeed);
-    const receiverWallet = xrpl.Wallet.fromSeed(receiverSeed);
+    const senderWallet = senderKeyId ? await resolveWallet(senderKeyId) : xrpl.Wallet.fromSeed(senderSeed);
+    const receiverWallet = receiverKeyId ? await resolveWallet(receiverKeyId) : xrpl.Wallet.fromSeed(receiverSeed);
 
     demoState.senderAddress = senderWallet.address;
     demoState.receiverAddress = receiverWallet.address;
 
     // Calculate streaming parameters
     const paymentCount = Math.floor(duration / intervalSeconds);
-    const paymentAmount = (parseFloat(totalAmount) / paymentCount).toFixed(2);
+    const { amount: paymentAmount } = splitAmount(totalAmount, paymentCount, 2);
 
     demoState.paymentCount = paymentCount;
     demoState.paymentAmount = parseFloat(paymentAmount);
@@ -674,45 +958,31 @@ rlusdDemoRouter.get("/start", async (req, res) => {
 
     sendSSE(res, "phase", { phase: "balance_check", message: "Checking RLUSD balance..." });
 
-    const client = new xrpl.Client("wss://s.altnet.rippletest.net:51233");
-    await client.connect();
-
-    const senderLines = await client.request({
-      command: "account_lines",
-      account: senderWallet.address,
-      ledger_index: "validated",
+    const preflight = await preflightTokenStream({
+      senderAddress: senderWallet.address,
+      receiverAddress: receiverWallet.address,
+      totalAmount,
     });
 
-    const rlusdBalance = senderLines.result.lines.find(
-      (line) => line.currency === "USD" || line.currency.includes("USD")
-    );
-
-    if (!rlusdBalance) {
-      sendSSE(res, "error", {
-        message: "No RLUSD trustline found! Run: node test-scripts/get-rlusd.js first",
-      });
-      await client.disconnect();
-      res.end();
-      return;
-    }
-
-    const balance = parseFloat(rlusdBalance.balance);
-    if (balance < parseFloat(totalAmount)) {
+    if (!preflight.ok) {
+      const fixes = preflight.errors.map((check) => `${check.message}. ${check.fix}`);
+      if (preflight.errors.some((check) => check.code === "SENDER_NO_TRUST_LINE")) {
+        fixes.push("Run: node test-scripts/get-rlusd.js first");
+      }
       sendSSE(res, "error", {
-        message: `Insufficient RLUSD balance: ${formatRLUSD(balance)} < ${formatRLUSD(totalAmount)}`,
+        message: fixes.join("\n"),
+        errors: preflight.errors,
       });
-      await client.disconnect();
       res.end();
       return;
     }
 
     sendSSE(res, "balance_checked", {
-      balance: formatRLUSD(rlusdBalance.balance),
-      issuer: rlusdBalance.account,
+      balance: formatRLUSD(preflight.sender.balance),
+      issuer: preflight.issuer,
       sufficient: true,
     });
 
-    await client.disconnect();
     await sleep(300);
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -726,30 +996,17 @@ rlusdDemoRouter.get("/start", async (req, res) => {
     demoState.sessionKey = sessionKey;
 
     // Check if session already exists and clean it up
-    if (activeRLUSDSessions.has(sessionKey)) {
-      activeRLUSDSessions.delete(sessionKey);
-    }
-
-    const streamConfig = await createDirectRLUSDStream(
-      senderWallet,
-      receiverWallet.address,
-      totalAmount,
-      paymentCount
-    );
+    const manager = getSessionManager();
+    await manager.stopRLUSDSession(sessionKey);
 
-    // Store session
-    activeRLUSDSessions.set(sessionKey, {
+    // Demo sessions are visible to the other APIs but never persisted
+    await manager.startRLUSDSession({
       senderWallet,
       receiverAddress: receiverWallet.address,
-      totalAmount: parseFloat(totalAmount),
-      paymentAmount: parseFloat(paymentAmount),
-      paymentCount,
-      paymentsCompleted: 0,
+      totalAmount,
+      duration,
       intervalSeconds,
-      startTime: Date.now(),
-      config: streamConfig,
-      isPaused: false,
-      payments: [],
+      persist: false,
     });
 
     sendSSE(res, "session_created", {
@@ -783,8 +1040,7 @@ rlusdDemoRouter.get("/start", async (req, res) => {
     for (let i = 1; i <= paymentCount; i++) {
       if (cancelled) break;
 
-      const session = activeRLUSDSessions.get(sessionKey);
-      if (!session) break;
+      if (!manager.getRLUSDSession(sessionKey)) break;
 
       // Update progress before payment
       const progress = ((i - 1) / paymentCount) * 100;
@@ -796,26 +1052,13 @@ rlusdDemoRouter.get("/start", async (req, res) => {
       });
 
       // Execute the actual payment
-      const paymentResult = await executeRLUSDPayment(
-        senderWallet,
-        receiverWallet.address,
-        paymentAmount
-      );
-
-      if (paymentResult.success) {
-        session.paymentsCompleted++;
-        demoState.paymentsCompleted = i;
-        demoState.totalSent += parseFloat(paymentAmount);
-        demoState.totalFees += 0.00001; // Approximate fee per tx
+      const paymentResult = await manager.executeRLUSDPayment(sessionKey);
 
-        // Track payment
-        const paymentRecord = {
-          paymentNumber: i,
-          amount: paymentAmount,
-          transactionHash: paymentResult.transactionHash,
-          timestamp: Date.now(),
-        };
-        session.payments.push(paymentRecord);
+      if (paymentResult.status === "sent") {
+        const paymentRecord = paymentResult.payment;
+        demoState.paymentsCompleted = paymentRecord.paymentNumber;
+        demoState.totalSent = paymentResult.totalSent;
+        demoState.totalFees += 0.00001; // Approximate fee per tx
         demoState.transactions.push(paymentRecord);
 
         const currentProgress = (i / paymentCount) * 100;
@@ -823,9 +1066,9 @@ rlusdDemoRouter.get("/start", async (req, res) => {
         sendSSE(res, "payment", {
           paymentNumber: i,
           totalPayments: paymentCount,
-          amount: formatRLUSD(paymentAmount),
-          transactionHash: paymentResult.transactionHash,
-          totalSent: formatRLUSD(demoState.totalSent.toFixed(2)),
+          amount: formatRLUSD(paymentRecord.amount),
+          transactionHash: paymentRecord.transactionHash,
+          totalSent: formatRLUSD(demoState.totalSent),
           progress: Math.round(currentProgress),
           fee: "0.00001 XRP",
           totalFees: demoState.totalFees.toFixed(6) + " XRP",
@@ -837,8 +1080,8 @@ rlusdDemoRouter.get("/start", async (req, res) => {
           timestamp: Date.now(),
           from: senderWallet.address,
           to: receiverWallet.address,
-          amount: formatRLUSD(paymentAmount),
-          txHash: paymentResult.transactionHash,
+          amount: formatRLUSD(paymentRecord.amount),
+          txHash: paymentRecord.transactionHash,
           status: "Success",
         });
 
@@ -868,19 +1111,8 @@ rlusdDemoRouter.get("/start", async (req, res) => {
     demoState.phase = "complete";
     demoState.status = "completed";
 
-    // Clean up session
-    activeRLUSDSessions.delete(sessionKey);
-
-    // Save to history
-    paymentHistory.set(sessionKey, {
-      senderWallet,
-      receiverAddress: receiverWallet.address,
-      totalAmount: parseFloat(totalAmount),
-      paymentsCompleted: demoState.paymentsCompleted,
-      totalSent: demoState.totalSent,
-      completedAt: Date.now(),
-      transactions: demoState.transactions,
-    });
+    // Clean up session (already moved to history if every payment was sent)
+    await manager.stopRLUSDSession(sessionKey);
 
     const durationMs = Date.now() - demoState.startTime;
 
@@ -891,8 +1123,8 @@ rlusdDemoRouter.get("/start", async (req, res) => {
         duration: Math.round(durationMs / 1000),
         paymentsCompleted: demoState.paymentsCompleted,
         totalPayments: paymentCount,
-        totalSent: formatRLUSD(demoState.totalSent.toFixed(2)),
-        totalSentRaw: demoState.totalSent.toFixed(2),
+        totalSent: formatRLUSD(demoState.totalSent),
+        totalSentRaw: demoState.totalSent,
         totalFees: demoState.totalFees.toFixed(6) + " XRP",
         transactions: demoState.transactions.length,
         averagePaymentTime: Math.round(durationMs / demoState.paymentsCompleted / 1000),
@@ -910,7 +1142,7 @@ rlusdDemoRouter.get("/start", async (req, res) => {
 
     // Cleanup on error
     if (demoState.sessionKey) {
-      activeRLUSDSessions.delete(demoState.sessionKey);
+      await getSessionManager().stopRLUSDSession(demoState.sessionKey);
     }
   } finally {
     res.end();
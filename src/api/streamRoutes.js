@@ -8,15 +8,67 @@
 
 const express = require('express');
 const router = express.Router();
-const { signClaim, signIncrementalClaim, StreamingSigner } = require('../core/signer');
-const { validateAndStoreClaim, shouldFinalizeClaim, StreamingValidator } = require('../core/validator');
+const { signClaim, signIncrementalClaim } = require('../core/signer');
+const { validateAndStoreClaim, shouldFinalizeClaim } = require('../core/validator');
 const { getChannelStore } = require('../core/channelStore');
+const { getSessionManager } = require('../core/sessionManager');
+const {
+  checkSpendCap,
+  getApiKeyId,
+  getTenantScope,
+  hasScope,
+  ownsChannel,
+  ownsSession,
+  requireScope,
+  resolveRequestWallet,
+} = require('./middleware');
+const { validateTopUpPolicy } = require('../core/channelTopUp');
+const { getFinalizationWorker } = require('../core/finalizationWorker');
 const { getChannelInfo } = require('../../contracts/createChannel');
 const { claimChannel } = require('../../contracts/claimChannel');
+const {
+  buildChannelCreate,
+  buildChannelFund,
+  buildChannelClaim,
+  prepareTransaction,
+  decodeSignedTransaction,
+  submitSignedTransaction,
+} = require('../../contracts/relayTransaction');
 const xrpl = require('xrpl');
+const config = require('../../config');
 
-// Store active streaming sessions
-const activeSessions = new Map();
+// Channel transactions prepared for non-custodial clients
+const CHANNEL_TRANSACTIONS = {
+  PaymentChannelCreate: {
+    required: ['destinationAddress', 'amount', 'publicKey'],
+    build: (body) => buildChannelCreate({
+      account: body.account,
+      destination: body.destinationAddress,
+      amount: body.amount,
+      publicKey: body.publicKey,
+      settleDelay: body.settleDelay,
+    }),
+  },
+  PaymentChannelFund: {
+    required: ['channelId', 'amount'],
+    build: (body) => buildChannelFund({
+      account: body.account,
+      channelId: body.channelId,
+      amount: body.amount,
+      expiration: body.expiration,
+    }),
+  },
+  PaymentChannelClaim: {
+    required: ['channelId', 'amount', 'signature', 'publicKey'],
+    build: (body) => buildChannelClaim({
+      account: body.account,
+      channelId: body.channelId,
+      amount: body.amount,
+      signature: body.signature,
+      publicKey: body.publicKey,
+    }),
+  },
+};
 
 /**
  * POST /stream/start
@@ -24,14 +76,19 @@ const activeSessions = new Map();
  * 
  * Body: {
  *   channelId: string,
- *   walletSeed: string (sender only),
+ *   walletSeed: string (sender only; omit for non-custodial),
+ *   keyId: string (sender only; keystore key ID instead of walletSeed),
+ *   publicKey: string (receiver, or non-custodial sender: the channel's key),
  *   ratePerSecond: number (drops),
  *   role: 'sender' | 'receiver'
  * }
+ *
+ * A sender started without walletSeed is non-custodial: the server tracks
+ * accrual and the client submits claims it signed itself (POST /stream/claim).
  */
-router.post('/start', async (req, res) => {
+router.post('/start', requireScope('stream:start'), async (req, res) => {
   try {
-    const { channelId, walletSeed, ratePerSecond, role, publicKey } = req.body;
+    const { channelId, walletSeed, keyId, ratePerSecond, role, publicKey, autoTopUp } = req.body;
     
     // Basic validation
     if (!channelId || !role) {
@@ -53,9 +110,19 @@ router.post('/start', async (req, res) => {
       });
     }
     
+    if (autoTopUp) {
+      const policyCheck = validateTopUpPolicy(autoTopUp);
+      if (!policyCheck.valid) {
+        return res.status(400).json({
+          error: 'Invalid autoTopUp policy',
+          message: policyCheck.error,
+        });
+      }
+    }
+    
     // Check if THIS ROLE already has an active session (allow both sender and receiver on same channel)
     const sessionKey = `${channelId}-${role}`;
-    if (activeSessions.has(sessionKey)) {
+    if (getSessionManager().hasSession(sessionKey)) {
       return res.status(409).json({
         error: `${role.charAt(0).toUpperCase() + role.slice(1)} stream already active for this channel`,
         channelId,
@@ -63,44 +130,79 @@ router.post('/start', async (req, res) => {
       });
     }
     
+    if (role === 'sender') {
+      const spendCheck = await checkSpendCap(req, 'XRP');
+      if (!spendCheck.allowed) {
+        return res.status(429).json({
+          error: spendCheck.error,
+          spent: spendCheck.spent,
+          cap: spendCheck.cap,
+        });
+      }
+    }
+    
+    // A receiver session reads and finalizes the channel's claims: only for
+    // channels of this key (or not yet tracked)
+    if (role === 'receiver' && !(await ownsChannel(req, channelId))) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId,
+      });
+    }
+    
     // Verify channel exists on ledger
     const channelInfo = await getChannelInfo(channelId);
     
     if (role === 'sender') {
-      if (!walletSeed) {
-        return res.status(400).json({ error: 'walletSeed required for sender' });
+      if (!walletSeed && !keyId && !publicKey) {
+        return res.status(400).json({
+          error: 'walletSeed or keyId (custodial), or publicKey (non-custodial) required for sender',
+        });
       }
       
-      const wallet = xrpl.Wallet.fromSeed(walletSeed);
-      
-      // Verify wallet is the channel sender
-      if (channelInfo.Account !== wallet.address) {
-        return res.status(403).json({
-          error: 'Wallet is not the channel sender',
-        });
+      const { wallet, error } = await resolveRequestWallet(req, { seed: walletSeed, keyId });
+      if (error) {
+        return res.status(400).json({ error });
       }
       
-      // Create streaming signer
-      const signer = new StreamingSigner(wallet, channelId, ratePerSecond);
-      signer.start();
+      if (wallet) {
+        // Verify wallet is the channel sender
+        if (channelInfo.Account !== wallet.address) {
+          return res.status(403).json({
+            error: 'Wallet is not the channel sender',
+          });
+        }
+      } else {
+        // Client-signed claims must verify against the channel's key
+        if (channelInfo.PublicKey.toUpperCase() !== publicKey.toUpperCase()) {
+          return res.status(403).json({
+            error: 'publicKey does not match the channel public key',
+          });
+        }
+        if (autoTopUp) {
+          return res.status(400).json({
+            error: 'autoTopUp requires walletSeed or keyId; fund non-custodial channels with POST /stream/prepare',
+          });
+        }
+      }
       
-      const sessionKey = `${channelId}-sender`;
-      activeSessions.set(sessionKey, {
-        role: 'sender',
+      await getSessionManager().startXRPSender({
         channelId,
-        signer,
+        wallet,
+        ratePerSecond,
         channelInfo,
-        startTime: Date.now(),
+        autoTopUp,
+        apiKeyId: getApiKeyId(req),
       });
       
-      console.log(`✓ Started sender stream for channel ${channelId}`);
-      
       res.json({
         success: true,
         message: 'Sender stream started',
         channelId,
+        custody: wallet ? 'server' : 'client',
         ratePerSecond,
         channelBalance: channelInfo.Amount,
+        autoTopUp: getSessionManager().getXRPSession(sessionKey).topUp?.policy || null,
       });
       
     } else if (role === 'receiver') {
@@ -108,32 +210,20 @@ router.post('/start', async (req, res) => {
         return res.status(400).json({ error: 'publicKey required for receiver' });
       }
       
-      // Create streaming validator
-      const validator = new StreamingValidator(channelId, publicKey, {
-        maxClaimsPerMinute: 60,
-      });
+      // Claims are validated against this key
+      if (channelInfo.PublicKey.toUpperCase() !== publicKey.toUpperCase()) {
+        return res.status(403).json({
+          error: 'publicKey does not match the channel public key',
+        });
+      }
       
-      const sessionKey = `${channelId}-receiver`;
-      activeSessions.set(sessionKey, {
-        role: 'receiver',
+      await getSessionManager().startXRPReceiver({
         channelId,
-        validator,
+        publicKey,
         channelInfo,
-        startTime: Date.now(),
+        apiKeyId: getApiKeyId(req),
       });
       
-      // Initialize channel in store if not exists
-      const store = getChannelStore();
-      const exists = await store.hasChannel(channelId);
-      if (!exists) {
-        await store.initializeChannel(channelId, {
-          receiverStartTime: Date.now(),
-          senderPublicKey: publicKey,
-        });
-      }
-      
-      console.log(`✓ Started receiver stream for channel ${channelId}`);
-      
       res.json({
         success: true,
         message: 'Receiver stream started',
@@ -159,7 +249,7 @@ router.post('/start', async (req, res) => {
  * 
  * Body: { channelId: string }
  */
-router.post('/stop', async (req, res) => {
+router.post('/stop', requireScope('stream:start'), async (req, res) => {
   try {
     const { channelId, role } = req.body;
     
@@ -172,38 +262,10 @@ router.post('/stop', async (req, res) => {
     const results = [];
     
     for (const r of rolesToStop) {
-      const sessionKey = `${channelId}-${r}`;
-      const session = activeSessions.get(sessionKey);
-      
-      if (session) {
-        if (session.role === 'sender') {
-          session.signer.stop();
-          const finalAmount = session.signer.getCurrentAmount();
-          
-          activeSessions.delete(sessionKey);
-          
-          results.push({
-            role: 'sender',
-            finalAmount,
-            finalXRP: parseInt(finalAmount) / 1000000,
-            duration: Date.now() - session.startTime,
-          });
-          
-          console.log(`✓ Stopped sender stream for channel ${channelId}`);
-          
-        } else if (session.role === 'receiver') {
-          const stats = session.validator.getStats();
-          
-          activeSessions.delete(sessionKey);
-          
-          results.push({
-            role: 'receiver',
-            stats,
-            duration: Date.now() - session.startTime,
-          });
-          
-          console.log(`✓ Stopped receiver stream for channel ${channelId}`);
-        }
+      if (!ownsSession(req, `${channelId}-${r}`)) continue;
+      const summary = await getSessionManager().stopXRPSession(`${channelId}-${r}`);
+      if (summary) {
+        results.push(summary);
       }
     }
     
@@ -229,9 +291,109 @@ router.post('/stop', async (req, res) => {
   }
 });
 
+/**
+ * POST /stream/pause
+ * Pause a sender stream; claims stop accruing until it is resumed
+ * 
+ * Body: { channelId: string }
+ */
+router.post('/pause', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { channelId } = req.body;
+    
+    if (!channelId) {
+      return res.status(400).json({ error: 'channelId required' });
+    }
+    
+    const sessionKey = `${channelId}-sender`;
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionKey);
+    
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: 'No active sender stream found for this channel',
+      });
+    }
+    
+    if (session.signer.isPaused()) {
+      return res.status(400).json({
+        error: 'Stream is already paused',
+        channelId,
+      });
+    }
+    
+    await manager.pauseSession(sessionKey);
+    
+    res.json({
+      success: true,
+      message: 'Stream paused',
+      channelId,
+      currentAmount: session.signer.getCurrentAmount(),
+      pausedAt: session.signer.pausedAt,
+    });
+    
+  } catch (error) {
+    console.error('Error pausing stream:', error);
+    res.status(500).json({
+      error: 'Failed to pause stream',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /stream/resume
+ * Resume a paused sender stream from the amount reached when paused
+ * 
+ * Body: { channelId: string }
+ */
+router.post('/resume', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { channelId } = req.body;
+    
+    if (!channelId) {
+      return res.status(400).json({ error: 'channelId required' });
+    }
+    
+    const sessionKey = `${channelId}-sender`;
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionKey);
+    
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: 'No active sender stream found for this channel',
+      });
+    }
+    
+    if (!session.signer.isPaused()) {
+      return res.status(400).json({
+        error: 'Stream is not paused',
+        channelId,
+      });
+    }
+    
+    await manager.resumeSession(sessionKey);
+    
+    res.json({
+      success: true,
+      message: 'Stream resumed',
+      channelId,
+      currentAmount: session.signer.getCurrentAmount(),
+    });
+    
+  } catch (error) {
+    console.error('Error resuming stream:', error);
+    res.status(500).json({
+      error: 'Failed to resume stream',
+      details: error.message,
+    });
+  }
+});
+
 /**
  * GET /stream/claim
  * Generate a new signed claim (sender endpoint)
+ * Non-custodial streams return the latest claim the client submitted.
  * 
  * Query: channelId
  */
@@ -244,16 +406,22 @@ router.get('/claim', async (req, res) => {
     }
     
     const sessionKey = `${channelId}-sender`;
-    const session = activeSessions.get(sessionKey);
+    const manager = getSessionManager();
     
-    if (!session || session.role !== 'sender') {
+    if (!manager.getXRPSession(sessionKey) || !ownsSession(req, sessionKey)) {
       return res.status(404).json({
         error: 'No active sender stream found for this channel',
       });
     }
     
     // Generate current claim
-    const claim = session.signer.signCurrentClaim();
+    const claim = await manager.getXRPClaim(sessionKey);
+    
+    if (!claim) {
+      return res.status(404).json({
+        error: 'No claim submitted yet for this non-custodial stream',
+      });
+    }
     
     res.json({
       success: true,
@@ -265,6 +433,7 @@ router.get('/claim', async (req, res) => {
         publicKey: claim.publicKey,
         timestamp: claim.timestamp,
       },
+      exhausted: manager.getXRPSession(sessionKey).signer.isExhausted(),
     });
     
   } catch (error) {
@@ -276,6 +445,200 @@ router.get('/claim', async (req, res) => {
   }
 });
 
+/**
+ * POST /stream/claim
+ * Submit a claim signed client-side (non-custodial sender endpoint)
+ * The signature is checked with verifyClaim against the channel's public key.
+ * 
+ * Body: {
+ *   channelId: string,
+ *   amount: string (drops, cumulative),
+ *   signature: string
+ * }
+ */
+router.post('/claim', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { channelId, amount, signature } = req.body;
+    
+    if (!channelId || !amount || !signature) {
+      return res.status(400).json({
+        error: 'Missing required fields: channelId, amount, signature',
+      });
+    }
+    
+    const sessionKey = `${channelId}-sender`;
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionKey);
+    
+    if (!session || !ownsSession(req, sessionKey)) {
+      return res.status(404).json({
+        error: 'No active sender stream found for this channel',
+      });
+    }
+    
+    if (session.custody !== 'client') {
+      return res.status(400).json({
+        error: 'Sender stream is custodial; claims are signed by the server (GET /stream/claim)',
+      });
+    }
+    
+    const result = await manager.submitXRPClaim(sessionKey, { amount, signature });
+    
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim rejected',
+        reason: result.reason,
+      });
+    }
+    
+    res.json({
+      success: true,
+      claim: {
+        ...result.claim,
+        amountXRP: parseInt(result.claim.amount) / 1000000,
+      },
+      exhausted: session.signer.isExhausted(),
+    });
+    
+  } catch (error) {
+    console.error('Error submitting claim:', error);
+    res.status(500).json({
+      error: 'Failed to submit claim',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /stream/prepare
+ * Build an unsigned, autofilled transaction for the client to sign (non-custodial)
+ * 
+ * Body: {
+ *   transactionType: 'PaymentChannelCreate' | 'PaymentChannelFund' | 'PaymentChannelClaim',
+ *   account: string (signing address),
+ *   PaymentChannelCreate: destinationAddress, amount (drops), publicKey, settleDelay (optional)
+ *   PaymentChannelFund:   channelId, amount (drops), expiration (optional)
+ *   PaymentChannelClaim:  channelId, amount (drops), signature, publicKey
+ * }
+ */
+router.post('/prepare', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { transactionType, account } = req.body;
+    const builder = CHANNEL_TRANSACTIONS[transactionType];
+    
+    if (!builder) {
+      return res.status(400).json({
+        error: 'Invalid transactionType',
+        supported: Object.keys(CHANNEL_TRANSACTIONS),
+      });
+    }
+    
+    const missing = ['account', ...builder.required].filter((field) => !req.body[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `Missing required fields: ${missing.join(', ')}`,
+      });
+    }
+    
+    if (!xrpl.isValidClassicAddress(account)) {
+      return res.status(400).json({ error: 'Invalid account address' });
+    }
+    
+    const transaction = await prepareTransaction(builder.build(req.body));
+    
+    res.json({
+      success: true,
+      transactionType,
+      transaction,
+      message: 'Sign this transaction client-side and send the blob to POST /stream/submit',
+    });
+    
+  } catch (error) {
+    console.error('Error preparing transaction:', error);
+    res.status(500).json({
+      error: 'Failed to prepare transaction',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /stream/submit
+ * Relay a client-signed channel transaction to the ledger (non-custodial)
+ * 
+ * Body: { txBlob: string }
+ */
+router.post('/submit', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { txBlob } = req.body;
+    
+    if (!txBlob) {
+      return res.status(400).json({ error: 'txBlob required' });
+    }
+    
+    let decoded;
+    try {
+      decoded = decodeSignedTransaction(txBlob).tx;
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid signed transaction',
+        details: error.message,
+      });
+    }
+    
+    if (!CHANNEL_TRANSACTIONS[decoded.TransactionType]) {
+      return res.status(400).json({
+        error: 'Only payment channel transactions are relayed here',
+        supported: Object.keys(CHANNEL_TRANSACTIONS),
+      });
+    }
+    
+    if (decoded.TransactionType === 'PaymentChannelClaim' && !hasScope(req, 'finalize')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'API key lacks the finalize scope',
+      });
+    }
+    
+    const result = await submitSignedTransaction(txBlob);
+    const manager = getSessionManager();
+    
+    if (decoded.TransactionType === 'PaymentChannelFund') {
+      // Let an active sender stream accrue into the new balance
+      const session = manager.getXRPSession(`${decoded.Channel}-sender`);
+      if (session) {
+        session.channelInfo = await getChannelInfo(decoded.Channel);
+        session.signer.setCapacity(session.channelInfo.Amount);
+        await manager.saveXRPSession(`${decoded.Channel}-sender`);
+      }
+    } else if (decoded.TransactionType === 'PaymentChannelClaim' && decoded.Balance) {
+      await getChannelStore().updateFinalizedAmount(decoded.Channel, decoded.Balance);
+      manager.emit('channelFinalized', {
+        channelId: decoded.Channel,
+        amount: decoded.Balance,
+        transactionHash: result.transactionHash,
+        source: 'relay',
+      });
+    }
+    
+    res.json({
+      success: true,
+      transactionType: result.transactionType,
+      transactionHash: result.transactionHash,
+      ledgerIndex: result.ledgerIndex,
+      channelId: result.channelId || decoded.Channel || null,
+    });
+    
+  } catch (error) {
+    console.error('Error relaying transaction:', error);
+    res.status(500).json({
+      error: 'Failed to relay transaction',
+      details: error.message,
+    });
+  }
+});
+
 /**
  * POST /stream/validate
  * Validate a claim (receiver endpoint)
@@ -287,7 +650,7 @@ router.get('/claim', async (req, res) => {
  *   publicKey: string
  * }
  */
-router.post('/validate', async (req, res) => {
+router.post('/validate', requireScope('stream:start'), async (req, res) => {
   try {
     const { channelId, amount, signature, publicKey } = req.body;
     
@@ -298,13 +661,22 @@ router.post('/validate', async (req, res) => {
     }
     
     const sessionKey = `${channelId}-receiver`;
-    const session = activeSessions.get(sessionKey);
+    const manager = getSessionManager();
+    const session = manager.getXRPSession(sessionKey);
+    
+    // Other keys' receiver sessions and stored channels are not found
+    if (session ? !ownsSession(req, sessionKey) : !(await ownsChannel(req, channelId))) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId,
+      });
+    }
     
     // Can validate even without active session, but use validator if available
     let validationResult;
     
-    if (session && session.role === 'receiver') {
-      validationResult = await session.validator.validateStreamingClaim(amount, signature);
+    if (session) {
+      validationResult = await manager.validateXRPClaim(sessionKey, amount, signature);
     } else {
       const channelInfo = await getChannelInfo(channelId);
       validationResult = await validateAndStoreClaim(
@@ -317,8 +689,12 @@ router.post('/validate', async (req, res) => {
     }
     
     if (validationResult.valid) {
-      // Store the claim in history
       const store = getChannelStore();
+      if (!session && !(await store.getChannelData(channelId)).apiKeyId) {
+        await store.updateChannel(channelId, { apiKeyId: getApiKeyId(req) });
+      }
+      
+      // Store the claim in history
       await store.addClaimToHistory(channelId, {
         amount,
         signature,
@@ -354,16 +730,16 @@ router.post('/validate', async (req, res) => {
  * 
  * Body: {
  *   channelId: string,
- *   receiverWalletSeed: string
+ *   receiverWalletSeed: string (or receiverKeyId: keystore key ID)
  * }
  */
-router.post('/finalize', async (req, res) => {
+router.post('/finalize', requireScope('finalize'), async (req, res) => {
   try {
-    const { channelId, receiverWalletSeed } = req.body;
+    const { channelId, receiverWalletSeed, receiverKeyId } = req.body;
     
-    if (!channelId || !receiverWalletSeed) {
+    if (!channelId || (!receiverWalletSeed && !receiverKeyId)) {
       return res.status(400).json({
-        error: 'Missing required fields: channelId, receiverWalletSeed',
+        error: 'Missing required fields: channelId, receiverWalletSeed or receiverKeyId',
       });
     }
     
@@ -376,7 +752,13 @@ router.post('/finalize', async (req, res) => {
       });
     }
     
-    const receiverWallet = xrpl.Wallet.fromSeed(receiverWalletSeed);
+    const { wallet: receiverWallet, error } = await resolveRequestWallet(req, {
+      seed: receiverWalletSeed,
+      keyId: receiverKeyId,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     // Submit the claim on-chain
     const result = await claimChannel(
@@ -389,6 +771,12 @@ router.post('/finalize', async (req, res) => {
     
     // Update finalized amount in store
     await store.updateFinalizedAmount(channelId, channelData.lastValidAmount);
+    getSessionManager().emit('channelFinalized', {
+      channelId: channelId,
+      amount: channelData.lastValidAmount,
+      transactionHash: result.transactionHash,
+      source: 'api',
+    });
     
     res.json({
       success: true,
@@ -419,11 +807,10 @@ router.get('/status', async (req, res) => {
       return res.status(400).json({ error: 'channelId required' });
     }
     
-    // Check for both sender and receiver sessions
-    const senderKey = `${channelId}-sender`;
-    const receiverKey = `${channelId}-receiver`;
-    const senderSession = activeSessions.get(senderKey);
-    const receiverSession = activeSessions.get(receiverKey);
+    // Check for both sender and receiver sessions (only this key's)
+    const sessions = getSessionManager().getXRPChannelSessions(channelId);
+    const senderSession = ownsSession(req, `${channelId}-sender`) ? sessions.sender : null;
+    const receiverSession = ownsSession(req, `${channelId}-receiver`) ? sessions.receiver : null;
     
     const store = getChannelStore();
     const stats = await store.getChannelStats(channelId);
@@ -439,6 +826,9 @@ router.get('/status', async (req, res) => {
         sender: senderSession ? {
           startTime: senderSession.startTime,
           duration: Date.now() - senderSession.startTime,
+          custody: senderSession.custody,
+          ...senderSession.signer.getStatus(),
+          autoTopUp: senderSession.topUp,
         } : null,
         receiver: receiverSession ? {
           startTime: receiverSession.startTime,
@@ -473,6 +863,13 @@ router.get('/history', async (req, res) => {
       return res.status(400).json({ error: 'channelId required' });
     }
     
+    if (!(await ownsChannel(req, channelId))) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId,
+      });
+    }
+    
     const store = getChannelStore();
     let history = await store.getClaimHistory(channelId);
     
@@ -502,5 +899,37 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /stream/finalizations
+ * Inspect pending and completed automatic finalizations (a tenant's
+ * key only sees finalizations of its own channels)
+ * 
+ * Query: channelId (optional), status (optional: pending, submitting,
+ *        retrying, completed, failed)
+ */
+router.get('/finalizations', (req, res) => {
+  try {
+    const { channelId, status } = req.query;
+    const finalizations = getFinalizationWorker().getFinalizations({
+      channelId,
+      status,
+      apiKeyId: getTenantScope(req),
+    });
+    
+    res.json({
+      success: true,
+      enabled: config.features.autoFinalization,
+      ...finalizations,
+    });
+    
+  } catch (error) {
+    console.error('Error getting finalizations:', error);
+    res.status(500).json({
+      error: 'Failed to get finalizations',
+      details: error.message,
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,212 @@
+/**
+ * tenantRoutes.js
+ * API endpoints for tenant API keys, scopes and quotas
+ *
+ * GET /me is open to every key; everything else needs the admin key
+ * (API_KEY) or a tenant key with the admin scope.
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../../config');
+const { getApiKeyId, requireScope } = require('./middleware');
+const { SCOPES, getTenantService, validateTenant } = require('../core/tenants');
+
+/**
+ * GET /tenants/me
+ * This key's tenant, scopes and spend this month
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const service = getTenantService();
+    const tenantId = getApiKeyId(req);
+    const tenant = await service.getTenant(tenantId);
+
+    res.json({
+      success: true,
+      tenantId,
+      admin: Boolean(req.tenant && req.tenant.admin),
+      scopes: req.tenant ? req.tenant.scopes : SCOPES,
+      rateLimit: tenant ? tenant.rateLimit : null,
+      rateLimitWindowMs: config.rateLimit.windowMs,
+      monthlySpendCap: tenant ? tenant.monthlySpendCap : null,
+      spend: tenant ? await service.getSpend(tenantId) : null,
+    });
+
+  } catch (error) {
+    console.error('Error getting tenant:', error);
+    res.status(500).json({
+      error: 'Failed to get tenant',
+      details: error.message,
+    });
+  }
+});
+
+router.use(requireScope('admin'));
+
+/**
+ * POST /tenants
+ * Create a tenant; the API key is only returned here
+ *
+ * Body: {
+ *   name: string (optional),
+ *   scopes: string[] (default ['read-only']),
+ *   rateLimit: number (requests per window, optional),
+ *   monthlySpendCap: { XRP: drops, RLUSD: amount } (optional)
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, rateLimit, monthlySpendCap } = req.body;
+
+    const validation = validateTenant({ scopes, rateLimit, monthlySpendCap });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid tenant',
+        message: validation.error,
+        supportedScopes: SCOPES,
+      });
+    }
+
+    const { tenant, apiKey } = await getTenantService().createTenant({
+      name,
+      scopes,
+      rateLimit,
+      monthlySpendCap,
+    });
+
+    res.status(201).json({
+      success: true,
+      tenant,
+      apiKey,
+      message: 'Store the API key now - it cannot be retrieved later',
+    });
+
+  } catch (error) {
+    console.error('Error creating tenant:', error);
+    res.status(500).json({
+      error: 'Failed to create tenant',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /tenants
+ * List tenants
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tenants = await getTenantService().listTenants();
+
+    res.json({
+      success: true,
+      count: tenants.length,
+      tenants,
+    });
+
+  } catch (error) {
+    console.error('Error listing tenants:', error);
+    res.status(500).json({
+      error: 'Failed to list tenants',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /tenants/:tenantId
+ * One tenant with its spend this month
+ */
+router.get('/:tenantId', async (req, res) => {
+  try {
+    const service = getTenantService();
+    const tenant = await service.getTenant(req.params.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    res.json({
+      success: true,
+      tenant: { ...tenant, spend: await service.getSpend(tenant.tenantId) },
+    });
+
+  } catch (error) {
+    console.error('Error getting tenant:', error);
+    res.status(500).json({
+      error: 'Failed to get tenant',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /tenants/:tenantId
+ * Change a tenant's name, scopes, rate limit or spend caps
+ */
+router.put('/:tenantId', async (req, res) => {
+  try {
+    const { name, scopes, rateLimit, monthlySpendCap } = req.body;
+
+    const validation = validateTenant({ scopes, rateLimit, monthlySpendCap });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid tenant',
+        message: validation.error,
+        supportedScopes: SCOPES,
+      });
+    }
+
+    const tenant = await getTenantService().updateTenant(req.params.tenantId, {
+      name,
+      scopes,
+      rateLimit,
+      monthlySpendCap,
+    });
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    res.json({
+      success: true,
+      tenant,
+    });
+
+  } catch (error) {
+    console.error('Error updating tenant:', error);
+    res.status(500).json({
+      error: 'Failed to update tenant',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /tenants/:tenantId
+ * Revoke a tenant's API key
+ */
+router.delete('/:tenantId', async (req, res) => {
+  try {
+    const tenant = await getTenantService().revokeTenant(req.params.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    res.json({
+      success: true,
+      tenant,
+    });
+
+  } catch (error) {
+    console.error('Error revoking tenant:', error);
+    res.status(500).json({
+      error: 'Failed to revoke tenant',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -5,11 +5,14 @@
  * Features:
  * - Automatic payment execution (no manual /execute needed)
  * - Contract-based service discovery
- * - Provider registration system (POST contracts)
+ * - Provider registration system (POST contracts, signed XRPL challenge)
  * - Public browsing (GET contracts)
  */
 
+const crypto = require("crypto");
 const express = require("express");
+const xrpl = require("xrpl");
+const { deriveAddress } = require("ripple-keypairs");
 const router = express.Router();
 
 // Import both XRP and RLUSD handlers
@@ -21,16 +24,339 @@ const {
   createContract,
   updateContract,
   deleteContract,
+  setContractStatus,
+  signContractTerms,
+  getAgreementQuote,
+  canActFor,
+  addDelegate,
+  removeDelegate,
+  listDelegates,
+  getContractRevision,
+  getContractHistory,
+  exportContracts,
+  importContracts,
   getContract,
   listContracts,
+  listTemplates,
   getCategories,
   searchContracts,
   getStats,
 } = require("../config/contractsRegistry");
+const { getSessionStore } = require("../core/sessionStore");
+const { getSessionManager, channelSpent } = require("../core/sessionManager");
+const { getProviderAuth } = require("../core/providerAuth");
+const { getContractRegistry } = require("../core/contract");
+const { openEventStream } = require("./eventStream");
+const { getAgreementBook, signAgreement } = require("../core/agreements");
+const { getApiKeyId, getTenantScope, ownsSession, requireScope, resolveRequestWallet } = require("./middleware");
+const { createChannel, findOpenChannels } = require("../../contracts/createChannel");
+const { suggestChannelAmount } = require("../utils/converters");
+const { getChannelStore } = require("../core/channelStore");
+const { hasToken } = require("../config/tokenRegistry");
+const config = require("../../config");
 
 // Store active stream auto-execution intervals
 const activeStreams = new Map();
 
+// /start requests waiting on a contract's waitlist: waitlistId -> { contractId, params, headers, tenant }
+const queuedStarts = new Map();
+
+// Contracts whose waitlist is being worked through
+const admitting = new Set();
+
+// Receivers started alongside XRP senders by /start: sender sessionId -> receiver sessionId
+const pairedReceivers = new Map();
+
+// Owner tag for persisted session records
+const SESSION_OWNER = "unifiedRoutes";
+
+// Streams stopped or completed through any API stop auto-executing too,
+// free their slot on the contract and take their paired receiver with them
+for (const event of ["sessionStopped", "sessionCompleted"]) {
+  getSessionManager().on(event, ({ sessionId }) => {
+    const contract = getContractRegistry().endSubscription(sessionId);
+    if (contract) admitFromWaitlist(contract);
+    stopPairedReceiver(sessionId);
+    stopAutoExecution(sessionId).catch((error) => {
+      console.error(`Failed to stop auto-execution for ${sessionId}:`, error.message);
+    });
+  });
+}
+
+/**
+ * Hold one of a contract's slots for a start in progress
+ * Taken in the same tick as the admission check: the start awaits signing,
+ * ledger reads and handlers, and concurrent starts must see the slot taken.
+ * @returns {string} Reservation to hand to startContractStream
+ */
+function reserveSlot(contract) {
+  const reservation = `pending-${crypto.randomUUID()}`;
+  contract.addSubscription(reservation, null);
+  return reservation;
+}
+
+/**
+ * Count a started stream against its contract's maxConcurrentStreams
+ */
+function subscribe(contract, sessionId) {
+  const active = getSessionManager().getSession(sessionId);
+  if (!active) return;
+
+  const { session } = active;
+  const consumerAddress = session.senderAddress || (session.channelInfo && session.channelInfo.Account) || null;
+  contract.addSubscription(sessionId, consumerAddress, {
+    currency: active.currency,
+    revision: contract.revision,
+  });
+}
+
+/**
+ * The consumer's signature of a contract revision's terms
+ * Server-held wallets sign here; non-custodial clients send
+ * agreement: { publicKey, signature } over messageHex from
+ * GET /contracts/:id/agreement, with the sender's own key.
+ * @returns {Promise<object>} { address, publicKey, signature } or { error }
+ */
+async function signAsConsumer(snapshot, params, context) {
+  const { message } = getAgreementBook().quote(snapshot);
+  const { wallet, error } = await resolveRequestWallet(context, {
+    seed: params.senderSeed,
+    keyId: params.senderKeyId,
+  });
+  if (error) return { error };
+  if (wallet) return signAgreement(message, wallet);
+  
+  const { publicKey, signature } = params.agreement || {};
+  if (!publicKey || !signature) {
+    return { error: 'Non-custodial starts require agreement: { publicKey, signature } over the terms from GET /api/unified/contracts/:contractId/agreement' };
+  }
+  
+  let address;
+  try {
+    address = deriveAddress(publicKey);
+  } catch (deriveError) {
+    return { error: 'Invalid agreement publicKey' };
+  }
+  
+  // The key that signs claims (XRP) or the sender account's key (RLUSD)
+  const senderKey = params.senderPublicKey
+    ? publicKey === params.senderPublicKey
+    : address === params.senderAddress;
+  if (!senderKey) {
+    return { error: 'The agreement must be signed with the sender key' };
+  }
+  return { address, publicKey, signature };
+}
+
+/**
+ * Payment channel for an XRP stream: the one named in the request, an open
+ * channel between the parties with enough left, or a new one
+ * Opening a channel needs the sender's key, so non-custodial starts bring
+ * their own channelId.
+ * @param {object} terms - Agreed contract terms (rate pricing)
+ * @param {object} params - /start body
+ * @param {object} context - { headers, tenant } of the request
+ * @param {number} settleDelay - Settle delay for a new channel (seconds)
+ * @returns {Promise<object>} { channelId, created, amount, remaining, transactionHash } or { status, error }
+ */
+async function resolveStreamChannel(terms, params, context, settleDelay) {
+  const { channelId, receiverAddress, channelAmount, expectedDurationSeconds } = params;
+  if (channelId) {
+    return { channelId, created: false };
+  }
+  
+  const { wallet, error } = await resolveRequestWallet(context, {
+    seed: params.senderSeed,
+    keyId: params.senderKeyId,
+  });
+  if (error) return { status: 400, error };
+  if (!wallet) {
+    return { status: 400, error: 'Non-custodial XRP starts require the channelId of a channel opened with senderPublicKey' };
+  }
+  
+  const minimum = BigInt(terms.pricing.minChannelAmount);
+  let amount;
+  if (channelAmount !== undefined) {
+    if (!/^\d+$/.test(String(channelAmount)) || BigInt(channelAmount) < minimum) {
+      return { status: 400, error: `channelAmount must be whole drops, at least ${minimum}` };
+    }
+    amount = BigInt(channelAmount);
+  } else if (expectedDurationSeconds) {
+    const suggested = BigInt(suggestChannelAmount(terms.ratePerSecond, expectedDurationSeconds).bufferedDrops);
+    amount = suggested > minimum ? suggested : minimum;
+  } else {
+    amount = BigInt(terms.pricing.recommendedChannelAmount);
+  }
+  
+  // Reuse an open channel nobody is streaming on, if it still holds enough
+  // beyond what was claimed on-chain or validated off-ledger (see startXRPSender)
+  const open = await findOpenChannels(wallet.address, receiverAddress, wallet.publicKey);
+  for (const channel of open) {
+    if (getSessionManager().hasSession(`${channel.channel_id}-sender`)) continue;
+    
+    const remaining = BigInt(channel.amount) - BigInt(await channelSpent(channel.channel_id, channel.balance));
+    if (remaining >= minimum) {
+      console.log(`♻️  Reusing channel ${channel.channel_id} (${remaining} drops left)`);
+      return { channelId: channel.channel_id, created: false, remaining: remaining.toString() };
+    }
+  }
+  
+  const created = await createChannel(wallet, receiverAddress, amount.toString(), settleDelay);
+  return {
+    channelId: created.channelId,
+    created: true,
+    amount: amount.toString(),
+    remaining: amount.toString(),
+    transactionHash: created.transactionHash,
+  };
+}
+
+/**
+ * Stop the receiver started with an XRP sender
+ */
+function stopPairedReceiver(senderSessionId) {
+  const receiverSessionId = pairedReceivers.get(senderSessionId);
+  if (!receiverSessionId) return;
+  
+  pairedReceivers.delete(senderSessionId);
+  getSessionManager().stopXRPSession(receiverSessionId).catch((error) => {
+    console.error(`Failed to stop receiver ${receiverSessionId}:`, error.message);
+  });
+}
+
+/**
+ * Put a /start request on a contract's waitlist
+ * @returns {object} The waitlist entry
+ */
+function queueStart(contract, req) {
+  forgetStaleStarts();
+  
+  const { senderAddress, senderPublicKey } = req.body;
+  const entry = contract.joinWaitlist(senderAddress || senderPublicKey || null, {
+    apiKeyId: getApiKeyId(req),
+  });
+  queuedStarts.set(entry.waitlistId, {
+    contractId: contract.contractId,
+    params: { ...req.body },
+    headers: { ...req.headers },
+    tenant: req.tenant,
+  });
+  
+  console.log(`⏳ Queued start on ${contract.contractId} (position ${entry.position})`);
+  return {
+    success: true,
+    queued: true,
+    ...entry,
+    message: `Contract is ${contract.status === 'active' ? 'full' : contract.status} - the stream starts when a slot frees up`,
+    poll: `/api/unified/contracts/${contract.contractId}/waitlist/${entry.waitlistId}`,
+  };
+}
+
+/**
+ * Start queued streams while the contract has free slots
+ * Runs in the background; the outcome is recorded on each waitlist entry.
+ */
+async function admitFromWaitlist(contract) {
+  if (admitting.has(contract.contractId)) return;
+  admitting.add(contract.contractId);
+  
+  try {
+    while (contract.canAcceptNewSubscription()) {
+      const entry = contract.admitNextWaiting();
+      if (!entry) break;
+      
+      const queued = queuedStarts.get(entry.waitlistId);
+      queuedStarts.delete(entry.waitlistId);
+      if (!queued) {
+        contract.settleWaitlistEntry(entry.waitlistId, { error: 'Start request is no longer available' });
+        continue;
+      }
+      
+      try {
+        const { status, body } = await startContractStream(contract, reserveSlot(contract), queued.params, queued);
+        contract.settleWaitlistEntry(entry.waitlistId, status >= 400
+          ? { error: body.details || body.error || `Start refused (${status})` }
+          : { sessionId: body.sessionId });
+      } catch (error) {
+        console.error(`Queued start on ${contract.contractId} failed:`, error.message);
+        contract.settleWaitlistEntry(entry.waitlistId, { error: error.message });
+      }
+    }
+  } finally {
+    admitting.delete(contract.contractId);
+  }
+}
+
+/**
+ * Drop queued requests (and the credentials in them) that left the line
+ */
+function forgetStaleStarts() {
+  for (const [waitlistId, { contractId }] of queuedStarts) {
+    const contract = getContractRegistry().getContract(contractId);
+    const entry = contract && contract.getWaitlistEntry(waitlistId);
+    if (!entry || entry.status !== 'waiting') queuedStarts.delete(waitlistId);
+  }
+}
+
+/**
+ * A contract with its live subscriber and waitlist counts
+ */
+function withActivity(contract) {
+  return {
+    ...contract.toJSON(),
+    activeStreams: contract.getActiveSubscriptionCount(),
+    waiting: contract.getWaitingCount(),
+  };
+}
+
+/**
+ * Answer 404 for sessions owned by another API key, as if they did not exist
+ */
+function requireSessionOwner(req, res, next) {
+  const sessionId = req.params.sessionId || req.body.sessionId;
+  if (sessionId && !ownsSession(req, sessionId)) {
+    return res.status(404).json({
+      error: "No active stream found",
+      sessionId,
+    });
+  }
+  next();
+}
+
+/**
+ * Require a provider token (X-Provider-Token) from a signed challenge
+ * Sets req.providerAddress to the proven XRPL address.
+ */
+function requireProvider(req, res, next) {
+  const providerAddress = getProviderAuth().authenticate(req.headers["x-provider-token"]);
+  if (!providerAddress) {
+    return res.status(401).json({
+      error: "Provider authentication required",
+      message: "Sign a challenge from POST /api/unified/contracts/auth/challenge and pass the token as X-Provider-Token",
+    });
+  }
+  req.providerAddress = providerAddress;
+  next();
+}
+
+/**
+ * API key a contract change is checked against (null: admin, or auth disabled)
+ */
+function getContractTenant(req) {
+  return req.tenant && !req.tenant.admin ? getApiKeyId(req) : null;
+}
+
+/**
+ * Currency of a request, falling back to the live session's currency
+ * Every registered token is served by the RLUSD handlers, so tokens resolve
+ * to "RLUSD".
+ */
+function resolveCurrency(sessionId, currency) {
+  if (currency) return currency !== "XRP" && hasToken(currency) ? "RLUSD" : currency;
+  const active = getSessionManager().getSession(sessionId);
+  return active ? active.currency : undefined;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // STREAMING ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -38,10 +364,38 @@ const activeStreams = new Map();
 /**
  * POST /start
  * Start a stream with automatic payment execution using a contract
- * Required: contractId, senderSeed, receiverAddress
+ * Required: contractId, senderSeed (or senderKeyId), receiverAddress
+ *
+ * Non-custodial: send senderPublicKey (XRP, the channel's key) or
+ * senderAddress (RLUSD) instead of senderSeed. Nothing is signed here, so
+ * such streams do not auto-execute; the client submits claims or signed
+ * payments through POST /execute.
+ *
+ * RLUSD streams take mode: "escrow" to lock every installment in an escrow
+ * up front, or mode: "cross-currency" (with optional maxSlippageBps) for a
+ * sender holding only XRP: the provider still receives the contract's
+ * currency (see POST /api/rlusd/stream/start). Contracts priced in another
+ * registered token (GET /api/rlusd/tokens) stream like RLUSD, in that token.
+ *
+ * XRP streams need a payment channel to receiverAddress. Custodial starts
+ * reuse an open one with enough left or open a new one, funded with
+ * channelAmount (drops), the rate for expectedDurationSeconds plus 20%, or
+ * the contract's recommended amount; a channelId in the body skips this.
+ * The receiver side is started with the sender and stopped with it.
+ *
+ * A full or paused contract answers 409, or with waitlist: true queues the
+ * start (202) until a slot frees up; poll GET /contracts/:id/waitlist/:waitlistId.
  */
-router.post("/start", async (req, res) => {
-  const { contractId, senderSeed, receiverAddress } = req.body;
+router.post("/start", requireScope("stream:start"), async (req, res) => {
+  const {
+    contractId,
+    senderSeed,
+    senderKeyId,
+    senderAddress,
+    senderPublicKey,
+    receiverAddress,
+    waitlist,
+  } = req.body;
 
   try {
     // Validate required fields
@@ -52,9 +406,9 @@ router.post("/start", async (req, res) => {
       });
     }
     
-    if (!senderSeed || !receiverAddress) {
+    if (!(senderSeed || senderKeyId || senderAddress || senderPublicKey) || !receiverAddress) {
       return res.status(400).json({
-        error: 'Missing required fields: senderSeed, receiverAddress',
+        error: 'Missing required fields: senderSeed or senderKeyId (or senderPublicKey/senderAddress for non-custodial), receiverAddress',
       });
     }
     
@@ -70,76 +424,274 @@ router.post("/start", async (req, res) => {
       });
     }
     
-    // Build stream config from contract
-    const streamConfig = {
-      ...contract,
-      senderSeed,
-      receiverAddress,
-      contractId,
-    };
+    // Admission: paused, deactivated, at maxConcurrentStreams or others in line
+    if (!contract.canAcceptNewSubscription() || contract.getWaitingCount() > 0) {
+      const refusal = {
+        error: contract.status === 'active'
+          ? 'Contract is at its maximum number of concurrent streams'
+          : `Contract is ${contract.status}`,
+        contractId,
+        status: contract.status,
+        activeStreams: contract.getActiveSubscriptionCount(),
+        maxConcurrentStreams: contract.config.maxConcurrentStreams,
+        waiting: contract.getWaitingCount(),
+      };
+      
+      // Deactivated contracts do not come back; queue only for full or paused ones
+      if (!waitlist || contract.status === 'inactive') {
+        return res.status(409).json({
+          ...refusal,
+          ...(contract.status !== 'inactive' && { hint: 'Pass waitlist: true to queue for the next free slot' }),
+        });
+      }
+      
+      try {
+        return res.status(202).json(queueStart(contract, req));
+      } catch (error) {
+        return res.status(409).json({ ...refusal, error: error.message });
+      }
+    }
     
-    console.log(`📋 Starting stream with contract: ${contractId} (${contract.description})`)
+    const { status, body } = await startContractStream(contract, reserveSlot(contract), req.body, req);
+    return res.status(status).json(body);
     
-    // Start the stream using appropriate handler
-    let sessionId;
-    const mockRes = {
-      json: (data) => { sessionId = data.sessionId || data.sessionKey; },
-      status: () => mockRes,
+  } catch (error) {
+    console.error('Stream start error:', error);
+    return res.status(500).json({
+      error: "Stream start failed",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Start a stream under a contract's current terms
+ * The reservation is released once the stream holds its own slot, or the
+ * start failed.
+ * @param {ServiceContract} contract - Contract with a free slot
+ * @param {string} reservation - Slot taken by reserveSlot
+ * @param {object} params - /start body
+ * @param {object} context - { headers, tenant } of the request
+ * @returns {Promise<object>} { status, body } of the /start response
+ */
+async function startContractStream(contract, reservation, params, context) {
+  try {
+    return await startReservedStream(contract, params, context);
+  } finally {
+    contract.removeSubscription(reservation);
+  }
+}
+
+/**
+ * Body of startContractStream, run while the reservation holds the slot
+ */
+async function startReservedStream(contract, params, { headers, tenant }) {
+  const {
+    senderSeed,
+    senderKeyId,
+    senderAddress,
+    senderPublicKey,
+    receiverAddress,
+    autoTopUp,
+    mode,
+    maxSlippageBps,
+  } = params;
+  const { contractId } = contract;
+  
+  // Both parties sign the current revision's terms; the stream is bound to them
+  const snapshot = getContractRevision(contractId, contract.revision);
+  const consumer = await signAsConsumer(snapshot, params, { headers, tenant });
+  if (consumer.error) {
+    return { status: 400, body: { error: consumer.error } };
+  }
+  let agreement;
+  try {
+    agreement = getAgreementBook().createAgreement(snapshot, consumer);
+  } catch (error) {
+    const { termsHash, messageHex } = getAgreementBook().quote(snapshot);
+    return {
+      status: 409,
+      body: {
+        error: 'Service agreement failed',
+        details: error.message,
+        agreement: { contractId, revision: contract.revision, termsHash, messageHex },
+      },
     };
-    
+  }
+  
+  // Build stream config from the agreed terms
+  const { currency, ratePerSecond, totalAmount, duration, intervalSeconds } = agreement.terms;
+  const streamConfig = {
+    currency,
+    ratePerSecond,
+    totalAmount,
+    duration,
+    intervalSeconds,
+    revision: agreement.revision,
+    description: snapshot.description,
+    category: snapshot.category,
+    senderSeed,
+    senderKeyId,
+    senderAddress,
+    publicKey: senderSeed || senderKeyId ? undefined : senderPublicKey,
+    receiverAddress,
+    contractId,
+    autoTopUp,
+    ...(currency !== 'XRP' && { token: currency }),
+    ...(currency !== 'XRP' && mode && { mode }),
+    ...(currency !== 'XRP' && maxSlippageBps !== undefined && { maxSlippageBps }),
+  };
+  
+  console.log(`📋 Starting stream with contract: ${contractId} (${contract.description})`)
+  
+  // Start the stream using appropriate handler
+  let startStatus = 200;
+  let startResponse = {};
+  const mockRes = {
+    json: (data) => { startResponse = data; },
+    status: (code) => { startStatus = code; return mockRes; },
+  };
+  const startReq = { body: streamConfig, headers, tenant };
+  
+  let channel = null;
+  let receiverSessionId = null;
+  try {
     if (streamConfig.currency === "XRP") {
-      await xrpHandlers.startStream({ body: streamConfig }, mockRes);
-    } else if (streamConfig.currency === "RLUSD") {
-      await rlusdHandlers.startStream({ body: streamConfig }, mockRes);
+      channel = await resolveStreamChannel(agreement.terms, params, { headers, tenant }, contract.config.settleDelay);
+      if (channel.error) {
+        return { status: channel.status, body: { error: channel.error } };
+      }
+      streamConfig.channelId = channel.channelId;
+      await xrpHandlers.startStream(startReq, mockRes);
+      if (startStatus < 400) {
+        receiverSessionId = await startPairedReceiver(startResponse.sessionId, { headers, tenant });
+      }
     } else {
-      return res.status(400).json({
-        error: "Invalid currency",
-        supported: ["XRP", "RLUSD"],
-      });
+      await rlusdHandlers.startStream(startReq, mockRes);
     }
-    
-    if (!sessionId) {
-      throw new Error('Failed to get sessionId from stream start');
+  } catch (error) {
+    // The sender must not stream into a channel nobody validates
+    if (startStatus < 400 && startResponse.sessionId) {
+      await getSessionManager().stopXRPSession(startResponse.sessionId);
     }
-    
-    // ✅ START AUTOMATIC PAYMENT EXECUTION
-    startAutoExecution(sessionId, streamConfig);
-    
-    return res.json({
+    throw error;
+  }
+  
+  // Refusals (validation, spend cap, ...) are passed through as they are
+  if (startStatus >= 400) {
+    return {
+      status: startStatus,
+      body: channel && channel.created ? { ...startResponse, channelId: channel.channelId } : startResponse,
+    };
+  }
+  
+  const sessionId = startResponse.sessionId || startResponse.sessionKey;
+  if (!sessionId) {
+    throw new Error('Failed to get sessionId from stream start');
+  }
+  if (receiverSessionId) {
+    streamConfig.receiverSessionId = receiverSessionId;
+    pairedReceivers.set(sessionId, receiverSessionId);
+  }
+  subscribe(contract, sessionId);
+  getAgreementBook().record(sessionId, agreement);
+  
+  // ✅ START AUTOMATIC PAYMENT EXECUTION (custodial streams only)
+  const custody = getSessionManager().getSession(sessionId).session.custody;
+  if (custody !== 'client') {
+    // Payments sign with the session's wallet; the seed is never kept or persisted
+    startAutoExecution(sessionId, { ...streamConfig, senderSeed: undefined });
+    await saveAutoExecution(sessionId);
+  }
+  
+  return {
+    status: 200,
+    body: {
       success: true,
       sessionId,
       status: 'streaming',
-      message: 'Stream started - payments will execute automatically',
+      custody,
+      message: custody === 'client'
+        ? 'Stream started - submit client-signed claims or payments via POST /api/unified/execute'
+        : 'Stream started - payments will execute automatically',
       contract: {
         contractId,
-        description: contract.description,
-        currency: contract.currency,
-        category: contract.category,
+        revision: agreement.revision,
+        description: snapshot.description,
+        currency,
+        category: snapshot.category,
       },
+      agreement: {
+        agreementId: agreement.agreementId,
+        termsHash: agreement.termsHash,
+        consumer: agreement.consumer.address,
+        provider: agreement.provider.address,
+      },
+      ...(channel && {
+        channel: {
+          channelId: channel.channelId,
+          created: channel.created,
+          amount: channel.amount,
+          remaining: channel.remaining,
+          transactionHash: channel.transactionHash,
+        },
+        receiverSessionId,
+      }),
+      ...(startResponse.escrows && { mode: startResponse.mode, escrows: startResponse.escrows }),
+      ...(startResponse.crossCurrency && { mode: startResponse.mode, crossCurrency: startResponse.crossCurrency }),
       schedule: {
-        intervalSeconds: contract.intervalSeconds || 
-                        (contract.ratePerSecond ? 'continuous' : null),
-        duration: contract.duration || 'indefinite',
+        intervalSeconds: intervalSeconds || 
+                        (ratePerSecond ? 'continuous' : null),
+        duration: duration || 'indefinite',
       },
-    });
-    
-  } catch (error) {
-    console.error('Stream start error:', error);
-    return res.status(500).json({
-      error: "Stream start failed",
-      details: error.message,
-    });
+    },
+  };
+}
+
+/**
+ * Start the receiver side of a channel a sender just started on
+ * The receiver verifies claims against the channel's public key. A receiver
+ * already running on the channel (the provider's own) is left alone.
+ * @returns {Promise<string|null>} Receiver sessionId, or null if one was already active
+ */
+async function startPairedReceiver(senderSessionId, { headers, tenant }) {
+  const { channelId, channelInfo } = getSessionManager().getXRPSession(senderSessionId);
+  if (getSessionManager().hasSession(`${channelId}-receiver`)) {
+    return null;
   }
-});
+  
+  let status = 200;
+  let response = {};
+  const res = {
+    json: (data) => { response = data; },
+    status: (code) => { status = code; return res; },
+  };
+  await xrpHandlers.startStream({
+    body: { channelId, role: 'receiver', publicKey: channelInfo.PublicKey },
+    headers,
+    tenant,
+  }, res);
+  
+  if (status >= 400) {
+    throw new Error(`Receiver start failed: ${response.details || response.error}`);
+  }
+  return response.sessionId;
+}
 
 /**
- * POST /execute (DEPRECATED)
- * Kept for manual overrides only
+ * POST /execute
+ * Manual overrides for auto-executing streams; the way non-custodial streams pay
+ *
+ * Non-custodial body: { sessionId, amount, signature } (XRP claim)
+ *                  or { sessionId, signedTransaction } (RLUSD payment)
  */
-router.post("/execute", async (req, res) => {
-  console.warn('⚠️  /execute called manually - streams auto-execute after /start');
+router.post("/execute", requireScope("stream:start"), requireSessionOwner, async (req, res) => {
+  if (activeStreams.has(req.body.sessionId)) {
+    console.warn('⚠️  /execute called manually - streams auto-execute after /start');
+  }
   
-  const { sessionId, currency } = req.body;
+  const { sessionId } = req.body;
+  const currency = resolveCurrency(sessionId, req.body.currency);
 
   if (!sessionId) {
     return res.status(400).json({ error: "sessionId required" });
@@ -165,12 +717,13 @@ router.post("/execute", async (req, res) => {
  * POST /finalize
  * Finalize stream (stops auto-execution)
  */
-router.post("/finalize", async (req, res) => {
-  const { sessionId, currency } = req.body;
+router.post("/finalize", requireScope("finalize"), requireSessionOwner, async (req, res) => {
+  const { sessionId } = req.body;
+  const currency = resolveCurrency(sessionId, req.body.currency);
 
   try {
     // Stop auto-execution before finalizing
-    stopAutoExecution(sessionId);
+    await stopAutoExecution(sessionId);
     
     if (currency === "XRP") {
       return await xrpHandlers.finalizeClaim(req, res);
@@ -187,16 +740,65 @@ router.post("/finalize", async (req, res) => {
   }
 });
 
+/**
+ * POST /pause
+ * Pause a stream; auto-execution skips its ticks until resumed
+ */
+router.post("/pause", requireScope("stream:start"), requireSessionOwner, async (req, res) => {
+  const { sessionId } = req.body;
+  const currency = resolveCurrency(sessionId, req.body.currency);
+
+  try {
+    if (currency === "XRP") {
+      return await xrpHandlers.pauseStream(req, res);
+    } else if (currency === "RLUSD") {
+      return await rlusdHandlers.pauseStream(req, res);
+    } else {
+      return res.status(400).json({ error: "Currency required" });
+    }
+  } catch (error) {
+    res.status(500).json({
+      error: "Stream pause failed",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /resume
+ * Resume a paused stream
+ */
+router.post("/resume", requireScope("stream:start"), requireSessionOwner, async (req, res) => {
+  const { sessionId } = req.body;
+  const currency = resolveCurrency(sessionId, req.body.currency);
+
+  try {
+    if (currency === "XRP") {
+      return await xrpHandlers.resumeStream(req, res);
+    } else if (currency === "RLUSD") {
+      return await rlusdHandlers.resumeStream(req, res);
+    } else {
+      return res.status(400).json({ error: "Currency required" });
+    }
+  } catch (error) {
+    res.status(500).json({
+      error: "Stream resume failed",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * POST /stop
  * Stop stream and auto-execution
  */
-router.post("/stop", async (req, res) => {
-  const { sessionId, currency } = req.body;
+router.post("/stop", requireScope("stream:start"), requireSessionOwner, async (req, res) => {
+  const { sessionId } = req.body;
+  const currency = resolveCurrency(sessionId, req.body.currency);
 
   try {
     // Stop auto-execution first
-    stopAutoExecution(sessionId);
+    await stopAutoExecution(sessionId);
     
     // Then stop the stream handlers
     if (currency === "XRP") {
@@ -218,20 +820,22 @@ router.post("/stop", async (req, res) => {
  * GET /status/:sessionId
  * Get stream status with auto-execution stats
  */
-router.get("/status/:sessionId", async (req, res) => {
+router.get("/status/:sessionId", requireSessionOwner, async (req, res) => {
   const { sessionId } = req.params;
-  const { currency } = req.query;
+  const currency = resolveCurrency(sessionId, req.query.currency);
 
   try {
     // Get auto-execution stats
     const streamInfo = activeStreams.get(sessionId);
     const autoExecutionStatus = streamInfo ? {
       isAutoExecuting: true,
+      isPaused: getSessionManager().isPaused(sessionId),
       paymentCount: streamInfo.paymentCount,
       elapsedSeconds: Math.floor((Date.now() - streamInfo.startTime) / 1000),
       intervalSeconds: streamInfo.config.intervalSeconds,
       nextPaymentIn: streamInfo.nextPaymentTime ? 
         Math.max(0, Math.floor((streamInfo.nextPaymentTime - Date.now()) / 1000)) : null,
+      ...(streamInfo.validation && { validation: streamInfo.validation }),
     } : {
       isAutoExecuting: false,
     };
@@ -245,15 +849,25 @@ router.get("/status/:sessionId", async (req, res) => {
     
     if (currency === "XRP") {
       await xrpHandlers.getStatus(req, mockRes);
-    } else if (currency === "RLUSD") {
-      await rlusdHandlers.getStatus(req, mockRes);
     } else {
-      await autoDetectAndGetStatus(sessionId, req, mockRes);
+      // Completed RLUSD streams are only found in the RLUSD history
+      await rlusdHandlers.getStatus(req, mockRes);
     }
     
+    // Terms the stream started under, even if the contract changed since
+    const agreement = getAgreementBook().get(sessionId);
+    const agreed = agreement || (streamInfo && streamInfo.config);
+    const contract = agreed && agreed.contractId
+      ? getContractRevision(agreed.contractId, agreed.revision)
+      : null;
+    
     // Merge auto-execution stats with handler status
     return res.json({
       ...handlerResponse,
+      ...(contract && { contract }),
+      ...(agreement && {
+        agreement: { ...agreement, verification: getAgreementBook().verify(agreement) },
+      }),
       autoExecution: autoExecutionStatus,
     });
     
@@ -265,12 +879,39 @@ router.get("/status/:sessionId", async (req, res) => {
   }
 });
 
+/**
+ * GET /events
+ * Live feed (SSE) of every session visible to this API key
+ */
+router.get("/events", (req, res) => {
+  openEventStream(req, res, { apiKeyId: getTenantScope(req) });
+});
+
+/**
+ * GET /events/:sessionId
+ * Live feed (SSE) of one session; ends when the session stops or completes
+ */
+router.get("/events/:sessionId", requireSessionOwner, (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!getSessionManager().hasSession(sessionId)) {
+    return res.status(404).json({
+      error: "No active stream found",
+      sessionId,
+    });
+  }
+
+  openEventStream(req, res, { sessionId, apiKeyId: getTenantScope(req) });
+});
+
 /**
  * GET /active
  * List all active auto-executing streams
  */
 router.get("/active", (req, res) => {
-  const activeList = Array.from(activeStreams.entries()).map(([sessionId, stream]) => ({
+  const activeList = Array.from(activeStreams.entries())
+    .filter(([sessionId]) => ownsSession(req, sessionId))
+    .map(([sessionId, stream]) => ({
     sessionId,
     currency: stream.config.currency,
     paymentCount: stream.paymentCount,
@@ -286,33 +927,162 @@ router.get("/active", (req, res) => {
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
-// CONTRACT MANAGEMENT ENDPOINTS
+// PROVIDER AUTHENTICATION ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * POST /contracts
- * Create a new contract (Provider endpoint)
+ * POST /contracts/auth/challenge
+ * Issue a one-time challenge for a provider's XRPL address
+ *
+ * Body: { address: string }
  */
-router.post("/contracts", (req, res) => {
+router.post("/contracts/auth/challenge", (req, res) => {
   try {
-    const { providerId, ...contractData } = req.body;
+    const { address } = req.body;
     
-    if (!providerId) {
+    if (!address) {
       return res.status(400).json({
-        error: 'providerId is required',
+        error: 'address is required',
       });
     }
     
-    const contract = createContract(contractData, providerId);
+    const challenge = getProviderAuth().createChallenge(address);
+    
+    res.json({
+      success: true,
+      ...challenge,
+      hint: 'Sign messageHex with the address key and POST it to /api/unified/contracts/auth/verify',
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: "Failed to create challenge",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /contracts/auth/verify
+ * Exchange a signed challenge for a provider token
+ *
+ * Body: { nonce: string, publicKey: string, signature: string }
+ */
+router.post("/contracts/auth/verify", (req, res) => {
+  try {
+    const { nonce, publicKey, signature } = req.body;
+    
+    if (!nonce || !publicKey || !signature) {
+      return res.status(400).json({
+        error: 'nonce, publicKey and signature are required',
+      });
+    }
+    
+    const { token, address, expiresAt } = getProviderAuth().verifyChallenge({ nonce, publicKey, signature });
+    
+    res.json({
+      success: true,
+      token,
+      providerAddress: address,
+      expiresAt,
+      hint: 'Pass the token as X-Provider-Token to create, update or delete contracts',
+    });
+  } catch (error) {
+    res.status(401).json({
+      error: "Challenge verification failed",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /contracts/delegates
+ * List the authenticated provider's delegates
+ */
+router.get("/contracts/delegates", requireProvider, (req, res) => {
+  res.json({
+    success: true,
+    providerAddress: req.providerAddress,
+    delegates: listDelegates(req.providerAddress),
+  });
+});
+
+/**
+ * POST /contracts/delegates
+ * Let another XRPL address manage the authenticated provider's contracts
+ *
+ * Body: { delegateAddress: string }
+ */
+router.post("/contracts/delegates", requireScope("contracts:write"), requireProvider, (req, res) => {
+  try {
+    const { delegateAddress } = req.body;
+    
+    if (!delegateAddress || !xrpl.isValidClassicAddress(delegateAddress)) {
+      return res.status(400).json({
+        error: 'A valid delegateAddress is required',
+      });
+    }
+    
+    const delegates = addDelegate(req.providerAddress, delegateAddress);
     
     res.status(201).json({
       success: true,
-      message: 'Contract created successfully',
+      providerAddress: req.providerAddress,
+      delegates,
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: "Failed to add delegate",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /contracts/delegates/:delegateAddress
+ * Revoke a delegate of the authenticated provider
+ */
+router.delete("/contracts/delegates/:delegateAddress", requireScope("contracts:write"), requireProvider, (req, res) => {
+  const { delegateAddress } = req.params;
+  
+  if (!removeDelegate(req.providerAddress, delegateAddress)) {
+    return res.status(404).json({
+      error: 'Delegate not found',
+      delegateAddress,
+    });
+  }
+  
+  res.json({
+    success: true,
+    providerAddress: req.providerAddress,
+    delegates: listDelegates(req.providerAddress),
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONTRACT MANAGEMENT ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * POST /contracts
+ * Create a new contract (Provider endpoint, X-Provider-Token)
+ * providerAddress defaults to the authenticated address; a delegate passes
+ * the address it acts for. With template (GET /contracts/templates) the
+ * template's terms are the defaults.
+ */
+router.post("/contracts", requireScope("contracts:write"), requireProvider, (req, res) => {
+  try {
+    const contract = createContract(req.body, req.providerAddress, getApiKeyId(req));
+    
+    res.status(201).json({
+      success: true,
+      message: 'Contract created successfully - sign its terms at POST /api/unified/contracts/:contractId/sign',
       contract,
+      agreement: getAgreementQuote(contract.contractId),
     });
   } catch (error) {
     console.error('Contract creation error:', error);
-    res.status(400).json({
+    const status = error.message.includes('Unauthorized') ? 403 : 400;
+    res.status(status).json({
       error: "Failed to create contract",
       details: error.message,
     });
@@ -321,25 +1091,21 @@ router.post("/contracts", (req, res) => {
 
 /**
  * PUT /contracts/:contractId
- * Update a contract (Provider endpoint)
+ * Update a contract (Provider endpoint, X-Provider-Token)
  */
-router.put("/contracts/:contractId", (req, res) => {
+router.put("/contracts/:contractId", requireScope("contracts:write"), requireProvider, (req, res) => {
   try {
     const { contractId } = req.params;
-    const { providerId, ...updates } = req.body;
     
-    if (!providerId) {
-      return res.status(400).json({
-        error: 'providerId is required for authorization',
-      });
-    }
-    
-    const contract = updateContract(contractId, updates, providerId);
+    const contract = updateContract(contractId, { ...req.body }, req.providerAddress, getContractTenant(req));
+    // A raised maxConcurrentStreams may let queued starts in
+    admitFromWaitlist(contract);
     
     res.json({
       success: true,
-      message: 'Contract updated successfully',
+      message: 'Contract updated successfully - sign the new revision at POST /api/unified/contracts/:contractId/sign',
       contract,
+      agreement: getAgreementQuote(contract.contractId),
     });
   } catch (error) {
     console.error('Contract update error:', error);
@@ -354,20 +1120,13 @@ router.put("/contracts/:contractId", (req, res) => {
 
 /**
  * DELETE /contracts/:contractId
- * Delete a contract (Provider endpoint)
+ * Delete a contract (Provider endpoint, X-Provider-Token)
  */
-router.delete("/contracts/:contractId", (req, res) => {
+router.delete("/contracts/:contractId", requireScope("contracts:write"), requireProvider, (req, res) => {
   try {
     const { contractId } = req.params;
-    const { providerId } = req.body;
-    
-    if (!providerId) {
-      return res.status(400).json({
-        error: 'providerId is required for authorization',
-      });
-    }
     
-    deleteContract(contractId, providerId);
+    deleteContract(contractId, req.providerAddress, getContractTenant(req));
     
     res.json({
       success: true,
@@ -385,24 +1144,230 @@ router.delete("/contracts/:contractId", (req, res) => {
   }
 });
 
+/**
+ * POST /contracts/:contractId/pause, /resume, /deactivate
+ * Stop or restart accepting new streams (Provider endpoint, X-Provider-Token)
+ * Streams already running are not affected.
+ */
+for (const action of ["pause", "resume", "deactivate"]) {
+  router.post(`/contracts/:contractId/${action}`, requireScope("contracts:write"), requireProvider, (req, res) => {
+    try {
+      const contract = setContractStatus(req.params.contractId, action, req.providerAddress, getContractTenant(req));
+      if (action === "resume") admitFromWaitlist(contract);
+      
+      res.json({
+        success: true,
+        contractId: contract.contractId,
+        status: contract.status,
+        activeStreams: contract.getActiveSubscriptionCount(),
+        waiting: contract.getWaitingCount(),
+      });
+    } catch (error) {
+      const status = error.message.includes('Unauthorized') ? 403 : 
+                     error.message.includes('not found') ? 404 : 400;
+      res.status(status).json({
+        error: `Failed to ${action} contract`,
+        details: error.message,
+      });
+    }
+  });
+}
+
+/**
+ * POST /contracts/:contractId/sign
+ * Sign a revision's terms (Provider endpoint, X-Provider-Token)
+ * Streams can only start on revisions the provider signed.
+ *
+ * Body: { publicKey, signature, revision? } - signature over messageHex of
+ * GET /contracts/:contractId/agreement, by the provider's or a delegate's key
+ */
+router.post("/contracts/:contractId/sign", requireScope("contracts:write"), requireProvider, (req, res) => {
+  const { publicKey, signature, revision } = req.body;
+  if (!publicKey || !signature) {
+    return res.status(400).json({ error: "publicKey and signature are required" });
+  }
+  
+  try {
+    const offer = signContractTerms(
+      req.params.contractId,
+      { publicKey, signature, revision },
+      req.providerAddress,
+      getContractTenant(req)
+    );
+    
+    res.json({
+      success: true,
+      offer,
+    });
+  } catch (error) {
+    const status = error.message.includes('Unauthorized') ? 403 : 
+                   error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({
+      error: "Failed to sign contract terms",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /contracts/:contractId/agreement
+ * Terms of a revision (?revision=, default current) with their hash and the
+ * agreement message both parties sign (Public endpoint)
+ */
+router.get("/contracts/:contractId/agreement", (req, res) => {
+  try {
+    res.json({
+      contractId: req.params.contractId,
+      ...getAgreementQuote(req.params.contractId, req.query.revision),
+    });
+  } catch (error) {
+    res.status(404).json({
+      error: "Contract not found",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /contracts/:contractId/subscriptions
+ * Live streams and the waitlist of a contract (Provider endpoint, X-Provider-Token)
+ */
+router.get("/contracts/:contractId/subscriptions", requireProvider, (req, res) => {
+  let contract;
+  try {
+    contract = getContract(req.params.contractId);
+  } catch (error) {
+    return res.status(404).json({
+      error: "Contract not found",
+      contractId: req.params.contractId,
+    });
+  }
+  
+  if (!canActFor(req.providerAddress, contract.providerAddress)) {
+    return res.status(403).json({
+      error: "Only the contract's provider or its delegates can list its subscriptions",
+    });
+  }
+  
+  contract.pruneWaitlist();
+  res.json({
+    contractId: contract.contractId,
+    status: contract.status,
+    maxConcurrentStreams: contract.config.maxConcurrentStreams,
+    activeStreams: contract.getActiveSubscriptionCount(),
+    subscriptions: contract.getSubscriptions(),
+    waitlist: contract.getWaiting().map((entry) => contract.getWaitlistEntry(entry.waitlistId)),
+  });
+});
+
+/**
+ * GET /contracts/:contractId/waitlist/:waitlistId
+ * A queued start: position while waiting, then sessionId or error
+ */
+router.get("/contracts/:contractId/waitlist/:waitlistId", requireScope("stream:start"), (req, res) => {
+  const entry = findWaitlistEntry(req);
+  if (!entry) {
+    return res.status(404).json({
+      error: "Waitlist entry not found",
+      waitlistId: req.params.waitlistId,
+    });
+  }
+  
+  res.json(entry);
+});
+
+/**
+ * DELETE /contracts/:contractId/waitlist/:waitlistId
+ * Leave the waitlist before the stream starts
+ */
+router.delete("/contracts/:contractId/waitlist/:waitlistId", requireScope("stream:start"), (req, res) => {
+  const entry = findWaitlistEntry(req);
+  const contract = entry && getContractRegistry().getContract(entry.contractId);
+  
+  if (!entry || !contract.leaveWaitlist(entry.waitlistId)) {
+    return res.status(entry ? 409 : 404).json({
+      error: entry ? `Waitlist entry is already ${entry.status}` : "Waitlist entry not found",
+      waitlistId: req.params.waitlistId,
+    });
+  }
+  queuedStarts.delete(entry.waitlistId);
+  
+  res.json({
+    success: true,
+    waitlistId: entry.waitlistId,
+    status: "left",
+  });
+});
+
+/**
+ * A waitlist entry of the calling API key (null for other keys' entries)
+ */
+function findWaitlistEntry(req) {
+  const contract = getContractRegistry().getContract(req.params.contractId);
+  const entry = contract && contract.getWaitlistEntry(req.params.waitlistId);
+  return entry && entry.apiKeyId === getApiKeyId(req) ? entry : null;
+}
+
+/**
+ * GET /contracts/export
+ * Export provider contracts, their revisions, agents and delegates (admin)
+ */
+router.get("/contracts/export", requireScope("admin"), (req, res) => {
+  res.json({
+    success: true,
+    ...exportContracts(),
+  });
+});
+
+/**
+ * POST /contracts/import
+ * Import an export from another environment (admin)
+ * Existing contracts are kept unless overwrite is true. serviceContracts is
+ * the service contract registry of exports made before the registries merged.
+ *
+ * Body: { contracts, revisions, delegates, serviceContracts, overwrite }
+ */
+router.post("/contracts/import", requireScope("admin"), (req, res) => {
+  try {
+    const { serviceContracts, overwrite = false, ...data } = req.body;
+    
+    const contracts = importContracts(data, { overwrite });
+    const services = serviceContracts
+      ? getContractRegistry().merge(serviceContracts, { overwrite })
+      : null;
+    
+    res.json({
+      success: true,
+      contracts,
+      serviceContracts: services,
+    });
+  } catch (error) {
+    console.error('Contract import error:', error);
+    res.status(400).json({
+      error: "Failed to import contracts",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * GET /contracts
  * List contracts (Public endpoint)
  */
 router.get("/contracts", (req, res) => {
   try {
-    const { category, currency, providerId, status, search } = req.query;
+    const { category, currency, providerId, providerAddress, status, search } = req.query;
     
     let contracts;
     if (search) {
       contracts = searchContracts(search);
     } else {
-      contracts = listContracts({ category, currency, providerId, status });
+      contracts = listContracts({ category, currency, providerId, providerAddress, status });
     }
     
     res.json({
       total: contracts.length,
-      contracts,
+      contracts: contracts.map(withActivity),
     });
   } catch (error) {
     res.status(500).json({
@@ -448,6 +1413,59 @@ router.get("/contracts/categories", (req, res) => {
   }
 });
 
+/**
+ * GET /contracts/templates
+ * Templates POST /contracts accepts as { template, ... } (Public endpoint)
+ */
+router.get("/contracts/templates", (req, res) => {
+  const templates = listTemplates();
+  
+  res.json({
+    total: templates.length,
+    templates,
+  });
+});
+
+/**
+ * GET /contracts/:contractId/revisions
+ * Every revision of a contract's terms, oldest first (Public endpoint)
+ */
+router.get("/contracts/:contractId/revisions", (req, res) => {
+  const revisions = getContractHistory(req.params.contractId);
+  
+  if (revisions.length === 0) {
+    return res.status(404).json({
+      error: 'Contract not found',
+      contractId: req.params.contractId,
+    });
+  }
+  
+  res.json({
+    contractId: req.params.contractId,
+    total: revisions.length,
+    revisions,
+  });
+});
+
+/**
+ * GET /contracts/:contractId/revisions/:revision
+ * A contract's terms at one revision (Public endpoint)
+ */
+router.get("/contracts/:contractId/revisions/:revision", (req, res) => {
+  const { contractId, revision } = req.params;
+  const contract = getContractRevision(contractId, revision);
+  
+  if (!contract) {
+    return res.status(404).json({
+      error: 'Contract revision not found',
+      contractId,
+      revision,
+    });
+  }
+  
+  res.json(contract);
+});
+
 /**
  * GET /contracts/:contractId
  * Get specific contract (Public endpoint)
@@ -455,7 +1473,7 @@ router.get("/contracts/categories", (req, res) => {
 router.get("/contracts/:contractId", (req, res) => {
   try {
     const contract = getContract(req.params.contractId);
-    res.json(contract);
+    res.json(withActivity(contract));
   } catch (error) {
     res.status(404).json({
       error: "Contract not found",
@@ -468,17 +1486,30 @@ router.get("/contracts/:contractId", (req, res) => {
 // AUTO-EXECUTION SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
 
-function startAutoExecution(sessionId, config) {
+/**
+ * Start the auto-execution timer for a session
+ * @param {string} sessionId - Handler session ID
+ * @param {object} config - Stream config built from the contract
+ * @param {object} state - Progress to resume from ({ startTime, paymentCount, validation })
+ */
+function startAutoExecution(sessionId, config, state = {}) {
   const { currency, intervalSeconds = 10, duration, ratePerSecond } = config;
   const actualInterval = intervalSeconds || (ratePerSecond ? 5 : 10);
   
   console.log(`🚀 Auto-execution started for ${sessionId}`);
   
-  let paymentCount = 0;
-  const startTime = Date.now();
+  let paymentCount = state.paymentCount || 0;
+  let running = false;
+  const startTime = state.startTime || Date.now();
   
   const intervalId = setInterval(async () => {
+    // A payment can outlast the interval; skip ticks until it settles
+    if (running) return;
+    running = true;
     try {
+      // Paused streams neither pay nor count towards the payment total
+      if (getSessionManager().isPaused(sessionId)) return;
+      
       paymentCount++;
       const elapsed = (Date.now() - startTime) / 1000;
       
@@ -496,18 +1527,33 @@ function startAutoExecution(sessionId, config) {
       };
       
       if (currency === "XRP") {
-        await xrpHandlers.generateClaim({ body: { sessionId, currency } }, mockRes);
-      } else if (currency === "RLUSD") {
+        let claimResponse = null;
+        const claimRes = {
+          json: (data) => { claimResponse = data; mockRes.json(data); },
+          status: () => claimRes,
+        };
+        await xrpHandlers.generateClaim({ body: { sessionId, currency } }, claimRes);
+        if (claimResponse && claimResponse.success) {
+          await deliverClaim(sessionId, claimResponse.claim);
+        }
+      } else {
         await rlusdHandlers.executePayment({ body: { sessionId, currency } }, mockRes);
       }
       
-      if (duration && elapsed >= duration) {
+      // Escrow ladders finish with their last release, which can trail the clock
+      const escrowStream = currency !== "XRP" &&
+        (getSessionManager().getRLUSDSession(sessionId) || {}).mode === 'escrow';
+      if (duration && elapsed >= duration && !escrowStream) {
         console.log(`⏰ Duration reached for ${sessionId}`);
-        stopAutoExecution(sessionId);
+        await stopAutoExecution(sessionId);
+      } else {
+        await saveAutoExecution(sessionId);
       }
       
     } catch (error) {
       console.error(`❌ Auto-payment failed for ${sessionId}:`, error.message);
+    } finally {
+      running = false;
     }
   }, actualInterval * 1000);
   
@@ -515,14 +1561,71 @@ function startAutoExecution(sessionId, config) {
     intervalId,
     startTime,
     config,
-    paymentCount: 0,
+    paymentCount,
     nextPaymentTime: Date.now() + (actualInterval * 1000),
+    ...(currency === "XRP" && {
+      validation: state.validation || { validated: 0, rejected: 0, consecutiveRejections: 0, lastAmount: null, lastRejection: null },
+    }),
   });
   
   console.log(`✅ Active streams: ${activeStreams.size}`);
 }
 
-function stopAutoExecution(sessionId) {
+/**
+ * Hand an auto-generated claim to the channel's receiver session
+ * The receiver's validator checks it and stores it in the channel store,
+ * which is what finalization submits. Every rejection is reported
+ * (claim.rejected); after streaming.MAX_CONSECUTIVE_REJECTIONS in a row the
+ * sender is stopped rather than stream on unvalidated claims.
+ */
+async function deliverClaim(sessionId, claim) {
+  const stream = activeStreams.get(sessionId);
+  const manager = getSessionManager();
+  const receiverSessionId = `${claim.channelId}-receiver`;
+  if (!stream || !manager.hasSession(receiverSessionId)) return;
+  
+  // Nothing accrued since the last validated claim (paused or exhausted)
+  const { validation } = stream;
+  if (BigInt(claim.amount) <= BigInt(validation.lastAmount || '0')) return;
+  
+  const result = await manager.validateXRPClaim(receiverSessionId, claim.amount, claim.signature);
+  if (result.valid) {
+    await getChannelStore().addClaimToHistory(claim.channelId, {
+      amount: claim.amount,
+      signature: claim.signature,
+      publicKey: claim.publicKey,
+    });
+    validation.validated++;
+    validation.consecutiveRejections = 0;
+    validation.lastAmount = claim.amount;
+    return;
+  }
+  
+  validation.rejected++;
+  validation.consecutiveRejections++;
+  validation.lastRejection = { amount: claim.amount, reason: result.reason, at: Date.now() };
+  
+  const limit = config.streaming.MAX_CONSECUTIVE_REJECTIONS;
+  const stopping = validation.consecutiveRejections >= limit;
+  console.warn(`⚠️  Receiver rejected claim for ${sessionId} (${validation.consecutiveRejections}/${limit}): ${result.reason}`);
+  manager.emit('claimRejected', {
+    sessionId,
+    currency: 'XRP',
+    channelId: claim.channelId,
+    amount: claim.amount,
+    reason: result.reason,
+    consecutiveRejections: validation.consecutiveRejections,
+    stopping,
+    apiKeyId: manager.getXRPSession(sessionId).apiKeyId || null,
+  });
+  
+  if (stopping) {
+    console.error(`❌ Stopping ${sessionId}: ${limit} claims in a row failed validation`);
+    await manager.stopXRPSession(sessionId);
+  }
+}
+
+async function stopAutoExecution(sessionId) {
   const stream = activeStreams.get(sessionId);
   
   if (stream) {
@@ -530,37 +1633,71 @@ function stopAutoExecution(sessionId) {
     activeStreams.delete(sessionId);
     console.log(`🛑 Auto-execution stopped for ${sessionId}`);
   }
+  
+  await getSessionStore().remove(SESSION_OWNER, sessionId);
 }
 
-async function autoDetectAndGetStatus(sessionId, req, res) {
-  try {
-    return await xrpHandlers.getStatus(req, res);
-  } catch (xrpError) {
-    try {
-      return await rlusdHandlers.getStatus(req, res);
-    } catch (rlusdError) {
-      return res.status(404).json({
-        error: "Session not found",
-        sessionId,
-      });
-    }
+/**
+ * Persist auto-execution progress so it can resume after a restart
+ */
+async function saveAutoExecution(sessionId) {
+  const stream = activeStreams.get(sessionId);
+  
+  if (stream) {
+    await getSessionStore().save(SESSION_OWNER, sessionId, {
+      config: stream.config,
+      startTime: stream.startTime,
+      paymentCount: stream.paymentCount,
+      validation: stream.validation,
+    });
   }
 }
 
-// Cleanup on server shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Server shutdown - cleaning up streams...');
-  for (const [sessionId] of activeStreams) {
-    stopAutoExecution(sessionId);
+/**
+ * Clear timers without dropping persisted sessions (server shutdown)
+ */
+function clearAutoExecutionTimers() {
+  for (const stream of activeStreams.values()) {
+    clearInterval(stream.intervalId);
   }
-});
+  activeStreams.clear();
+}
 
-process.on('SIGINT', () => {
-  console.log('🛑 Server interrupted - cleaning up streams...');
-  for (const [sessionId] of activeStreams) {
-    stopAutoExecution(sessionId);
+/**
+ * Restart auto-execution for streams restored by the session manager
+ * Call after getSessionManager().restore().
+ * @returns {Promise<number>} Number of resumed auto-executing streams
+ */
+async function restoreSessions() {
+  const records = await getSessionStore().getSessions(SESSION_OWNER);
+  
+  for (const record of records) {
+    // The underlying stream finished or was stopped while we were down
+    if (!getSessionManager().hasSession(record.sessionId)) {
+      await getSessionStore().remove(SESSION_OWNER, record.sessionId);
+      continue;
+    }
+    
+    startAutoExecution(record.sessionId, record.config, {
+      startTime: record.startTime,
+      paymentCount: record.paymentCount,
+      validation: record.validation,
+    });
+    
+    const contract = getContractRegistry().getContract(record.config.contractId);
+    if (contract) subscribe(contract, record.sessionId);
+    
+    const { receiverSessionId } = record.config;
+    if (receiverSessionId && getSessionManager().hasSession(receiverSessionId)) {
+      pairedReceivers.set(record.sessionId, receiverSessionId);
+    }
   }
-  process.exit(0);
-});
+  
+  return activeStreams.size;
+}
 
 module.exports = router;
+module.exports.restoreSessions = restoreSessions;
+module.exports.clearAutoExecutionTimers = clearAutoExecutionTimers;
+module.exports.startAutoExecution = startAutoExecution;
+module.exports.deliverClaim = deliverClaim;
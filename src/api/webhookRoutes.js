@@ -0,0 +1,145 @@
+/**
+ * webhookRoutes.js
+ * API endpoints for registering webhook endpoints and reading the delivery log
+ *
+ * Endpoints and deliveries are scoped to the API key of the request.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getApiKeyId, requireScope } = require('./middleware');
+const {
+  getWebhookService,
+  validateEndpoint,
+  WEBHOOK_EVENTS,
+} = require('../core/webhooks');
+const config = require('../../config');
+
+/**
+ * POST /webhooks
+ * Register an endpoint (the signing secret is only returned here)
+ *
+ * Body: {
+ *   url: string,
+ *   events: string[] (optional, default all; '*' for all),
+ *   description: string (optional)
+ * }
+ */
+router.post('/', requireScope('stream:start'), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const validation = validateEndpoint({ url, events });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid webhook endpoint',
+        message: validation.error,
+        availableEvents: WEBHOOK_EVENTS,
+      });
+    }
+
+    const endpoint = await getWebhookService().registerEndpoint(getApiKeyId(req), {
+      url,
+      events,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      endpoint,
+      enabled: config.features.webhooks,
+    });
+
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({
+      error: 'Failed to register webhook',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /webhooks
+ * List the endpoints of this API key
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await getWebhookService().listEndpoints(getApiKeyId(req));
+
+    res.json({
+      success: true,
+      enabled: config.features.webhooks,
+      availableEvents: WEBHOOK_EVENTS,
+      count: endpoints.length,
+      endpoints,
+    });
+
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      error: 'Failed to list webhooks',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /webhooks/deliveries
+ * Delivery log of this API key, newest first
+ *
+ * Query: endpointId, event, status (pending|retrying|delivered|failed), limit
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { endpointId, event, status, limit } = req.query;
+    const deliveries = await getWebhookService().getDeliveries(getApiKeyId(req), {
+      endpointId,
+      event,
+      status,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries,
+    });
+
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to get webhook deliveries',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Remove an endpoint of this API key
+ */
+router.delete('/:id', requireScope('stream:start'), async (req, res) => {
+  try {
+    const removed = await getWebhookService().removeEndpoint(getApiKeyId(req), req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint removed',
+      id: req.params.id,
+    });
+
+  } catch (error) {
+    console.error('Error removing webhook:', error);
+    res.status(500).json({
+      error: 'Failed to remove webhook',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -10,10 +10,37 @@
  * - Users discover available services dynamically
  * - Prevents payment term manipulation (set by provider)
  * - Centralized service marketplace
+ *
+ * Ownership: a contract belongs to the XRPL address that created it
+ * (providerAddress), proven by signing a challenge (see core/providerAuth.js).
+ * Only that address, or addresses it delegated to, can change it. Built-in
+ * defaults have no provider address and cannot be changed through the API.
+ *
+ * Contracts are ServiceContracts (core/contract.js) kept in the shared
+ * contract registry, so this module is the provider-facing API over it:
+ * ownership checks, validation and the built-in defaults. Contracts can be
+ * created from a template, accept a limited number of concurrent streams
+ * (maxConcurrentStreams) and can be paused or deactivated.
+ *
+ * Persistence: loadContracts() attaches the contract store at startup; from
+ * then on every change is written through. Each create or update adds a
+ * revision, and revisions outlive updates and deletes so sessions started
+ * under older terms can still look them up.
  */
 
-// In-memory storage (use database in production)
-const STREAMING_CONTRACTS = new Map();
+const { deriveAddress } = require('ripple-keypairs');
+const { getContractStore } = require('../core/contractStore');
+const { getAgreementBook } = require('../core/agreements');
+const { hasToken } = require('./tokenRegistry');
+const {
+  ServiceContract,
+  getContractRegistry,
+  createContractFromTemplate,
+  listTemplates,
+} = require('../core/contract');
+
+// Registry the defaults were seeded into (seeded again after a reset)
+let seededRegistry = null;
 
 // Initialize with some default contracts
 const DEFAULT_CONTRACTS = {
@@ -96,210 +123,425 @@ const DEFAULT_CONTRACTS = {
   },
 };
 
+/**
+ * The shared registry, with the default contracts in it
+ */
+function registry() {
+  const contracts = getContractRegistry();
+  if (seededRegistry !== contracts) {
+    seededRegistry = contracts;
+    initializeDefaults(contracts);
+  }
+  return contracts;
+}
+
 /**
  * Initialize default contracts
  */
-function initializeDefaults() {
-  if (STREAMING_CONTRACTS.size === 0) {
-    Object.entries(DEFAULT_CONTRACTS).forEach(([id, contract]) => {
-      STREAMING_CONTRACTS.set(id, {
-        ...contract,
-        contractId: id,
-        providerId: 'system',
-        providerAddress: null,
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-        status: 'active',
-      });
-    });
-    console.log(`✓ Initialized ${STREAMING_CONTRACTS.size} default contracts`);
+function initializeDefaults(contracts) {
+  Object.entries(DEFAULT_CONTRACTS).forEach(([id, contract]) => {
+    if (contracts.getContract(id)) return;
+    const builtIn = new ServiceContract({ ...contract, contractId: id, providerId: 'system' });
+    contracts.track(builtIn);
+    contracts.recordRevision(builtIn);
+  });
+  console.log(`✓ Initialized ${Object.keys(DEFAULT_CONTRACTS).length} default contracts`);
+}
+
+// ════════════════════════════════════════════════════════════════
+// Persistence and revisions
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Load persisted contracts, revisions and delegates, then write changes through
+ * @param {object} store - Contract store (defaults to the singleton)
+ * @returns {Promise<number>} Number of provider contracts loaded
+ */
+async function loadContracts(store = getContractStore()) {
+  return registry().load(store);
+}
+
+/**
+ * Terms of a contract at a given revision (also after updates or deletion)
+ * @param {string} contractId - The contract identifier
+ * @param {number} revision - Revision number (1 = as created)
+ * @returns {Object|null} Frozen contract snapshot
+ */
+function getContractRevision(contractId, revision) {
+  return registry().getContractRevision(contractId, revision);
+}
+
+/**
+ * All revisions of a contract, oldest first
+ * @param {string} contractId - The contract identifier
+ * @returns {Array} Frozen contract snapshots
+ */
+function getContractHistory(contractId) {
+  return registry().getContractHistory(contractId);
+}
+
+/**
+ * Provider contracts, their history and delegates for another environment
+ * Built-in contracts are not exported; every environment has them.
+ * @returns {Object} { contracts, revisions, agents, delegates, exportedAt }
+ */
+function exportContracts() {
+  return registry().toJSON(c => Boolean(c.providerAddress));
+}
+
+/**
+ * Import an export of exportContracts()
+ * Existing contracts are kept unless overwrite is set; built-in contracts
+ * are never replaced. Revisions and delegates are merged.
+ * @param {Object} data - { contracts, revisions, delegates }
+ * @param {Object} options - { overwrite: boolean }
+ * @returns {Object} { imported, skipped, revisions, delegates }
+ */
+function importContracts(data, { overwrite = false } = {}) {
+  if (!data || !Array.isArray(data.contracts)) {
+    throw new Error('Import must contain a contracts array');
+  }
+
+  const contracts = registry();
+  const skipped = [];
+  const importable = data.contracts.filter(contract => {
+    const existing = contract.contractId && contracts.getContract(contract.contractId);
+    if (!contract.contractId || !contract.providerAddress || (existing && !existing.providerAddress)) {
+      skipped.push(contract.contractId || null);
+      return false;
+    }
+    return true;
+  });
+
+  const result = contracts.merge({
+    contracts: importable,
+    revisions: (data.revisions || []).filter(revision => revision.providerAddress),
+    delegates: data.delegates,
+  }, { overwrite });
+
+  console.log(`✓ Imported ${result.imported} contract(s), skipped ${skipped.length + result.skipped.length}`);
+  return {
+    imported: result.imported,
+    skipped: [...skipped, ...result.skipped],
+    revisions: result.revisions,
+    delegates: result.delegates,
+  };
+}
+
+// ════════════════════════════════════════════════════════════════
+// Provider ownership
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Whether an authenticated address may act for a provider address
+ * @param {string} signerAddress - Address proven by a signed challenge
+ * @param {string} providerAddress - Contract owner
+ * @returns {boolean}
+ */
+function canActFor(signerAddress, providerAddress) {
+  return registry().canActFor(signerAddress, providerAddress);
+}
+
+/**
+ * Let another address manage a provider's contracts
+ * @param {string} providerAddress - Authenticated provider (not a delegate)
+ * @param {string} delegateAddress - Address to delegate to
+ * @returns {Array} The provider's delegates
+ */
+function addDelegate(providerAddress, delegateAddress) {
+  if (delegateAddress === providerAddress) {
+    throw new Error('A provider cannot delegate to itself');
+  }
+
+  const delegates = registry().addDelegate(providerAddress, delegateAddress);
+  console.log(`✓ ${providerAddress} delegated contracts to ${delegateAddress}`);
+  return delegates;
+}
+
+/**
+ * Revoke a delegate
+ * @returns {boolean} True if the address was a delegate
+ */
+function removeDelegate(providerAddress, delegateAddress) {
+  const removed = registry().removeDelegate(providerAddress, delegateAddress);
+  if (removed) console.log(`✓ ${providerAddress} revoked delegate ${delegateAddress}`);
+  return removed;
+}
+
+/**
+ * Delegates of a provider
+ * @returns {Array} Delegate addresses
+ */
+function listDelegates(providerAddress) {
+  return registry().listDelegates(providerAddress);
+}
+
+/**
+ * Throw unless the signer may change a contract
+ */
+function assertCanManage(contract, signerAddress, action, tenantId = null) {
+  if (!contract.providerAddress) {
+    const done = action.endsWith('e') ? `${action}d` : `${action}ed`;
+    throw new Error(`Unauthorized: Built-in contracts cannot be ${done}`);
+  }
+  if (!canActFor(signerAddress, contract.providerAddress)) {
+    throw new Error(`Unauthorized: Only ${contract.providerAddress} or its delegates can ${action} this contract`);
+  }
+
+  // Tenants only touch contracts created with their own API key
+  if (tenantId && contract.tenantId !== tenantId) {
+    throw new Error('Unauthorized: Contract belongs to another API key');
   }
 }
 
+/**
+ * Contracts are paid in XRP or a token registered for this network
+ */
+function assertSupportedCurrency(currency) {
+  if (currency !== 'XRP' && !hasToken(currency)) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+}
+
+// ════════════════════════════════════════════════════════════════
+// Contracts
+// ════════════════════════════════════════════════════════════════
+
 /**
  * Create a new contract (Provider endpoint)
- * @param {Object} contractData - Contract configuration
- * @param {string} providerId - Provider identifier (wallet address or user ID)
- * @returns {Object} Created contract with ID
+ * @param {Object} contractData - Contract configuration; providerAddress
+ *   defaults to the signer, providerId (display name) to providerAddress.
+ *   With template (see listTemplates()) the template's terms are the
+ *   defaults and contractData overrides them.
+ * @param {string} signerAddress - Address proven by a signed challenge
+ * @param {string} [tenantId] - API key that owns the contract
+ * @returns {ServiceContract} Created contract with ID
  */
-function createContract(contractData, providerId) {
-  // Validate required fields
-  const required = ['currency', 'displayName', 'description', 'category'];
-  for (const field of required) {
-    if (!contractData[field]) {
-      throw new Error(`Missing required field: ${field}`);
-    }
+function createContract(contractData, signerAddress, tenantId = null) {
+  const providerAddress = contractData.providerAddress || signerAddress;
+  if (!canActFor(signerAddress, providerAddress)) {
+    throw new Error(`Unauthorized: ${signerAddress} is not a delegate of ${providerAddress}`);
   }
-  
-  // Validate currency-specific fields
-  if (contractData.currency === 'RLUSD') {
-    if (!contractData.totalAmount || !contractData.duration) {
-      throw new Error('RLUSD contracts require totalAmount and duration');
+  const providerId = contractData.providerId || providerAddress;
+  const { template, ...fields } = contractData;
+
+  if (!template) {
+    // Validate required fields
+    const required = ['currency', 'displayName', 'description', 'category'];
+    for (const field of required) {
+      if (!fields[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
     }
-  } else if (contractData.currency === 'XRP') {
-    if (!contractData.ratePerSecond) {
-      throw new Error('XRP contracts require ratePerSecond');
+
+    // Validate currency-specific fields
+    if (fields.currency === 'XRP') {
+      if (!fields.ratePerSecond) {
+        throw new Error('XRP contracts require ratePerSecond');
+      }
+    } else {
+      assertSupportedCurrency(fields.currency);
+      if (!fields.totalAmount || !fields.duration) {
+        throw new Error(`${fields.currency} contracts require totalAmount and duration`);
+      }
     }
+  } else if (fields.currency !== undefined) {
+    assertSupportedCurrency(fields.currency);
   }
-  
+
+  const contracts = registry();
+
   // Generate contract ID
-  const contractId = contractData.contractId || 
-    `${providerId}-${contractData.category}-${Date.now()}`.toLowerCase()
+  const contractId = fields.contractId ||
+    `${providerId}-${fields.category || template}-${Date.now()}`.toLowerCase()
       .replace(/[^a-z0-9-]/g, '-');
-  
+
   // Check if contract ID already exists
-  if (STREAMING_CONTRACTS.has(contractId)) {
+  if (contracts.getContract(contractId)) {
     throw new Error(`Contract ID already exists: ${contractId}`);
   }
-  
-  const contract = {
+
+  const config = {
+    ...fields,
+    // Flat names win over the template's own
+    ...(fields.displayName && { name: fields.displayName }),
     contractId,
+    id: contractId,
     providerId,
-    providerAddress: contractData.providerAddress || null,
-    currency: contractData.currency,
-    displayName: contractData.displayName,
-    description: contractData.description,
-    category: contractData.category,
-    
-    // Currency-specific fields
-    ...(contractData.currency === 'RLUSD' && {
-      totalAmount: contractData.totalAmount,
-      duration: contractData.duration || 3600,
-      intervalSeconds: contractData.intervalSeconds || 10,
-    }),
-    ...(contractData.currency === 'XRP' && {
-      ratePerSecond: contractData.ratePerSecond,
-    }),
-    
-    // Optional fields
-    metadata: contractData.metadata || {},
-    tags: contractData.tags || [],
-    
-    // System fields
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
-    status: 'active',
+    tenantId,
+    providerAddress,
+    agentAddress: providerAddress,
+    revision: 1,
   };
-  
-  STREAMING_CONTRACTS.set(contractId, contract);
-  console.log(`✓ Created contract: ${contractId} by ${providerId}`);
-  
+  let contract;
+  if (template) {
+    // Flat terms override the template's pricing
+    const pricing = { ...fields.pricing };
+    for (const field of ['currency', 'totalAmount', 'duration', 'intervalSeconds']) {
+      if (fields[field] !== undefined) pricing[field] = fields[field];
+    }
+    if (fields.ratePerSecond !== undefined) {
+      Object.assign(pricing, { frequency: 1, costPerInterval: String(fields.ratePerSecond) });
+    }
+    contract = createContractFromTemplate(template, providerAddress, null, { ...config, pricing });
+  } else {
+    contract = new ServiceContract(config);
+  }
+
+  // The registry continues the revision history of a deleted contract ID
+  contracts.registerContract(contract);
+  console.log(`✓ Created contract: ${contractId} by ${providerAddress}`);
+
   return contract;
 }
 
 /**
  * Update an existing contract (Provider endpoint)
  * @param {string} contractId - Contract ID to update
- * @param {Object} updates - Fields to update
- * @param {string} providerId - Provider identifier (for authorization)
- * @returns {Object} Updated contract
+ * @param {Object} updates - Fields to update (either contract shape)
+ * @param {string} signerAddress - Address proven by a signed challenge
+ * @param {string} [tenantId] - Calling API key (null skips the tenant check)
+ * @returns {ServiceContract} Updated contract
  */
-function updateContract(contractId, updates, providerId) {
-  const contract = STREAMING_CONTRACTS.get(contractId);
-  
-  if (!contract) {
-    throw new Error(`Contract not found: ${contractId}`);
-  }
-  
-  // Authorization: only contract owner can update (or system admin)
-  if (contract.providerId !== providerId && providerId !== 'system') {
-    throw new Error('Unauthorized: You can only update your own contracts');
-  }
-  
+function updateContract(contractId, updates, signerAddress, tenantId = null) {
+  const contract = getContract(contractId);
+
+  // Authorization: only the provider address or its delegates
+  assertCanManage(contract, signerAddress, 'update', tenantId);
+
   // Prevent changing critical fields
-  const immutableFields = ['contractId', 'providerId', 'createdAt'];
+  const immutableFields = [
+    'id', 'contractId', 'providerId', 'providerAddress', 'agentAddress',
+    'tenantId', 'revision', 'createdAt',
+  ];
+  const changes = { ...updates };
   for (const field of immutableFields) {
-    if (updates[field] !== undefined) {
-      delete updates[field];
-    }
+    delete changes[field];
   }
-  
-  // Update contract
-  Object.assign(contract, updates, {
-    updatedAt: Date.now(),
-  });
-  
-  STREAMING_CONTRACTS.set(contractId, contract);
-  console.log(`✓ Updated contract: ${contractId}`);
-  
+  const currency = changes.currency || (changes.pricing && changes.pricing.currency);
+  if (currency !== undefined) {
+    assertSupportedCurrency(currency);
+  }
+
+  // Update contract; the previous terms stay available as a revision
+  registry().updateContract(contractId, changes);
+  console.log(`✓ Updated contract: ${contractId} (revision ${contract.revision})`);
+
   return contract;
 }
 
 /**
  * Delete a contract (Provider endpoint)
  * @param {string} contractId - Contract ID to delete
- * @param {string} providerId - Provider identifier (for authorization)
+ * @param {string} signerAddress - Address proven by a signed challenge
+ * @param {string} [tenantId] - Calling API key (null skips the tenant check)
  * @returns {boolean} True if deleted
  */
-function deleteContract(contractId, providerId) {
-  const contract = STREAMING_CONTRACTS.get(contractId);
-  
-  if (!contract) {
-    throw new Error(`Contract not found: ${contractId}`);
-  }
-  
-  // Authorization: only contract owner can delete (or system admin)
-  if (contract.providerId !== providerId && providerId !== 'system') {
-    throw new Error('Unauthorized: You can only delete your own contracts');
-  }
-  
-  STREAMING_CONTRACTS.delete(contractId);
+function deleteContract(contractId, signerAddress, tenantId = null) {
+  const contract = getContract(contractId);
+
+  // Authorization: only the provider address or its delegates
+  assertCanManage(contract, signerAddress, 'delete', tenantId);
+
+  registry().removeContract(contractId);
   console.log(`✓ Deleted contract: ${contractId}`);
-  
+
   return true;
 }
 
+/**
+ * Change whether a contract accepts new streams (Provider endpoint)
+ * Paused contracts can be resumed; running streams are not affected.
+ * @param {string} contractId - The contract identifier
+ * @param {string} action - 'pause', 'resume' or 'deactivate'
+ * @param {string} signerAddress - Address proven by a signed challenge
+ * @param {string} [tenantId] - Calling API key (null skips the tenant check)
+ * @returns {ServiceContract} The contract
+ */
+function setContractStatus(contractId, action, signerAddress, tenantId = null) {
+  if (!['pause', 'resume', 'deactivate'].includes(action)) {
+    throw new Error(`Unknown contract action: ${action}`);
+  }
+  const contract = getContract(contractId);
+  assertCanManage(contract, signerAddress, action, tenantId);
+
+  // The registry persists status changes
+  contract[action]();
+  console.log(`✓ Contract ${contractId} is now ${contract.status}`);
+
+  return contract;
+}
+
+/**
+ * Sign the terms of a revision as the provider (Provider endpoint)
+ * Consumers can only start streams on revisions their provider signed.
+ * @param {string} contractId - The contract identifier
+ * @param {Object} signed - { publicKey, signature, revision } over the
+ *   messageHex of getAgreementQuote(); revision defaults to the current one
+ * @param {string} signerAddress - Address proven by a signed challenge
+ * @param {string} [tenantId] - Calling API key (null skips the tenant check)
+ * @returns {Object} The provider's offer
+ */
+function signContractTerms(contractId, { publicKey, signature, revision }, signerAddress, tenantId = null) {
+  const contract = getContract(contractId);
+  assertCanManage(contract, signerAddress, 'sign', tenantId);
+
+  let keyAddress;
+  try {
+    keyAddress = deriveAddress(publicKey);
+  } catch (error) {
+    throw new Error('Invalid public key');
+  }
+  if (!canActFor(keyAddress, contract.providerAddress)) {
+    throw new Error(`Unauthorized: ${keyAddress} cannot sign for ${contract.providerAddress}`);
+  }
+
+  const snapshot = getContractRevision(contractId, revision || contract.revision);
+  if (!snapshot) {
+    throw new Error(`Contract revision not found: ${contractId}@${revision}`);
+  }
+  return getAgreementBook().signOffer(snapshot, { publicKey, signature });
+}
+
+/**
+ * Terms of a revision and the agreement message to sign (Public endpoint)
+ * @param {string} contractId - The contract identifier
+ * @param {number} [revision] - Defaults to the current revision
+ * @returns {Object} { terms, termsHash, message, messageHex, providerSigned }
+ */
+function getAgreementQuote(contractId, revision) {
+  const snapshot = getContractRevision(contractId, revision || getContract(contractId).revision);
+  if (!snapshot) {
+    throw new Error(`Contract revision not found: ${contractId}@${revision}`);
+  }
+  return getAgreementBook().quote(snapshot);
+}
+
 /**
  * Get a specific contract by ID (Public endpoint)
  * @param {string} contractId - The contract identifier
- * @returns {Object} Contract configuration
+ * @returns {ServiceContract} Contract
  * @throws {Error} If contract not found
  */
 function getContract(contractId) {
-  const contract = STREAMING_CONTRACTS.get(contractId);
-  
+  const contract = registry().getContract(contractId);
+
   if (!contract) {
     throw new Error(`Contract not found: ${contractId}`);
   }
-  
+
   return contract;
 }
 
 /**
  * List all contracts or filter by category/provider (Public endpoint)
- * @param {Object} filters - Optional filters
- * @returns {Array} Array of contract objects
+ * @param {Object} filters - Optional filters (category, providerId,
+ *   providerAddress, currency, status; status defaults to 'active')
+ * @returns {Array} Contracts, newest first
  */
 function listContracts(filters = {}) {
-  let contracts = Array.from(STREAMING_CONTRACTS.values());
-  
-  // Filter by category
-  if (filters.category) {
-    contracts = contracts.filter(c => c.category === filters.category);
-  }
-  
-  // Filter by provider
-  if (filters.providerId) {
-    contracts = contracts.filter(c => c.providerId === filters.providerId);
-  }
-  
-  // Filter by currency
-  if (filters.currency) {
-    contracts = contracts.filter(c => c.currency === filters.currency);
-  }
-  
-  // Filter by status
-  if (filters.status) {
-    contracts = contracts.filter(c => c.status === filters.status);
-  } else {
-    // Default: only show active contracts
-    contracts = contracts.filter(c => c.status === 'active');
-  }
-  
-  // Sort by creation date (newest first)
-  contracts.sort((a, b) => b.createdAt - a.createdAt);
-  
-  return contracts;
+  const { category, providerId, providerAddress, currency, status } = filters;
+  return registry().list({ category, providerId, providerAddress, currency, status });
 }
 
 /**
@@ -308,10 +550,8 @@ function listContracts(filters = {}) {
  */
 function getCategories() {
   const categories = {};
-  
-  STREAMING_CONTRACTS.forEach((contract) => {
-    if (contract.status !== 'active') return;
-    
+
+  registry().list().forEach((contract) => {
     const cat = contract.category;
     if (!categories[cat]) {
       categories[cat] = {
@@ -323,7 +563,7 @@ function getCategories() {
     categories[cat].count++;
     categories[cat].contracts.push(contract.contractId);
   });
-  
+
   return Object.values(categories);
 }
 
@@ -333,18 +573,7 @@ function getCategories() {
  * @returns {Array} Matching contracts
  */
 function searchContracts(keyword) {
-  const searchTerm = keyword.toLowerCase();
-  
-  return Array.from(STREAMING_CONTRACTS.values())
-    .filter(contract => {
-      return (
-        contract.status === 'active' &&
-        (contract.contractId.toLowerCase().includes(searchTerm) ||
-         contract.description.toLowerCase().includes(searchTerm) ||
-         contract.displayName.toLowerCase().includes(searchTerm) ||
-         contract.category.toLowerCase().includes(searchTerm))
-      );
-    });
+  return registry().search(keyword);
 }
 
 /**
@@ -352,38 +581,28 @@ function searchContracts(keyword) {
  * @returns {Object} Statistics about the registry
  */
 function getStats() {
-  const all = Array.from(STREAMING_CONTRACTS.values());
-  const active = all.filter(c => c.status === 'active');
-  
-  const byCategory = {};
-  const byCurrency = {};
-  const providers = new Set();
-  
-  active.forEach(contract => {
-    byCategory[contract.category] = (byCategory[contract.category] || 0) + 1;
-    byCurrency[contract.currency] = (byCurrency[contract.currency] || 0) + 1;
-    providers.add(contract.providerId);
-  });
-  
-  return {
-    total: all.length,
-    active: active.length,
-    inactive: all.length - active.length,
-    byCategory,
-    byCurrency,
-    providers: providers.size,
-  };
+  return registry().getStats();
 }
 
-// Initialize default contracts on module load
-initializeDefaults();
-
 module.exports = {
   createContract,
   updateContract,
   deleteContract,
+  setContractStatus,
+  signContractTerms,
+  getAgreementQuote,
+  canActFor,
+  addDelegate,
+  removeDelegate,
+  listDelegates,
+  loadContracts,
+  getContractRevision,
+  getContractHistory,
+  exportContracts,
+  importContracts,
   getContract,
   listContracts,
+  listTemplates,
   getCategories,
   searchContracts,
   getStats,
@@ -0,0 +1,227 @@
+/**
+ * tokenRegistry.js
+ * Issued tokens (IOUs) that streams can be paid in
+ *
+ * Streams that are not XRP pay in an issued currency, referenced everywhere
+ * by a token ID ("RLUSD", "EURC", ...). A token defines how its amounts are
+ * rounded and displayed, and per network the currency code and issuer that
+ * make up its ledger amounts:
+ *
+ *   EURC: {
+ *     decimals: 2,               // amounts are rounded to this many places
+ *     symbol: 'EURC',            // shown after amounts ("12.50 EURC")
+ *     sign: '€',                 // optional, shown before amounts instead ("€12.50")
+ *     displayName: 'Euro Coin',
+ *     networks: {
+ *       testnet: { currency: 'EUR', issuer: 'r...' },
+ *       mainnet: { currency: '4555524300000000000000000000000000000000', issuer: 'r...' },
+ *     },
+ *   }
+ *
+ * Currency codes are 3 characters ("USD") or 40 hex characters, the
+ * nonstandard form RLUSD uses on mainnet. RLUSD is built in; more tokens are
+ * loaded from the JSON file at config.tokens.registryFile (same shape, keyed
+ * by token ID) or added with registerToken().
+ */
+
+const fs = require('fs');
+const config = require('../../config');
+
+const BUILT_IN_TOKENS = {
+  RLUSD: {
+    decimals: 2,
+    symbol: 'RLUSD',
+    sign: '$',
+    displayName: 'Ripple USD',
+    networks: {
+      // Ripple's issuer; the currency code is "RLUSD" in hex
+      mainnet: { currency: '524C555344000000000000000000000000000000', issuer: 'rMxCKbEDwqr76QuheSUMdEGf4B9xJ8m5De' },
+      // Issuer of the test tokens minted by test-scripts/issue-rlusd.js
+      testnet: { currency: 'USD', issuer: 'rwZFUkGLkLujcCWykEw7BGJGKNw8N6qYKN' },
+    },
+  },
+};
+
+// Token ID -> definition (built lazily, see registry())
+let tokens = null;
+
+/**
+ * Whether a currency code can name an issued currency
+ * 3-character codes other than "XRP", or 40 hex characters not starting
+ * with 00 (that prefix is reserved for standard codes).
+ */
+function isValidCurrencyCode(code) {
+  if (typeof code !== 'string') return false;
+  if (/^[A-Za-z0-9?!@#$%^&*<>(){}[\]|]{3}$/.test(code)) {
+    return code.toUpperCase() !== 'XRP';
+  }
+  return /^[0-9A-Fa-f]{40}$/.test(code) && !code.startsWith('00');
+}
+
+/**
+ * Readable form of a currency code ("524C5553...00" -> "RLUSD")
+ */
+function currencyCodeToText(code) {
+  if (!/^[0-9A-Fa-f]{40}$/.test(code)) return code;
+  return Buffer.from(code, 'hex').toString('ascii').replace(/\0+$/, '');
+}
+
+/**
+ * Validate a token definition
+ * @returns {object} { valid, error }
+ */
+function validateToken(tokenId, definition) {
+  if (!/^[A-Za-z0-9_-]{1,32}$/.test(String(tokenId))) {
+    return { valid: false, error: 'Token IDs are 1-32 letters, digits, "-" or "_"' };
+  }
+  if (tokenId.toUpperCase() === 'XRP') {
+    return { valid: false, error: 'XRP is not an issued token' };
+  }
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, error: `Token ${tokenId} needs a definition` };
+  }
+
+  const { decimals, symbol, networks } = definition;
+  if (!(Number.isInteger(decimals) && decimals >= 0 && decimals <= 15)) {
+    return { valid: false, error: `Token ${tokenId}: decimals must be an integer from 0 to 15` };
+  }
+  if (symbol !== undefined && (typeof symbol !== 'string' || !symbol)) {
+    return { valid: false, error: `Token ${tokenId}: symbol must be a non-empty string` };
+  }
+  if (!networks || typeof networks !== 'object' || Object.keys(networks).length === 0) {
+    return { valid: false, error: `Token ${tokenId}: networks must map a network to { currency, issuer }` };
+  }
+
+  for (const [network, { currency, issuer } = {}] of Object.entries(networks)) {
+    if (!isValidCurrencyCode(currency)) {
+      return { valid: false, error: `Token ${tokenId} on ${network}: currency must be 3 characters (not XRP) or 40 hex characters` };
+    }
+    if (!/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(String(issuer))) {
+      return { valid: false, error: `Token ${tokenId} on ${network}: issuer must be an XRPL address` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Add or replace a token
+ * @param {string} tokenId - ID streams and contracts reference it by
+ * @param {object} definition - { decimals, symbol, sign?, displayName?, networks }
+ */
+function registerToken(tokenId, definition) {
+  const check = validateToken(tokenId, definition);
+  if (!check.valid) {
+    throw new Error(check.error);
+  }
+
+  registry().set(tokenId, {
+    decimals: definition.decimals,
+    symbol: definition.symbol || tokenId,
+    sign: definition.sign || null,
+    displayName: definition.displayName || definition.symbol || tokenId,
+    networks: { ...definition.networks },
+  });
+}
+
+function registry() {
+  if (tokens) return tokens;
+  tokens = new Map();
+
+  for (const [tokenId, definition] of Object.entries(BUILT_IN_TOKENS)) {
+    registerToken(tokenId, definition);
+  }
+
+  // RLUSD_CURRENCY / RLUSD_ISSUER point RLUSD elsewhere on the configured network
+  const { rlusd, registryFile } = config.tokens;
+  if (rlusd.currency || rlusd.issuer) {
+    const { networks } = BUILT_IN_TOKENS.RLUSD;
+    const current = networks[config.network.type] || networks.testnet;
+    registerToken('RLUSD', {
+      ...BUILT_IN_TOKENS.RLUSD,
+      networks: {
+        ...networks,
+        [config.network.type]: {
+          currency: rlusd.currency || current.currency,
+          issuer: rlusd.issuer || current.issuer,
+        },
+      },
+    });
+  }
+
+  if (registryFile) {
+    const definitions = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+    for (const [tokenId, definition] of Object.entries(definitions)) {
+      registerToken(tokenId, definition);
+    }
+    console.log(`✓ Loaded ${Object.keys(definitions).length} token(s) from ${registryFile}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether a token is registered and issued on a network
+ */
+function hasToken(tokenId, network = config.network.type) {
+  const definition = registry().get(tokenId);
+  return Boolean(definition && definition.networks[network]);
+}
+
+/**
+ * A token as issued on a network
+ * @param {string} tokenId - Registered token ID (defaults to config.tokens.defaultToken)
+ * @param {string} network - Network type (defaults to config.network.type)
+ * @returns {object} { id, currency, issuer, decimals, symbol, sign, displayName, network }
+ */
+function getToken(tokenId = config.tokens.defaultToken, network = config.network.type) {
+  const definition = registry().get(tokenId);
+  if (!definition) {
+    throw new Error(`Unknown token: ${tokenId}`);
+  }
+
+  const issued = definition.networks[network];
+  if (!issued) {
+    throw new Error(`Token ${tokenId} is not issued on ${network}`);
+  }
+
+  const { networks, ...token } = definition;
+  return { id: tokenId, ...token, currency: issued.currency, issuer: issued.issuer, network };
+}
+
+/**
+ * Tokens issued on a network (for discovery endpoints)
+ */
+function listTokens(network = config.network.type) {
+  return Array.from(registry().keys())
+    .filter((tokenId) => hasToken(tokenId, network))
+    .map((tokenId) => getToken(tokenId, network));
+}
+
+/**
+ * Ledger amount of a token, e.g. for Payment.Amount
+ * @returns {object} { currency, issuer, value }
+ */
+function tokenAmount(tokenId, value) {
+  const { currency, issuer } = getToken(tokenId);
+  return { currency, issuer, value: value.toString() };
+}
+
+/**
+ * Forget registered tokens (tests); the next lookup reloads the defaults
+ */
+function resetTokenRegistry() {
+  tokens = null;
+}
+
+module.exports = {
+  isValidCurrencyCode,
+  currencyCodeToText,
+  validateToken,
+  registerToken,
+  hasToken,
+  getToken,
+  listTokens,
+  tokenAmount,
+  resetTokenRegistry,
+};
@@ -0,0 +1,316 @@
+/**
+ * agreements.js
+ * Signed service agreements between a stream's consumer and its provider
+ *
+ * The terms of a contract revision are hashed (SHA-256 over canonical JSON)
+ * and both parties sign the same agreement message with their XRPL keys:
+ *
+ *   provider  signs each revision once (an offer), with the provider address
+ *             or a delegate's key; built-in contracts are signed by the
+ *             server's system key (config.agreements.systemSeed)
+ *   consumer  signs when starting a stream; the server signs for server-held
+ *             wallets, non-custodial clients send their own signature
+ *
+ * The agreement is stored per session and binds the stream to the terms it
+ * started under, whatever later revisions of the contract say.
+ */
+
+const crypto = require('crypto');
+const xrpl = require('xrpl');
+const { deriveAddress, sign, verify } = require('ripple-keypairs');
+const config = require('../../config');
+const { getContractStore, persistInBackground } = require('./contractStore');
+
+// Contract fields a consumer agrees to (the rest is presentation)
+const TERM_FIELDS = [
+  'contractId',
+  'revision',
+  'providerId',
+  'providerAddress',
+  'currency',
+  'ratePerSecond',
+  'totalAmount',
+  'duration',
+  'intervalSeconds',
+  'pricing',
+];
+
+/**
+ * Agreed terms of a contract revision (its toJSON() snapshot)
+ */
+function contractTerms(snapshot) {
+  const terms = {};
+  for (const field of TERM_FIELDS) {
+    if (snapshot[field] !== undefined && snapshot[field] !== null) {
+      terms[field] = snapshot[field];
+    }
+  }
+  return terms;
+}
+
+/**
+ * JSON with object keys sorted, so equal terms always hash the same
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashTerms(terms) {
+  return crypto.createHash('sha256').update(canonicalJSON(terms)).digest('hex').toUpperCase();
+}
+
+/**
+ * Message both parties sign for a set of terms
+ */
+function agreementMessage(terms, termsHash = hashTerms(terms)) {
+  return `StreamPay service agreement\nContract: ${terms.contractId}\nRevision: ${terms.revision}\nTerms: ${termsHash}`;
+}
+
+function toHex(message) {
+  return Buffer.from(message, 'utf8').toString('hex').toUpperCase();
+}
+
+/**
+ * Sign an agreement message with a wallet
+ * @returns {object} { address, publicKey, signature }
+ */
+function signAgreement(message, wallet) {
+  return {
+    address: wallet.address,
+    publicKey: wallet.publicKey,
+    signature: sign(toHex(message), wallet.privateKey),
+  };
+}
+
+/**
+ * Whether a signature over an agreement message is valid
+ */
+function verifySignature(message, { publicKey, signature } = {}) {
+  try {
+    return verify(toHex(message), signature, publicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+class AgreementBook {
+  constructor() {
+    this.offers = new Map(); // "contractId@revision" -> provider signature of those terms
+    this.agreements = new Map(); // sessionId -> agreement
+    this.systemWallet = null;
+    this.store = null;
+  }
+
+  /**
+   * Load persisted offers and agreements, then write changes through
+   * @param {object} store - Contract store (see contractStore.js)
+   * @returns {Promise<number>} Number of agreements loaded
+   */
+  async load(store = getContractStore()) {
+    const [offers, agreements] = await Promise.all([
+      store.list('contract-offer'),
+      store.list('agreement'),
+    ]);
+
+    for (const offer of offers) {
+      this.offers.set(`${offer.contractId}@${offer.revision}`, offer);
+    }
+    for (const agreement of agreements) {
+      this.agreements.set(agreement.sessionId, agreement);
+    }
+
+    this.store = store;
+    return agreements.length;
+  }
+
+  /**
+   * Terms of a revision and the message to sign for them
+   * @param {object} snapshot - Contract revision (toJSON() snapshot)
+   * @returns {object} { terms, termsHash, message, messageHex, providerSigned }
+   */
+  quote(snapshot) {
+    const terms = contractTerms(snapshot);
+    const termsHash = hashTerms(terms);
+    const message = agreementMessage(terms, termsHash);
+
+    return {
+      terms,
+      termsHash,
+      message,
+      messageHex: toHex(message),
+      providerSigned: Boolean(this.getOffer(terms.contractId, terms.revision)) || !terms.providerAddress,
+    };
+  }
+
+  /**
+   * Record the provider's signature of a revision's terms
+   * The caller checks that the signing key may act for the provider.
+   * @param {object} snapshot - Contract revision (toJSON() snapshot)
+   * @param {object} signature - { publicKey, signature }
+   * @returns {object} The offer
+   */
+  signOffer(snapshot, { publicKey, signature }) {
+    const { terms, termsHash, message } = this.quote(snapshot);
+    if (!verifySignature(message, { publicKey, signature })) {
+      throw new Error('Invalid signature of the contract terms');
+    }
+
+    const offer = {
+      contractId: terms.contractId,
+      revision: terms.revision,
+      termsHash,
+      address: deriveAddress(publicKey),
+      publicKey,
+      signature,
+      signedAt: Date.now(),
+    };
+    const key = `${offer.contractId}@${offer.revision}`;
+    this.offers.set(key, offer);
+    if (this.store) {
+      persistInBackground(this.store.save('contract-offer', key, offer), `offer ${key}`);
+    }
+
+    console.log(`✓ Provider ${offer.address} signed ${key}`);
+    return offer;
+  }
+
+  getOffer(contractId, revision) {
+    return this.offers.get(`${contractId}@${revision}`) || null;
+  }
+
+  /**
+   * Key that signs the terms of built-in contracts
+   * Without AGREEMENT_SYSTEM_SEED a key is generated per process, so
+   * agreements stay verifiable (they carry the public key) but the signer
+   * changes on every restart.
+   */
+  getSystemWallet() {
+    if (!this.systemWallet) {
+      if (config.agreements.systemSeed) {
+        this.systemWallet = xrpl.Wallet.fromSeed(config.agreements.systemSeed);
+      } else {
+        this.systemWallet = xrpl.Wallet.generate();
+        console.warn('⚠️  AGREEMENT_SYSTEM_SEED not set - built-in contracts are signed with a temporary key');
+      }
+    }
+    return this.systemWallet;
+  }
+
+  /**
+   * Agreement on a revision's terms, signed by both parties
+   * @param {object} snapshot - Contract revision (toJSON() snapshot)
+   * @param {object} consumer - { address, publicKey, signature }
+   * @returns {object} Agreement (not yet bound to a session)
+   */
+  createAgreement(snapshot, consumer) {
+    const { terms, termsHash, message } = this.quote(snapshot);
+
+    let provider;
+    if (terms.providerAddress) {
+      const offer = this.getOffer(terms.contractId, terms.revision);
+      if (!offer || offer.termsHash !== termsHash) {
+        throw new Error(`Provider has not signed revision ${terms.revision} of ${terms.contractId}`);
+      }
+      provider = { address: offer.address, publicKey: offer.publicKey, signature: offer.signature, signedAt: offer.signedAt };
+    } else {
+      provider = { ...signAgreement(message, this.getSystemWallet()), signedAt: Date.now() };
+    }
+
+    if (!verifySignature(message, consumer)) {
+      throw new Error('Consumer signature does not match the current contract terms');
+    }
+
+    return {
+      agreementId: `agr_${crypto.randomBytes(12).toString('hex')}`,
+      contractId: terms.contractId,
+      revision: terms.revision,
+      terms,
+      termsHash,
+      message,
+      consumer: {
+        address: consumer.address,
+        publicKey: consumer.publicKey,
+        signature: consumer.signature,
+        signedAt: Date.now(),
+      },
+      provider,
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Store an agreement with the session it started
+   */
+  record(sessionId, agreement) {
+    const stored = { ...agreement, sessionId };
+    this.agreements.set(sessionId, stored);
+    if (this.store) {
+      persistInBackground(this.store.save('agreement', sessionId, stored), `agreement of ${sessionId}`);
+    }
+    return stored;
+  }
+
+  get(sessionId) {
+    return this.agreements.get(sessionId) || null;
+  }
+
+  /**
+   * Check an agreement's hash and both signatures
+   * @returns {object} { valid, error }
+   */
+  verify(agreement) {
+    const termsHash = hashTerms(agreement.terms);
+    if (termsHash !== agreement.termsHash) {
+      return { valid: false, error: 'Terms do not match the agreed hash' };
+    }
+
+    const message = agreementMessage(agreement.terms, termsHash);
+    for (const party of ['provider', 'consumer']) {
+      const { address, publicKey } = agreement[party];
+      if (!verifySignature(message, agreement[party]) || deriveAddress(publicKey) !== address) {
+        return { valid: false, error: `Invalid ${party} signature` };
+      }
+    }
+    return { valid: true };
+  }
+}
+
+// Singleton instance
+let bookInstance = null;
+
+/**
+ * Get the singleton agreement book
+ */
+function getAgreementBook() {
+  if (!bookInstance) {
+    bookInstance = new AgreementBook();
+  }
+  return bookInstance;
+}
+
+/**
+ * Reset the agreement book (mainly for testing)
+ */
+function resetAgreementBook() {
+  bookInstance = null;
+}
+
+module.exports = {
+  AgreementBook,
+  contractTerms,
+  hashTerms,
+  agreementMessage,
+  signAgreement,
+  verifySignature,
+  getAgreementBook,
+  resetAgreementBook,
+};
@@ -6,55 +6,61 @@
  * amount received so far and other channel metadata locally.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const config = require('../../config');
+const { createStorageAdapter, JsonStorageAdapter } = require('./storage');
 
 /**
- * In-memory storage with file persistence
- * For production, consider using Redis, SQLite, or PostgreSQL
+ * In-memory cache backed by a pluggable storage adapter
+ * The backend is picked by config.storage.driver (json, sqlite or journal)
  */
 class ChannelStore {
-  constructor(storePath = './data/channels.json') {
-    this.storePath = storePath;
+  /**
+   * @param {string|object} storage - JSON file path (legacy), a storage
+   *   adapter instance, or a storage config block (defaults to config.storage)
+   */
+  constructor(storage = config.storage) {
+    if (typeof storage === 'string') {
+      this.adapter = new JsonStorageAdapter({ ...config.storage, path: storage });
+    } else if (typeof storage.load === 'function') {
+      this.adapter = storage;
+    } else {
+      this.adapter = createStorageAdapter(storage);
+    }
+    
+    this.maxClaimHistory = this.adapter.maxClaimHistory || config.storage.maxClaimHistory;
     this.channels = new Map();
     this.claimHistory = new Map();
     this.initialized = false;
+    this.initializing = null;
   }
   
   /**
-   * Initialize the store (load from disk if exists)
+   * Initialize the store (load from the storage backend)
    */
   async initialize() {
     if (this.initialized) return;
     
+    // Concurrent callers share one load
+    if (!this.initializing) {
+      this.initializing = this.load().finally(() => {
+        this.initializing = null;
+      });
+    }
+    
+    return this.initializing;
+  }
+  
+  async load() {
     try {
-      // Ensure data directory exists
-      const dir = path.dirname(this.storePath);
-      await fs.mkdir(dir, { recursive: true });
+      await this.adapter.initialize();
       
-      // Load existing data if available
-      try {
-        const data = await fs.readFile(this.storePath, 'utf8');
-        const parsed = JSON.parse(data);
-        
-        // Restore channels
-        if (parsed.channels) {
-          this.channels = new Map(Object.entries(parsed.channels));
-        }
-        
-        // Restore claim history
-        if (parsed.claimHistory) {
-          this.claimHistory = new Map(
-            Object.entries(parsed.claimHistory).map(([k, v]) => [k, v || []])
-          );
-        }
-        
+      const { channels, claimHistory } = await this.adapter.load();
+      this.channels = channels;
+      this.claimHistory = claimHistory;
+      
+      if (this.channels.size > 0) {
         console.log(`✓ Loaded ${this.channels.size} channels from storage`);
-      } catch (err) {
-        if (err.code !== 'ENOENT') {
-          console.error('Error loading channel store:', err);
-        }
-        // File doesn't exist yet, start fresh
+      } else {
         console.log('✓ Initialized new channel store');
       }
       
@@ -66,21 +72,11 @@ class ChannelStore {
   }
   
   /**
-   * Persist current state to disk
+   * Flush and release the storage backend
    */
-  async persist() {
-    try {
-      const data = {
-        channels: Object.fromEntries(this.channels),
-        claimHistory: Object.fromEntries(this.claimHistory),
-        lastUpdated: new Date().toISOString(),
-      };
-      
-      await fs.writeFile(this.storePath, JSON.stringify(data, null, 2), 'utf8');
-    } catch (error) {
-      console.error('Error persisting channel store:', error);
-      throw error;
-    }
+  async close() {
+    await this.adapter.close();
+    this.initialized = false;
   }
   
   /**
@@ -98,7 +94,7 @@ class ChannelStore {
     };
     
     this.channels.set(channelId, updated);
-    await this.persist();
+    await this.adapter.saveChannel(channelId, updated);
     
     return updated;
   }
@@ -126,7 +122,7 @@ class ChannelStore {
     await this.initialize();
     this.channels.delete(channelId);
     this.claimHistory.delete(channelId);
-    await this.persist();
+    await this.adapter.deleteChannel(channelId);
   }
   
   /**
@@ -158,7 +154,7 @@ class ChannelStore {
     channel.lastFinalizationTime = Date.now();
     
     this.channels.set(channelId, channel);
-    await this.persist();
+    await this.adapter.saveChannel(channelId, channel);
     
     return channel;
   }
@@ -169,19 +165,21 @@ class ChannelStore {
   async addClaimToHistory(channelId, claim) {
     await this.initialize();
     
-    const history = this.claimHistory.get(channelId) || [];
-    history.push({
+    const entry = {
       ...claim,
       timestamp: Date.now(),
-    });
+    };
     
-    // Keep only last 1000 claims per channel to prevent memory issues
-    if (history.length > 1000) {
+    const history = this.claimHistory.get(channelId) || [];
+    history.push(entry);
+    
+    // Keep only the most recent claims per channel to prevent memory issues
+    if (history.length > this.maxClaimHistory) {
       history.shift();
     }
     
     this.claimHistory.set(channelId, history);
-    await this.persist();
+    await this.adapter.appendClaim(channelId, entry);
   }
   
   /**
@@ -252,7 +250,8 @@ class ChannelStore {
     
     this.channels.set(channelId, channelData);
     this.claimHistory.set(channelId, []);
-    await this.persist();
+    await this.adapter.saveChannel(channelId, channelData);
+    await this.adapter.resetClaimHistory(channelId);
     
     console.log(`✓ Initialized channel ${channelId} in store`);
     
@@ -271,9 +270,10 @@ class ChannelStore {
    * Clear all data (use with caution!)
    */
   async clearAll() {
+    await this.initialize();
     this.channels.clear();
     this.claimHistory.clear();
-    await this.persist();
+    await this.adapter.clear();
     console.log('✓ Cleared all channel data');
   }
 }
@@ -283,10 +283,11 @@ let storeInstance = null;
 
 /**
  * Get the singleton channel store instance
+ * @param {string|object} storage - Optional override (see ChannelStore constructor)
  */
-function getChannelStore(storePath) {
+function getChannelStore(storage) {
   if (!storeInstance) {
-    storeInstance = new ChannelStore(storePath);
+    storeInstance = new ChannelStore(storage);
   }
   return storeInstance;
 }
@@ -0,0 +1,241 @@
+/**
+ * channelTopUp.js
+ * Opt-in automatic refill of payment channels for sender sessions
+ *
+ * A sender session can carry an auto top-up policy. When its accrued amount
+ * crosses config.channel.LOW_BALANCE_THRESHOLD of the channel, the channel is
+ * funded with a fixed amount or with enough to cover N more minutes at the
+ * session's rate, never exceeding the session's spending cap.
+ *
+ * Outcomes are emitted on the session manager:
+ *   channelToppedUp   { sessionId, channelId, amount, totalAdded, transactionHash }
+ *   topUpRefused      { sessionId, channelId, reason }
+ *
+ * Every sender session, with or without a policy, also reports crossing the
+ * threshold once:
+ *   channelLowBalance { sessionId, channelId, used, capacity, usagePercent }
+ */
+
+const config = require('../../config');
+const { fundChannel, checkFundingStatus } = require('../../contracts/fundChannel');
+
+// Longest wait between retries after failed funding attempts
+const MAX_RETRY_DELAY_MS = 300000; // 5 minutes
+
+/**
+ * Validate an auto top-up policy from a request body
+ * Policy: { amount?: drops, minutes?: number, maxTotal: drops }
+ */
+function validateTopUpPolicy(policy) {
+  if (typeof policy !== 'object' || policy === null) {
+    return { valid: false, error: 'autoTopUp must be an object' };
+  }
+
+  if (policy.amount !== undefined && policy.minutes !== undefined) {
+    return { valid: false, error: 'autoTopUp takes either amount or minutes, not both' };
+  }
+
+  if (policy.amount !== undefined && !/^[1-9]\d*$/.test(String(policy.amount))) {
+    return { valid: false, error: 'autoTopUp.amount must be a positive integer (drops)' };
+  }
+
+  if (policy.minutes !== undefined && !(Number(policy.minutes) > 0)) {
+    return { valid: false, error: 'autoTopUp.minutes must be a positive number' };
+  }
+
+  if (!/^[1-9]\d*$/.test(String(policy.maxTotal))) {
+    return { valid: false, error: 'autoTopUp.maxTotal (spending cap in drops) is required' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Build the top-up state stored on a sender session
+ */
+function createTopUpState(policy) {
+  const normalized = { maxTotal: String(policy.maxTotal) };
+
+  if (policy.amount !== undefined) {
+    normalized.amount = String(policy.amount);
+  } else {
+    normalized.minutes = Number(policy.minutes || config.channel.DEFAULT_TOP_UP_MINUTES);
+  }
+
+  return {
+    policy: normalized,
+    totalAdded: '0',
+    refills: [],
+    capReached: false,
+  };
+}
+
+/**
+ * Refill size for a session, before applying the spending cap
+ */
+function getRefillAmount(topUp, ratePerSecond) {
+  if (topUp.policy.amount) {
+    return BigInt(topUp.policy.amount);
+  }
+  return BigInt(Math.ceil(topUp.policy.minutes * 60)) * BigInt(ratePerSecond);
+}
+
+class ChannelTopUpMonitor {
+  /**
+   * @param {SessionManager} manager - Session manager holding sender sessions
+   * @param {object} ledger - Ledger calls (defaults to contracts/fundChannel.js)
+   */
+  constructor(manager, ledger = { fundChannel, checkFundingStatus }) {
+    this.manager = manager;
+    this.ledger = ledger;
+    this.timer = null;
+    this.inFlight = new Set(); // sessionIds currently being funded
+    this.retries = new Map(); // sessionId -> { failures, nextAttemptAt }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkAll().catch((error) => {
+        console.error('Channel top-up check failed:', error.message);
+      });
+    }, config.channel.TOP_UP_CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Report low balances and refill sessions that have a top-up policy
+   */
+  async checkAll() {
+    for (const [sessionId, session] of this.manager.xrpSessions) {
+      if (session.role !== 'sender') continue;
+
+      this.checkLowBalance(sessionId, session);
+      if (session.topUp) {
+        await this.checkSession(sessionId, session);
+      }
+    }
+  }
+
+  /**
+   * Emit channelLowBalance once per crossing (re-armed after a refill)
+   */
+  checkLowBalance(sessionId, session) {
+    const used = BigInt(session.signer.getCurrentAmount());
+    const capacity = BigInt(session.channelInfo.Amount);
+    const usagePercent = capacity > 0n ? Number(used * 10000n / capacity) / 100 : 100;
+    const low = usagePercent >= (1 - config.channel.LOW_BALANCE_THRESHOLD) * 100;
+
+    if (low && !session.lowBalanceReported) {
+      this.manager.emit('channelLowBalance', {
+        sessionId,
+        channelId: session.channelId,
+        used: used.toString(),
+        capacity: capacity.toString(),
+        usagePercent,
+      });
+    }
+    session.lowBalanceReported = low;
+  }
+
+  async checkSession(sessionId, session) {
+    if (this.inFlight.has(sessionId) || session.topUp.capReached) return;
+
+    const retry = this.retries.get(sessionId);
+    if (retry && Date.now() < retry.nextAttemptAt) return;
+
+    // Cheap local estimate first; the ledger is only asked near the threshold
+    const used = BigInt(session.signer.getCurrentAmount());
+    const capacity = BigInt(session.channelInfo.Amount);
+    const thresholdPercent = (1 - config.channel.LOW_BALANCE_THRESHOLD) * 100;
+    if (capacity > 0n && Number(used * 10000n / capacity) / 100 < thresholdPercent) return;
+
+    this.inFlight.add(sessionId);
+    try {
+      await this.refill(sessionId, session, used, thresholdPercent);
+      this.retries.delete(sessionId);
+    } catch (error) {
+      const failures = (retry ? retry.failures : 0) + 1;
+      const delay = Math.min(
+        config.channel.TOP_UP_CHECK_INTERVAL_MS * 2 ** failures,
+        MAX_RETRY_DELAY_MS
+      );
+      this.retries.set(sessionId, { failures, nextAttemptAt: Date.now() + delay });
+      this.refuse(sessionId, session, `Funding failed: ${error.message}`);
+    } finally {
+      this.inFlight.delete(sessionId);
+    }
+  }
+
+  async refill(sessionId, session, used, thresholdPercent) {
+    const { channelId } = session;
+    const status = await this.ledger.checkFundingStatus(channelId, used.toString(), thresholdPercent);
+
+    // The channel may have been funded elsewhere since we last looked
+    session.channelInfo.Amount = String(status.totalAmount);
+    session.signer.setCapacity(session.channelInfo.Amount);
+    if (!status.needsFunding) {
+      await this.manager.saveXRPSession(sessionId);
+      return;
+    }
+
+    const { topUp } = session;
+    const remainingCap = BigInt(topUp.policy.maxTotal) - BigInt(topUp.totalAdded);
+    if (remainingCap <= 0n) {
+      topUp.capReached = true;
+      await this.manager.saveXRPSession(sessionId);
+      this.refuse(sessionId, session, 'Spending cap reached');
+      return;
+    }
+
+    let amount = getRefillAmount(topUp, session.signer.ratePerSecond);
+    if (amount > remainingCap) {
+      amount = remainingCap;
+    }
+
+    const result = await this.ledger.fundChannel(session.signer.wallet, channelId, amount.toString());
+
+    session.channelInfo.Amount = result.newBalance;
+    session.signer.setCapacity(result.newBalance);
+    topUp.totalAdded = (BigInt(topUp.totalAdded) + amount).toString();
+    topUp.refills.push({
+      amount: amount.toString(),
+      transactionHash: result.transactionHash,
+      newBalance: result.newBalance,
+      timestamp: Date.now(),
+    });
+    await this.manager.saveXRPSession(sessionId);
+
+    console.log(`💧 Topped up channel ${channelId} by ${Number(amount) / 1000000} XRP`);
+    this.manager.emit('channelToppedUp', {
+      sessionId,
+      channelId,
+      amount: amount.toString(),
+      totalAdded: topUp.totalAdded,
+      newBalance: result.newBalance,
+      transactionHash: result.transactionHash,
+    });
+  }
+
+  refuse(sessionId, session, reason) {
+    console.warn(`⚠️  Not topping up channel ${session.channelId}: ${reason}`);
+    this.manager.emit('topUpRefused', {
+      sessionId,
+      channelId: session.channelId,
+      reason,
+    });
+  }
+}
+
+module.exports = {
+  ChannelTopUpMonitor,
+  validateTopUpPolicy,
+  createTopUpState,
+};
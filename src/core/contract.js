@@ -1,63 +1,111 @@
 /**
  * contract.js
  * Service Contract system for agent-to-agent service discovery and streaming
- * 
+ *
  * Contracts define services that agents offer, allowing other agents to discover
- * and establish payment channels for those services automatically.
- * 
- * PRICING MODEL:
+ * and establish payment channels for those services automatically. This is the
+ * one contract model: the unified API (config/contractsRegistry.js) and agents
+ * share the registry below.
+ *
+ * PRICING MODELS:
+ *
+ * 'rate' (XRP payment channels)
  * - frequency: Number (in seconds) - how often streaming packets are sent
  * - costPerInterval: String (XRP drops) - cost per frequency interval
  * - rate: String (calculated) - drops/second (costPerInterval / frequency)
  * - unit: String - description of what customer gets (e.g., 'per MB-hour')
- * 
+ *
  * This makes verification simple: check if packets arrive at expected frequency
  * with expected cost. Services use smallest quantum units for easy scaling.
- * 
+ *
  * Examples:
  * - Video streaming: frequency=1s, cost=100 drops/s
  * - API access: frequency=0.1s (10 calls/sec), cost=1 drop/call
  * - Data storage: frequency=3600s (1hr), cost=2 drops/MB-hr
  * - Compute service: frequency=1s, cost=3 drops/CPU-sec
+ *
+ * 'fixed' (RLUSD or another registered token, direct payments)
+ * - currency: String - token ID from config/tokenRegistry.js (e.g. 'RLUSD')
+ * - totalAmount: String (whole tokens) - paid over the whole session
+ * - duration: Number (in seconds) - session length
+ * - intervalSeconds: Number - seconds between installments
+ *
+ * Contracts also accept the flat shape of the unified API (contractId,
+ * providerAddress, displayName, currency, ratePerSecond or totalAmount/
+ * duration/intervalSeconds) and expose it through getters and toJSON().
  */
 
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const config = require('../../config');
+const { persistInBackground } = require('./contractStore');
+
+// Flat fields that change a contract's pricing
+const PRICING_FIELDS = ['currency', 'ratePerSecond', 'totalAmount', 'duration', 'intervalSeconds'];
+
+/**
+ * Pricing of a contract from either shape
+ * Nested pricing wins; flat ratePerSecond means one packet per second.
+ */
+function buildPricing(config) {
+  const pricing = config.pricing || {};
+  const currency = pricing.currency || config.currency || 'XRP';
+
+  // Anything but XRP is an issued token (see tokenRegistry.js)
+  if (currency !== 'XRP') {
+    return {
+      model: 'fixed',
+      currency,
+      totalAmount: String(pricing.totalAmount || config.totalAmount || '0'),
+      duration: Number(pricing.duration || config.duration || 3600),
+      intervalSeconds: Number(pricing.intervalSeconds || config.intervalSeconds || 10),
+      unit: pricing.unit || 'per session',
+    };
+  }
+
+  const frequency = pricing.frequency || 1; // Seconds between streaming packets (packet send interval)
+  const costPerInterval = String(pricing.costPerInterval || config.ratePerSecond || '1000'); // XRP drops per frequency interval
+
+  return {
+    model: 'rate',
+    currency: 'XRP',
+    frequency,
+    costPerInterval,
+    // Calculated: drops/second from frequency and cost
+    rate: Math.floor(parseFloat(costPerInterval) / frequency).toString(),
+    unit: pricing.unit || 'second', // Description: 'per second', 'per MB-hour', 'per call', etc.
+    minChannelAmount: pricing.minChannelAmount || '10000000', // 10 XRP minimum
+    recommendedChannelAmount: pricing.recommendedChannelAmount || '100000000', // 100 XRP recommended
+  };
+}
 
 /**
  * Service Contract
- * 
+ *
  * Defines a service that an agent offers and the payment terms
  */
 class ServiceContract extends EventEmitter {
   constructor(config) {
     super();
-    
-    this.id = config.id || this._generateId();
-    this.agentAddress = config.agentAddress; // XRPL address of service provider
-    this.agentPublicKey = config.agentPublicKey;
-    
+
+    this.id = config.id || config.contractId || this._generateId();
+    this.agentAddress = config.agentAddress || config.providerAddress || null; // XRPL address of service provider
+    this.agentPublicKey = config.agentPublicKey || null;
+    this.providerId = config.providerId || this.agentAddress; // Display identifier of the provider
+    this.tenantId = config.tenantId || null; // API key that created the contract
+
     // Service metadata
-    this.name = config.name;
+    this.name = config.name || config.displayName;
     this.description = config.description;
-    this.serviceType = config.serviceType; // 'video', 'api', 'storage', 'compute', 'custom'
+    this.serviceType = config.serviceType || 'custom'; // 'video', 'api', 'storage', 'compute', 'custom'
     this.category = config.category; // 'media', 'data', 'infrastructure', etc.
     this.version = config.version || '1.0.0';
-    
+    this.revision = config.revision || 1; // Bumped on every registry update
+    this.tags = config.tags || [];
+
     // Payment terms - simplified for easy verification
-    this.pricing = {
-      frequency: config.pricing?.frequency || 1, // Seconds between streaming packets (packet send interval)
-      costPerInterval: config.pricing?.costPerInterval || '1000', // XRP drops per frequency interval
-      rate: null, // Calculated: drops/second (set below)
-      unit: config.pricing?.unit || 'second', // Description: 'per second', 'per MB-hour', 'per call', etc.
-      minChannelAmount: config.pricing?.minChannelAmount || '10000000', // 10 XRP minimum
-      recommendedChannelAmount: config.pricing?.recommendedChannelAmount || '100000000', // 100 XRP recommended
-      currency: 'XRP',
-    };
-    
-    // Calculate rate (drops/second) from frequency and cost
-    this.pricing.rate = Math.floor(parseFloat(this.pricing.costPerInterval) / this.pricing.frequency).toString();
-    
+    this.pricing = buildPricing(config);
+
     // Service configuration
     this.config = {
       maxConcurrentStreams: config.maxConcurrentStreams || 10,
@@ -66,58 +114,140 @@ class ServiceContract extends EventEmitter {
       requiresAuthentication: config.requiresAuthentication !== undefined ? config.requiresAuthentication : false,
       metadata: config.metadata || {},
     };
-    
+
     // Service endpoints/access
     this.endpoints = config.endpoints || [];
-    
+
     // Status
     this.status = 'active'; // 'active', 'paused', 'inactive'
     this.createdAt = Date.now();
     this.updatedAt = Date.now();
-    
+
     // Active subscriptions (consumers)
-    this.activeSubscriptions = new Map(); // channelId -> subscription info
+    this.activeSubscriptions = new Map(); // channelId or sessionId -> subscription info
+
+    // Consumers queued for a free slot, in arrival order (kept in memory only)
+    this.waitlist = new Map(); // waitlistId -> waitlist entry
   }
-  
+
   _generateId() {
     return `contract_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
-  
+
+  // Flat view used by the unified API
+  get contractId() { return this.id; }
+  get providerAddress() { return this.agentAddress; }
+  get displayName() { return this.name; }
+  get currency() { return this.pricing.currency; }
+  get metadata() { return this.config.metadata; }
+  get ratePerSecond() { return this.pricing.model === 'rate' ? this.pricing.rate : undefined; }
+  get totalAmount() { return this.pricing.totalAmount; }
+  get duration() { return this.pricing.duration; }
+  get intervalSeconds() { return this.pricing.intervalSeconds; }
+
+  /**
+   * Terms a stream is started with (what /api/unified/start consumes)
+   * @returns {object} { currency, ratePerSecond } or { currency, totalAmount, duration, intervalSeconds }
+   */
+  toStreamTerms() {
+    if (this.pricing.model === 'fixed') {
+      return {
+        currency: this.pricing.currency,
+        totalAmount: this.pricing.totalAmount,
+        duration: this.pricing.duration,
+        intervalSeconds: this.pricing.intervalSeconds,
+      };
+    }
+    return {
+      currency: this.pricing.currency,
+      ratePerSecond: this.pricing.rate,
+    };
+  }
+
   /**
-   * Convert to JSON for storage/transmission
+   * Convert to JSON for storage/transmission (both shapes)
    */
   toJSON() {
     return {
       id: this.id,
+      contractId: this.id,
       agentAddress: this.agentAddress,
+      providerAddress: this.agentAddress,
       agentPublicKey: this.agentPublicKey,
+      providerId: this.providerId,
+      tenantId: this.tenantId,
       name: this.name,
+      displayName: this.name,
       description: this.description,
       serviceType: this.serviceType,
       category: this.category,
       version: this.version,
+      revision: this.revision,
+      tags: this.tags,
+      ...this.toStreamTerms(),
       pricing: this.pricing,
       config: this.config,
+      metadata: this.config.metadata,
       endpoints: this.endpoints,
       status: this.status,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
   }
-  
+
   /**
-   * Create from JSON
+   * Create from JSON (either shape)
+   * The constructor takes service settings flat; toJSON nests them in config.
    */
   static fromJSON(json) {
-    return new ServiceContract(json);
+    const contract = new ServiceContract({ ...json.config, ...json });
+    contract.status = json.status || contract.status;
+    contract.createdAt = json.createdAt || contract.createdAt;
+    contract.updatedAt = json.updatedAt || contract.updatedAt;
+    return contract;
+  }
+
+  /**
+   * Apply changed terms or metadata (either shape)
+   * Identity, ownership and subscriptions are kept; status changes go through
+   * pause/resume/deactivate.
+   */
+  update(updates) {
+    const { status, pricing, config = {}, ...fields } = updates;
+    const repriced = pricing || PRICING_FIELDS.some(field => fields[field] !== undefined);
+
+    if (fields.displayName !== undefined && fields.name === undefined) {
+      fields.name = fields.displayName;
+    }
+
+    const next = new ServiceContract({
+      ...this.toJSON(),
+      ...this.config,
+      ...config,
+      ...fields,
+      // Flat pricing changes rebuild the terms from the flat fields
+      pricing: pricing || (repriced ? undefined : this.pricing),
+    });
+
+    for (const key of ['name', 'description', 'serviceType', 'category', 'version', 'tags', 'agentPublicKey', 'pricing', 'config', 'endpoints']) {
+      this[key] = next[key];
+    }
+    this.updatedAt = Date.now();
+
+    if (status === 'active') this.resume();
+    else if (status === 'paused') this.pause();
+    else if (status === 'inactive') this.deactivate();
+
+    return this;
   }
-  
+
   /**
    * Register a new subscription (consumer started streaming)
+   * @param {string} subscriptionId - Payment channel ID or stream session ID
    */
-  addSubscription(channelId, consumerAddress, metadata = {}) {
+  addSubscription(subscriptionId, consumerAddress, metadata = {}) {
     const subscription = {
-      channelId,
+      channelId: subscriptionId,
       consumerAddress,
       startedAt: Date.now(),
       lastClaimAt: null,
@@ -125,48 +255,57 @@ class ServiceContract extends EventEmitter {
       status: 'active',
       ...metadata,
     };
-    
-    this.activeSubscriptions.set(channelId, subscription);
+
+    this.activeSubscriptions.set(subscriptionId, subscription);
     this.emit('subscriptionAdded', subscription);
-    
+
     return subscription;
   }
-  
+
   /**
    * Update subscription when claim is received
    */
-  updateSubscription(channelId, claimAmount) {
-    const subscription = this.activeSubscriptions.get(channelId);
+  updateSubscription(subscriptionId, claimAmount) {
+    const subscription = this.activeSubscriptions.get(subscriptionId);
     if (!subscription) {
       throw new Error('Subscription not found');
     }
-    
+
     subscription.lastClaimAt = Date.now();
     subscription.totalClaimed = claimAmount;
-    
+
     this.emit('subscriptionUpdated', subscription);
   }
-  
+
   /**
    * Remove subscription (consumer stopped streaming)
+   * @returns {boolean} True if there was such a subscription
    */
-  removeSubscription(channelId) {
-    const subscription = this.activeSubscriptions.get(channelId);
+  removeSubscription(subscriptionId) {
+    const subscription = this.activeSubscriptions.get(subscriptionId);
     if (subscription) {
       subscription.status = 'completed';
       subscription.endedAt = Date.now();
-      this.activeSubscriptions.delete(channelId);
+      this.activeSubscriptions.delete(subscriptionId);
       this.emit('subscriptionRemoved', subscription);
     }
+    return Boolean(subscription);
   }
-  
+
   /**
    * Get active subscription count
    */
   getActiveSubscriptionCount() {
     return this.activeSubscriptions.size;
   }
-  
+
+  /**
+   * Active subscriptions, oldest first
+   */
+  getSubscriptions() {
+    return Array.from(this.activeSubscriptions.values()).map(subscription => ({ ...subscription }));
+  }
+
   /**
    * Check if service can accept new subscriptions
    */
@@ -176,33 +315,149 @@ class ServiceContract extends EventEmitter {
       this.activeSubscriptions.size < this.config.maxConcurrentStreams
     );
   }
-  
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // WAITLIST
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Queue a consumer for the next free slot
+   * @param {string} consumerAddress - Who is waiting
+   * @param {object} metadata - Extra fields for the entry (e.g. apiKeyId)
+   * @returns {object} The entry with its 1-based position
+   */
+  joinWaitlist(consumerAddress, metadata = {}) {
+    this.pruneWaitlist();
+    if (this.getWaitingCount() >= config.waitlist.maxSize) {
+      throw new Error(`Waitlist is full (${config.waitlist.maxSize} waiting)`);
+    }
+
+    const entry = {
+      ...metadata,
+      waitlistId: `wl_${crypto.randomBytes(12).toString('hex')}`,
+      contractId: this.id,
+      consumerAddress,
+      status: 'waiting', // 'waiting', 'starting', 'started', 'failed', 'expired'
+      joinedAt: Date.now(),
+    };
+    this.waitlist.set(entry.waitlistId, entry);
+    this.emit('waitlistJoined', entry);
+
+    return this.getWaitlistEntry(entry.waitlistId);
+  }
+
+  /**
+   * A waitlist entry with its current position (null once it left the queue)
+   */
+  getWaitlistEntry(waitlistId) {
+    this.pruneWaitlist();
+    const entry = this.waitlist.get(waitlistId);
+    if (!entry) return null;
+
+    const waiting = this.getWaiting();
+    const index = waiting.indexOf(entry);
+    return { ...entry, position: index === -1 ? null : index + 1 };
+  }
+
+  /**
+   * Entries still waiting, first in line first
+   */
+  getWaiting() {
+    return Array.from(this.waitlist.values()).filter(entry => entry.status === 'waiting');
+  }
+
+  getWaitingCount() {
+    return this.getWaiting().length;
+  }
+
+  /**
+   * Take the first waiting entry out of line (status 'starting')
+   * @returns {object|null} The entry
+   */
+  admitNextWaiting() {
+    this.pruneWaitlist();
+    const [entry] = this.getWaiting();
+    if (!entry) return null;
+
+    entry.status = 'starting';
+    entry.admittedAt = Date.now();
+    return entry;
+  }
+
+  /**
+   * Record how an admitted entry's start went
+   * @param {object} outcome - { sessionId } or { error }
+   */
+  settleWaitlistEntry(waitlistId, { sessionId = null, error = null } = {}) {
+    const entry = this.waitlist.get(waitlistId);
+    if (!entry) return null;
+
+    Object.assign(entry, {
+      status: sessionId ? 'started' : 'failed',
+      sessionId,
+      error,
+      settledAt: Date.now(),
+    });
+    this.emit('waitlistSettled', entry);
+    return entry;
+  }
+
+  /**
+   * Leave the queue (only while still waiting)
+   */
+  leaveWaitlist(waitlistId) {
+    const entry = this.waitlist.get(waitlistId);
+    if (!entry || entry.status !== 'waiting') return false;
+    return this.waitlist.delete(waitlistId);
+  }
+
+  /**
+   * Expire entries that waited too long; forget settled ones after as long
+   */
+  pruneWaitlist(now = Date.now()) {
+    for (const [waitlistId, entry] of this.waitlist) {
+      if (entry.status === 'waiting' && now - entry.joinedAt > config.waitlist.ttlMs) {
+        Object.assign(entry, { status: 'expired', settledAt: now });
+      } else if (entry.settledAt && now - entry.settledAt > config.waitlist.ttlMs) {
+        this.waitlist.delete(waitlistId);
+      }
+    }
+  }
+
   /**
    * Calculate recommended channel amount for duration (in seconds)
    * @param {number} durationSeconds - Duration in seconds
    * @returns {string} Amount in drops with 20% buffer
    */
   calculateChannelAmount(durationSeconds) {
+    if (this.pricing.model !== 'rate') {
+      throw new Error('Channel amounts only apply to XRP rate contracts');
+    }
+
     const rate = BigInt(this.pricing.rate); // drops per second
     const duration = BigInt(Math.floor(durationSeconds));
     const amount = rate * duration;
-    
+
     // Add 20% buffer
     const buffered = (amount * 120n) / 100n;
-    
+
     return buffered.toString();
   }
-  
+
   /**
    * Validate if a channel amount is sufficient
    */
   validateChannelAmount(amount) {
+    if (this.pricing.model !== 'rate') {
+      throw new Error('Channel amounts only apply to XRP rate contracts');
+    }
+
     const amountBigInt = BigInt(amount);
     const minAmount = BigInt(this.pricing.minChannelAmount);
-    
+
     return amountBigInt >= minAmount;
   }
-  
+
   /**
    * Pause the service (stop accepting new subscriptions)
    */
@@ -211,7 +466,7 @@ class ServiceContract extends EventEmitter {
     this.updatedAt = Date.now();
     this.emit('statusChanged', { status: 'paused' });
   }
-  
+
   /**
    * Resume the service
    */
@@ -220,7 +475,7 @@ class ServiceContract extends EventEmitter {
     this.updatedAt = Date.now();
     this.emit('statusChanged', { status: 'active' });
   }
-  
+
   /**
    * Deactivate the service
    */
@@ -233,15 +488,114 @@ class ServiceContract extends EventEmitter {
 
 /**
  * Contract Registry
- * 
- * Manages service contracts in-memory with JSON serialization support
+ *
+ * Manages service contracts in memory with JSON serialization support.
+ * After load(store) every change is written through to the contract store,
+ * including each revision of a contract's terms and provider delegates.
+ * Contracts without a provider address (built-in defaults) stay in memory.
  */
 class ContractRegistry {
   constructor() {
     this.contracts = new Map(); // contractId -> ServiceContract
     this.agents = new Map(); // agentAddress -> agent metadata
+    this.revisions = new Map(); // contractId -> [toJSON() of each revision]
+    this.delegates = new Map(); // providerAddress -> Set of delegate addresses
+    this.statusListeners = new Map(); // contractId -> persisting statusChanged listener
+    this.store = null;
+  }
+
+  /**
+   * Load persisted contracts, agents, revisions and delegates, then write
+   * changes through
+   * @param {object} store - Contract store (see contractStore.js)
+   * @returns {Promise<number>} Number of contracts loaded
+   */
+  async load(store) {
+    // service-contract records were written before the two registries merged
+    const [contracts, legacyContracts, agents, revisions, legacyRevisions, delegates] = await Promise.all([
+      store.list('contract'),
+      store.list('service-contract'),
+      store.list('agent'),
+      store.list('contract-revision'),
+      store.list('service-contract-revision'),
+      store.list('delegates'),
+    ]);
+
+    for (const revision of [...revisions, ...legacyRevisions].sort((a, b) => a.revision - b.revision)) {
+      const contractId = revision.id || revision.contractId;
+      const history = this.revisions.get(contractId) || [];
+      history.push(Object.freeze(revision));
+      this.revisions.set(contractId, history);
+    }
+    for (const agent of agents) {
+      this.agents.set(agent.address, agent);
+    }
+    for (const { providerAddress, delegates: addresses } of delegates) {
+      this.delegates.set(providerAddress, new Set(addresses));
+    }
+    for (const contractData of [...legacyContracts, ...contracts]) {
+      this.track(ServiceContract.fromJSON(contractData));
+    }
+
+    this.store = store;
+    const count = legacyContracts.length + contracts.length;
+    console.log(`✓ Loaded ${count} contract(s) from storage`);
+    return count;
+  }
+
+  /**
+   * Keep a contract in the registry and persist its status changes
+   */
+  track(contract) {
+    const previous = this.contracts.get(contract.id);
+    if (previous) previous.off('statusChanged', this.statusListeners.get(contract.id));
+
+    const listener = () => this.persist(contract);
+    contract.on('statusChanged', listener);
+    this.statusListeners.set(contract.id, listener);
+    this.contracts.set(contract.id, contract);
+  }
+
+  /**
+   * Drop a contract from the registry (its revisions are kept)
+   */
+  untrack(contractId) {
+    const contract = this.contracts.get(contractId);
+    if (!contract) return false;
+
+    contract.off('statusChanged', this.statusListeners.get(contractId));
+    this.statusListeners.delete(contractId);
+    this.contracts.delete(contractId);
+    if (this.store && contract.agentAddress) {
+      persistInBackground(this.store.remove('contract', contractId), `removal of contract ${contractId}`);
+    }
+    return true;
+  }
+
+  /**
+   * Write a contract (and, with revision, its current terms) to the store
+   */
+  persist(contract, { revision = false } = {}) {
+    if (!this.store || !contract.agentAddress) return;
+
+    const json = contract.toJSON();
+    persistInBackground(this.store.save('contract', contract.id, json), `contract ${contract.id}`);
+    if (revision) {
+      const key = `${contract.id}@${contract.revision}`;
+      persistInBackground(this.store.save('contract-revision', key, json), `contract revision ${key}`);
+    }
   }
-  
+
+  /**
+   * Append a contract's current terms to its history
+   */
+  recordRevision(contract) {
+    const history = this.revisions.get(contract.id) || [];
+    history.push(Object.freeze(JSON.parse(JSON.stringify(contract))));
+    this.revisions.set(contract.id, history);
+    this.persist(contract, { revision: true });
+  }
+
   /**
    * Register a new service contract
    */
@@ -249,31 +603,42 @@ class ContractRegistry {
     if (!(contract instanceof ServiceContract)) {
       contract = new ServiceContract(contract);
     }
-    
+
     // Track agent
-    if (!this.agents.has(contract.agentAddress)) {
-      this.agents.set(contract.agentAddress, {
+    if (contract.agentAddress && !this.agents.has(contract.agentAddress)) {
+      const agent = {
         address: contract.agentAddress,
         publicKey: contract.agentPublicKey,
         registeredAt: Date.now(),
-      });
+      };
+      this.agents.set(contract.agentAddress, agent);
+      if (this.store) {
+        persistInBackground(this.store.save('agent', agent.address, agent), `agent ${agent.address}`);
+      }
+    }
+
+    // A re-registered ID continues the history of the removed contract
+    const history = this.revisions.get(contract.id) || [];
+    if (history.length > 0) {
+      contract.revision = history[history.length - 1].revision + 1;
     }
-    
+
     // Store contract
-    this.contracts.set(contract.id, contract);
-    
+    this.track(contract);
+    this.recordRevision(contract);
+
     console.log(`✓ Registered contract: ${contract.name} (${contract.id})`);
-    
+
     return contract;
   }
-  
+
   /**
    * Get a contract by ID
    */
   getContract(contractId) {
     return this.contracts.get(contractId) || null;
   }
-  
+
   /**
    * Get all contracts for an agent
    */
@@ -281,7 +646,7 @@ class ContractRegistry {
     return Array.from(this.contracts.values())
       .filter(c => c.agentAddress === agentAddress);
   }
-  
+
   /**
    * Discover contracts by service type
    */
@@ -289,7 +654,7 @@ class ContractRegistry {
     return Array.from(this.contracts.values())
       .filter(c => c.serviceType === serviceType && c.status === 'active');
   }
-  
+
   /**
    * Discover contracts by category
    */
@@ -297,120 +662,272 @@ class ContractRegistry {
     return Array.from(this.contracts.values())
       .filter(c => c.category === category && c.status === 'active');
   }
-  
+
   /**
-   * Search contracts by keyword
+   * Search active contracts by keyword (ID, name, description, type, category)
    */
   search(query) {
     const lowerQuery = query.toLowerCase();
     return Array.from(this.contracts.values())
-      .filter(c => 
-        c.status === 'active' && (
-          c.name.toLowerCase().includes(lowerQuery) ||
-          c.description.toLowerCase().includes(lowerQuery) ||
-          c.serviceType.toLowerCase().includes(lowerQuery) ||
-          c.category.toLowerCase().includes(lowerQuery)
-        )
+      .filter(c =>
+        c.status === 'active' &&
+        [c.id, c.name, c.description, c.serviceType, c.category]
+          .some(field => field && field.toLowerCase().includes(lowerQuery))
       );
   }
-  
+
   /**
    * Get all active contracts
    */
   getAllActive() {
+    return this.list();
+  }
+
+  /**
+   * List contracts, newest first
+   * @param {object} filters - { category, currency, providerId, providerAddress, serviceType, status }
+   *   (status defaults to 'active')
+   */
+  list(filters = {}) {
+    const { status = 'active', ...fields } = filters;
+
     return Array.from(this.contracts.values())
-      .filter(c => c.status === 'active')
+      .filter(c => c.status === status)
+      .filter(c => Object.entries(fields).every(([field, value]) => !value || c[field] === value))
       .sort((a, b) => b.createdAt - a.createdAt);
   }
-  
+
   /**
-   * Update a contract
+   * Update a contract; the previous terms stay available as a revision
    */
   updateContract(contractId, updates) {
     const contract = this.contracts.get(contractId);
     if (!contract) {
       throw new Error(`Contract ${contractId} not found`);
     }
-    
-    Object.assign(contract, updates);
-    contract.updatedAt = Date.now();
-    
+
+    contract.update(updates);
+    contract.revision += 1;
+    this.recordRevision(contract);
+
     return contract;
   }
-  
+
+  /**
+   * Terms of a contract at a given revision (also after updates or removal)
+   * @returns {object|null} toJSON() of that revision
+   */
+  getContractRevision(contractId, revision) {
+    const history = this.revisions.get(contractId) || [];
+    return history.find(r => r.revision === Number(revision)) || null;
+  }
+
   /**
-   * Remove a contract
+   * All revisions of a contract, oldest first
+   */
+  getContractHistory(contractId) {
+    return [...(this.revisions.get(contractId) || [])];
+  }
+
+  /**
+   * Remove a contract (its revisions are kept)
    */
   removeContract(contractId) {
-    const deleted = this.contracts.delete(contractId);
-    
+    const deleted = this.untrack(contractId);
+
     if (deleted) {
       console.log(`✓ Removed contract: ${contractId}`);
     }
-    
+
     return deleted;
   }
-  
+
+  /**
+   * End a subscription on whichever contract holds it
+   * @returns {ServiceContract|null} The contract it was removed from
+   */
+  endSubscription(subscriptionId) {
+    for (const contract of this.contracts.values()) {
+      if (contract.removeSubscription(subscriptionId)) return contract;
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // DELEGATES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Whether an address may act for a provider address
+   */
+  canActFor(signerAddress, providerAddress) {
+    if (!signerAddress || !providerAddress) return false;
+    if (signerAddress === providerAddress) return true;
+
+    const delegates = this.delegates.get(providerAddress);
+    return Boolean(delegates && delegates.has(signerAddress));
+  }
+
+  addDelegate(providerAddress, delegateAddress) {
+    const delegates = this.delegates.get(providerAddress) || new Set();
+    delegates.add(delegateAddress);
+    this.delegates.set(providerAddress, delegates);
+    this.persistDelegates(providerAddress);
+    return this.listDelegates(providerAddress);
+  }
+
+  removeDelegate(providerAddress, delegateAddress) {
+    const delegates = this.delegates.get(providerAddress);
+    if (!delegates || !delegates.delete(delegateAddress)) return false;
+
+    if (delegates.size === 0) this.delegates.delete(providerAddress);
+    this.persistDelegates(providerAddress);
+    return true;
+  }
+
+  listDelegates(providerAddress) {
+    return Array.from(this.delegates.get(providerAddress) || []);
+  }
+
+  persistDelegates(providerAddress) {
+    if (!this.store) return;
+    const delegates = this.listDelegates(providerAddress);
+    const write = delegates.length > 0
+      ? this.store.save('delegates', providerAddress, { providerAddress, delegates })
+      : this.store.remove('delegates', providerAddress);
+    persistInBackground(write, `delegates of ${providerAddress}`);
+  }
+
   /**
    * Get registry statistics
    */
   getStats() {
     const contracts = Array.from(this.contracts.values());
-    const active = contracts.filter(c => c.status === 'active').length;
+    const active = contracts.filter(c => c.status === 'active');
     const paused = contracts.filter(c => c.status === 'paused').length;
     const inactive = contracts.filter(c => c.status === 'inactive').length;
-    
+
     const byType = {};
     const byCategory = {};
-    
+    const byCurrency = {};
+    const providers = new Set();
+
     for (const contract of contracts) {
       byType[contract.serviceType] = (byType[contract.serviceType] || 0) + 1;
+      providers.add(contract.agentAddress || contract.providerId);
+    }
+    for (const contract of active) {
       byCategory[contract.category] = (byCategory[contract.category] || 0) + 1;
+      byCurrency[contract.currency] = (byCurrency[contract.currency] || 0) + 1;
     }
-    
+
     return {
       total: contracts.length,
-      active,
+      active: active.length,
       paused,
       inactive,
-      providers: this.agents.size,
+      providers: providers.size,
+      agents: this.agents.size,
       byType,
       byCategory,
+      byCurrency,
     };
   }
-  
+
   /**
    * Export registry to JSON
+   * @param {function} [include] - Contract filter (default: all)
    */
-  toJSON() {
+  toJSON(include = () => true) {
+    const isIncluded = c => include(c);
+
     return {
-      contracts: Array.from(this.contracts.values()).map(c => c.toJSON()),
+      contracts: Array.from(this.contracts.values()).filter(isIncluded).map(c => c.toJSON()),
       agents: Array.from(this.agents.values()),
+      revisions: Array.from(this.revisions.values()).flat().filter(isIncluded),
+      delegates: Array.from(this.delegates.entries()).map(([providerAddress, addresses]) => ({
+        providerAddress,
+        delegates: Array.from(addresses),
+      })),
       exportedAt: Date.now(),
     };
   }
-  
+
   /**
-   * Import registry from JSON
+   * Import registry from JSON (replaces the current contents)
    */
   fromJSON(json) {
-    this.contracts.clear();
+    for (const contractId of Array.from(this.contracts.keys())) {
+      this.untrack(contractId);
+    }
     this.agents.clear();
-    
-    if (json.contracts) {
-      for (const contractData of json.contracts) {
-        const contract = ServiceContract.fromJSON(contractData);
-        this.contracts.set(contract.id, contract);
+    this.revisions.clear();
+    this.delegates.clear();
+
+    this.merge(json, { overwrite: true });
+
+    console.log(`✓ Imported ${this.contracts.size} contracts and ${this.agents.size} agents`);
+  }
+
+  /**
+   * Merge an export of toJSON() into the registry
+   * Existing contracts are kept unless overwrite is set; revisions, agents
+   * and delegates are merged.
+   * @returns {object} { imported, skipped, revisions, agents, delegates }
+   */
+  merge(json, { overwrite = false } = {}) {
+    const result = { imported: 0, skipped: [], revisions: 0, agents: 0, delegates: 0 };
+
+    for (const revision of json.revisions || []) {
+      const contractId = revision.id || revision.contractId;
+      if (!contractId || !revision.revision || this.getContractRevision(contractId, revision.revision)) continue;
+
+      const history = this.revisions.get(contractId) || [];
+      history.push(Object.freeze({ ...revision }));
+      history.sort((a, b) => a.revision - b.revision);
+      this.revisions.set(contractId, history);
+      if (this.store && (revision.agentAddress || revision.providerAddress)) {
+        const key = `${contractId}@${revision.revision}`;
+        persistInBackground(this.store.save('contract-revision', key, revision), `contract revision ${key}`);
+      }
+      result.revisions++;
+    }
+
+    for (const agentData of json.agents || []) {
+      if (this.agents.has(agentData.address)) continue;
+      this.agents.set(agentData.address, agentData);
+      if (this.store) {
+        persistInBackground(this.store.save('agent', agentData.address, agentData), `agent ${agentData.address}`);
       }
+      result.agents++;
+    }
+
+    for (const { providerAddress, delegates: addresses = [] } of json.delegates || []) {
+      const delegates = this.delegates.get(providerAddress) || new Set();
+      addresses.forEach(address => delegates.add(address));
+      this.delegates.set(providerAddress, delegates);
+      this.persistDelegates(providerAddress);
+      result.delegates++;
     }
-    
-    if (json.agents) {
-      for (const agentData of json.agents) {
-        this.agents.set(agentData.address, agentData);
+
+    for (const contractData of json.contracts || []) {
+      const contractId = contractData.id || contractData.contractId;
+      if (!contractId || (this.contracts.has(contractId) && !overwrite)) {
+        result.skipped.push(contractId || null);
+        continue;
+      }
+
+      const contract = ServiceContract.fromJSON(contractData);
+      this.track(contract);
+      if (this.getContractRevision(contract.id, contract.revision)) {
+        this.persist(contract);
+      } else {
+        this.recordRevision(contract);
       }
+      result.imported++;
     }
-    
-    console.log(`✓ Imported ${this.contracts.size} contracts and ${this.agents.size} agents`);
+
+    return result;
   }
 }
 
@@ -428,81 +945,116 @@ function getContractRegistry() {
 }
 
 /**
- * Create a contract from a template
+ * Reset the registry instance (mainly for testing)
  */
-function createContractFromTemplate(templateName, agentAddress, agentPublicKey, customConfig = {}) {
-  const templates = {
-    'video-streaming': {
-      name: 'Video Streaming Service',
-      description: 'High-quality video streaming with per-second billing',
-      serviceType: 'video',
-      category: 'media',
-      pricing: {
-        frequency: 1, // Send payment packet every 1 second
-        costPerInterval: '100', // 100 drops per second (0.0001 XRP/sec)
-        unit: 'per second of video',
-        minChannelAmount: '10000000', // 10 XRP
-        recommendedChannelAmount: '100000000', // 100 XRP
-      },
-      maxConcurrentStreams: 100,
+function resetContractRegistry() {
+  registryInstance = null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEMPLATES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const TEMPLATES = {
+  'video-streaming': {
+    name: 'Video Streaming Service',
+    description: 'High-quality video streaming with per-second billing',
+    serviceType: 'video',
+    category: 'media',
+    pricing: {
+      frequency: 1, // Send payment packet every 1 second
+      costPerInterval: '100', // 100 drops per second (0.0001 XRP/sec)
+      unit: 'per second of video',
+      minChannelAmount: '10000000', // 10 XRP
+      recommendedChannelAmount: '100000000', // 100 XRP
     },
-    
-    'api-access': {
-      name: 'API Access Service',
-      description: 'Pay-per-request API access with rate limiting',
-      serviceType: 'api',
-      category: 'infrastructure',
-      pricing: {
-        frequency: 0.1, // Up to 10 API calls per second (packet every 0.1s)
-        costPerInterval: '1', // 1 drop per call (10 drops/sec if at rate limit)
-        unit: 'per API call',
-        minChannelAmount: '1000000', // 1 XRP
-        recommendedChannelAmount: '10000000', // 10 XRP
-      },
-      maxConcurrentStreams: 1000,
+    maxConcurrentStreams: 100,
+  },
+
+  'api-access': {
+    name: 'API Access Service',
+    description: 'Pay-per-request API access with rate limiting',
+    serviceType: 'api',
+    category: 'infrastructure',
+    pricing: {
+      frequency: 0.1, // Up to 10 API calls per second (packet every 0.1s)
+      costPerInterval: '1', // 1 drop per call (10 drops/sec if at rate limit)
+      unit: 'per API call',
+      minChannelAmount: '1000000', // 1 XRP
+      recommendedChannelAmount: '10000000', // 10 XRP
     },
-    
-    'data-storage': {
-      name: 'Data Storage Service',
-      description: 'Decentralized data storage billed per MB-hour (smallest quantum for scaling)',
-      serviceType: 'storage',
-      category: 'infrastructure',
-      pricing: {
-        frequency: 3600, // Check/bill every hour (1 hour = 3600 seconds)
-        costPerInterval: '2', // 2 drops per MB per hour (~1.4 drops/GB-month)
-        unit: 'per MB-hour',
-        minChannelAmount: '5000000', // 5 XRP
-        recommendedChannelAmount: '50000000', // 50 XRP
-      },
-      maxConcurrentStreams: 50,
+    maxConcurrentStreams: 1000,
+  },
+
+  'data-storage': {
+    name: 'Data Storage Service',
+    description: 'Decentralized data storage billed per MB-hour (smallest quantum for scaling)',
+    serviceType: 'storage',
+    category: 'infrastructure',
+    pricing: {
+      frequency: 3600, // Check/bill every hour (1 hour = 3600 seconds)
+      costPerInterval: '2', // 2 drops per MB per hour (~1.4 drops/GB-month)
+      unit: 'per MB-hour',
+      minChannelAmount: '5000000', // 5 XRP
+      recommendedChannelAmount: '50000000', // 50 XRP
     },
-    
-    'compute-service': {
-      name: 'Compute Service',
-      description: 'On-demand compute resources billed per CPU-second',
-      serviceType: 'compute',
-      category: 'infrastructure',
-      pricing: {
-        frequency: 1, // Bill every second
-        costPerInterval: '3', // 3 drops/second (~10,800 drops/hour = 0.0108 XRP/CPU-hour)
-        unit: 'per CPU-second',
-        minChannelAmount: '10000000', // 10 XRP
-        recommendedChannelAmount: '100000000', // 100 XRP
-      },
-      maxConcurrentStreams: 20,
+    maxConcurrentStreams: 50,
+  },
+
+  'compute-service': {
+    name: 'Compute Service',
+    description: 'On-demand compute resources billed per CPU-second',
+    serviceType: 'compute',
+    category: 'infrastructure',
+    pricing: {
+      frequency: 1, // Bill every second
+      costPerInterval: '3', // 3 drops/second (~10,800 drops/hour = 0.0108 XRP/CPU-hour)
+      unit: 'per CPU-second',
+      minChannelAmount: '10000000', // 10 XRP
+      recommendedChannelAmount: '100000000', // 100 XRP
     },
-  };
-  
-  const template = templates[templateName];
+    maxConcurrentStreams: 20,
+  },
+
+  'rlusd-session': {
+    name: 'RLUSD Metered Session',
+    description: 'Fixed-price session paid in RLUSD installments',
+    serviceType: 'custom',
+    category: 'iot-payment',
+    pricing: {
+      currency: 'RLUSD',
+      totalAmount: '1.00', // RLUSD for the whole session
+      duration: 600, // 10 minutes
+      intervalSeconds: 30, // One installment every 30 seconds
+      unit: 'per session',
+    },
+    maxConcurrentStreams: 10,
+  },
+};
+
+/**
+ * Available templates and their default terms
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([template, config]) => ({ template, ...config }));
+}
+
+/**
+ * Create a contract from a template
+ * customConfig.pricing is merged into the template's pricing.
+ */
+function createContractFromTemplate(templateName, agentAddress, agentPublicKey, customConfig = {}) {
+  const template = TEMPLATES[templateName];
   if (!template) {
     throw new Error(`Unknown template: ${templateName}`);
   }
-  
+
   return new ServiceContract({
     agentAddress,
     agentPublicKey,
     ...template,
     ...customConfig,
+    pricing: { ...template.pricing, ...customConfig.pricing },
   });
 }
 
@@ -510,5 +1062,7 @@ module.exports = {
   ServiceContract,
   ContractRegistry,
   getContractRegistry,
+  resetContractRegistry,
   createContractFromTemplate,
+  listTemplates,
 };
@@ -0,0 +1,144 @@
+/**
+ * contractStore.js
+ * Durable storage for the contract registry
+ *
+ * Holds the contracts of the registry in core/contract.js, provider delegates
+ * and agents, plus every past revision of a contract's terms so sessions
+ * started under older terms can still look them up. Provider signatures of
+ * revisions and the signed agreements of sessions (see agreements.js) live
+ * here too. service-contract records were written before the unified API and
+ * agents shared one registry and are still read on load. Records are kept in
+ * the storage driver configured by config.storage, under the config.contracts
+ * paths.
+ */
+
+const config = require('../../config');
+const { createStorageAdapter } = require('./storage');
+
+// Record kinds; a record is stored under "<kind>:<id>"
+const KINDS = [
+  'contract',
+  'contract-revision',
+  'delegates',
+  'service-contract',
+  'service-contract-revision',
+  'agent',
+  'contract-offer',
+  'agreement',
+];
+
+class ContractStore {
+  /**
+   * @param {object} storage - Storage config block or adapter instance
+   *   (defaults to config.storage with the config.contracts paths)
+   */
+  constructor(storage = { ...config.storage, ...config.contracts }) {
+    // Adapters are keyed record stores; contract records use the channel slot
+    this.adapter = typeof storage.load === 'function' ? storage : createStorageAdapter(storage);
+    this.records = new Map();
+    this.initialized = false;
+    this.initializing = null;
+  }
+
+  /**
+   * Initialize the store (load from the storage backend)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        await this.adapter.initialize();
+        const { channels } = await this.adapter.load();
+        this.records = channels;
+        this.initialized = true;
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Save (or overwrite) a record
+   * @param {string} kind - One of KINDS
+   * @param {string} id - Record identifier within its kind
+   * @param {object} record - JSON-serializable data
+   */
+  async save(kind, id, record) {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown contract record kind: ${kind}`);
+    }
+    await this.initialize();
+
+    const key = `${kind}:${id}`;
+    const data = { ...record, kind, recordId: id };
+    this.records.set(key, data);
+    await this.adapter.saveChannel(key, data);
+  }
+
+  async remove(kind, id) {
+    await this.initialize();
+
+    const key = `${kind}:${id}`;
+    if (!this.records.delete(key)) return;
+    await this.adapter.deleteChannel(key);
+  }
+
+  /**
+   * All records of a kind, without the store's bookkeeping fields
+   */
+  async list(kind) {
+    await this.initialize();
+
+    return Array.from(this.records.values())
+      .filter((record) => record.kind === kind)
+      .map(({ kind: _kind, recordId: _recordId, ...record }) => record);
+  }
+
+  async close() {
+    await this.adapter.close();
+    this.initialized = false;
+  }
+}
+
+/**
+ * Persist a record, logging (not throwing) on failure
+ * Registries mutate synchronously; their writes go to the store behind them.
+ */
+function persistInBackground(promise, what) {
+  promise.catch((error) => {
+    console.error(`Failed to persist ${what}:`, error.message);
+  });
+}
+
+// Singleton instance
+let storeInstance = null;
+
+/**
+ * Get the singleton contract store
+ */
+function getContractStore(storage) {
+  if (!storeInstance) {
+    storeInstance = new ContractStore(storage);
+  }
+  return storeInstance;
+}
+
+/**
+ * Reset the store instance (mainly for testing)
+ */
+async function resetContractStore() {
+  if (storeInstance) {
+    await storeInstance.close();
+  }
+  storeInstance = null;
+}
+
+module.exports = {
+  ContractStore,
+  persistInBackground,
+  getContractStore,
+  resetContractStore,
+};
@@ -0,0 +1,109 @@
+/**
+ * crossCurrency.js
+ * RLUSD streams paid for in XRP
+ *
+ * In mode "cross-currency" the receiver still gets the stream's token, but
+ * the sender only spends XRP: every installment is a Payment delivering the
+ * token with an XRP SendMax, converted on the ledger's order books and AMM
+ * pools along the cheapest path ripple_path_find offers.
+ *
+ * The XRP an installment may cost is bounded by the session's slippage limit:
+ *
+ *   SendMax = reference cost x (1 + maxSlippageBps / 10000)
+ *
+ * where the reference is the quote taken when the stream started, scaled to
+ * the installment. Installments quoted above the limit are not submitted, and
+ * SendMax makes the ledger refuse one whose rate moves past it before it
+ * lands, so the stream never pays more than the limit over its start rate.
+ */
+
+const config = require('../../config');
+const { getToken } = require('../config/tokenRegistry');
+const { toMinorUnits, sumAmounts } = require('../utils/money');
+
+const BPS = 10000n;
+
+/**
+ * Validate an RLUSD stream request for cross-currency mode
+ * @param {object} options
+ * @param {boolean} options.custodial - Whether the server holds the sender key
+ * @param {number} options.maxSlippageBps - Slippage limit in basis points
+ * @returns {object} { valid, error }
+ */
+function validateCrossCurrencyStream({ custodial, maxSlippageBps }) {
+  if (!custodial) {
+    return { valid: false, error: 'Cross-currency streams need senderSeed or senderKeyId (each installment is quoted and signed when due)' };
+  }
+  const limit = config.crossCurrency.maxSlippageBps;
+  if (!(Number.isInteger(maxSlippageBps) && maxSlippageBps >= 0 && maxSlippageBps <= limit)) {
+    return { valid: false, error: `maxSlippageBps must be an integer from 0 to ${limit}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Cross-currency state of a new session
+ * @param {object} quote - { sourceDrops } for one installment of paymentAmount
+ * @param {string} paymentAmount - Installment amount the quote delivers
+ * @param {number} maxSlippageBps - Slippage limit in basis points
+ */
+function createCrossCurrency(quote, paymentAmount, maxSlippageBps) {
+  return {
+    sourceCurrency: 'XRP',
+    maxSlippageBps,
+    reference: {
+      amount: paymentAmount,
+      drops: quote.sourceDrops,
+      quotedAt: Date.now(),
+    },
+  };
+}
+
+/**
+ * Most XRP (drops) an installment may cost: its share of the reference
+ * quote plus the slippage limit, rounded up
+ * @param {object} crossCurrency - Session state (see createCrossCurrency)
+ * @param {string} amount - Installment amount
+ * @param {number} decimals - Decimal places of the token
+ * @returns {string} Drops
+ */
+function maxSendDrops(crossCurrency, amount, decimals) {
+  const { reference, maxSlippageBps } = crossCurrency;
+  const numerator = BigInt(reference.drops) * toMinorUnits(amount, decimals) * (BPS + BigInt(maxSlippageBps));
+  const denominator = toMinorUnits(reference.amount, decimals) * BPS;
+  return ((numerator + denominator - 1n) / denominator).toString();
+}
+
+/**
+ * XRP spent against token delivered by a session's installments
+ * @returns {object} { sourceCurrency, maxSlippageBps, reference, xrpSpent, delivered, installments }
+ *   with drops for XRP and installments as { paymentNumber, delivered, xrpSpent, sendMax }
+ */
+function describeCrossCurrency(session) {
+  const { decimals } = getToken(session.token);
+  const installments = (session.payments || []).map((payment) => ({
+    paymentNumber: payment.paymentNumber,
+    delivered: payment.amount,
+    xrpSpent: payment.xrpSpent ?? null,
+    sendMax: payment.sendMax ?? null,
+  }));
+
+  // Installments reconciled after a restart may not know their cost
+  const costs = installments.map((installment) => installment.xrpSpent).filter((drops) => drops !== null);
+
+  return {
+    sourceCurrency: session.crossCurrency.sourceCurrency,
+    maxSlippageBps: session.crossCurrency.maxSlippageBps,
+    reference: session.crossCurrency.reference,
+    xrpSpent: costs.reduce((total, drops) => total + BigInt(drops), 0n).toString(),
+    delivered: sumAmounts(installments.map((installment) => installment.delivered), decimals),
+    installments,
+  };
+}
+
+module.exports = {
+  validateCrossCurrencyStream,
+  createCrossCurrency,
+  maxSendDrops,
+  describeCrossCurrency,
+};
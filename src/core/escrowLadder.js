@@ -0,0 +1,239 @@
+/**
+ * escrowLadder.js
+ * Escrow-backed RLUSD streams
+ *
+ * An escrow ladder locks every installment of a stream on the ledger before
+ * the first one is due, so the receiver knows the stream is funded. Each rung
+ * is one escrow:
+ *
+ *   FinishAfter  start + n * intervalSeconds (installment n falls due)
+ *   Condition    PREIMAGE-SHA-256 crypto-condition, fulfillment kept here
+ *   CancelAfter  FinishAfter + config.escrowLadder.cancelGraceSeconds
+ *
+ * The server releases a rung with EscrowFinish (revealing its fulfillment)
+ * once it is due. A stopped stream never reveals the fulfillments of its
+ * remaining rungs, so they can only go back to the sender: the ledger allows
+ * EscrowCancel once CancelAfter has passed, and the EscrowCancelQueue below
+ * submits it then. Queued cancellations survive restarts (when the sender
+ * wallet has a keystore key ID, see sessionStore.assignWalletKey).
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { getSessionStore, assignWalletKey, walletRef, restoreWallet } = require('./sessionStore');
+const { cancelRLUSDEscrow } = require('../../contracts/createRLUSDStream');
+
+// Owner tag for persisted cancellation records
+const CANCEL_OWNER = 'rlusd-escrow';
+
+/**
+ * Validate an RLUSD stream request for escrow mode
+ * @param {object} options
+ * @param {boolean} options.custodial - Whether the server holds the sender key
+ * @param {number} options.duration - Stream duration (seconds)
+ * @param {number} options.intervalSeconds - Time between installments
+ * @returns {object} { valid, error }
+ */
+function validateEscrowStream({ custodial, duration, intervalSeconds }) {
+  if (!custodial) {
+    return { valid: false, error: 'Escrow streams need senderSeed or senderKeyId (the server locks and releases the escrows)' };
+  }
+
+  const paymentCount = Math.floor(duration / intervalSeconds);
+  const { maxRungs } = config.escrowLadder;
+  if (!(paymentCount >= 1 && paymentCount <= maxRungs)) {
+    return { valid: false, error: `Escrow streams take 1 to ${maxRungs} installments (duration / intervalSeconds), got ${paymentCount}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * New PREIMAGE-SHA-256 condition and its fulfillment (DER, hex)
+ * @returns {object} { condition, fulfillment }
+ */
+function createCondition() {
+  const preimage = crypto.randomBytes(32);
+  const hash = crypto.createHash('sha256').update(preimage).digest();
+
+  return {
+    condition: `A0258020${hash.toString('hex')}810120`.toUpperCase(),
+    fulfillment: `A0228020${preimage.toString('hex')}`.toUpperCase(),
+  };
+}
+
+/**
+ * Rungs for a stream paid in equal installments
+ * @param {object} options
+ * @param {string} options.paymentAmount - Installment amount (RLUSD)
+ * @param {string} options.finalPaymentAmount - Last installment, which carries
+ *   the remainder of the split (default paymentAmount, see money.splitAmount)
+ * @param {number} options.paymentCount - Number of installments
+ * @param {number} options.intervalSeconds - Time between installments
+ * @param {number} options.startTime - Stream start (unix milliseconds)
+ * @returns {Array<object>} { index, amount, finishAfter, cancelAfter, condition, fulfillment }
+ */
+function planEscrowLadder({
+  paymentAmount,
+  finalPaymentAmount = paymentAmount,
+  paymentCount,
+  intervalSeconds,
+  startTime = Date.now(),
+}) {
+  const graceMs = config.escrowLadder.cancelGraceSeconds * 1000;
+
+  return Array.from({ length: paymentCount }, (_, i) => {
+    const finishAfter = startTime + (i + 1) * intervalSeconds * 1000;
+    return {
+      index: i + 1,
+      amount: i === paymentCount - 1 ? finalPaymentAmount : paymentAmount,
+      finishAfter,
+      cancelAfter: finishAfter + graceMs,
+      ...createCondition(),
+    };
+  });
+}
+
+/**
+ * Public view of a session's rungs (without fulfillments)
+ */
+function describeEscrows(escrows = []) {
+  return escrows.map(({ fulfillment, condition, ...rung }) => rung);
+}
+
+class EscrowCancelQueue {
+  /**
+   * @param {SessionManager} manager - Session manager (cancellations are emitted on it)
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+    this.running = false;
+    this.wallets = new Map(); // sessionId -> wallet that could not be persisted
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDue().catch((error) => {
+        console.error('Escrow cancellation run failed:', error.message);
+      });
+    }, config.escrowLadder.cancelCheckIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue the unreleased rungs of a stream for EscrowCancel
+   * @param {string} sessionId - Stream the rungs belong to
+   * @param {object} wallet - Sender wallet (submits the cancellations)
+   * @param {Array<object>} rungs - { sequence, cancelAfter, amount }
+   * @param {object} stream - { apiKeyId, token } of the stream, kept for the
+   *   escrowCanceled events
+   */
+  async enqueue(sessionId, wallet, rungs, { apiKeyId = null, token = config.tokens.defaultToken } = {}) {
+    if (rungs.length === 0) return;
+
+    const store = getSessionStore();
+    const existing = (await store.getSessions(CANCEL_OWNER)).find((r) => r.sessionId === sessionId);
+    // Without a key ID the wallet stays in memory and the queue is lost on restart
+    let keyId = null;
+    if (store.enabled && await assignWalletKey(wallet, apiKeyId)) {
+      ({ keyId } = walletRef(wallet));
+    } else {
+      if (store.enabled) {
+        console.warn(`⚠️  Escrow cancellations of ${sessionId} will not survive a restart: set KEYSTORE_PASSPHRASE`);
+      }
+      this.wallets.set(sessionId, wallet);
+    }
+
+    await store.save(CANCEL_OWNER, sessionId, {
+      ownerAddress: wallet.address,
+      senderKeyId: keyId,
+      apiKeyId: existing ? existing.apiKeyId : apiKeyId,
+      token: existing ? existing.token : token,
+      rungs: [
+        ...(existing ? existing.rungs : []),
+        ...rungs.map(({ sequence, cancelAfter, amount }) => ({ sequence, cancelAfter, amount })),
+      ],
+    });
+
+    console.log(`⏳ ${rungs.length} escrow(s) of ${sessionId} queued for cancellation`);
+  }
+
+  /**
+   * Rungs still waiting for EscrowCancel
+   * @returns {Promise<Array<object>>} { sessionId, ownerAddress, rungs }
+   */
+  async list() {
+    const records = await getSessionStore().getSessions(CANCEL_OWNER);
+    return records.map(({ sessionId, ownerAddress, rungs }) => ({ sessionId, ownerAddress, rungs }));
+  }
+
+  /**
+   * Cancel every queued rung whose CancelAfter has passed
+   * Rungs the ledger refuses (not yet past CancelAfter by ledger time) stay
+   * queued for the next run.
+   */
+  async processDue(now = Date.now()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const store = getSessionStore();
+      for (const record of await store.getSessions(CANCEL_OWNER)) {
+        const due = record.rungs.filter((rung) => rung.cancelAfter <= now);
+        if (due.length === 0) continue;
+
+        const wallet = this.wallets.get(record.sessionId) || await restoreWallet(record.senderKeyId);
+        const remaining = record.rungs.filter((rung) => rung.cancelAfter > now);
+
+        for (const rung of due) {
+          try {
+            const result = await cancelRLUSDEscrow(wallet, record.ownerAddress, rung.sequence);
+            // tecNO_TARGET: already canceled (or released) by someone else
+            if (result.success || result.resultCode === 'tecNO_TARGET') {
+              this.manager.emit('escrowCanceled', {
+                sessionId: record.sessionId,
+                apiKeyId: record.apiKeyId || null,
+                currency: record.token || config.tokens.defaultToken,
+                sequence: rung.sequence,
+                amount: rung.amount,
+                transactionHash: result.success ? result.transactionHash : null,
+              });
+              continue;
+            }
+            console.warn(`⚠️  EscrowCancel ${record.ownerAddress}:${rung.sequence} refused: ${result.resultCode}`);
+          } catch (error) {
+            console.error(`EscrowCancel ${record.ownerAddress}:${rung.sequence} failed:`, error.message);
+          }
+          remaining.push(rung);
+        }
+
+        if (remaining.length > 0) {
+          const { owner, sessionId, savedAt, ...state } = record;
+          await store.save(CANCEL_OWNER, record.sessionId, { ...state, rungs: remaining });
+        } else {
+          await store.remove(CANCEL_OWNER, record.sessionId);
+          this.wallets.delete(record.sessionId);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = {
+  validateEscrowStream,
+  createCondition,
+  planEscrowLadder,
+  describeEscrows,
+  EscrowCancelQueue,
+};
@@ -0,0 +1,321 @@
+/**
+ * finalizationWorker.js
+ * Background settlement of received claims on-chain
+ *
+ * Periodically evaluates every channel in the channel store with
+ * shouldFinalizeClaim. When a threshold trips, the latest stored claim is
+ * submitted with claimChannel and recorded with updateFinalizedAmount.
+ * Failed submissions are retried with exponential backoff.
+ *
+ * The ledger is read only for channels that are due: each channel's
+ * destination and capacity are read once and kept, and re-read when the
+ * stored claims trip a threshold.
+ *
+ * Only channels whose destination matches a registered receiver wallet are
+ * finalized (config.finalization.receiverWalletSeed / receiverKeyId, or
+ * addReceiverWallet / addReceiverKey).
+ */
+
+const xrpl = require('xrpl');
+const config = require('../../config');
+const { getChannelStore } = require('./channelStore');
+const { getSessionManager } = require('./sessionManager');
+const { getKeystore } = require('./keystore');
+const { shouldFinalizeClaim } = require('./validator');
+const { getChannelInfo } = require('../../contracts/createChannel');
+const { claimChannel } = require('../../contracts/claimChannel');
+
+class FinalizationWorker {
+  /**
+   * @param {object} options - Finalization config (defaults to config.finalization)
+   * @param {object} ledger - Ledger calls (defaults to contracts/createChannel.js and claimChannel.js)
+   */
+  constructor(options = config.finalization, ledger = { getChannelInfo, claimChannel }) {
+    this.options = options;
+    this.ledger = ledger;
+    this.wallets = new Map(); // receiver address -> wallet or keystore key ID
+    this.channelInfo = new Map(); // channelId -> { destination, amount } last read from the ledger
+    this.jobs = new Map(); // channelId -> in-progress finalization
+    this.history = []; // finished finalizations, oldest first
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+
+    if (options.receiverWalletSeed) {
+      this.addReceiverWallet(xrpl.Wallet.fromSeed(options.receiverWalletSeed));
+    }
+  }
+
+  /**
+   * Allow the worker to finalize channels paying this wallet
+   */
+  addReceiverWallet(wallet) {
+    this.wallets.set(wallet.address, wallet);
+  }
+
+  /**
+   * Same as addReceiverWallet for a keystore wallet (decrypted when a claim is submitted)
+   */
+  async addReceiverKey(keyId) {
+    const key = await getKeystore().getKey(keyId);
+    if (!key) {
+      throw new Error(`Unknown key ID: ${keyId}`);
+    }
+    this.wallets.set(key.address, keyId);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch((error) => {
+        console.error('Finalization run failed:', error.message);
+      });
+    }, this.options.checkIntervalMs);
+
+    console.log(`✓ Auto-finalization running every ${this.options.checkIntervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('✓ Auto-finalization stopped');
+    }
+  }
+
+  /**
+   * Evaluate every stored channel once (overlapping runs are skipped)
+   */
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const channels = await getChannelStore().getAllChannels();
+      for (const channel of channels) {
+        try {
+          await this.evaluateChannel(channel);
+        } catch (error) {
+          console.error(`Finalization check failed for ${channel.channelId}:`, error.message);
+        }
+      }
+      this.lastRunAt = Date.now();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start or retry finalization of one channel if it is due
+   */
+  async evaluateChannel(channel) {
+    const { channelId } = channel;
+    const job = this.jobs.get(channelId);
+
+    if (job) {
+      if (Date.now() >= job.nextAttemptAt) {
+        await this.attempt(job);
+      }
+      return;
+    }
+
+    // Only channels where we hold a signed claim we have not settled yet
+    if (!channel.lastSignature || !channel.publicKey) return;
+    const unclaimed = BigInt(channel.lastValidAmount || '0') - BigInt(channel.lastFinalizedAmount || '0');
+    if (unclaimed <= 0n) return;
+
+    // A channel's Destination never changes and its Amount only grows, so
+    // the capacity last read can trip the balance threshold early, never late
+    let channelInfo = null;
+    let known = this.channelInfo.get(channelId);
+    if (!known) {
+      channelInfo = await this.readChannel(channelId);
+      known = this.channelInfo.get(channelId);
+    }
+    if (!this.wallets.has(known.destination)) return;
+
+    let check = await shouldFinalizeClaim(channelId, {
+      ...this.options,
+      channelAmount: known.amount,
+    });
+    if (!check.shouldFinalize) return;
+
+    // Due: confirm against the current ledger state (the channel may have been funded)
+    if (!channelInfo) {
+      channelInfo = await this.readChannel(channelId);
+      check = await shouldFinalizeClaim(channelId, {
+        ...this.options,
+        channelAmount: channelInfo.Amount,
+      });
+      if (!check.shouldFinalize) return;
+    }
+
+    const newJob = {
+      channelId,
+      apiKeyId: channel.apiKeyId || getSessionManager().getEventOwner({ channelId }),
+      receiverAddress: channelInfo.Destination,
+      amount: channel.lastValidAmount,
+      reason: check.reason,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+    this.jobs.set(channelId, newJob);
+
+    console.log(`💰 Finalizing channel ${channelId}: ${check.reason}`);
+    await this.attempt(newJob, channelInfo);
+  }
+
+  /**
+   * Read a channel from the ledger and keep its destination and capacity
+   */
+  async readChannel(channelId) {
+    const channelInfo = await this.ledger.getChannelInfo(channelId);
+    this.channelInfo.set(channelId, { destination: channelInfo.Destination, amount: channelInfo.Amount });
+    return channelInfo;
+  }
+
+  /**
+   * Submit the latest stored claim for a job
+   * @param {object} job
+   * @param {object} channelInfo - Ledger entry just read for this channel (read again if omitted)
+   */
+  async attempt(job, channelInfo = null) {
+    const store = getChannelStore();
+    const channel = await store.getChannelData(job.channelId);
+
+    // Always settle the highest claim received so far
+    job.amount = channel.lastValidAmount;
+    job.attempts++;
+    job.status = 'submitting';
+    job.lastAttemptAt = Date.now();
+
+    try {
+      // A previous attempt may have landed even though it reported an error
+      channelInfo = channelInfo || await this.readChannel(job.channelId);
+      if (BigInt(channelInfo.Balance || '0') >= BigInt(job.amount)) {
+        await this.complete(job, { transactionHash: null, alreadyClaimed: true });
+        return;
+      }
+
+      const wallet = this.wallets.get(job.receiverAddress);
+      const result = await this.ledger.claimChannel(
+        wallet,
+        job.channelId,
+        job.amount,
+        channel.lastSignature,
+        channel.publicKey
+      );
+
+      await this.complete(job, result);
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= this.options.maxAttempts) {
+        job.status = 'failed';
+        this.finish(job);
+        console.error(`❌ Finalization of ${job.channelId} failed after ${job.attempts} attempts: ${error.message}`);
+        getSessionManager().emit('finalizationFailed', {
+          channelId: job.channelId,
+          apiKeyId: job.apiKeyId,
+          amount: job.amount,
+          attempts: job.attempts,
+          error: error.message,
+        });
+        return;
+      }
+
+      const delay = Math.min(
+        this.options.retryBaseDelayMs * 2 ** (job.attempts - 1),
+        this.options.retryMaxDelayMs
+      );
+      job.status = 'retrying';
+      job.nextAttemptAt = Date.now() + delay;
+      console.warn(`⚠️  Finalization of ${job.channelId} failed (attempt ${job.attempts}), retrying in ${delay / 1000}s`);
+    }
+  }
+
+  async complete(job, result) {
+    await getChannelStore().updateFinalizedAmount(job.channelId, job.amount);
+
+    job.status = 'completed';
+    job.transactionHash = result.transactionHash;
+    job.alreadyClaimed = Boolean(result.alreadyClaimed);
+    job.lastError = null;
+    this.finish(job);
+
+    console.log(`✓ Finalized ${parseInt(job.amount) / 1000000} XRP on channel ${job.channelId}`);
+    getSessionManager().emit('channelFinalized', {
+      channelId: job.channelId,
+      apiKeyId: job.apiKeyId,
+      amount: job.amount,
+      transactionHash: job.transactionHash,
+      source: 'worker',
+    });
+  }
+
+  /**
+   * Move a job from the active set to history
+   */
+  finish(job) {
+    job.finishedAt = Date.now();
+    delete job.nextAttemptAt;
+    this.jobs.delete(job.channelId);
+
+    this.history.push(job);
+    if (this.history.length > this.options.historyLimit) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Snapshot of pending and finished finalizations
+   * @param {object} filters - { channelId, status, apiKeyId }
+   */
+  getFinalizations(filters = {}) {
+    const matches = (job) =>
+      (!filters.apiKeyId || job.apiKeyId === filters.apiKeyId) &&
+      (!filters.channelId || job.channelId === filters.channelId) &&
+      (!filters.status || job.status === filters.status);
+
+    return {
+      running: this.timer !== null,
+      lastRunAt: this.lastRunAt,
+      receiverAddresses: Array.from(this.wallets.keys()),
+      pending: Array.from(this.jobs.values()).filter(matches),
+      finished: this.history.filter(matches).reverse(), // Newest first
+    };
+  }
+}
+
+// Singleton instance
+let workerInstance = null;
+
+/**
+ * Get the singleton finalization worker instance
+ */
+function getFinalizationWorker(options) {
+  if (!workerInstance) {
+    workerInstance = new FinalizationWorker(options);
+  }
+  return workerInstance;
+}
+
+/**
+ * Reset the worker instance (mainly for testing)
+ */
+function resetFinalizationWorker() {
+  if (workerInstance) {
+    workerInstance.stop();
+  }
+  workerInstance = null;
+}
+
+module.exports = {
+  FinalizationWorker,
+  getFinalizationWorker,
+  resetFinalizationWorker,
+};
@@ -0,0 +1,350 @@
+/**
+ * keystore.js
+ * Encrypted server-side wallets referenced by key ID
+ *
+ * Lets the server hold agent wallets (M2M demo, unattended providers) without
+ * seeds in environment variables or request bodies. Every seed is encrypted
+ * with AES-256-GCM under a key derived from config.keystore.passphrase with
+ * scrypt; only the key ID, address and public key are stored in the clear.
+ *
+ * Keys are owned by the API key that created or imported them (same ids as
+ * webhooks, see getApiKeyId). API calls pass a key ID instead of a seed:
+ *
+ *   const wallet = await resolveWallet('key_3f9a...', apiKeyId);
+ *
+ * Decrypted wallets only live in memory.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const xrpl = require('xrpl');
+const config = require('../../config');
+const { createStorageAdapter } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const CIPHER = 'aes-256-gcm';
+const ALGORITHMS = ['ed25519', 'secp256k1'];
+
+/**
+ * Public fields of a key record (never the encrypted seed)
+ */
+function toPublicKey(record) {
+  return {
+    keyId: record.keyId,
+    address: record.address,
+    publicKey: record.publicKey,
+    algorithm: record.algorithm,
+    label: record.label,
+    createdAt: record.createdAt,
+    encryptedAt: record.encryptedAt,
+  };
+}
+
+class Keystore {
+  /**
+   * @param {object} storage - Storage config block or adapter instance
+   *   (defaults to config.storage with the config.keystore paths)
+   * @param {object} options - Keystore settings (defaults to config.keystore)
+   */
+  constructor(storage = { ...config.storage, ...config.keystore }, options = config.keystore) {
+    // Keyed record store: "key:<keyId>" in the channel slot
+    this.adapter = typeof storage.load === 'function' ? storage : createStorageAdapter(storage);
+    this.options = options;
+    this.passphrase = options.passphrase || null;
+    this.keys = new Map(); // keyId -> encrypted record
+    this.wallets = new Map(); // keyId -> decrypted wallet
+    this.derivedKeys = new Map(); // salt -> scrypt output for the current passphrase
+    this.initialized = false;
+    this.initializing = null;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        await this.adapter.initialize();
+        const { channels } = await this.adapter.load();
+        for (const [key, record] of channels) {
+          if (key.startsWith('key:')) {
+            this.keys.set(record.keyId, record);
+          }
+        }
+        this.initialized = true;
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Whether a passphrase is configured (keys cannot be used without one)
+   */
+  isUnlocked() {
+    return Boolean(this.passphrase);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // KEYS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Generate and store a new wallet
+   * @param {string} owner - API key id
+   * @param {object} options
+   * @param {string} options.label - Free-form name
+   * @param {string} options.algorithm - 'ed25519' (default) or 'secp256k1'
+   * @returns {Promise<object>} Public key record
+   */
+  async createKey(owner, { label = null, algorithm = 'ed25519' } = {}) {
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown algorithm: ${algorithm}. Use one of: ${ALGORITHMS.join(', ')}`);
+    }
+
+    const wallet = xrpl.Wallet.generate(xrpl.ECDSA[algorithm]);
+    return this.storeWallet(owner, wallet, { label, algorithm });
+  }
+
+  /**
+   * Encrypt and store an existing seed
+   * @returns {Promise<object>} Public key record
+   */
+  async importKey(owner, { seed, label = null }) {
+    const wallet = xrpl.Wallet.fromSeed(seed);
+    const algorithm = wallet.publicKey.startsWith('ED') ? 'ed25519' : 'secp256k1';
+    return this.storeWallet(owner, wallet, { label, algorithm });
+  }
+
+  async storeWallet(owner, wallet, { label, algorithm }) {
+    this.assertUnlocked();
+    await this.initialize();
+
+    const now = Date.now();
+    const record = {
+      keyId: `key_${crypto.randomBytes(8).toString('hex')}`,
+      owner,
+      address: wallet.address,
+      publicKey: wallet.publicKey,
+      algorithm,
+      label,
+      createdAt: now,
+      encryptedAt: now,
+      encrypted: await this.encrypt(wallet.seed, this.passphrase),
+    };
+
+    this.keys.set(record.keyId, record);
+    await this.adapter.saveChannel(`key:${record.keyId}`, record);
+
+    console.log(`🔑 Stored wallet ${record.address} as ${record.keyId}`);
+    return toPublicKey(record);
+  }
+
+  /**
+   * List the keys of an API key
+   */
+  async listKeys(owner) {
+    await this.initialize();
+    return Array.from(this.keys.values())
+      .filter((record) => record.owner === owner)
+      .map(toPublicKey);
+  }
+
+  /**
+   * Public record of a key, or null if missing or owned by another API key
+   * @param {string|null} owner - API key id (null skips the ownership check)
+   */
+  async getKey(keyId, owner = null) {
+    await this.initialize();
+    const record = this.keys.get(keyId);
+    if (!record || (owner !== null && record.owner !== owner)) return null;
+    return toPublicKey(record);
+  }
+
+  /**
+   * Key of an API key holding this address, if any
+   */
+  async findKeyByAddress(owner, address) {
+    const keys = await this.listKeys(owner);
+    return keys.find((key) => key.address === address) || null;
+  }
+
+  /**
+   * Decrypt a stored wallet
+   * The wallet is tagged with its keyId so persisted sessions store the ID, not the seed.
+   * @param {string|null} owner - API key id (null skips the ownership check)
+   * @returns {Promise<object>} xrpl Wallet
+   */
+  async getWallet(keyId, owner = null) {
+    this.assertUnlocked();
+    await this.initialize();
+
+    const record = this.keys.get(keyId);
+    if (!record || (owner !== null && record.owner !== owner)) {
+      throw new Error(`Unknown key ID: ${keyId}`);
+    }
+
+    if (!this.wallets.has(keyId)) {
+      const seed = await this.decrypt(record.encrypted, this.passphrase);
+      const wallet = xrpl.Wallet.fromSeed(seed);
+      wallet.keyId = keyId;
+      this.wallets.set(keyId, wallet);
+    }
+
+    return this.wallets.get(keyId);
+  }
+
+  /**
+   * Re-encrypt every key under a new passphrase
+   * Update KEYSTORE_PASSPHRASE before the next restart.
+   * @returns {Promise<number>} Number of re-encrypted keys
+   */
+  async rotatePassphrase(currentPassphrase, newPassphrase) {
+    this.assertUnlocked();
+    await this.initialize();
+
+    if (!passphrasesEqual(currentPassphrase, this.passphrase)) {
+      throw new Error('Current passphrase is incorrect');
+    }
+    if (!newPassphrase || newPassphrase.length < this.options.minPassphraseLength) {
+      throw new Error(`New passphrase must be at least ${this.options.minPassphraseLength} characters`);
+    }
+
+    // Decrypt everything first so a bad record aborts before anything is rewritten
+    const seeds = new Map();
+    for (const record of this.keys.values()) {
+      seeds.set(record.keyId, await this.decrypt(record.encrypted, this.passphrase));
+    }
+
+    this.derivedKeys.clear();
+    const now = Date.now();
+    for (const record of this.keys.values()) {
+      record.encrypted = await this.encrypt(seeds.get(record.keyId), newPassphrase);
+      record.encryptedAt = now;
+      await this.adapter.saveChannel(`key:${record.keyId}`, record);
+    }
+
+    this.passphrase = newPassphrase;
+    this.derivedKeys.clear();
+
+    console.log(`🔑 Keystore passphrase rotated (${seeds.size} key(s) re-encrypted)`);
+    return seeds.size;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ENCRYPTION
+  // ═══════════════════════════════════════════════════════════════════════
+
+  async deriveKey(passphrase, salt) {
+    const cacheable = passphrase === this.passphrase;
+    if (cacheable && this.derivedKeys.has(salt)) {
+      return this.derivedKeys.get(salt);
+    }
+
+    const { N, r, p } = this.options.scrypt;
+    const key = await scrypt(passphrase, Buffer.from(salt, 'hex'), 32, { N, r, p });
+    if (cacheable) {
+      this.derivedKeys.set(salt, key);
+    }
+    return key;
+  }
+
+  async encrypt(seed, passphrase) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(passphrase, salt);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(seed, 'utf8'), cipher.final()]);
+
+    return {
+      cipher: CIPHER,
+      kdf: 'scrypt',
+      salt,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    };
+  }
+
+  async decrypt(encrypted, passphrase) {
+    const key = await this.deriveKey(passphrase, encrypted.salt);
+
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(encrypted.authTag, 'hex'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(encrypted.ciphertext, 'hex')),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Cannot decrypt key: wrong keystore passphrase or corrupted record');
+    }
+  }
+
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('Keystore is locked: set KEYSTORE_PASSPHRASE');
+    }
+  }
+
+  async close() {
+    this.wallets.clear();
+    this.derivedKeys.clear();
+    await this.adapter.close();
+  }
+}
+
+/**
+ * Constant-time passphrase comparison
+ */
+function passphrasesEqual(a, b) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Singleton instance
+let keystoreInstance = null;
+
+/**
+ * Get the singleton keystore
+ */
+function getKeystore(storage, options) {
+  if (!keystoreInstance) {
+    keystoreInstance = new Keystore(storage, options);
+  }
+  return keystoreInstance;
+}
+
+/**
+ * Reset the keystore instance (mainly for testing)
+ */
+async function resetKeystore() {
+  if (keystoreInstance) {
+    await keystoreInstance.close();
+  }
+  keystoreInstance = null;
+}
+
+/**
+ * Accept either a wallet or a keystore key ID
+ * @param {object|string} walletOrKeyId - xrpl Wallet, or a key ID
+ * @param {string|null} owner - API key id allowed to use the key (null skips the check)
+ * @returns {Promise<object>} xrpl Wallet
+ */
+async function resolveWallet(walletOrKeyId, owner = null) {
+  if (typeof walletOrKeyId === 'string') {
+    return getKeystore().getWallet(walletOrKeyId, owner);
+  }
+  return walletOrKeyId;
+}
+
+module.exports = {
+  ALGORITHMS,
+  Keystore,
+  getKeystore,
+  resetKeystore,
+  resolveWallet,
+};
@@ -0,0 +1,180 @@
+/**
+ * preflight.js
+ * Ledger checks before an RLUSD-style stream starts
+ *
+ * Installments are plain Payments (or escrows) of an issued token, so a
+ * stream only works if, on the validated ledger:
+ *
+ *   sender    holds a trust line to the issuer with at least totalAmount
+ *   receiver  holds a trust line whose limit leaves room for totalAmount
+ *   both      lines are neither frozen by the issuer nor awaiting its
+ *             authorization (when the issuer sets RequireAuth)
+ *   issuer    has not frozen the token globally, and allows escrows of it
+ *             (AllowTrustLineLocking) for escrow-ladder streams
+ *
+ * Cross-currency streams (the sender pays in XRP, see crossCurrency.js) only
+ * need the sender's account to exist; the token side is the receiver's.
+ *
+ * Without these checks the failures only surface later as failed payments.
+ * Every failed check is reported with a code, the account it concerns, a
+ * message and the fix, so callers can act on all of them at once.
+ */
+
+const config = require('../../config');
+const { getToken, currencyCodeToText } = require('../config/tokenRegistry');
+const { getTrustLines, getAccountRoot } = require('../../contracts/trustLines');
+const { compareAmounts, subtractAmounts } = require('../utils/money');
+
+// AccountRoot flags
+const LSF_REQUIRE_AUTH = 0x00040000;
+const LSF_GLOBAL_FREEZE = 0x00400000;
+const LSF_ALLOW_TRUST_LINE_LOCKING = 0x40000000;
+
+/**
+ * The account's trust line for a token (its issuer is the peer)
+ */
+function findLine(lines, token) {
+  return lines.find((line) =>
+    line.account === token.issuer && line.currency.toUpperCase() === token.currency.toUpperCase()) || null;
+}
+
+/**
+ * Check that a stream of totalAmount can be paid from sender to receiver
+ * @param {object} options
+ * @param {string} options.senderAddress - Paying account
+ * @param {string} options.receiverAddress - Receiving account
+ * @param {string|number} options.totalAmount - Amount the stream pays in total
+ * @param {string} options.token - Registered token ID (default config.tokens.defaultToken)
+ * @param {string} options.mode - 'direct', 'escrow' (escrows need the issuer's
+ *   permission) or 'cross-currency' (the sender needs no trust line)
+ * @param {object} ledger - Ledger queries (defaults to contracts/trustLines.js)
+ * @returns {Promise<object>} { ok, token, currency, issuer, totalAmount, sender, receiver, issuerAccount, errors }
+ *   where errors are { code, account, message, fix }
+ */
+async function preflightTokenStream(
+  { senderAddress, receiverAddress, totalAmount, token = config.tokens.defaultToken, mode = 'direct' },
+  ledger = { getTrustLines, getAccountRoot }
+) {
+  const issued = getToken(token);
+  const name = issued.symbol;
+  const trustSet = `TrustSet with LimitAmount { currency: "${issued.currency}", issuer: "${issued.issuer}" }`;
+  const errors = [];
+  const fail = (code, account, message, fix) => errors.push({ code, account, message, fix });
+
+  // Issuer: exists, no global freeze, escrow permission
+  const issuerRoot = await ledger.getAccountRoot(issued.issuer);
+  const issuerFlags = issuerRoot ? issuerRoot.Flags : 0;
+  const issuerAccount = {
+    address: issued.issuer,
+    exists: Boolean(issuerRoot),
+    globalFreeze: Boolean(issuerFlags & LSF_GLOBAL_FREEZE),
+    requireAuth: Boolean(issuerFlags & LSF_REQUIRE_AUTH),
+    allowsEscrow: Boolean(issuerFlags & LSF_ALLOW_TRUST_LINE_LOCKING),
+  };
+  if (!issuerRoot) {
+    fail('ISSUER_NOT_FOUND', issued.issuer, `${name} issuer ${issued.issuer} does not exist on ${issued.network}`,
+      'Check the token registry (TOKEN_REGISTRY_FILE, RLUSD_ISSUER)');
+  } else {
+    if (issuerAccount.globalFreeze) {
+      fail('ISSUER_GLOBAL_FREEZE', issued.issuer, `${name} is globally frozen by its issuer`,
+        'Wait for the issuer to lift the global freeze');
+    }
+    if (mode === 'escrow' && !issuerAccount.allowsEscrow) {
+      fail('ESCROW_NOT_ALLOWED', issued.issuer, `The ${name} issuer does not allow escrows of ${name}`,
+        'Use mode "direct", or ask the issuer to set asfAllowTrustLineLocking');
+    }
+  }
+
+  /**
+   * Trust line of a stream party; the issuer itself needs none
+   */
+  const checkParty = async (role, address) => {
+    if (address === issued.issuer) {
+      return { address, issuer: true };
+    }
+
+    const lines = await ledger.getTrustLines(address, issued.issuer);
+    const ROLE = role.toUpperCase();
+    if (lines === null) {
+      fail(`${ROLE}_NOT_FOUND`, address, `The ${role} account ${address} does not exist`,
+        'Fund the account with the XRP reserve first');
+      return { address, exists: false, trustLine: false };
+    }
+
+    const line = findLine(lines, issued);
+    if (!line) {
+      fail(`${ROLE}_NO_TRUST_LINE`, address, `The ${role} has no ${name} trust line to ${issued.issuer}`,
+        `Submit a ${trustSet} from ${address}`);
+      return { address, exists: true, trustLine: false };
+    }
+
+    const party = {
+      address,
+      exists: true,
+      trustLine: true,
+      balance: line.balance,
+      limit: line.limit,
+      frozen: Boolean(line.freeze_peer),
+      authorized: !issuerAccount.requireAuth || Boolean(line.peer_authorized),
+    };
+    if (party.frozen) {
+      fail(`${ROLE}_LINE_FROZEN`, address, `The issuer has frozen the ${role}'s ${name} trust line`,
+        'Ask the issuer to unfreeze the trust line');
+    }
+    if (!party.authorized) {
+      fail(`${ROLE}_NOT_AUTHORIZED`, address, `The issuer has not authorized the ${role}'s ${name} trust line`,
+        'Ask the issuer to authorize the trust line (TrustSet with tfSetfAuth)');
+    }
+    return party;
+  };
+
+  /**
+   * A sender paying in XRP only needs an account
+   */
+  const checkXRPSender = async (address) => {
+    const root = await ledger.getAccountRoot(address);
+    if (!root) {
+      fail('SENDER_NOT_FOUND', address, `The sender account ${address} does not exist`,
+        'Fund the account with XRP first');
+      return { address, exists: false, paysIn: 'XRP' };
+    }
+    return { address, exists: true, paysIn: 'XRP', xrpBalance: root.Balance };
+  };
+
+  const sender = mode === 'cross-currency'
+    ? await checkXRPSender(senderAddress)
+    : await checkParty('sender', senderAddress);
+  if (sender.trustLine && compareAmounts(sender.balance, totalAmount, issued.decimals) < 0) {
+    const shortfall = subtractAmounts(totalAmount, sender.balance, issued.decimals);
+    fail('INSUFFICIENT_BALANCE', senderAddress,
+      `The sender holds ${sender.balance} ${name}, the stream needs ${totalAmount}`,
+      `Add at least ${shortfall} ${name} to ${senderAddress}`);
+  }
+
+  const receiver = await checkParty('receiver', receiverAddress);
+  if (receiver.trustLine) {
+    const room = subtractAmounts(receiver.limit, receiver.balance, issued.decimals);
+    if (compareAmounts(room, totalAmount, issued.decimals) < 0) {
+      fail('RECEIVER_LIMIT_TOO_LOW', receiverAddress,
+        `The receiver's ${name} trust line can take ${room} more, the stream pays ${totalAmount}`,
+        `Raise the trust line limit with a ${trustSet} from ${receiverAddress}`);
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    token: issued.id,
+    currency: currencyCodeToText(issued.currency),
+    issuer: issued.issuer,
+    network: issued.network,
+    totalAmount: String(totalAmount),
+    sender,
+    receiver,
+    issuerAccount,
+    errors,
+  };
+}
+
+module.exports = {
+  preflightTokenStream,
+};
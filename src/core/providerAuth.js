@@ -0,0 +1,161 @@
+/**
+ * providerAuth.js
+ * Challenge/response authentication of contract providers
+ *
+ * A provider asks for a challenge for its XRPL address, signs the challenge
+ * message with the key of that address and gets a short-lived provider token.
+ * The token proves control of the address; contracts are owned by it.
+ *
+ * Challenges are single-use. Challenges and tokens live in memory, so a
+ * restart only means signing a new challenge.
+ */
+
+const crypto = require('crypto');
+const xrpl = require('xrpl');
+const { deriveAddress, verify } = require('ripple-keypairs');
+const config = require('../../config');
+
+/**
+ * Message a provider signs for a challenge
+ */
+function challengeMessage(address, nonce, expiresAt) {
+  return `StreamPay contract provider authentication\nAddress: ${address}\nNonce: ${nonce}\nExpires: ${new Date(expiresAt).toISOString()}`;
+}
+
+class ProviderAuth {
+  /**
+   * @param {object} options - { challengeTtlMs, tokenTtlMs } (defaults to config.providerAuth)
+   */
+  constructor(options = config.providerAuth) {
+    this.options = options;
+    this.challenges = new Map(); // nonce -> { address, message, expiresAt }
+    this.tokens = new Map(); // token -> { address, expiresAt }
+  }
+
+  /**
+   * Issue a challenge for an XRPL address
+   * @returns {object} { address, nonce, message, messageHex, expiresAt }
+   */
+  createChallenge(address) {
+    if (!xrpl.isValidClassicAddress(address)) {
+      throw new Error('Invalid XRPL address');
+    }
+    this.prune();
+
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.options.challengeTtlMs;
+    const message = challengeMessage(address, nonce, expiresAt);
+    this.challenges.set(nonce, { address, message, expiresAt });
+
+    return {
+      address,
+      nonce,
+      message,
+      messageHex: Buffer.from(message, 'utf8').toString('hex').toUpperCase(),
+      expiresAt,
+    };
+  }
+
+  /**
+   * Check a signed challenge and issue a provider token
+   * The public key must belong to the challenged address.
+   * @param {object} response - { nonce, publicKey, signature }
+   * @returns {object} { token, address, expiresAt }
+   */
+  verifyChallenge({ nonce, publicKey, signature }) {
+    const challenge = this.challenges.get(nonce);
+    if (!challenge) {
+      throw new Error('Unknown or already used challenge');
+    }
+    // Single-use, whether or not the signature checks out
+    this.challenges.delete(nonce);
+
+    if (challenge.expiresAt < Date.now()) {
+      throw new Error('Challenge expired');
+    }
+
+    let signerAddress;
+    try {
+      signerAddress = deriveAddress(publicKey);
+    } catch (error) {
+      throw new Error('Invalid public key');
+    }
+    if (signerAddress !== challenge.address) {
+      throw new Error('Public key does not belong to the challenged address');
+    }
+
+    let valid = false;
+    try {
+      valid = verify(Buffer.from(challenge.message, 'utf8').toString('hex'), signature, publicKey);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new Error('Invalid challenge signature');
+    }
+
+    const token = `pt_${crypto.randomBytes(32).toString('hex')}`;
+    const expiresAt = Date.now() + this.options.tokenTtlMs;
+    this.tokens.set(token, { address: challenge.address, expiresAt });
+
+    console.log(`✓ Authenticated contract provider ${challenge.address}`);
+    return { token, address: challenge.address, expiresAt };
+  }
+
+  /**
+   * XRPL address proven by a provider token, or null
+   */
+  authenticate(token) {
+    const entry = token ? this.tokens.get(token) : null;
+    if (!entry) return null;
+
+    if (entry.expiresAt < Date.now()) {
+      this.tokens.delete(token);
+      return null;
+    }
+    return entry.address;
+  }
+
+  revokeToken(token) {
+    return this.tokens.delete(token);
+  }
+
+  /**
+   * Drop expired challenges and tokens
+   */
+  prune(now = Date.now()) {
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt < now) this.challenges.delete(nonce);
+    }
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt < now) this.tokens.delete(token);
+    }
+  }
+}
+
+// Singleton instance
+let authInstance = null;
+
+/**
+ * Get the singleton provider authenticator
+ */
+function getProviderAuth(options) {
+  if (!authInstance) {
+    authInstance = new ProviderAuth(options);
+  }
+  return authInstance;
+}
+
+/**
+ * Reset the authenticator (mainly for testing)
+ */
+function resetProviderAuth() {
+  authInstance = null;
+}
+
+module.exports = {
+  ProviderAuth,
+  challengeMessage,
+  getProviderAuth,
+  resetProviderAuth,
+};
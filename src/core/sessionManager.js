@@ -0,0 +1,1254 @@
+/**
+ * sessionManager.js
+ * Shared owner of every active XRP and RLUSD streaming session
+ *
+ * The legacy routers (/api/stream, /api/rlusd), the unified API and its
+ * handlers all read and change sessions through this one service, so a
+ * stream started on any surface is visible on every other one. The manager
+ * also keeps the session store in sync and emits lifecycle events.
+ *
+ * Session IDs:
+ *   XRP   - "<channelId>-<role>" (role is 'sender' or 'receiver')
+ *   RLUSD - "<senderAddress>-<receiverAddress>"
+ *
+ * "RLUSD" sessions cover every issued currency: each pays in a token from
+ * the token registry (session.token, RLUSD unless another is given).
+ *
+ * Sessions are tagged with the API key that started them (apiKeyId, see
+ * tenants.js) and every event about a session carries that tag.
+ *
+ * Custody: sender sessions started with a wallet sign claims and payments
+ * here ('server'). Sessions started with only an address or public key are
+ * non-custodial ('client'): the client submits pre-signed claims and signed
+ * payment blobs, which are verified and relayed but never signed here.
+ */
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const { StreamingSigner, verifyClaim } = require('./signer');
+const { StreamingValidator } = require('./validator');
+const { getChannelStore } = require('./channelStore');
+const { ChannelTopUpMonitor, createTopUpState } = require('./channelTopUp');
+const {
+  getSessionStore,
+  serializeXRPSession,
+  restoreXRPSession,
+  serializeRLUSDSession,
+  restoreRLUSDSession,
+  resolvePendingPayment,
+  trackPendingPayment,
+  assignWalletKey,
+  isPersistable,
+} = require('./sessionStore');
+const {
+  createDirectRLUSDStream,
+  createRLUSDEscrowLadder,
+  executeRLUSDPayment,
+  executeCrossCurrencyPayment,
+  finishRLUSDEscrow,
+  quoteXRPPayment,
+} = require('../../contracts/createRLUSDStream');
+const { planEscrowLadder, validateEscrowStream, EscrowCancelQueue } = require('./escrowLadder');
+const { validateCrossCurrencyStream, createCrossCurrency, maxSendDrops } = require('./crossCurrency');
+const { getToken } = require('../config/tokenRegistry');
+const { roundAmount, splitAmount, subtractAmounts, sumAmounts, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const {
+  assertTransactionFields,
+  buildRLUSDPayment,
+  decodeSignedTransaction,
+  prepareTransaction,
+  submitSignedTransaction,
+} = require('../../contracts/relayTransaction');
+
+// Owner tags for persisted session records
+const XRP_OWNER = 'xrp';
+const RLUSD_OWNER = 'rlusd';
+
+/**
+ * Events (plus apiKeyId when the stream has an owner; currency is 'XRP' or
+ * the token ID an RLUSD-style stream pays in):
+ *   sessionStarted   { sessionId, currency }
+ *   sessionPaused    { sessionId, currency }
+ *   sessionResumed   { sessionId, currency }
+ *   paymentSent      { sessionId, currency, payment }
+ *   claimSigned      { sessionId, currency, channelId, amount, previousAmount }
+ *   claimValidated   { sessionId, currency, channelId, amount, valid, reason }
+ *   claimRejected    { sessionId, currency, channelId, amount, reason, consecutiveRejections, stopping }
+ *                    (auto-executing unified XRP streams, see unifiedRoutes.js)
+ *   sessionCompleted { sessionId, currency }
+ *   sessionStopped   { sessionId, currency, summary }
+ *   channelToppedUp  { sessionId, channelId, amount, totalAdded, ... } (see channelTopUp.js)
+ *   topUpRefused     { sessionId, channelId, reason }
+ *   channelExhausted { sessionId, channelId, capacity }
+ *   channelLowBalance { sessionId, channelId, used, capacity, usagePercent }
+ *   channelFinalized { channelId, amount, transactionHash, source }
+ *   finalizationFailed { channelId, amount, attempts, error }
+ *   paymentFailed    { sessionId, currency, error }
+ *   escrowCanceled   { sessionId, currency, sequence, amount, transactionHash } (see escrowLadder.js)
+ *   spendCapReached  { apiKeyId, currency, spent, cap, stoppedSessions } (see tenants.js)
+ */
+/**
+ * Whether an RLUSD session has nothing left to pay
+ */
+function isRLUSDSessionPaid(session) {
+  if (session.mode === 'escrow') {
+    return !session.escrows.some((rung) => rung.status === 'locked');
+  }
+  return session.paymentsCompleted >= session.paymentCount;
+}
+
+/**
+ * An amount of an RLUSD-style session, rounded to its token's decimals
+ */
+function formatSessionAmount(session, amount) {
+  return roundAmount(amount, getToken(session.token).decimals);
+}
+
+/**
+ * Amount of installment n (1-based) of an RLUSD-style session; the last one
+ * carries the remainder of the split
+ */
+function installmentAmount(session, n) {
+  const amount = n === session.paymentCount && session.finalPaymentAmount !== undefined
+    ? session.finalPaymentAmount
+    : session.paymentAmount;
+  return formatSessionAmount(session, amount);
+}
+
+/**
+ * Exact amount an RLUSD-style session has paid so far
+ */
+function sessionAmountSent(session) {
+  const { decimals } = getToken(session.token);
+
+  if (session.mode === 'escrow') {
+    const released = session.escrows.filter((rung) => rung.status === 'released');
+    return sumAmounts(released.map((rung) => rung.amount), decimals);
+  }
+
+  const installments = Math.min(session.paymentsCompleted, session.paymentCount - 1);
+  const sent = toMinorUnits(session.paymentAmount, decimals) * BigInt(installments);
+  const final = session.paymentsCompleted >= session.paymentCount
+    ? toMinorUnits(installmentAmount(session, session.paymentCount), decimals)
+    : 0n;
+  return fromMinorUnits(sent + final, decimals);
+}
+
+/**
+ * Exact amount an RLUSD-style session has still to pay
+ */
+function sessionAmountRemaining(session) {
+  return subtractAmounts(session.totalAmount, sessionAmountSent(session), getToken(session.token).decimals);
+}
+
+/**
+ * Drops of a payment channel already paid out: the higher of its on-chain
+ * Balance and the last claim validated off-ledger (channel store)
+ * @returns {Promise<string>}
+ */
+async function channelSpent(channelId, balance = '0') {
+  const claimed = BigInt(balance || '0');
+  const validated = BigInt(await getChannelStore().getLastValidAmount(channelId));
+  return (validated > claimed ? validated : claimed).toString();
+}
+
+class SessionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.xrpSessions = new Map();
+    this.rlusdSessions = new Map();
+    this.rlusdHistory = new Map(); // Completed or stopped RLUSD sessions
+    this.topUpMonitor = new ChannelTopUpMonitor(this);
+    this.escrowCancels = new EscrowCancelQueue(this);
+    this.claimSaves = new Map(); // sessionId -> { savedAt, timer } (see saveXRPClaimState)
+    this.paymentsInFlight = new Set(); // RLUSD sessionIds with a payment being sent
+
+    // Every open event stream and webhook subscriber adds listeners
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start background checks (channel auto top-up, escrow cancellation)
+   */
+  startBackgroundTasks() {
+    this.topUpMonitor.start();
+    this.escrowCancels.start();
+  }
+
+  stopBackgroundTasks() {
+    this.topUpMonitor.stop();
+    this.escrowCancels.stop();
+  }
+
+  /**
+   * Tag events with the API key owning their session or channel
+   * Webhooks and event streams only deliver an event to its owner.
+   */
+  emit(event, data, ...args) {
+    if (data && typeof data === 'object' && data.apiKeyId === undefined) {
+      const apiKeyId = this.getEventOwner(data);
+      if (apiKeyId) {
+        data = { ...data, apiKeyId };
+      }
+    }
+    return super.emit(event, data, ...args);
+  }
+
+  getEventOwner({ sessionId, channelId }) {
+    if (sessionId) {
+      const active = this.getSession(sessionId);
+      const session = active ? active.session : this.getRLUSDHistory(sessionId);
+      if (session) return session.apiKeyId || null;
+    }
+    if (channelId) {
+      const { sender, receiver } = this.getXRPChannelSessions(channelId);
+      return (sender && sender.apiKeyId) || (receiver && receiver.apiKeyId) || null;
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // QUERIES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Look up an active session of either currency
+   * @returns {object|null} { currency, session } or null
+   */
+  getSession(sessionId) {
+    if (this.xrpSessions.has(sessionId)) {
+      return { currency: 'XRP', session: this.xrpSessions.get(sessionId) };
+    }
+    if (this.rlusdSessions.has(sessionId)) {
+      return { currency: 'RLUSD', session: this.rlusdSessions.get(sessionId) };
+    }
+    return null;
+  }
+
+  hasSession(sessionId) {
+    return this.getSession(sessionId) !== null;
+  }
+
+  getXRPSession(sessionId) {
+    return this.xrpSessions.get(sessionId) || null;
+  }
+
+  /**
+   * Get the sender and receiver sessions for a channel
+   */
+  getXRPChannelSessions(channelId) {
+    return {
+      sender: this.getXRPSession(`${channelId}-sender`),
+      receiver: this.getXRPSession(`${channelId}-receiver`),
+    };
+  }
+
+  getRLUSDSession(sessionId) {
+    return this.rlusdSessions.get(sessionId) || null;
+  }
+
+  /**
+   * Get a finished RLUSD session (completed or stopped)
+   */
+  getRLUSDHistory(sessionId) {
+    return this.rlusdHistory.get(sessionId) || null;
+  }
+
+  /**
+   * List active RLUSD sessions as [sessionId, session] pairs
+   */
+  listRLUSDSessions() {
+    return Array.from(this.rlusdSessions.entries());
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // XRP PAYMENT CHANNEL SESSIONS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Start a sender session (wallet must already be verified as channel sender)
+   * @param {object} options
+   * @param {object} options.wallet - Signing wallet; omit for a client-custody stream
+   * @param {object} options.autoTopUp - Optional refill policy (see channelTopUp.js)
+   * @param {string} options.apiKeyId - Owning API key (see tenants.js)
+   * @returns {Promise<string>} Session ID
+   */
+  async startXRPSender({ channelId, wallet = null, ratePerSecond, channelInfo, autoTopUp = null, apiKeyId = null }) {
+    const sessionId = `${channelId}-sender`;
+    this.assertNotActive(sessionId);
+
+    if (!wallet && autoTopUp) {
+      throw new Error('Auto top-up needs a server-held wallet');
+    }
+
+    // Without a wallet the signer only tracks accrual; the client signs claims
+    const signer = new StreamingSigner(wallet, channelId, ratePerSecond, channelInfo.Amount);
+    signer.start();
+
+    // A reused channel continues above what was claimed on-chain or validated off-ledger
+    signer.advanceTo(await channelSpent(channelId, channelInfo.Balance));
+
+    this.xrpSessions.set(sessionId, {
+      role: 'sender',
+      custody: wallet ? 'server' : 'client',
+      channelId,
+      apiKeyId,
+      signer,
+      channelInfo,
+      latestClaim: null,
+      topUp: autoTopUp ? createTopUpState(autoTopUp) : null,
+      startTime: Date.now(),
+    });
+    await this.assignSessionKey(sessionId, wallet, apiKeyId);
+    await this.saveXRPSession(sessionId);
+
+    console.log(`✓ Started sender stream for channel ${channelId}`);
+    this.emit('sessionStarted', { sessionId, currency: 'XRP' });
+
+    return sessionId;
+  }
+
+  /**
+   * Start a receiver session and register the channel in the channel store
+   * @returns {Promise<string>} Session ID
+   */
+  async startXRPReceiver({ channelId, publicKey, channelInfo, apiKeyId = null }) {
+    const sessionId = `${channelId}-receiver`;
+    this.assertNotActive(sessionId);
+
+    const validator = new StreamingValidator(channelId, publicKey, {
+      maxClaimsPerMinute: 60,
+    });
+
+    this.xrpSessions.set(sessionId, {
+      role: 'receiver',
+      channelId,
+      apiKeyId,
+      validator,
+      channelInfo,
+      startTime: Date.now(),
+    });
+    await this.saveXRPSession(sessionId);
+
+    const store = getChannelStore();
+    const channel = await store.getChannelData(channelId);
+    if (!channel) {
+      await store.initializeChannel(channelId, {
+        receiverStartTime: Date.now(),
+        senderPublicKey: publicKey,
+        apiKeyId,
+      });
+    } else if (apiKeyId && !channel.apiKeyId) {
+      // Finalization outlives the session; its events go to the channel's
+      // owner. A channel that has one keeps it.
+      await store.updateChannel(channelId, { apiKeyId });
+    }
+
+    console.log(`✓ Started receiver stream for channel ${channelId}`);
+    this.emit('sessionStarted', { sessionId, currency: 'XRP' });
+
+    return sessionId;
+  }
+
+  /**
+   * Sign a claim for the current accrued amount of a sender session
+   */
+  async signXRPClaim(sessionId) {
+    const session = this.requireXRPSession(sessionId, 'sender');
+    if (session.custody === 'client') {
+      throw new Error(`Claims for ${sessionId} are signed by the client`);
+    }
+
+    const previousAmount = session.signer.lastSignedAmount.toString();
+    const claim = session.signer.signCurrentClaim();
+    await this.saveXRPClaimState(sessionId);
+    this.emit('claimSigned', {
+      sessionId,
+      currency: 'XRP',
+      channelId: session.channelId,
+      amount: claim.amount,
+      previousAmount,
+    });
+    this.reportExhaustion(sessionId, session, claim.amount);
+
+    return claim;
+  }
+
+  /**
+   * Accept a claim the client signed for a client-custody sender session
+   * The signature must verify against the channel's public key and the amount
+   * must exceed the previous claim without exceeding the channel capacity.
+   * @returns {Promise<object>} { valid, claim } or { valid: false, reason }
+   */
+  async submitXRPClaim(sessionId, { amount, signature }) {
+    const session = this.requireXRPSession(sessionId, 'sender');
+    if (session.custody !== 'client') {
+      throw new Error(`Claims for ${sessionId} are signed by the server`);
+    }
+
+    const publicKey = session.channelInfo.PublicKey;
+    let drops;
+    try {
+      drops = BigInt(amount);
+    } catch (error) {
+      return { valid: false, reason: 'Amount must be an integer number of drops' };
+    }
+
+    if (drops <= session.signer.lastSignedAmount) {
+      return { valid: false, reason: `Amount must exceed the previous claim (${session.signer.lastSignedAmount} drops)` };
+    }
+    if (session.signer.capacity !== null && drops > session.signer.capacity) {
+      return { valid: false, reason: `Amount exceeds channel capacity (${session.signer.capacity} drops)` };
+    }
+    if (!verifyClaim(session.channelId, drops.toString(), signature, publicKey)) {
+      return { valid: false, reason: 'Invalid claim signature for this channel' };
+    }
+
+    const claim = {
+      channelId: session.channelId,
+      amount: drops.toString(),
+      signature: signature.toUpperCase(),
+      publicKey,
+      timestamp: Date.now(),
+    };
+    const previousAmount = session.signer.lastSignedAmount.toString();
+    session.signer.recordClaim(claim.amount);
+    session.latestClaim = claim;
+    await this.saveXRPClaimState(sessionId);
+
+    this.emit('claimSigned', {
+      sessionId,
+      currency: 'XRP',
+      channelId: session.channelId,
+      amount: claim.amount,
+      previousAmount,
+    });
+    this.reportExhaustion(sessionId, session, claim.amount);
+
+    return { valid: true, claim };
+  }
+
+  /**
+   * Latest claim of a sender session: signed now, or the last one the client submitted
+   * @returns {Promise<object|null>} Claim, or null if a client has not submitted one yet
+   */
+  async getXRPClaim(sessionId) {
+    const session = this.requireXRPSession(sessionId, 'sender');
+    if (session.custody === 'client') {
+      return session.latestClaim;
+    }
+    return this.signXRPClaim(sessionId);
+  }
+
+  /**
+   * Report exhaustion once; a top-up raising the capacity re-arms it
+   */
+  reportExhaustion(sessionId, session, amount) {
+    const exhausted = session.signer.capacity !== null &&
+      BigInt(amount) >= session.signer.capacity;
+
+    if (exhausted && !session.exhaustionReported) {
+      console.warn(`⚠️  Channel ${session.channelId} exhausted at ${amount} drops`);
+      this.emit('channelExhausted', {
+        sessionId,
+        channelId: session.channelId,
+        capacity: session.signer.capacity.toString(),
+      });
+    }
+    session.exhaustionReported = exhausted;
+  }
+
+  /**
+   * Validate a claim with a receiver session's streaming validator
+   */
+  async validateXRPClaim(sessionId, amount, signature) {
+    const session = this.requireXRPSession(sessionId, 'receiver');
+    const result = await session.validator.validateStreamingClaim(amount, signature);
+    await this.saveXRPClaimState(sessionId);
+    this.emit('claimValidated', {
+      sessionId,
+      currency: 'XRP',
+      channelId: session.channelId,
+      amount,
+      valid: result.valid,
+      reason: result.valid ? null : result.reason,
+    });
+    return result;
+  }
+
+  /**
+   * Stop an XRP session
+   * @returns {Promise<object|null>} Stop summary, or null if not active
+   */
+  async stopXRPSession(sessionId) {
+    const session = this.xrpSessions.get(sessionId);
+    if (!session) return null;
+
+    let summary;
+    if (session.role === 'sender') {
+      session.signer.stop();
+      const finalAmount = session.signer.getCurrentAmount();
+      summary = {
+        role: 'sender',
+        finalAmount,
+        finalXRP: parseInt(finalAmount) / 1000000,
+        duration: Date.now() - session.startTime,
+      };
+    } else {
+      summary = {
+        role: 'receiver',
+        stats: session.validator.getStats(),
+        duration: Date.now() - session.startTime,
+      };
+    }
+
+    this.xrpSessions.delete(sessionId);
+    clearTimeout(this.claimSaves.get(sessionId)?.timer);
+    this.claimSaves.delete(sessionId);
+    await getSessionStore().remove(XRP_OWNER, sessionId);
+
+    console.log(`✓ Stopped ${session.role} stream for channel ${session.channelId}`);
+    this.emit('sessionStopped', {
+      sessionId,
+      currency: 'XRP',
+      summary,
+      apiKeyId: session.apiKeyId || null,
+    });
+
+    return summary;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // RLUSD DIRECT PAYMENT SESSIONS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Start an RLUSD session paid in equal installments
+   * Amounts are exact decimal strings; the last installment also carries
+   * what the split leaves over, so the receiver gets exactly totalAmount.
+   * @param {object} options
+   * @param {object} options.senderWallet - Signing wallet; omit for a client-custody stream
+   * @param {string} options.senderAddress - Sender address of a client-custody stream
+   * @param {string} options.mode - 'direct' (a Payment per installment),
+   *   'escrow' (installments locked up front, see escrowLadder.js) or
+   *   'cross-currency' (the sender pays in XRP, see crossCurrency.js)
+   * @param {string} options.token - Registered token to pay in (default
+   *   config.tokens.defaultToken, see tokenRegistry.js)
+   * @param {number} options.maxSlippageBps - Cross-currency streams: XRP an
+   *   installment may cost above the start quote (default config.crossCurrency)
+   * @param {boolean} options.persist - Set false for throwaway demo sessions
+   * @param {string} options.apiKeyId - Owning API key (see tenants.js)
+   * @returns {Promise<object>} { sessionId, session }
+   */
+  async startRLUSDSession({
+    senderWallet = null,
+    senderAddress = null,
+    receiverAddress,
+    totalAmount,
+    duration = 3600,
+    intervalSeconds = 60,
+    mode = 'direct',
+    token = config.tokens.defaultToken,
+    maxSlippageBps = config.crossCurrency.defaultSlippageBps,
+    persist = true,
+    apiKeyId = null,
+  }) {
+    const sender = senderWallet ? senderWallet.address : senderAddress;
+    if (!sender) {
+      throw new Error('senderWallet or senderAddress required');
+    }
+    const { decimals, symbol } = getToken(token);
+
+    const sessionId = `${sender}-${receiverAddress}`;
+    this.assertNotActive(sessionId);
+
+    // Calculate streaming parameters (exact: the last installment takes the remainder)
+    const paymentCount = Math.floor(duration / intervalSeconds);
+    const { amount: paymentAmount, finalAmount: finalPaymentAmount } = splitAmount(totalAmount, paymentCount, decimals);
+
+    let streamConfig;
+    let escrows;
+    let crossCurrency;
+    if (mode === 'escrow') {
+      const check = validateEscrowStream({ custodial: Boolean(senderWallet), duration, intervalSeconds });
+      if (!check.valid) {
+        throw new Error(check.error);
+      }
+      escrows = await this.createEscrowLadder(sessionId, { senderWallet, receiverAddress, apiKeyId, token }, {
+        paymentAmount,
+        finalPaymentAmount,
+        paymentCount,
+        intervalSeconds,
+      });
+      streamConfig = {
+        success: true,
+        streamType: 'escrow_ladder',
+        senderAddress: sender,
+        destinationAddress: receiverAddress,
+        totalAmount,
+        paymentAmount,
+        finalPaymentAmount,
+        paymentCount,
+        createdAt: Date.now(),
+      };
+    } else if (mode === 'cross-currency') {
+      const check = validateCrossCurrencyStream({ custodial: Boolean(senderWallet), maxSlippageBps });
+      if (!check.valid) {
+        throw new Error(check.error);
+      }
+      // The start quote is the reference the slippage limit applies to
+      const quote = await quoteXRPPayment(sender, receiverAddress, paymentAmount, token);
+      if (!quote) {
+        throw new Error(`No XRP path delivers ${paymentAmount} ${symbol} to ${receiverAddress}`);
+      }
+      crossCurrency = createCrossCurrency(quote, paymentAmount, maxSlippageBps);
+      streamConfig = {
+        success: true,
+        streamType: 'cross_currency',
+        senderAddress: sender,
+        destinationAddress: receiverAddress,
+        totalAmount,
+        paymentAmount,
+        finalPaymentAmount,
+        paymentCount,
+        createdAt: Date.now(),
+      };
+    } else if (mode === 'direct') {
+      streamConfig = await createDirectRLUSDStream(
+        senderWallet || { address: sender },
+        receiverAddress,
+        totalAmount,
+        paymentCount,
+        decimals
+      );
+    } else {
+      throw new Error(`Unknown RLUSD stream mode: ${mode}`);
+    }
+
+    const session = {
+      senderWallet,
+      senderAddress: sender,
+      custody: senderWallet ? 'server' : 'client',
+      mode,
+      token,
+      ...(escrows && { escrows }),
+      ...(crossCurrency && { crossCurrency }),
+      apiKeyId,
+      receiverAddress,
+      totalAmount: roundAmount(totalAmount, decimals),
+      paymentAmount,
+      finalPaymentAmount,
+      paymentCount,
+      paymentsCompleted: 0,
+      intervalSeconds,
+      startTime: Date.now(),
+      config: streamConfig,
+      isPaused: false,
+      persist,
+      payments: [], // Track individual payments
+    };
+
+    this.rlusdSessions.set(sessionId, session);
+    if (persist) {
+      await this.assignSessionKey(sessionId, senderWallet, apiKeyId);
+    }
+    await this.saveRLUSDSession(sessionId);
+
+    console.log(`✓ Started RLUSD stream: ${sender} → ${receiverAddress}`);
+    this.emit('sessionStarted', { sessionId, currency: token });
+
+    return { sessionId, session };
+  }
+
+  /**
+   * Lock a stream's installments in escrows
+   * If the ladder fails part way, the rungs already created are queued for
+   * cancellation before the error is rethrown.
+   * @param {string} sessionId
+   * @param {object} stream - { senderWallet, receiverAddress, apiKeyId, token }
+   * @param {object} plan - Installments (see planEscrowLadder)
+   * @returns {Promise<Array<object>>} Rungs with status 'locked'
+   */
+  async createEscrowLadder(sessionId, { senderWallet, receiverAddress, apiKeyId, token }, plan) {
+    const rungs = planEscrowLadder(plan);
+    try {
+      const created = await createRLUSDEscrowLadder(senderWallet, receiverAddress, rungs, token);
+      return created.map((rung) => ({ ...rung, status: 'locked' }));
+    } catch (error) {
+      await this.escrowCancels.enqueue(sessionId, senderWallet, error.created || [], { apiKeyId, token });
+      throw error;
+    }
+  }
+
+  /**
+   * Unsigned Payment for the next installment of a client-custody RLUSD session
+   * @returns {Promise<object|null>} Autofilled transaction, or null if nothing is left to pay
+   */
+  async prepareRLUSDPayment(sessionId) {
+    const session = this.requireRLUSDSession(sessionId);
+    if (session.paymentsCompleted >= session.paymentCount) return null;
+
+    return prepareTransaction(this.getRLUSDPaymentFields(session));
+  }
+
+  /**
+   * Send the next installment of an RLUSD session
+   * @returns {Promise<object>} One of:
+   *   { status: 'sent', payment, totalSent, remaining }
+   *   { status: 'pending', transactionHash } - previous payment not yet settled
+   *   { status: 'complete' }                 - nothing left to pay
+   *   { status: 'in-progress' }              - another call is paying this session
+   *   { status: 'failed', error }
+   * @param {string} sessionId
+   * @param {object} options
+   * @param {string} options.signedTransaction - Client-signed Payment blob (client-custody sessions)
+   */
+  async executeRLUSDPayment(sessionId, options = {}) {
+    const session = this.requireRLUSDSession(sessionId);
+
+    // The auto-execution timer and a manual /execute can race; the lock is
+    // taken before anything awaits, so only one of them autofills and signs
+    if (this.paymentsInFlight.has(sessionId)) {
+      return { status: 'in-progress' };
+    }
+    this.paymentsInFlight.add(sessionId);
+    try {
+      return await this.sendRLUSDInstallment(sessionId, session, options);
+    } finally {
+      this.paymentsInFlight.delete(sessionId);
+    }
+  }
+
+  /**
+   * Body of executeRLUSDPayment, run under the session's payment lock
+   */
+  async sendRLUSDInstallment(sessionId, session, { signedTransaction = null } = {}) {
+    if (session.mode === 'escrow') {
+      return this.releaseRLUSDEscrows(sessionId);
+    }
+
+    if (session.custody === 'client' && !signedTransaction) {
+      throw new Error(`Payments for ${sessionId} are signed by the client`);
+    }
+    if (session.custody !== 'client' && signedTransaction) {
+      throw new Error(`Payments for ${sessionId} are signed by the server`);
+    }
+
+    // Settle any payment left in flight by a restart or failed submission
+    const hadPending = Boolean(session.pendingPayment);
+    if (!(await resolvePendingPayment(session))) {
+      return {
+        status: 'pending',
+        transactionHash: session.pendingPayment.transactionHash,
+      };
+    }
+
+    if (session.paymentsCompleted >= session.paymentCount) {
+      if (hadPending) {
+        await this.finishRLUSDSession(sessionId, 'completedAt');
+      }
+      return { status: 'complete' };
+    }
+
+    if (hadPending) {
+      await this.saveRLUSDSession(sessionId);
+    }
+
+    // Execute payment (or relay the client's signed one)
+    const paymentAmount = installmentAmount(session, session.paymentsCompleted + 1);
+    const hooks = session.persist
+      ? trackPendingPayment(RLUSD_OWNER, sessionId, session, paymentAmount)
+      : {};
+    let paymentResult;
+    if (signedTransaction) {
+      paymentResult = await submitSignedTransaction(signedTransaction, this.getRLUSDPaymentFields(session), hooks);
+    } else if (session.mode === 'cross-currency') {
+      paymentResult = await this.payCrossCurrencyInstallment(session, paymentAmount, hooks);
+    } else {
+      paymentResult = await executeRLUSDPayment(
+        session.senderWallet,
+        session.receiverAddress,
+        paymentAmount,
+        { ...hooks, token: session.token }
+      );
+    }
+
+    if (!paymentResult.success) {
+      this.emit('paymentFailed', { sessionId, currency: session.token, error: paymentResult.error });
+      return { status: 'failed', error: paymentResult.error };
+    }
+
+    session.pendingPayment = null;
+    session.paymentsCompleted++;
+    const totalSent = sessionAmountSent(session);
+    const remaining = session.paymentCount - session.paymentsCompleted;
+
+    // Track individual payment
+    const payment = {
+      paymentNumber: session.paymentsCompleted,
+      amount: paymentAmount,
+      transactionHash: paymentResult.transactionHash,
+      timestamp: Date.now(),
+      ...(paymentResult.sendMax && { xrpSpent: paymentResult.xrpSpent, sendMax: paymentResult.sendMax }),
+    };
+    session.payments.push(payment);
+
+    console.log(`✓ RLUSD payment ${session.paymentsCompleted}/${session.paymentCount} sent`);
+    this.emit('paymentSent', { sessionId, currency: session.token, payment });
+
+    // Clean up session if complete but preserve history
+    if (remaining === 0) {
+      await this.finishRLUSDSession(sessionId, 'completedAt');
+    } else {
+      await this.saveRLUSDSession(sessionId);
+    }
+
+    return { status: 'sent', payment, totalSent, remaining };
+  }
+
+  /**
+   * Pay an installment of a cross-currency session in XRP
+   * The installment is quoted first; one quoted above the session's
+   * slippage limit is not submitted.
+   * @param {object} ledger - Ledger calls (defaults to contracts/createRLUSDStream.js)
+   * @returns {Promise<object>} Payment result plus sendMax, or { success: false, error }
+   */
+  async payCrossCurrencyInstallment(session, amount, hooks, ledger = { quoteXRPPayment, executeCrossCurrencyPayment }) {
+    const { decimals, symbol } = getToken(session.token);
+    const sendMax = maxSendDrops(session.crossCurrency, amount, decimals);
+
+    const quote = await ledger.quoteXRPPayment(session.senderAddress, session.receiverAddress, amount, session.token);
+    if (!quote) {
+      return { success: false, error: `No XRP path delivers ${amount} ${symbol} to ${session.receiverAddress}` };
+    }
+    if (BigInt(quote.sourceDrops) > BigInt(sendMax)) {
+      return {
+        success: false,
+        error: `${amount} ${symbol} costs ${quote.sourceDrops} drops, above the slippage limit of ${sendMax} drops`,
+      };
+    }
+
+    const result = await ledger.executeCrossCurrencyPayment(session.senderWallet, session.receiverAddress, amount, {
+      ...hooks,
+      token: session.token,
+      sendMaxDrops: sendMax,
+      paths: quote.paths,
+    });
+    return { ...result, sendMax };
+  }
+
+  /**
+   * Release every rung of an escrow-ladder session that has fallen due
+   * @returns {Promise<object>} One of:
+   *   { status: 'sent', payment, payments, totalSent, remaining }
+   *   { status: 'scheduled', dueAt } - next rung not due yet
+   *   { status: 'complete' }         - no locked rungs left
+   *   { status: 'failed', error }
+   */
+  async releaseRLUSDEscrows(sessionId) {
+    const session = this.requireRLUSDSession(sessionId);
+    const released = [];
+    let failure = null;
+
+    for (const rung of session.escrows) {
+      if (rung.status !== 'locked') continue;
+
+      const now = Date.now();
+      if (now < rung.finishAfter) break;
+
+      // Past CancelAfter the ledger only allows returning it to the sender
+      if (now >= rung.cancelAfter) {
+        rung.status = 'lapsed';
+        await this.escrowCancels.enqueue(sessionId, session.senderWallet, [rung], session);
+        console.warn(`⚠️  Escrow ${rung.index} of ${sessionId} lapsed before it was released`);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await finishRLUSDEscrow(
+          session.senderWallet,
+          session.senderAddress,
+          rung.sequence,
+          rung.condition,
+          rung.fulfillment
+        );
+      } catch (error) {
+        failure = error.message;
+        break;
+      }
+
+      // Ledger close time has not passed FinishAfter yet
+      if (result.resultCode === 'tecNO_PERMISSION') break;
+      // tecNO_TARGET: released by an earlier attempt whose result was lost
+      if (!result.success && result.resultCode !== 'tecNO_TARGET') {
+        failure = `EscrowFinish failed: ${result.resultCode}`;
+        break;
+      }
+
+      rung.status = 'released';
+      rung.releaseHash = result.success ? result.transactionHash : null;
+      session.paymentsCompleted++;
+
+      const payment = {
+        paymentNumber: session.paymentsCompleted,
+        amount: rung.amount,
+        transactionHash: rung.releaseHash,
+        escrowSequence: rung.sequence,
+        timestamp: Date.now(),
+        ...(!result.success && { reconciled: true }),
+      };
+      session.payments.push(payment);
+      released.push(payment);
+
+      console.log(`✓ RLUSD escrow ${rung.index}/${session.paymentCount} released`);
+      this.emit('paymentSent', { sessionId, currency: session.token, payment });
+    }
+
+    const next = session.escrows.find((rung) => rung.status === 'locked');
+    if (!next) {
+      await this.finishRLUSDSession(sessionId, 'completedAt');
+    } else {
+      await this.saveRLUSDSession(sessionId);
+    }
+
+    if (failure) {
+      this.emit('paymentFailed', { sessionId, currency: session.token, error: failure });
+      return { status: 'failed', error: failure };
+    }
+    if (released.length > 0) {
+      return {
+        status: 'sent',
+        payment: released[released.length - 1],
+        payments: released,
+        totalSent: sessionAmountSent(session),
+        remaining: session.escrows.filter((rung) => rung.status === 'locked').length,
+      };
+    }
+    return next ? { status: 'scheduled', dueAt: next.finishAfter } : { status: 'complete' };
+  }
+
+  /**
+   * Expected fields of the next installment of a session
+   */
+  getRLUSDPaymentFields(session) {
+    return buildRLUSDPayment({
+      account: session.senderAddress,
+      destination: session.receiverAddress,
+      amount: installmentAmount(session, session.paymentsCompleted + 1),
+      token: session.token,
+    });
+  }
+
+  /**
+   * Check a client-signed Payment against the session's next installment
+   * @returns {object} { valid, error }
+   */
+  validateRLUSDPayment(sessionId, signedTransaction) {
+    const session = this.requireRLUSDSession(sessionId);
+
+    try {
+      const { tx } = decodeSignedTransaction(signedTransaction);
+      assertTransactionFields(tx, this.getRLUSDPaymentFields(session));
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Stop an RLUSD session before all installments are paid
+   * @returns {Promise<object|null>} The stopped session, or null if not active
+   */
+  async stopRLUSDSession(sessionId) {
+    const session = this.rlusdSessions.get(sessionId);
+    if (!session) return null;
+
+    // Unreleased escrows go back to the sender once the ledger allows it
+    if (session.mode === 'escrow') {
+      const locked = session.escrows.filter((rung) => rung.status === 'locked');
+      for (const rung of locked) {
+        rung.status = 'canceling';
+      }
+      await this.escrowCancels.enqueue(sessionId, session.senderWallet, locked, session);
+    }
+
+    return this.finishRLUSDSession(sessionId, 'stoppedAt');
+  }
+
+  /**
+   * Move an RLUSD session to history
+   * @param {string} marker - 'completedAt' or 'stoppedAt'
+   */
+  async finishRLUSDSession(sessionId, marker) {
+    const session = this.rlusdSessions.get(sessionId);
+    const finished = { ...session, [marker]: Date.now() };
+
+    this.rlusdHistory.set(sessionId, finished);
+    this.rlusdSessions.delete(sessionId);
+    await getSessionStore().remove(RLUSD_OWNER, sessionId);
+
+    if (marker === 'completedAt') {
+      console.log(`✓ RLUSD stream completed: ${sessionId}`);
+      this.emit('sessionCompleted', { sessionId, currency: session.token });
+    } else {
+      console.log(`✓ RLUSD stream stopped: ${sessionId}`);
+      this.emit('sessionStopped', {
+        sessionId,
+        currency: session.token,
+        summary: { paymentsCompleted: session.paymentsCompleted },
+      });
+    }
+
+    return finished;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PAUSE / RESUME
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Pause an active session (no-op if already paused)
+   * XRP sender sessions freeze claim accrual; RLUSD sessions hold payments.
+   * @returns {Promise<object>} The session
+   */
+  async pauseSession(sessionId) {
+    if (this.xrpSessions.has(sessionId)) {
+      const session = this.requireXRPSession(sessionId, 'sender');
+      if (session.signer.isPaused()) return session;
+
+      session.signer.pause();
+      await this.saveXRPSession(sessionId);
+
+      console.log(`⏸️ XRP stream paused: ${sessionId}`);
+      this.emit('sessionPaused', { sessionId, currency: 'XRP' });
+      return session;
+    }
+
+    const session = this.requireRLUSDSession(sessionId);
+    if (session.isPaused) return session;
+
+    session.isPaused = true;
+    session.pausedAt = Date.now();
+    await this.saveRLUSDSession(sessionId);
+
+    console.log(`⏸️ RLUSD stream paused: ${sessionId}`);
+    this.emit('sessionPaused', { sessionId, currency: session.token });
+
+    return session;
+  }
+
+  /**
+   * Resume a paused session (no-op if not paused)
+   * @returns {Promise<object>} The session
+   */
+  async resumeSession(sessionId) {
+    if (this.xrpSessions.has(sessionId)) {
+      const session = this.requireXRPSession(sessionId, 'sender');
+      if (!session.signer.isPaused()) return session;
+
+      session.signer.resume();
+      await this.saveXRPSession(sessionId);
+
+      console.log(`▶️ XRP stream resumed: ${sessionId}`);
+      this.emit('sessionResumed', { sessionId, currency: 'XRP' });
+      return session;
+    }
+
+    const session = this.requireRLUSDSession(sessionId);
+    if (!session.isPaused) return session;
+
+    session.isPaused = false;
+    delete session.pausedAt;
+    await this.saveRLUSDSession(sessionId);
+
+    console.log(`▶️ RLUSD stream resumed: ${sessionId}`);
+    this.emit('sessionResumed', { sessionId, currency: session.token });
+
+    return session;
+  }
+
+  /**
+   * Whether a live session is currently paused
+   */
+  isPaused(sessionId) {
+    const xrpSession = this.xrpSessions.get(sessionId);
+    if (xrpSession) {
+      return xrpSession.role === 'sender' && xrpSession.signer.isPaused();
+    }
+
+    const rlusdSession = this.rlusdSessions.get(sessionId);
+    return Boolean(rlusdSession && rlusdSession.isPaused);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PERSISTENCE
+  // ═══════════════════════════════════════════════════════════════════════
+
+  async saveXRPSession(sessionId) {
+    const session = this.xrpSessions.get(sessionId);
+    if (session && (session.role !== 'sender' || isPersistable(session.signer.wallet))) {
+      await getSessionStore().save(XRP_OWNER, sessionId, serializeXRPSession(session));
+    }
+  }
+
+  /**
+   * Save an XRP session after a claim
+   * Claims arrive every few seconds, so these saves are coalesced: at most
+   * one per config.sessions.claimSaveIntervalMs, with a trailing save for the
+   * last claim of a burst. Restored senders catch up on claims validated
+   * after their last save (see restore).
+   */
+  async saveXRPClaimState(sessionId) {
+    const state = this.claimSaves.get(sessionId) || { savedAt: 0, timer: null };
+    if (state.timer) return;
+
+    const wait = state.savedAt + config.sessions.claimSaveIntervalMs - Date.now();
+    if (wait <= 0) {
+      this.claimSaves.set(sessionId, { savedAt: Date.now(), timer: null });
+      await this.saveXRPSession(sessionId);
+      return;
+    }
+
+    state.timer = setTimeout(() => {
+      this.claimSaves.set(sessionId, { savedAt: Date.now(), timer: null });
+      this.saveXRPSession(sessionId).catch((error) => {
+        console.error(`Failed to save XRP session ${sessionId}:`, error.message);
+      });
+    }, wait);
+    state.timer.unref();
+    this.claimSaves.set(sessionId, state);
+  }
+
+  /**
+   * Write claim saves that are still waiting (server shutdown)
+   */
+  async flushClaimSaves() {
+    for (const [sessionId, { timer }] of this.claimSaves) {
+      if (!timer) continue;
+      clearTimeout(timer);
+      this.claimSaves.delete(sessionId);
+      await this.saveXRPSession(sessionId);
+    }
+  }
+
+  async saveRLUSDSession(sessionId) {
+    const session = this.rlusdSessions.get(sessionId);
+    if (session && session.persist !== false && isPersistable(session.senderWallet)) {
+      await getSessionStore().save(RLUSD_OWNER, sessionId, serializeRLUSDSession(session));
+    }
+  }
+
+  /**
+   * Make a new session's wallet persistable: records reference server-held
+   * wallets by keystore key ID, so a seed is imported first. With a locked
+   * keystore the session runs in memory only.
+   */
+  async assignSessionKey(sessionId, wallet, apiKeyId) {
+    if (!getSessionStore().enabled) return;
+    if (!(await assignWalletKey(wallet, apiKeyId))) {
+      console.warn(`⚠️  ${sessionId} will not survive a restart: set KEYSTORE_PASSPHRASE to persist streams started with a seed`);
+    }
+  }
+
+  /**
+   * Rebuild sessions that were active before the last shutdown
+   * @returns {Promise<number>} Number of restored sessions
+   */
+  async restore() {
+    const store = getSessionStore();
+
+    for (const record of await store.getSessions(XRP_OWNER)) {
+      try {
+        const session = await restoreXRPSession(record);
+        if (session.role === 'sender') {
+          // Claim saves are coalesced; never sign below a claim already validated
+          session.signer.advanceTo(await channelSpent(session.channelId));
+        }
+        this.xrpSessions.set(record.sessionId, session);
+        console.log(`✓ Restored ${record.role} stream for channel ${record.channelId}`);
+      } catch (error) {
+        console.error(`Failed to restore XRP session ${record.sessionId}:`, error.message);
+      }
+    }
+
+    for (const record of await store.getSessions(RLUSD_OWNER)) {
+      try {
+        const session = await restoreRLUSDSession(record);
+        this.rlusdSessions.set(record.sessionId, session);
+
+        // A reconciled payment may have been the last one
+        if (isRLUSDSessionPaid(session)) {
+          await this.finishRLUSDSession(record.sessionId, 'completedAt');
+          continue;
+        }
+
+        await this.saveRLUSDSession(record.sessionId);
+        console.log(
+          `✓ Restored RLUSD stream ${record.sessionId} (${session.paymentsCompleted}/${session.paymentCount} paid)`
+        );
+      } catch (error) {
+        console.error(`Failed to restore RLUSD session ${record.sessionId}:`, error.message);
+      }
+    }
+
+    return this.xrpSessions.size + this.rlusdSessions.size;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // HELPERS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  assertNotActive(sessionId) {
+    if (this.hasSession(sessionId)) {
+      throw new Error(`Session already active: ${sessionId}`);
+    }
+  }
+
+  requireXRPSession(sessionId, role) {
+    const session = this.xrpSessions.get(sessionId);
+    if (!session || (role && session.role !== role)) {
+      throw new Error(`No active XRP ${role || 'stream'} session: ${sessionId}`);
+    }
+    return session;
+  }
+
+  requireRLUSDSession(sessionId) {
+    const session = this.rlusdSessions.get(sessionId);
+    if (!session) {
+      throw new Error(`No active RLUSD session: ${sessionId}`);
+    }
+    return session;
+  }
+}
+
+// Singleton instance
+let managerInstance = null;
+
+/**
+ * Get the singleton session manager instance
+ */
+function getSessionManager() {
+  if (!managerInstance) {
+    managerInstance = new SessionManager();
+  }
+  return managerInstance;
+}
+
+/**
+ * Reset the manager instance (mainly for testing)
+ */
+function resetSessionManager() {
+  managerInstance = null;
+}
+
+module.exports = {
+  SessionManager,
+  getSessionManager,
+  resetSessionManager,
+  formatSessionAmount,
+  installmentAmount,
+  sessionAmountSent,
+  sessionAmountRemaining,
+  channelSpent,
+};
@@ -0,0 +1,344 @@
+/**
+ * sessionStore.js
+ * Durable copy of active streaming sessions
+ *
+ * Sessions run in memory while a stream is live. This store keeps a copy of
+ * each one (signer accrual, validator history, RLUSD payment progress) so the
+ * server can rebuild them after a restart or deploy. Records are written
+ * through the same storage backends as the channel store.
+ */
+
+const xrpl = require('xrpl');
+const config = require('../../config');
+const { createStorageAdapter } = require('./storage');
+const { StreamingSigner } = require('./signer');
+const { StreamingValidator } = require('./validator');
+const { getKeystore } = require('./keystore');
+const { getRLUSDPaymentStatus } = require('../../contracts/createRLUSDStream');
+
+class SessionStore {
+  /**
+   * @param {object} storage - Storage config block or adapter instance
+   *   (defaults to config.storage with the config.sessions paths)
+   */
+  constructor(storage = { ...config.storage, ...config.sessions }) {
+    // Adapters are keyed record stores; session records use the channel slot
+    this.adapter = typeof storage.load === 'function' ? storage : createStorageAdapter(storage);
+    this.enabled = storage.enabled !== false;
+    this.sessions = new Map();
+    this.initialized = false;
+    this.initializing = null;
+  }
+
+  /**
+   * Initialize the store (load from the storage backend)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        await this.adapter.initialize();
+        const { channels } = await this.adapter.load();
+        this.sessions = channels;
+        this.initialized = true;
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Save (or overwrite) a session record
+   * @param {string} owner - Module that owns the session ('xrp', 'rlusd' or 'unifiedRoutes')
+   * @param {string} sessionId - Session identifier within that module
+   * @param {object} record - Serialized session state
+   */
+  async save(owner, sessionId, record) {
+    if (!this.enabled) return;
+    await this.initialize();
+
+    const data = {
+      ...record,
+      owner,
+      sessionId,
+      savedAt: Date.now(),
+    };
+
+    const key = `${owner}:${sessionId}`;
+    this.sessions.set(key, data);
+    await this.adapter.saveChannel(key, data);
+  }
+
+  /**
+   * Remove a session record (stream stopped or completed)
+   */
+  async remove(owner, sessionId) {
+    if (!this.enabled) return;
+    await this.initialize();
+
+    const key = `${owner}:${sessionId}`;
+    if (this.sessions.delete(key)) {
+      await this.adapter.deleteChannel(key);
+    }
+  }
+
+  /**
+   * Get all saved session records for an owner
+   */
+  async getSessions(owner) {
+    if (!this.enabled) return [];
+    await this.initialize();
+
+    return Array.from(this.sessions.values()).filter(s => s.owner === owner);
+  }
+
+  async close() {
+    await this.adapter.close();
+    this.initialized = false;
+  }
+}
+
+// Singleton instance
+let storeInstance = null;
+
+/**
+ * Get the singleton session store instance
+ */
+function getSessionStore(storage) {
+  if (!storeInstance) {
+    storeInstance = new SessionStore(storage);
+  }
+  return storeInstance;
+}
+
+/**
+ * Reset the store instance (mainly for testing)
+ */
+function resetSessionStore() {
+  storeInstance = null;
+}
+
+/**
+ * Persisted reference to a wallet: its keystore key ID
+ * (null for client-custody streams, which have no wallet). Seeds are never
+ * written to session records; see assignWalletKey.
+ */
+function walletRef(wallet) {
+  if (!wallet) return { keyId: null };
+  if (!wallet.keyId) {
+    throw new Error(`Wallet ${wallet.address} has no keystore key ID and cannot be persisted`);
+  }
+  return { keyId: wallet.keyId };
+}
+
+/**
+ * Make a server-held wallet persistable by key ID
+ * Wallets started from a seed are imported into the keystore (owned by the
+ * session's API key) and tagged with the new key ID.
+ * @param {object|null} wallet - Session wallet (null for client custody)
+ * @param {string|null} owner - API key id owning the session
+ * @returns {Promise<boolean>} False if the wallet cannot be persisted (keystore locked)
+ */
+async function assignWalletKey(wallet, owner) {
+  if (!wallet || wallet.keyId) return true;
+
+  const keystore = getKeystore();
+  if (!keystore.isUnlocked()) return false;
+
+  const key = await keystore.findKeyByAddress(owner, wallet.address) ||
+    await keystore.importKey(owner, { seed: wallet.seed, label: 'session wallet' });
+  wallet.keyId = key.keyId;
+  return true;
+}
+
+/**
+ * Whether a session with this wallet can be persisted (see walletRef)
+ */
+function isPersistable(wallet) {
+  return !wallet || Boolean(wallet.keyId);
+}
+
+/**
+ * Wallet of a persisted reference (see walletRef)
+ */
+async function restoreWallet(keyId) {
+  return keyId ? getKeystore().getWallet(keyId) : null;
+}
+
+/**
+ * Serialize an XRP payment channel session (sender or receiver)
+ */
+function serializeXRPSession(session) {
+  const base = {
+    role: session.role,
+    channelId: session.channelId,
+    apiKeyId: session.apiKeyId || null,
+    channelInfo: session.channelInfo,
+    startTime: session.startTime,
+  };
+
+  if (session.role === 'sender') {
+    const { keyId } = walletRef(session.signer.wallet);
+    return {
+      ...base,
+      custody: session.custody || 'server',
+      keyId,
+      signer: session.signer.toJSON(),
+      latestClaim: session.latestClaim || null,
+      topUp: session.topUp || null,
+    };
+  }
+
+  return {
+    ...base,
+    validator: session.validator.toJSON(),
+  };
+}
+
+/**
+ * Rebuild an XRP payment channel session from a saved record
+ */
+async function restoreXRPSession(record) {
+  const base = {
+    role: record.role,
+    channelId: record.channelId,
+    apiKeyId: record.apiKeyId || null,
+    channelInfo: record.channelInfo,
+    startTime: record.startTime,
+  };
+
+  if (record.role === 'sender') {
+    // Client-custody streams have no wallet; their claims arrive pre-signed
+    const wallet = await restoreWallet(record.keyId);
+    return {
+      ...base,
+      custody: record.custody || 'server',
+      signer: StreamingSigner.fromJSON(wallet, record.signer),
+      latestClaim: record.latestClaim || null,
+      topUp: record.topUp || null,
+    };
+  }
+
+  return {
+    ...base,
+    validator: StreamingValidator.fromJSON(record.validator),
+  };
+}
+
+/**
+ * Serialize an RLUSD direct payment session
+ */
+function serializeRLUSDSession(session) {
+  const { senderWallet, ...state } = session;
+  const { keyId } = walletRef(senderWallet);
+  return {
+    ...state,
+    senderKeyId: keyId,
+  };
+}
+
+/**
+ * Rebuild an RLUSD direct payment session from a saved record
+ * A payment that was in flight at shutdown is reconciled against the ledger
+ * so it is counted once and never sent twice.
+ * @param {object} ledger - Payment lookups (see resolvePendingPayment)
+ */
+async function restoreRLUSDSession(record, ledger) {
+  const { senderKeyId, owner, sessionId, savedAt, ...state } = record;
+  // Client-custody streams have no wallet; each payment arrives signed
+  const senderWallet = await restoreWallet(senderKeyId);
+  const senderAddress = state.senderAddress || senderWallet?.address;
+  if (!senderAddress) {
+    throw new Error(`Session record ${sessionId} has neither a sender address nor a wallet`);
+  }
+  const session = {
+    ...state,
+    senderWallet,
+    senderAddress,
+    custody: state.custody || 'server',
+    // Saved before tokens were configurable
+    token: state.token || config.tokens.defaultToken,
+    payments: state.payments || [],
+  };
+
+  try {
+    await resolvePendingPayment(session, ledger);
+  } catch (error) {
+    // Left pending; the next payment attempt reconciles it again
+    console.error(`Could not reconcile pending payment for ${sessionId}:`, error.message);
+  }
+
+  return session;
+}
+
+/**
+ * Settle a payment that was signed but not confirmed (crash or failed submit)
+ * @param {object} session - RLUSD session with an optional pendingPayment
+ * @param {object} ledger - { getRLUSDPaymentStatus } (the validated ledger
+ *   unless a test passes its own)
+ * @returns {Promise<boolean>} True if it is safe to send the next payment
+ */
+async function resolvePendingPayment(session, ledger = { getRLUSDPaymentStatus }) {
+  const pending = session.pendingPayment;
+  if (!pending) return true;
+
+  const outcome = await ledger.getRLUSDPaymentStatus(
+    pending.transactionHash,
+    pending.lastLedgerSequence
+  );
+
+  if (outcome.status === 'pending') {
+    return false;
+  }
+
+  if (outcome.status === 'success') {
+    session.paymentsCompleted++;
+    session.payments.push({
+      paymentNumber: session.paymentsCompleted,
+      amount: pending.amount,
+      transactionHash: pending.transactionHash,
+      timestamp: Date.now(),
+      reconciled: true,
+      // Cross-currency installments (see crossCurrency.js)
+      ...(pending.sendMax && { xrpSpent: outcome.xrpSpent ?? null, sendMax: pending.sendMax }),
+    });
+    console.log(`✓ Reconciled in-flight RLUSD payment ${pending.transactionHash}`);
+  }
+
+  session.pendingPayment = null;
+  return true;
+}
+
+/**
+ * Payment options that record the in-flight payment before it is submitted
+ * Pass the result to executeRLUSDPayment.
+ */
+function trackPendingPayment(owner, sessionId, session, amount) {
+  return {
+    onSigned: async (pending) => {
+      session.pendingPayment = { ...pending, amount };
+      if (isPersistable(session.senderWallet)) {
+        await getSessionStore().save(owner, sessionId, serializeRLUSDSession(session));
+      }
+    },
+  };
+}
+
+module.exports = {
+  SessionStore,
+  getSessionStore,
+  resetSessionStore,
+  serializeXRPSession,
+  restoreXRPSession,
+  serializeRLUSDSession,
+  restoreRLUSDSession,
+  resolvePendingPayment,
+  trackPendingPayment,
+  walletRef,
+  assignWalletKey,
+  isPersistable,
+  restoreWallet,
+};
@@ -9,6 +9,8 @@
 const xrpl = require('xrpl');
 const { encodeForSigningClaim } = require('ripple-binary-codec');
 const { sign: signData } = require('ripple-keypairs');
+const { calculateChannelDuration } = require('../utils/converters');
+const { resolveWallet } = require('./keystore');
 
 /**
  * Creates a signed claim for a specific amount
@@ -158,13 +160,23 @@ function verifyClaim(channelId, amount, signature, publicKey) {
  * Streaming session manager for handling continuous payments
  */
 class StreamingSigner {
-  constructor(wallet, channelId, ratePerSecond) {
+  /**
+   * @param {object|null} wallet - Sender's wallet object (null when the client signs claims)
+   * @param {string} channelId - Payment channel ID
+   * @param {string|number} ratePerSecond - Drops per second
+   * @param {string|null} capacity - Channel Amount in drops (null = uncapped)
+   */
+  constructor(wallet, channelId, ratePerSecond, capacity = null) {
     this.wallet = wallet;
     this.channelId = channelId;
     this.ratePerSecond = BigInt(ratePerSecond); // drops per second
+    this.capacity = capacity === null || capacity === undefined ? null : BigInt(capacity);
     this.currentTotal = 0n;
+    this.lastSignedAmount = 0n;
     this.startTime = null;
     this.isActive = false;
+    this.pausedAt = null; // Set while accrual is frozen
+    this.pausedDuration = 0; // Paused milliseconds since startTime
   }
   
   start() {
@@ -174,28 +186,204 @@ class StreamingSigner {
   }
   
   stop() {
+    this.currentTotal = BigInt(this.getCurrentAmount());
     this.isActive = false;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
     console.log('✓ Streaming session stopped');
   }
   
+  /**
+   * Freeze accrual; paused time is never billed (no-op if not streaming)
+   */
+  pause() {
+    if (!this.isActive || this.isPaused()) return;
+    this.pausedAt = Date.now();
+    console.log('⏸️ Streaming session paused');
+  }
+  
+  /**
+   * Continue accrual from the amount reached when paused
+   */
+  resume() {
+    if (!this.isPaused()) return;
+    this.pausedDuration += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    console.log('▶️ Streaming session resumed');
+  }
+  
+  isPaused() {
+    return this.pausedAt !== null;
+  }
+  
   getCurrentAmount() {
     if (!this.isActive || !this.startTime) {
       return this.currentTotal.toString();
     }
     
-    const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-    const amount = BigInt(elapsed) * this.ratePerSecond;
-    return (this.currentTotal + amount).toString();
+    // While paused the clock stops at pausedAt
+    const now = this.isPaused() ? this.pausedAt : Date.now();
+    const elapsed = Math.floor((now - this.startTime - this.pausedDuration) / 1000);
+    const amount = this.currentTotal + BigInt(elapsed) * this.ratePerSecond;
+    
+    // A claim can never authorize more than the channel holds
+    if (this.capacity !== null && amount > this.capacity) {
+      return this.capacity.toString();
+    }
+    return amount.toString();
   }
   
   signCurrentClaim() {
+    if (!this.wallet) {
+      throw new Error('No signing wallet: claims for this stream are signed by the client');
+    }
     const amount = this.getCurrentAmount();
-    return signClaim(this.wallet, this.channelId, amount);
+    const claim = signClaim(this.wallet, this.channelId, amount);
+    this.lastSignedAmount = BigInt(amount);
+    return claim;
+  }
+  
+  /**
+   * Record a claim signed outside this signer (client-custody streams)
+   */
+  recordClaim(amount) {
+    this.lastSignedAmount = BigInt(amount);
+  }
+  
+  /**
+   * Continue from a claim amount already authorized on this channel (by an
+   * earlier stream, or validated after the last save); never moves back
+   */
+  advanceTo(amount) {
+    const floor = BigInt(amount);
+    if (floor > this.lastSignedAmount) {
+      this.lastSignedAmount = floor;
+    }
+    if (floor > BigInt(this.getCurrentAmount())) {
+      this.updateTotal(floor);
+    }
+  }
+  
+  /**
+   * Update the channel capacity (e.g. after the channel was funded)
+   * Accrual is rebased first, so time spent exhausted is not billed.
+   */
+  setCapacity(capacity) {
+    this.currentTotal = BigInt(this.getCurrentAmount());
+    if (this.isActive) {
+      this.resetClock();
+    }
+    this.capacity = BigInt(capacity);
+  }
+  
+  /**
+   * True once the accrued amount has reached the channel capacity
+   */
+  isExhausted() {
+    return this.capacity !== null && BigInt(this.getCurrentAmount()) >= this.capacity;
+  }
+  
+  /**
+   * Streaming state: 'active', 'paused', 'exhausted' or 'stopped'
+   */
+  getState() {
+    if (this.isExhausted()) return 'exhausted';
+    if (this.isPaused()) return 'paused';
+    return this.isActive ? 'active' : 'stopped';
+  }
+  
+  /**
+   * Time left until the channel capacity is reached at the current rate
+   * @returns {object|null} calculateChannelDuration result, null if uncapped
+   */
+  getTimeToExhaustion() {
+    if (this.capacity === null) return null;
+    
+    const remaining = this.capacity - BigInt(this.getCurrentAmount());
+    return calculateChannelDuration(
+      (remaining > 0n ? remaining : 0n).toString(),
+      this.ratePerSecond.toString()
+    );
+  }
+  
+  /**
+   * Accrual and capacity summary for status endpoints
+   */
+  getStatus() {
+    return {
+      state: this.getState(),
+      currentAmount: this.getCurrentAmount(),
+      lastSignedAmount: this.lastSignedAmount.toString(),
+      capacity: this.capacity === null ? null : this.capacity.toString(),
+      exhausted: this.isExhausted(),
+      pausedAt: this.pausedAt,
+      timeToExhaustion: this.getTimeToExhaustion(),
+    };
   }
   
   updateTotal(newTotal) {
     this.currentTotal = BigInt(newTotal);
+    this.resetClock();
+  }
+  
+  /**
+   * Restart the time base at now, keeping the paused state
+   */
+  resetClock() {
     this.startTime = Date.now();
+    this.pausedDuration = 0;
+    if (this.isPaused()) {
+      this.pausedAt = this.startTime;
+    }
+  }
+  
+  /**
+   * Serialize accrual state for persistence (the wallet is not included)
+   */
+  toJSON() {
+    return {
+      channelId: this.channelId,
+      ratePerSecond: this.ratePerSecond.toString(),
+      capacity: this.capacity === null ? null : this.capacity.toString(),
+      currentTotal: this.getCurrentAmount(),
+      lastSignedAmount: this.lastSignedAmount.toString(),
+      isActive: this.isActive,
+      isPaused: this.isPaused(),
+      savedAt: Date.now(),
+    };
+  }
+  
+  /**
+   * Rebuild a signer from persisted state
+   * Accrual resumes from the larger of the saved total and the last signed
+   * claim, so new claims keep increasing and downtime is never billed.
+   */
+  static fromJSON(wallet, json) {
+    const signer = new StreamingSigner(wallet, json.channelId, json.ratePerSecond, json.capacity);
+    const savedTotal = BigInt(json.currentTotal || '0');
+    const lastSigned = BigInt(json.lastSignedAmount || '0');
+    
+    signer.currentTotal = savedTotal > lastSigned ? savedTotal : lastSigned;
+    signer.lastSignedAmount = lastSigned;
+    
+    if (json.isActive) {
+      signer.start();
+      if (json.isPaused) {
+        signer.pause();
+      }
+    }
+    
+    return signer;
+  }
+  
+  /**
+   * Create a signer for a keystore wallet
+   * @param {string} keyId - Keystore key ID
+   * @param {string|null} owner - API key id allowed to use the key (null skips the check)
+   */
+  static async fromKeyId(keyId, channelId, ratePerSecond, capacity = null, owner = null) {
+    const wallet = await resolveWallet(keyId, owner);
+    return new StreamingSigner(wallet, channelId, ratePerSecond, capacity);
   }
 }
 
@@ -0,0 +1,49 @@
+/**
+ * storage/index.js
+ * Storage backend selection for the channel store
+ *
+ * Every backend implements the same interface:
+ *   initialize()                      - prepare the backing files/database
+ *   load()                            - returns { channels, claimHistory } Maps
+ *   saveChannel(channelId, data)      - create or replace a channel record
+ *   deleteChannel(channelId)          - remove a channel and its claim history
+ *   appendClaim(channelId, claim)     - append one claim (trimmed to maxClaimHistory)
+ *   resetClaimHistory(channelId)      - empty a channel's claim history
+ *   clear()                           - remove everything
+ *   close()                           - release file handles/connections
+ */
+
+const { JsonStorageAdapter } = require('./jsonAdapter');
+const { SqliteStorageAdapter } = require('./sqliteAdapter');
+const { JournalStorageAdapter } = require('./journalAdapter');
+
+const ADAPTERS = {
+  json: JsonStorageAdapter,
+  sqlite: SqliteStorageAdapter,
+  journal: JournalStorageAdapter,
+};
+
+/**
+ * Create a storage adapter from a storage config block
+ * @param {object} options - config.storage (or an override)
+ * @returns {object} Storage adapter instance
+ */
+function createStorageAdapter(options = {}) {
+  const driver = options.driver || 'json';
+  const Adapter = ADAPTERS[driver];
+
+  if (!Adapter) {
+    throw new Error(
+      `Unknown storage driver: ${driver}. Use one of: ${Object.keys(ADAPTERS).join(', ')}`
+    );
+  }
+
+  return new Adapter(options);
+}
+
+module.exports = {
+  createStorageAdapter,
+  JsonStorageAdapter,
+  SqliteStorageAdapter,
+  JournalStorageAdapter,
+};
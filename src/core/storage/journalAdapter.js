@@ -0,0 +1,227 @@
+/**
+ * journalAdapter.js
+ * Append-only journal storage backend for the channel store
+ *
+ * Every change is appended to the journal as one JSON line and synced to
+ * disk before the call returns. On startup the latest snapshot is loaded and
+ * the journal is replayed on top of it. A torn final line (crash mid-append)
+ * is discarded. Once the journal grows past the compaction threshold the
+ * current state is written to a new snapshot and the journal is truncated.
+ *
+ * Each entry carries a sequence number and the snapshot records the last one
+ * it contains, so a crash between snapshotting and truncating never replays
+ * an entry twice.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class JournalStorageAdapter {
+  constructor(options = {}) {
+    this.journalPath = options.journalPath || './data/channels.journal';
+    this.snapshotPath = `${this.journalPath}.snapshot`;
+    this.maxClaimHistory = options.maxClaimHistory || 1000;
+    this.compactionThreshold = options.journalCompactionThreshold || 10000;
+    this.fsync = options.journalFsync !== false;
+
+    this.channels = new Map();
+    this.claimHistory = new Map();
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+    this.handle = null;
+
+    // Serializes appends and compaction so entries never interleave
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Ensure the data directory exists
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+  }
+
+  /**
+   * Load the snapshot, replay the journal and open it for appending
+   */
+  async load() {
+    this.channels = new Map();
+    this.claimHistory = new Map();
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+
+    let snapshotSeq = 0;
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.snapshotPath, 'utf8'));
+      this.channels = new Map(Object.entries(snapshot.channels || {}));
+      this.claimHistory = new Map(Object.entries(snapshot.claimHistory || {}));
+      snapshotSeq = snapshot.seq || 0;
+      this.seq = snapshotSeq;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    let contents = Buffer.alloc(0);
+    try {
+      contents = await fs.readFile(this.journalPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    let offset = 0;
+    while (offset < contents.length) {
+      const newline = contents.indexOf(0x0a, offset);
+      if (newline === -1) break; // Torn write: entry was never terminated
+
+      let entry;
+      try {
+        entry = JSON.parse(contents.toString('utf8', offset, newline));
+      } catch (err) {
+        break; // Corrupt tail: ignore it and everything after
+      }
+
+      if (entry.seq > snapshotSeq) {
+        this.apply(entry);
+        this.seq = entry.seq;
+        this.entriesSinceSnapshot++;
+      }
+
+      offset = newline + 1;
+    }
+
+    if (offset < contents.length) {
+      console.warn(`⚠️  Discarding incomplete journal tail in ${this.journalPath}`);
+      await fs.truncate(this.journalPath, offset);
+    }
+
+    this.handle = await fs.open(this.journalPath, 'a');
+
+    return {
+      channels: new Map(this.channels),
+      claimHistory: new Map(
+        Array.from(this.claimHistory.entries()).map(([k, v]) => [k, [...v]])
+      ),
+    };
+  }
+
+  /**
+   * Apply a journal entry to the in-memory state
+   */
+  apply(entry) {
+    switch (entry.op) {
+      case 'put':
+        this.channels.set(entry.channelId, entry.data);
+        break;
+      case 'delete':
+        this.channels.delete(entry.channelId);
+        this.claimHistory.delete(entry.channelId);
+        break;
+      case 'claim': {
+        const history = this.claimHistory.get(entry.channelId) || [];
+        history.push(entry.claim);
+        if (history.length > this.maxClaimHistory) {
+          history.splice(0, history.length - this.maxClaimHistory);
+        }
+        this.claimHistory.set(entry.channelId, history);
+        break;
+      }
+      case 'resetClaims':
+        this.claimHistory.set(entry.channelId, []);
+        break;
+      case 'clear':
+        this.channels.clear();
+        this.claimHistory.clear();
+        break;
+      default:
+        throw new Error(`Unknown journal operation: ${entry.op}`);
+    }
+  }
+
+  /**
+   * Append an entry to the journal, then apply it
+   */
+  append(entry) {
+    const task = this.queue.then(async () => {
+      const record = { seq: this.seq + 1, ...entry };
+      await this.handle.appendFile(JSON.stringify(record) + '\n', 'utf8');
+      if (this.fsync) {
+        await this.handle.datasync();
+      }
+
+      this.seq = record.seq;
+      this.apply(record);
+      this.entriesSinceSnapshot++;
+
+      if (this.entriesSinceSnapshot >= this.compactionThreshold) {
+        await this.compact();
+      }
+    });
+
+    // Keep the queue alive even if this append fails
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Write a snapshot of the current state and truncate the journal
+   */
+  async compact() {
+    const snapshot = {
+      seq: this.seq,
+      channels: Object.fromEntries(this.channels),
+      claimHistory: Object.fromEntries(this.claimHistory),
+      lastUpdated: new Date().toISOString(),
+    };
+
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const tmpHandle = await fs.open(tmpPath, 'w');
+    try {
+      await tmpHandle.writeFile(JSON.stringify(snapshot), 'utf8');
+      await tmpHandle.sync();
+    } finally {
+      await tmpHandle.close();
+    }
+    await fs.rename(tmpPath, this.snapshotPath);
+
+    await this.handle.truncate(0);
+    this.entriesSinceSnapshot = 0;
+
+    console.log(`✓ Compacted channel journal at seq ${this.seq}`);
+  }
+
+  async saveChannel(channelId, data) {
+    await this.append({ op: 'put', channelId, data });
+  }
+
+  async deleteChannel(channelId) {
+    await this.append({ op: 'delete', channelId });
+  }
+
+  async appendClaim(channelId, claim) {
+    await this.append({ op: 'claim', channelId, claim });
+  }
+
+  async resetClaimHistory(channelId) {
+    await this.append({ op: 'resetClaims', channelId });
+  }
+
+  async clear() {
+    await this.append({ op: 'clear' });
+  }
+
+  async close() {
+    await this.queue;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = {
+  JournalStorageAdapter,
+};
@@ -0,0 +1,130 @@
+/**
+ * jsonAdapter.js
+ * Single-file JSON storage backend for the channel store
+ *
+ * Keeps the original ./data/channels.json layout so existing data keeps
+ * loading. Every change rewrites the whole file, so this backend is only
+ * suitable for a handful of channels; writes go to a temp file first and
+ * are renamed into place so a crash never leaves a half-written store.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class JsonStorageAdapter {
+  constructor(options = {}) {
+    this.storePath = options.path || './data/channels.json';
+    this.maxClaimHistory = options.maxClaimHistory || 1000;
+    this.channels = new Map();
+    this.claimHistory = new Map();
+    this.writing = Promise.resolve();
+    this.queued = null;
+  }
+
+  /**
+   * Ensure the data directory exists
+   */
+  async initialize() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+  }
+
+  /**
+   * Load all channels and claim history from disk
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      if (parsed.channels) {
+        this.channels = new Map(Object.entries(parsed.channels));
+      }
+
+      if (parsed.claimHistory) {
+        this.claimHistory = new Map(
+          Object.entries(parsed.claimHistory).map(([k, v]) => [k, v || []])
+        );
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error loading channel store:', err);
+      }
+    }
+
+    return {
+      channels: new Map(this.channels),
+      claimHistory: new Map(
+        Array.from(this.claimHistory.entries()).map(([k, v]) => [k, [...v]])
+      ),
+    };
+  }
+
+  async saveChannel(channelId, data) {
+    this.channels.set(channelId, data);
+    await this.persist();
+  }
+
+  async deleteChannel(channelId) {
+    this.channels.delete(channelId);
+    this.claimHistory.delete(channelId);
+    await this.persist();
+  }
+
+  async appendClaim(channelId, claim) {
+    const history = this.claimHistory.get(channelId) || [];
+    history.push(claim);
+
+    if (history.length > this.maxClaimHistory) {
+      history.splice(0, history.length - this.maxClaimHistory);
+    }
+
+    this.claimHistory.set(channelId, history);
+    await this.persist();
+  }
+
+  async resetClaimHistory(channelId) {
+    this.claimHistory.set(channelId, []);
+    await this.persist();
+  }
+
+  async clear() {
+    this.channels.clear();
+    this.claimHistory.clear();
+    await this.persist();
+  }
+
+  async close() {
+    await this.writing.catch(() => {});
+  }
+
+  /**
+   * Atomically rewrite the store file (write temp file, then rename)
+   * Writes run one at a time, since concurrent ones would share the temp
+   * file. Changes made while a write runs are saved together by the next.
+   */
+  async persist() {
+    if (this.queued) return this.queued;
+
+    const write = this.writing.catch(() => {}).then(async () => {
+      // Later changes need a write of their own from here on
+      this.queued = null;
+      const data = {
+        channels: Object.fromEntries(this.channels),
+        claimHistory: Object.fromEntries(this.claimHistory),
+        lastUpdated: new Date().toISOString(),
+      };
+
+      const tmpPath = `${this.storePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+      await fs.rename(tmpPath, this.storePath);
+    });
+
+    this.writing = write;
+    this.queued = write;
+    return write;
+  }
+}
+
+module.exports = {
+  JsonStorageAdapter,
+};
@@ -0,0 +1,138 @@
+/**
+ * sqliteAdapter.js
+ * SQLite storage backend for the channel store
+ *
+ * Each channel is one row and each claim is one appended row, so a claim
+ * costs a single small write instead of a full rewrite. WAL mode keeps
+ * readers unblocked and survives crashes mid-transaction.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class SqliteStorageAdapter {
+  constructor(options = {}) {
+    this.dbPath = options.sqlitePath || './data/channels.db';
+    this.maxClaimHistory = options.maxClaimHistory || 1000;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Open the database and create the schema if needed
+   */
+  async initialize() {
+    if (this.db) return;
+
+    if (this.dbPath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    // Loaded lazily so the JSON and journal backends work without the native module
+    const Database = require('better-sqlite3');
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS channels (
+        channel_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS claim_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_claim_history_channel
+        ON claim_history (channel_id, id);
+    `);
+
+    this.statements = {
+      selectChannels: this.db.prepare('SELECT channel_id, data FROM channels'),
+      selectClaims: this.db.prepare('SELECT channel_id, data FROM claim_history ORDER BY id'),
+      upsertChannel: this.db.prepare(`
+        INSERT INTO channels (channel_id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(channel_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      deleteChannel: this.db.prepare('DELETE FROM channels WHERE channel_id = ?'),
+      insertClaim: this.db.prepare(
+        'INSERT INTO claim_history (channel_id, data, timestamp) VALUES (?, ?, ?)'
+      ),
+      trimClaims: this.db.prepare(`
+        DELETE FROM claim_history WHERE channel_id = ? AND id <= (
+          SELECT id FROM claim_history WHERE channel_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+        )
+      `),
+      deleteClaims: this.db.prepare('DELETE FROM claim_history WHERE channel_id = ?'),
+      deleteAllChannels: this.db.prepare('DELETE FROM channels'),
+      deleteAllClaims: this.db.prepare('DELETE FROM claim_history'),
+    };
+  }
+
+  /**
+   * Load all channels and claim history from the database
+   */
+  async load() {
+    const channels = new Map();
+    const claimHistory = new Map();
+
+    for (const row of this.statements.selectChannels.all()) {
+      channels.set(row.channel_id, JSON.parse(row.data));
+    }
+
+    for (const row of this.statements.selectClaims.all()) {
+      const history = claimHistory.get(row.channel_id) || [];
+      history.push(JSON.parse(row.data));
+      claimHistory.set(row.channel_id, history);
+    }
+
+    return { channels, claimHistory };
+  }
+
+  async saveChannel(channelId, data) {
+    this.statements.upsertChannel.run(channelId, JSON.stringify(data), Date.now());
+  }
+
+  async deleteChannel(channelId) {
+    this.db.transaction(() => {
+      this.statements.deleteChannel.run(channelId);
+      this.statements.deleteClaims.run(channelId);
+    })();
+  }
+
+  async appendClaim(channelId, claim) {
+    this.db.transaction(() => {
+      this.statements.insertClaim.run(channelId, JSON.stringify(claim), claim.timestamp || Date.now());
+      this.statements.trimClaims.run(channelId, channelId, this.maxClaimHistory);
+    })();
+  }
+
+  async resetClaimHistory(channelId) {
+    this.statements.deleteClaims.run(channelId);
+  }
+
+  async clear() {
+    this.db.transaction(() => {
+      this.statements.deleteAllChannels.run();
+      this.statements.deleteAllClaims.run();
+    })();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+}
+
+module.exports = {
+  SqliteStorageAdapter,
+};
@@ -0,0 +1,467 @@
+/**
+ * tenants.js
+ * API keys of the tenants sharing this server
+ *
+ * API_KEY stays the admin key. Every other key belongs to a tenant created
+ * through /api/tenants and carries:
+ *
+ *   scopes           read-only, stream:start, contracts:write, finalize, admin
+ *   rateLimit        requests per config.rateLimit window (null = global limit only)
+ *   monthlySpendCap  { XRP: drops, RLUSD: amount, <token ID>: amount } per
+ *                    calendar month (UTC), for XRP and any registered token
+ *
+ * Keys are stored as SHA-256 hashes and shown once, at creation. The tenant ID
+ * is the same short hash getApiKeyId() derives from a request, so sessions,
+ * contracts, webhooks and keystore keys are all owned by it.
+ *
+ * Spend is counted from session manager events (claimSigned for XRP senders,
+ * paymentSent for issued tokens, in XRP drops for cross-currency streams).
+ * Once a tenant reaches a cap its new streams in that currency are refused
+ * and its running ones are stopped.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { createStorageAdapter } = require('./storage');
+const { getSessionManager } = require('./sessionManager');
+const { hasToken, getToken } = require('../config/tokenRegistry');
+const { compareAmounts, sumAmounts } = require('../utils/money');
+
+const SCOPES = ['read-only', 'stream:start', 'contracts:write', 'finalize', 'admin'];
+
+/**
+ * Short, stable ID of an API key (never store or log the key itself)
+ */
+function apiKeyId(apiKey) {
+  return hashApiKey(apiKey).slice(0, 16);
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Currency a token stream spends: cross-currency streams deliver the token
+ * but are paid for in XRP
+ * @param {object} stream - { mode, token } of a session or /start request
+ */
+function spendCurrency({ mode, token }) {
+  return mode === 'cross-currency' ? 'XRP' : token;
+}
+
+/**
+ * Calendar month of a timestamp, e.g. "2026-10"
+ */
+function currentPeriod(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+function emptySpend(period = currentPeriod()) {
+  return { period, XRP: '0', RLUSD: '0.00' };
+}
+
+/**
+ * Validate tenant settings from a request body
+ * Settings: { name?, scopes?, rateLimit?, monthlySpendCap? }
+ */
+function validateTenant({ scopes, rateLimit, monthlySpendCap }) {
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return { valid: false, error: 'scopes must be a non-empty array' };
+    }
+
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return { valid: false, error: `Unknown scopes: ${unknown.join(', ')}` };
+    }
+  }
+
+  if (rateLimit !== undefined && rateLimit !== null &&
+      !(Number.isInteger(rateLimit) && rateLimit > 0)) {
+    return { valid: false, error: 'rateLimit must be a positive integer (requests per window)' };
+  }
+
+  if (monthlySpendCap !== undefined && monthlySpendCap !== null) {
+    if (typeof monthlySpendCap !== 'object' || Array.isArray(monthlySpendCap)) {
+      return { valid: false, error: 'monthlySpendCap must be an object, e.g. { "XRP": "50000000", "RLUSD": "100.00" }' };
+    }
+
+    for (const [currency, cap] of Object.entries(monthlySpendCap)) {
+      if (currency !== 'XRP' && !hasToken(currency)) {
+        return { valid: false, error: `Unknown currency in monthlySpendCap: ${currency}` };
+      }
+      if (cap === null) continue;
+
+      if (currency === 'XRP') {
+        if (!/^[1-9]\d*$/.test(String(cap))) {
+          return { valid: false, error: 'XRP spend cap must be a positive integer (drops)' };
+        }
+        continue;
+      }
+
+      const { decimals } = getToken(currency);
+      const pattern = decimals > 0 ? new RegExp(`^\\d+(\\.\\d{1,${decimals}})?$`) : /^\d+$/;
+      if (!(pattern.test(String(cap)) && parseFloat(cap) > 0)) {
+        return {
+          valid: false,
+          error: `${currency} spend cap must be a positive amount with up to ${decimals} decimals`,
+        };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Public fields of a tenant record (never the key hash)
+ */
+function toPublicTenant(record) {
+  const { keyHash, ...tenant } = record;
+  return tenant;
+}
+
+class TenantService {
+  /**
+   * @param {object} storage - Storage config block or adapter instance
+   *   (defaults to config.storage with the config.tenants paths)
+   * @param {object} options - Tenant settings (defaults to config.tenants)
+   */
+  constructor(storage = { ...config.storage, ...config.tenants }, options = config.tenants) {
+    // Keyed record store: "tenant:<tenantId>" in the channel slot
+    this.adapter = typeof storage.load === 'function' ? storage : createStorageAdapter(storage);
+    this.options = options;
+    this.tenants = new Map();
+    this.manager = null;
+    this.listeners = [];
+    this.initialized = false;
+    this.initializing = null;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        await this.adapter.initialize();
+        const { channels } = await this.adapter.load();
+        for (const [key, record] of channels) {
+          if (key.startsWith('tenant:')) {
+            this.tenants.set(record.tenantId, record);
+          }
+        }
+        this.initialized = true;
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Count tenant spend from session manager events
+   * @param {object} manager - Session manager (defaults to the singleton)
+   */
+  async start(manager = getSessionManager()) {
+    if (this.manager) return;
+    await this.initialize();
+    this.manager = manager;
+
+    // currency null: the event's own (the token of an issued-currency stream)
+    const track = (currency, amountOf) => (data) => {
+      if (!data.apiKeyId || !this.tenants.has(data.apiKeyId)) return;
+
+      const amount = amountOf(data);
+      if (!amount) return;
+
+      const spentIn = currency || data.currency || config.tokens.defaultToken;
+      this.recordSpend(data.apiKeyId, spentIn, amount).catch((error) => {
+        console.error(`Failed to record spend for tenant ${data.apiKeyId}:`, error.message);
+      });
+    };
+
+    const tokensPaid = track(null, ({ payment }) => payment.amount);
+    // Cross-currency installments carry their SendMax; it bounds the cost
+    // when xrpSpent was not recovered (reconciled after a restart)
+    const xrpPaid = track('XRP', ({ payment }) => payment.xrpSpent || payment.sendMax);
+
+    const listeners = [
+      // Claims are cumulative; only the increase since the previous claim is new spend
+      ['claimSigned', track('XRP', ({ amount, previousAmount = '0' }) => {
+        const delta = BigInt(amount) - BigInt(previousAmount);
+        return delta > 0n ? delta.toString() : null;
+      })],
+      ['paymentSent', (data) => (data.payment.sendMax ? xrpPaid : tokensPaid)(data)],
+    ];
+
+    for (const [event, listener] of listeners) {
+      manager.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+
+    console.log(`✓ Tenants enabled (${this.tenants.size} tenant(s))`);
+  }
+
+  stop() {
+    if (!this.manager) return;
+
+    for (const [event, listener] of this.listeners) {
+      this.manager.off(event, listener);
+    }
+    this.listeners = [];
+    this.manager = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // TENANTS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Create a tenant and its API key
+   * @returns {Promise<object>} { tenant, apiKey } - the key is not retrievable later
+   */
+  async createTenant({ name = null, scopes = ['read-only'], rateLimit = null, monthlySpendCap = null } = {}) {
+    await this.initialize();
+
+    const apiKey = `sk_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      tenantId: apiKeyId(apiKey),
+      name,
+      keyHash: hashApiKey(apiKey),
+      scopes,
+      rateLimit,
+      monthlySpendCap,
+      spend: emptySpend(),
+      createdAt: Date.now(),
+      revokedAt: null,
+    };
+
+    this.tenants.set(record.tenantId, record);
+    await this.adapter.saveChannel(`tenant:${record.tenantId}`, record);
+
+    console.log(`✓ Created tenant ${record.tenantId}${name ? ` (${name})` : ''}`);
+    return { tenant: toPublicTenant(record), apiKey };
+  }
+
+  /**
+   * Tenant of an API key, or null for unknown and revoked keys
+   */
+  async authenticate(apiKey) {
+    await this.initialize();
+
+    const record = this.tenants.get(apiKeyId(apiKey));
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.keyHash, 'hex');
+    const actual = Buffer.from(hashApiKey(apiKey), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    return toPublicTenant(record);
+  }
+
+  async listTenants() {
+    await this.initialize();
+    return Array.from(this.tenants.values()).map(toPublicTenant);
+  }
+
+  async getTenant(tenantId) {
+    await this.initialize();
+    const record = this.tenants.get(tenantId);
+    return record ? toPublicTenant(record) : null;
+  }
+
+  /**
+   * Change scopes, rate limit, spend caps or name
+   * @returns {Promise<object|null>} Updated tenant, or null if unknown
+   */
+  async updateTenant(tenantId, updates) {
+    await this.initialize();
+
+    const record = this.tenants.get(tenantId);
+    if (!record) return null;
+
+    for (const field of ['name', 'scopes', 'rateLimit', 'monthlySpendCap']) {
+      if (updates[field] !== undefined) {
+        record[field] = updates[field];
+      }
+    }
+    await this.save(record);
+
+    return toPublicTenant(record);
+  }
+
+  /**
+   * Revoke a tenant's key; its streams keep their owner tag
+   * @returns {Promise<object|null>} Revoked tenant, or null if unknown
+   */
+  async revokeTenant(tenantId) {
+    await this.initialize();
+
+    const record = this.tenants.get(tenantId);
+    if (!record) return null;
+
+    record.revokedAt = record.revokedAt || Date.now();
+    await this.save(record);
+
+    console.log(`✓ Revoked tenant ${tenantId}`);
+    return toPublicTenant(record);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // SPEND CAPS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Spend of the current month (resets when a new month starts)
+   * @returns {Promise<object|null>} { period, XRP, RLUSD, ...tokens spent } or null for unknown tenants
+   */
+  async getSpend(tenantId) {
+    await this.initialize();
+
+    const record = this.tenants.get(tenantId);
+    if (!record) return null;
+
+    this.rollPeriod(record);
+    return { ...record.spend };
+  }
+
+  /**
+   * Whether a tenant may start another stream in a currency
+   * Keys without a tenant record (admin, auth disabled) are never capped.
+   * @returns {Promise<object>} { allowed, error, spent, cap }
+   */
+  async checkSpendCap(tenantId, currency) {
+    await this.initialize();
+
+    const record = this.tenants.get(tenantId);
+    const cap = record && record.monthlySpendCap ? record.monthlySpendCap[currency] : null;
+    if (!cap) return { allowed: true };
+
+    this.rollPeriod(record);
+    const spent = record.spend[currency] || '0';
+    if (!this.isOverCap(currency, spent, cap)) {
+      return { allowed: true, spent, cap };
+    }
+
+    return {
+      allowed: false,
+      error: `Monthly ${currency} spend cap reached (${spent} of ${cap})`,
+      spent,
+      cap,
+    };
+  }
+
+  /**
+   * Add spend and stop the tenant's streams once a cap is reached
+   * @param {string} amount - Drops (XRP) or token amount
+   * @returns {Promise<object>} { period, XRP, RLUSD, ...tokens spent }
+   */
+  async recordSpend(tenantId, currency, amount) {
+    await this.initialize();
+
+    const record = this.tenants.get(tenantId);
+    if (!record) return null;
+
+    this.rollPeriod(record);
+    record.spend[currency] = currency === 'XRP'
+      ? (BigInt(record.spend.XRP) + BigInt(amount)).toString()
+      : sumAmounts([record.spend[currency] || '0', amount], getToken(currency).decimals);
+    await this.save(record);
+
+    const cap = record.monthlySpendCap ? record.monthlySpendCap[currency] : null;
+    if (cap && this.isOverCap(currency, record.spend[currency], cap)) {
+      await this.enforceCap(record, currency);
+    }
+
+    return { ...record.spend };
+  }
+
+  isOverCap(currency, spent, cap) {
+    return currency === 'XRP'
+      ? BigInt(spent) >= BigInt(cap)
+      : compareAmounts(spent, cap, getToken(currency).decimals) >= 0;
+  }
+
+  /**
+   * Stop a tenant's paying streams in a currency
+   */
+  async enforceCap(record, currency) {
+    const manager = this.manager || getSessionManager();
+    const xrpSenders = currency === 'XRP'
+      ? Array.from(manager.xrpSessions.entries())
+        .filter(([, session]) => session.role === 'sender' && session.apiKeyId === record.tenantId)
+        .map(([sessionId]) => sessionId)
+      : [];
+    const tokenSessions = manager.listRLUSDSessions()
+      .filter(([, session]) => session.apiKeyId === record.tenantId && spendCurrency(session) === currency)
+      .map(([sessionId]) => sessionId);
+    const sessionIds = [...xrpSenders, ...tokenSessions];
+
+    console.warn(`⚠️  Tenant ${record.tenantId} reached its monthly ${currency} spend cap`);
+    manager.emit('spendCapReached', {
+      apiKeyId: record.tenantId,
+      currency,
+      spent: record.spend[currency],
+      cap: record.monthlySpendCap[currency],
+      stoppedSessions: sessionIds,
+    });
+
+    for (const sessionId of xrpSenders) {
+      await manager.stopXRPSession(sessionId);
+    }
+    for (const sessionId of tokenSessions) {
+      await manager.stopRLUSDSession(sessionId);
+    }
+  }
+
+  rollPeriod(record) {
+    const period = currentPeriod();
+    if (!record.spend || record.spend.period !== period) {
+      record.spend = emptySpend(period);
+    }
+  }
+
+  async save(record) {
+    await this.adapter.saveChannel(`tenant:${record.tenantId}`, record);
+  }
+
+  async close() {
+    this.stop();
+    await this.adapter.close();
+  }
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get the singleton tenant service
+ */
+function getTenantService(storage, options) {
+  if (!serviceInstance) {
+    serviceInstance = new TenantService(storage, options);
+  }
+  return serviceInstance;
+}
+
+/**
+ * Reset the service instance (mainly for testing)
+ */
+async function resetTenantService() {
+  if (serviceInstance) {
+    await serviceInstance.close();
+  }
+  serviceInstance = null;
+}
+
+module.exports = {
+  SCOPES,
+  TenantService,
+  apiKeyId,
+  spendCurrency,
+  currentPeriod,
+  validateTenant,
+  getTenantService,
+  resetTenantService,
+};
@@ -218,6 +218,8 @@ async function validateClaimRate(channelId, maxClaimsPerMinute = 60) {
  * 
  * @param {string} channelId - Payment channel ID
  * @param {object} options - Finalization criteria
+ * @param {string} options.channelAmount - Channel capacity in drops (enables
+ *   the channelBalanceThreshold check)
  * @returns {Promise<object>} Finalization recommendation
  */
 async function shouldFinalizeClaim(channelId, options = {}) {
@@ -225,6 +227,7 @@ async function shouldFinalizeClaim(channelId, options = {}) {
     minAmountToFinalize = '100000000', // 100 XRP default
     maxTimeSinceLastFinalization = 3600000, // 1 hour
     channelBalanceThreshold = 0.8, // 80% of channel used
+    channelAmount = null,
   } = options;
   
   const store = getChannelStore();
@@ -248,8 +251,23 @@ async function shouldFinalizeClaim(channelId, options = {}) {
     };
   }
   
+  // Check if most of the channel has been used
+  if (channelAmount && unclaimedAmount > 0n) {
+    const usedRatio = Number(currentAmount) / Number(channelAmount);
+    if (usedRatio >= channelBalanceThreshold) {
+      return {
+        shouldFinalize: true,
+        reason: 'Channel balance threshold reached',
+        usedRatio,
+        unclaimedAmount: unclaimedAmount.toString(),
+      };
+    }
+  }
+  
   // Check if too much time has passed
-  const timeSinceLastFinalization = Date.now() - (channelData.lastFinalizationTime || 0);
+  // Never-finalized channels are measured from when they were first stored
+  const lastFinalizationTime = channelData.lastFinalizationTime || channelData.createdAt || 0;
+  const timeSinceLastFinalization = Date.now() - lastFinalizationTime;
   if (timeSinceLastFinalization > maxTimeSinceLastFinalization && unclaimedAmount > 0n) {
     return {
       shouldFinalize: true,
@@ -276,9 +294,13 @@ class StreamingValidator {
     this.options = {
       maxClaimsPerMinute: options.maxClaimsPerMinute || 60,
       minIncrementDrops: options.minIncrementDrops || '1',
+      maxHistory: options.maxHistory || 100,
       ...options,
     };
+    // Recent claims only; counts and the first claim keep the stats exact
     this.claimHistory = [];
+    this.totalClaims = 0;
+    this.firstClaim = null;
   }
   
   async validateStreamingClaim(amount, signature) {
@@ -297,10 +319,13 @@ class StreamingValidator {
     );
     
     if (result.valid) {
-      this.claimHistory.push({
-        amount,
-        timestamp: Date.now(),
-      });
+      const claim = { amount, timestamp: Date.now() };
+      this.claimHistory.push(claim);
+      if (this.claimHistory.length > this.options.maxHistory) {
+        this.claimHistory.shift();
+      }
+      this.totalClaims++;
+      this.firstClaim = this.firstClaim || claim;
     }
     
     return result;
@@ -311,23 +336,23 @@ class StreamingValidator {
   }
   
   getStats() {
-    if (this.claimHistory.length === 0) {
+    if (this.totalClaims === 0) {
       return { totalClaims: 0, totalAmount: '0' };
     }
     
     return {
-      totalClaims: this.claimHistory.length,
+      totalClaims: this.totalClaims,
       latestAmount: this.claimHistory[this.claimHistory.length - 1].amount,
       averageRate: this.calculateAverageRate(),
     };
   }
   
   calculateAverageRate() {
-    if (this.claimHistory.length < 2) {
+    if (this.totalClaims < 2) {
       return 0;
     }
     
-    const first = this.claimHistory[0];
+    const first = this.firstClaim;
     const last = this.claimHistory[this.claimHistory.length - 1];
     const timeDiff = (last.timestamp - first.timestamp) / 1000; // seconds
     const amountDiff = BigInt(last.amount) - BigInt(first.amount);
@@ -336,6 +361,33 @@ class StreamingValidator {
     
     return Number(amountDiff) / timeDiff; // drops per second
   }
+  
+  /**
+   * Serialize validator state for persistence
+   * Only the latest claim is kept, so records stay small on long streams
+   * (the channel store holds the claims themselves).
+   */
+  toJSON() {
+    return {
+      channelId: this.channelId,
+      publicKey: this.publicKey,
+      options: this.options,
+      totalClaims: this.totalClaims,
+      firstClaim: this.firstClaim,
+      latestClaim: this.claimHistory[this.claimHistory.length - 1] || null,
+    };
+  }
+  
+  /**
+   * Rebuild a validator from persisted state
+   */
+  static fromJSON(json) {
+    const validator = new StreamingValidator(json.channelId, json.publicKey, json.options);
+    validator.claimHistory = json.latestClaim ? [json.latestClaim] : [];
+    validator.totalClaims = json.totalClaims || 0;
+    validator.firstClaim = json.firstClaim || null;
+    return validator;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,493 @@
+/**
+ * webhooks.js
+ * Outbound webhooks for stream lifecycle events
+ *
+ * Endpoints are registered per API key. Every matching session manager event
+ * becomes a persisted delivery that is POSTed as JSON and signed with the
+ * endpoint's secret:
+ *
+ *   X-Webhook-Id         delivery ID (stable across retries)
+ *   X-Webhook-Event      event name, e.g. "stream.started"
+ *   X-Webhook-Timestamp  unix milliseconds of this attempt
+ *   X-Webhook-Signature  "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Events only go to the endpoints of the API key owning the stream or
+ * channel; events without an owner are not sent. Endpoints on localhost,
+ * link-local or private addresses are refused unless
+ * config.webhooks.allowPrivateHosts is set.
+ *
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * until config.webhooks.maxAttempts. Pending deliveries survive restarts.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+const config = require('../../config');
+const { createStorageAdapter } = require('./storage');
+const { getSessionManager } = require('./sessionManager');
+const { getChannelStore } = require('./channelStore');
+
+// Session manager event -> webhook event
+const EVENT_MAP = {
+  sessionStarted: 'stream.started',
+  sessionPaused: 'stream.paused',
+  sessionResumed: 'stream.resumed',
+  sessionStopped: 'stream.stopped',
+  sessionCompleted: 'stream.completed',
+  channelLowBalance: 'channel.low_balance',
+  channelExhausted: 'channel.exhausted',
+  channelToppedUp: 'channel.topped_up',
+  channelFinalized: 'channel.finalized',
+  finalizationFailed: 'channel.finalization_failed',
+  paymentFailed: 'payment.failed',
+  claimRejected: 'claim.rejected',
+  escrowCanceled: 'escrow.canceled',
+  spendCapReached: 'tenant.spend_cap_reached',
+};
+
+const WEBHOOK_EVENTS = Object.values(EVENT_MAP);
+
+/**
+ * Whether a URL hostname is this machine or on a private network
+ * (loopback, link-local, RFC 1918, CGNAT, unique local or unspecified)
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+  // IPv4-mapped IPv6 addresses are checked as IPv4
+  const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const address = mapped ? mapped[1] : host;
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+
+  if (net.isIPv6(address)) {
+    return address === '::' || address === '::1'
+      || /^f[cd]/.test(address) // fc00::/7
+      || /^fe[89ab]/.test(address) // fe80::/10
+      || address.startsWith('::ffff:'); // mapped, in hex form
+  }
+
+  return false;
+}
+
+/**
+ * Validate an endpoint registration from a request body
+ * Registration: { url, events?: string[] (default all), description? }
+ * @param {object} options
+ * @param {boolean} options.allowPrivateHosts - Accept localhost and private
+ *   addresses (defaults to config.webhooks.allowPrivateHosts)
+ */
+function validateEndpoint({ url, events }, { allowPrivateHosts = config.webhooks.allowPrivateHosts } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { valid: false, error: 'url must be an absolute http(s) URL' };
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { valid: false, error: 'url must be an absolute http(s) URL' };
+  }
+
+  if (!allowPrivateHosts && isPrivateHost(parsed.hostname)) {
+    return { valid: false, error: 'url must not point to localhost or a private network address' };
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { valid: false, error: 'events must be a non-empty array' };
+    }
+
+    const unknown = events.filter((e) => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return { valid: false, error: `Unknown events: ${unknown.join(', ')}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Signature header value for a payload
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookService {
+  /**
+   * @param {object} storage - Storage config block or adapter instance
+   *   (defaults to config.storage with the config.webhooks paths)
+   * @param {object} options - Delivery settings (defaults to config.webhooks)
+   */
+  constructor(storage = { ...config.storage, ...config.webhooks }, options = config.webhooks) {
+    // Keyed record store: "endpoint:<id>" and "delivery:<id>" in the channel slot
+    this.adapter = typeof storage.load === 'function' ? storage : createStorageAdapter(storage);
+    this.options = options;
+    this.endpoints = new Map();
+    this.deliveries = new Map();
+    this.inFlight = new Set();
+    this.listeners = [];
+    this.timer = null;
+    this.initialized = false;
+    this.initializing = null;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        await this.adapter.initialize();
+        const { channels } = await this.adapter.load();
+        for (const [key, record] of channels) {
+          if (key.startsWith('endpoint:')) {
+            this.endpoints.set(record.id, record);
+          } else if (key.startsWith('delivery:')) {
+            this.deliveries.set(record.id, record);
+          }
+        }
+        this.initialized = true;
+      })().finally(() => {
+        this.initializing = null;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Subscribe to session manager events and send due deliveries
+   */
+  async start() {
+    if (this.timer) return;
+    await this.initialize();
+
+    const manager = getSessionManager();
+    for (const [source, event] of Object.entries(EVENT_MAP)) {
+      const listener = (data) => {
+        this.resolveOwner(data)
+          .then((apiKeyId) => this.dispatch(event, data, apiKeyId))
+          .catch((error) => {
+            console.error(`Webhook dispatch failed for ${event}:`, error.message);
+          });
+      };
+      manager.on(source, listener);
+      this.listeners.push([source, listener]);
+    }
+
+    this.timer = setInterval(() => {
+      this.deliverDue().catch((error) => {
+        console.error('Webhook delivery run failed:', error.message);
+      });
+    }, this.options.checkIntervalMs);
+
+    console.log(`✓ Webhooks enabled (${this.endpoints.size} endpoint(s))`);
+  }
+
+  /**
+   * API key owning an event: the one the manager tagged it with, else the
+   * owner recorded on its channel (finalization outlives the sessions)
+   * @returns {Promise<string|null>}
+   */
+  async resolveOwner(data) {
+    if (data.apiKeyId) return data.apiKeyId;
+    if (!data.channelId) return null;
+
+    const channel = await getChannelStore().getChannelData(data.channelId);
+    return (channel && channel.apiKeyId) || null;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const manager = getSessionManager();
+    for (const [source, listener] of this.listeners) {
+      manager.off(source, listener);
+    }
+    this.listeners = [];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ENDPOINTS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Register an endpoint for an API key
+   * @returns {Promise<object>} Endpoint including its signing secret
+   */
+  async registerEndpoint(apiKeyId, { url, events = ['*'], description = null }) {
+    await this.initialize();
+
+    const endpoint = {
+      id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+      apiKeyId,
+      url,
+      events,
+      description,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: Date.now(),
+    };
+
+    this.endpoints.set(endpoint.id, endpoint);
+    await this.adapter.saveChannel(`endpoint:${endpoint.id}`, endpoint);
+
+    return endpoint;
+  }
+
+  /**
+   * Endpoints of an API key (secrets omitted)
+   */
+  async listEndpoints(apiKeyId) {
+    await this.initialize();
+
+    return Array.from(this.endpoints.values())
+      .filter((endpoint) => endpoint.apiKeyId === apiKeyId)
+      .map(({ secret, ...endpoint }) => endpoint);
+  }
+
+  /**
+   * Remove an endpoint; its queued deliveries are dropped
+   * @returns {Promise<boolean>} False if the key has no such endpoint
+   */
+  async removeEndpoint(apiKeyId, endpointId) {
+    await this.initialize();
+
+    const endpoint = this.endpoints.get(endpointId);
+    if (!endpoint || endpoint.apiKeyId !== apiKeyId) return false;
+
+    this.endpoints.delete(endpointId);
+    await this.adapter.deleteChannel(`endpoint:${endpointId}`);
+
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.endpointId === endpointId && !isFinished(delivery)) {
+        delivery.status = 'failed';
+        delivery.lastError = 'Endpoint removed';
+        delivery.finishedAt = Date.now();
+        await this.saveDelivery(delivery);
+      }
+    }
+
+    return true;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // DELIVERIES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Queue an event for every subscribed endpoint and try to send it now
+   * @param {string} event - Webhook event name
+   * @param {object} data - Event data
+   * @param {string|null} apiKeyId - Owner of the event; only its endpoints are
+   *   notified, and ownerless events are dropped
+   */
+  async dispatch(event, data, apiKeyId = null) {
+    if (!apiKeyId) return [];
+    await this.initialize();
+
+    const targets = Array.from(this.endpoints.values()).filter((endpoint) =>
+      endpoint.apiKeyId === apiKeyId &&
+      (endpoint.events.includes('*') || endpoint.events.includes(event))
+    );
+
+    const deliveries = [];
+    for (const endpoint of targets) {
+      const delivery = {
+        id: `whd_${crypto.randomBytes(8).toString('hex')}`,
+        endpointId: endpoint.id,
+        apiKeyId: endpoint.apiKeyId,
+        event,
+        payload: { event, data, createdAt: Date.now() },
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        responseStatus: null,
+      };
+      this.deliveries.set(delivery.id, delivery);
+      await this.saveDelivery(delivery);
+      deliveries.push(delivery);
+    }
+
+    await Promise.all(deliveries.map((delivery) => this.attempt(delivery)));
+    return deliveries;
+  }
+
+  /**
+   * Send every delivery whose retry time has come
+   */
+  async deliverDue() {
+    const now = Date.now();
+    const due = Array.from(this.deliveries.values()).filter(
+      (delivery) => !isFinished(delivery) && delivery.nextAttemptAt <= now
+    );
+
+    for (const delivery of due) {
+      await this.attempt(delivery);
+    }
+  }
+
+  async attempt(delivery) {
+    if (this.inFlight.has(delivery.id)) return;
+
+    const endpoint = this.endpoints.get(delivery.endpointId);
+    if (!endpoint) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Endpoint removed';
+      delivery.finishedAt = Date.now();
+      await this.saveDelivery(delivery);
+      return;
+    }
+
+    this.inFlight.add(delivery.id);
+    delivery.attempts++;
+    delivery.lastAttemptAt = Date.now();
+
+    try {
+      const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+      const timestamp = String(Date.now());
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body),
+        },
+        timeout: this.options.timeoutMs,
+        validateStatus: () => true,
+      });
+
+      delivery.responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      delivery.status = 'delivered';
+      delivery.lastError = null;
+      delivery.finishedAt = Date.now();
+      delete delivery.nextAttemptAt;
+    } catch (error) {
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= this.options.maxAttempts) {
+        delivery.status = 'failed';
+        delivery.finishedAt = Date.now();
+        delete delivery.nextAttemptAt;
+        console.error(`❌ Webhook ${delivery.event} to ${endpoint.url} failed after ${delivery.attempts} attempts`);
+      } else {
+        const delay = Math.min(
+          this.options.retryBaseDelayMs * 2 ** (delivery.attempts - 1),
+          this.options.retryMaxDelayMs
+        );
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = Date.now() + delay;
+      }
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+
+    await this.saveDelivery(delivery);
+    if (isFinished(delivery)) {
+      await this.pruneDeliveries();
+    }
+  }
+
+  /**
+   * Delivery log of an API key, newest first
+   * @param {object} filters - { endpointId, event, status, limit }
+   */
+  async getDeliveries(apiKeyId, filters = {}) {
+    await this.initialize();
+
+    const limit = Math.min(parseInt(filters.limit) || 50, this.options.deliveryLogLimit);
+
+    return Array.from(this.deliveries.values())
+      .filter((delivery) =>
+        delivery.apiKeyId === apiKeyId &&
+        (!filters.endpointId || delivery.endpointId === filters.endpointId) &&
+        (!filters.event || delivery.event === filters.event) &&
+        (!filters.status || delivery.status === filters.status)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  async saveDelivery(delivery) {
+    await this.adapter.saveChannel(`delivery:${delivery.id}`, delivery);
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond deliveryLogLimit
+   */
+  async pruneDeliveries() {
+    const finished = Array.from(this.deliveries.values())
+      .filter(isFinished)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    const excess = finished.length - this.options.deliveryLogLimit;
+    for (const delivery of finished.slice(0, Math.max(0, excess))) {
+      this.deliveries.delete(delivery.id);
+      await this.adapter.deleteChannel(`delivery:${delivery.id}`);
+    }
+  }
+
+  async close() {
+    this.stop();
+    await this.adapter.close();
+    this.initialized = false;
+  }
+}
+
+function isFinished(delivery) {
+  return delivery.status === 'delivered' || delivery.status === 'failed';
+}
+
+// Singleton instance
+let serviceInstance = null;
+
+/**
+ * Get the singleton webhook service instance
+ */
+function getWebhookService(storage, options) {
+  if (!serviceInstance) {
+    serviceInstance = new WebhookService(storage, options);
+  }
+  return serviceInstance;
+}
+
+/**
+ * Reset the service instance (mainly for testing)
+ */
+function resetWebhookService() {
+  if (serviceInstance) {
+    serviceInstance.stop();
+  }
+  serviceInstance = null;
+}
+
+module.exports = {
+  WebhookService,
+  EVENT_MAP,
+  WEBHOOK_EVENTS,
+  validateEndpoint,
+  signPayload,
+  getWebhookService,
+  resetWebhookService,
+};
@@ -5,6 +5,9 @@
  * Helps with conversions needed for streaming payments (e.g., cost per second).
  */
 
+const { getToken } = require("../config/tokenRegistry");
+const { toMinorUnits, fromMinorUnits, roundAmount } = require("./money");
+
 /**
  * Convert XRP to drops (original XRP function - kept for backward compatibility)
  * 1 XRP = 1,000,000 drops
@@ -32,14 +35,17 @@ function xrpToDrops(xrp) {
  * @returns {string} Amount in cents
  */
 function usdToCents(usd) {
-  const usdNum = parseFloat(usd);
-
-  if (isNaN(usdNum) || usdNum < 0) {
+  let cents;
+  try {
+    // Exact decimal conversion (see money.js), half-cents rounded up
+    cents = toMinorUnits(usd, 2);
+  } catch (error) {
     throw new Error("Invalid USD amount");
   }
 
-  // Use Math.round to handle floating point precision
-  const cents = Math.round(usdNum * 100);
+  if (cents < 0n) {
+    throw new Error("Invalid USD amount");
+  }
   return cents.toString();
 }
 
@@ -98,11 +104,27 @@ function formatXrp(xrp, decimals = 6) {
  * @returns {string} Formatted RLUSD amount
  */
 function formatRLUSD(usd, decimals = 2) {
-  const formatted = parseFloat(usd).toFixed(decimals);
-  // Add thousand separators and dollar sign
+  return formatTokenAmount(usd, "RLUSD", decimals);
+}
+
+/**
+ * Format an issued token amount for display
+ * Tokens with a sign show it in front ("$1,234.50"), others their symbol
+ * after the amount ("1,234.50 EURC").
+ *
+ * @param {number|string} amount - Amount in whole tokens
+ * @param {string} tokenId - Registered token ID (see tokenRegistry.js)
+ * @param {number} decimals - Number of decimal places (default: the token's)
+ * @returns {string} Formatted amount
+ */
+function formatTokenAmount(amount, tokenId, decimals = null) {
+  const token = getToken(tokenId);
+  const formatted = roundAmount(amount, decimals === null ? token.decimals : decimals);
+  // Add thousand separators
   const [whole, decimal] = formatted.split(".");
   const withCommas = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-  return `$${withCommas}.${decimal}`;
+  const number = decimal === undefined ? withCommas : `${withCommas}.${decimal}`;
+  return token.sign ? `${token.sign}${number}` : `${number} ${token.symbol}`;
 }
 
 /**
@@ -206,27 +228,66 @@ function calculateStreamingRate(costXrp, durationSeconds) {
  * @returns {object} Rate information
  */
 function calculateRLUSDStreamingRate(costUSD, durationSeconds) {
-  const totalCents = BigInt(usdToCents(costUSD));
+  const rate = calculateTokenStreamingRate(costUSD, durationSeconds, "RLUSD");
+
+  return {
+    totalCents: rate.totalUnits,
+    totalUSD: costUSD,
+    durationSeconds: durationSeconds,
+    centsPerSecond: rate.unitsPerSecond,
+    centsPerMinute: rate.unitsPerMinute,
+    centsPerHour: rate.unitsPerHour,
+    usdPerSecond: rate.amountPerSecond,
+    usdPerMinute: rate.amountPerMinute,
+    usdPerHour: rate.amountPerHour,
+    formatted: rate.formatted,
+  };
+}
+
+/**
+ * Calculate streaming rate from cost and duration (any issued token)
+ * Rates are in the token's smallest unit (10^-decimals), rounded down.
+ *
+ * @param {number} cost - Total cost in whole tokens
+ * @param {number} durationSeconds - Duration in seconds
+ * @param {string} tokenId - Registered token ID (see tokenRegistry.js)
+ * @returns {object} Rate information
+ */
+function calculateTokenStreamingRate(cost, durationSeconds, tokenId) {
+  const { decimals } = getToken(tokenId);
+
+  let totalUnits;
+  try {
+    totalUnits = toMinorUnits(cost, decimals);
+  } catch (error) {
+    throw new Error(`Invalid ${tokenId} amount`);
+  }
+  if (totalUnits < 0n) {
+    throw new Error(`Invalid ${tokenId} amount`);
+  }
+
   const duration = BigInt(durationSeconds);
 
-  const centsPerSecond = totalCents / duration;
-  const centsPerMinute = centsPerSecond * 60n;
-  const centsPerHour = centsPerSecond * 3600n;
+  const unitsPerSecond = totalUnits / duration;
+  const unitsPerMinute = unitsPerSecond * 60n;
+  const unitsPerHour = unitsPerSecond * 3600n;
+  const toAmount = (units) => Number(fromMinorUnits(units, decimals));
 
   return {
-    totalCents: totalCents.toString(),
-    totalUSD: costUSD,
+    token: tokenId,
+    totalUnits: totalUnits.toString(),
+    totalAmount: cost,
     durationSeconds: durationSeconds,
-    centsPerSecond: centsPerSecond.toString(),
-    centsPerMinute: centsPerMinute.toString(),
-    centsPerHour: centsPerHour.toString(),
-    usdPerSecond: centsToUsd(centsPerSecond.toString()),
-    usdPerMinute: centsToUsd(centsPerMinute.toString()),
-    usdPerHour: centsToUsd(centsPerHour.toString()),
+    unitsPerSecond: unitsPerSecond.toString(),
+    unitsPerMinute: unitsPerMinute.toString(),
+    unitsPerHour: unitsPerHour.toString(),
+    amountPerSecond: toAmount(unitsPerSecond),
+    amountPerMinute: toAmount(unitsPerMinute),
+    amountPerHour: toAmount(unitsPerHour),
     formatted: {
-      perSecond: formatRLUSD(centsToUsd(centsPerSecond.toString())),
-      perMinute: formatRLUSD(centsToUsd(centsPerMinute.toString())),
-      perHour: formatRLUSD(centsToUsd(centsPerHour.toString())),
+      perSecond: formatTokenAmount(fromMinorUnits(unitsPerSecond, decimals), tokenId),
+      perMinute: formatTokenAmount(fromMinorUnits(unitsPerMinute, decimals), tokenId),
+      perHour: formatTokenAmount(fromMinorUnits(unitsPerHour, decimals), tokenId),
     },
   };
 }
@@ -459,4 +520,8 @@ module.exports = {
   formatRLUSD,
   calculateCentsPerUnit,
   calculateRLUSDStreamingRate,
+
+  // Any registered token
+  formatTokenAmount,
+  calculateTokenStreamingRate,
 };
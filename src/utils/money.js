@@ -0,0 +1,148 @@
+/**
+ * money.js
+ * Exact decimal arithmetic for issued-token amounts
+ *
+ * Token amounts ("10.00" RLUSD) are handled as BigInt counts of the token's
+ * smallest unit (10^-decimals, cents for RLUSD), so splitting, summing and
+ * comparing them never loses a unit to floating point. Values are parsed
+ * from their decimal strings, rounded half away from zero to the token's
+ * decimals ("3.335" is 3.34 at 2), and printed back with exactly that many
+ * places.
+ *
+ * The ledger stores issued amounts with 15 significant digits; amounts that
+ * need more cannot be paid exactly and are rejected.
+ */
+
+// Significant digits of an issued-currency amount on the ledger
+const IOU_PRECISION = 15;
+
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Amount in the smallest unit of a token
+ * @param {string|number} value - Decimal amount ("10.5", 10.5, "1e-2")
+ * @param {number} decimals - Decimal places of the token
+ * @returns {bigint} Minor units, rounded half away from zero
+ */
+function toMinorUnits(value, decimals) {
+  const match = DECIMAL.exec(String(value).trim());
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  // Shift the decimal point by the exponent and the token's decimals
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const digits = `${whole}${fraction}`;
+  const point = whole.length + parseInt(exponent, 10) + decimals;
+
+  let units;
+  let roundUp = false;
+  if (point <= 0) {
+    units = 0n;
+    roundUp = point === 0 && digits[0] >= '5';
+  } else if (point >= digits.length) {
+    units = BigInt(digits.padEnd(point, '0'));
+  } else {
+    units = BigInt(digits.slice(0, point));
+    roundUp = digits[point] >= '5';
+  }
+  if (roundUp) units += 1n;
+
+  if (significantDigits(units) > IOU_PRECISION) {
+    throw new Error(`Amount ${value} needs more than ${IOU_PRECISION} significant digits`);
+  }
+  return sign === '-' ? -units : units;
+}
+
+function significantDigits(units) {
+  return units === 0n ? 0 : units.toString().replace(/0+$/, '').length;
+}
+
+/**
+ * Decimal string of an amount in minor units
+ * @param {bigint|string|number} units - Minor units
+ * @param {number} decimals - Decimal places of the token
+ * @returns {string} e.g. "10.00"
+ */
+function fromMinorUnits(units, decimals) {
+  const value = BigInt(units);
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+
+  if (decimals === 0) return `${sign}${digits}`;
+  return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+/**
+ * An amount rounded to a token's decimals
+ * @returns {string} e.g. roundAmount("3.335", 2) === "3.34"
+ */
+function roundAmount(value, decimals) {
+  return fromMinorUnits(toMinorUnits(value, decimals), decimals);
+}
+
+/**
+ * Sum of amounts
+ * @param {Array<string|number>} values - Decimal amounts
+ * @param {number} decimals - Decimal places of the token
+ * @returns {string} Exact sum
+ */
+function sumAmounts(values, decimals) {
+  const total = values.reduce((sum, value) => sum + toMinorUnits(value, decimals), 0n);
+  return fromMinorUnits(total, decimals);
+}
+
+/**
+ * Difference of two amounts (may be negative)
+ * @returns {string} a - b
+ */
+function subtractAmounts(a, b, decimals) {
+  return fromMinorUnits(toMinorUnits(a, decimals) - toMinorUnits(b, decimals), decimals);
+}
+
+/**
+ * Compare two amounts
+ * @returns {number} -1, 0 or 1 as a is less than, equal to or greater than b
+ */
+function compareAmounts(a, b, decimals) {
+  const x = toMinorUnits(a, decimals);
+  const y = toMinorUnits(b, decimals);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Split a total into installments that add up to it exactly
+ * Every installment is total / count rounded down; the last one also
+ * carries the remainder, so 10.00 over 3 is 3.33, 3.33 and 3.34.
+ * @param {string|number} total - Decimal amount to split
+ * @param {number} count - Number of installments
+ * @param {number} decimals - Decimal places of the token
+ * @returns {object} { amount, finalAmount } as decimal strings
+ */
+function splitAmount(total, count, decimals) {
+  if (!(Number.isInteger(count) && count > 0)) {
+    throw new Error(`Installment count must be a positive integer, got ${count}`);
+  }
+
+  const units = toMinorUnits(total, decimals);
+  const installment = units / BigInt(count);
+  if (installment <= 0n) {
+    throw new Error(`${fromMinorUnits(units, decimals)} is too small to split into ${count} installments`);
+  }
+
+  return {
+    amount: fromMinorUnits(installment, decimals),
+    finalAmount: fromMinorUnits(installment + (units % BigInt(count)), decimals),
+  };
+}
+
+module.exports = {
+  IOU_PRECISION,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  sumAmounts,
+  subtractAmounts,
+  compareAmounts,
+  splitAmount,
+};
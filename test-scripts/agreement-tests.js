@@ -0,0 +1,233 @@
+/**
+ * Agreement Tests - No tokens or network required
+ * Contract terms hashed and signed by consumer and provider per session
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const { sign } = require("ripple-keypairs");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const { ContractStore } = require("../src/core/contractStore");
+const { resetContractRegistry } = require("../src/core/contract");
+const {
+  AgreementBook,
+  hashTerms,
+  signAgreement,
+  resetAgreementBook,
+} = require("../src/core/agreements");
+const {
+  createContract,
+  updateContract,
+  addDelegate,
+  signContractTerms,
+  getAgreementQuote,
+  getContractRevision,
+} = require("../src/config/contractsRegistry");
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function assertThrows(fn, pattern, label) {
+  try {
+    fn();
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+/**
+ * Let background writes reach the store
+ */
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+/**
+ * Sign a quote's messageHex the way a wallet would
+ */
+function signQuote(quote, wallet) {
+  return { publicKey: wallet.publicKey, signature: sign(quote.messageHex, wallet.privateKey) };
+}
+
+function contractData(overrides = {}) {
+  return {
+    contractId: "gpu-minutes",
+    currency: "XRP",
+    ratePerSecond: "100",
+    displayName: "GPU minutes",
+    description: "Metered GPU time",
+    category: "compute",
+    ...overrides,
+  };
+}
+
+async function testAgreements() {
+  console.log("🤝 AGREEMENT TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "agreement-tests-"));
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetContractRegistry();
+      resetAgreementBook();
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  const provider = xrpl.Wallet.generate();
+  const delegate = xrpl.Wallet.generate();
+  const consumer = xrpl.Wallet.generate();
+  const stranger = xrpl.Wallet.generate();
+
+  console.log("🧾 TERMS");
+  console.log("-".repeat(50));
+
+  await runTest("Equal terms hash the same whatever the key order", async () => {
+    const a = hashTerms({ contractId: "x", revision: 1, pricing: { rate: "1", frequency: 1 } });
+    const b = hashTerms({ pricing: { frequency: 1, rate: "1" }, revision: 1, contractId: "x" });
+    assertEqual(a, b, "canonical hash");
+    assertEqual(a === hashTerms({ contractId: "x", revision: 2, pricing: { rate: "1", frequency: 1 } }), false, "revision is hashed");
+  });
+
+  await runTest("A revision's quote leaves out presentation fields", async () => {
+    createContract(contractData(), provider.address);
+    const before = getAgreementQuote("gpu-minutes");
+    updateContract("gpu-minutes", { description: "Faster GPUs" }, provider.address);
+    const after = getAgreementQuote("gpu-minutes");
+
+    assertEqual(after.terms.revision, 2, "new revision");
+    assertEqual(after.terms.description, undefined, "description not agreed");
+    assertEqual(before.termsHash === after.termsHash, false, "revisions hash differently");
+    assertEqual(getAgreementQuote("gpu-minutes", 1).termsHash, before.termsHash, "old revision quote");
+  });
+
+  console.log("✍️  SIGNATURES");
+  console.log("-".repeat(50));
+
+  await runTest("Providers and their delegates sign revisions; others cannot", async () => {
+    createContract(contractData(), provider.address);
+    const quote = getAgreementQuote("gpu-minutes");
+    assertEqual(quote.providerSigned, false, "unsigned");
+
+    assertThrows(() => signContractTerms("gpu-minutes", signQuote(quote, stranger), stranger.address), /Unauthorized/, "stranger");
+    assertThrows(() => signContractTerms("gpu-minutes", signQuote(quote, stranger), provider.address), /cannot sign/, "stranger's key");
+    assertThrows(
+      () => signContractTerms("gpu-minutes", { ...signQuote(quote, provider), signature: signQuote(quote, stranger).signature }, provider.address),
+      /Invalid signature/,
+      "forged signature"
+    );
+    assertThrows(() => signContractTerms("coffee-machine-basic", signQuote(quote, provider), provider.address), /Built-in contracts cannot be signed/, "built-in");
+
+    addDelegate(provider.address, delegate.address);
+    const offer = signContractTerms("gpu-minutes", signQuote(quote, delegate), delegate.address);
+    assertEqual(offer.address, delegate.address, "signed by the delegate");
+    assertEqual(getAgreementQuote("gpu-minutes").providerSigned, true, "signed");
+  });
+
+  await runTest("Agreements need both signatures over the same terms", async () => {
+    const book = new AgreementBook();
+    createContract(contractData(), provider.address);
+    const snapshot = getContractRevision("gpu-minutes", 1);
+    const quote = book.quote(snapshot);
+    const consumerSignature = signAgreement(quote.message, consumer);
+
+    assertThrows(() => book.createAgreement(snapshot, consumerSignature), /has not signed revision 1/, "no provider signature");
+    book.signOffer(snapshot, signQuote(quote, provider));
+
+    const agreement = book.createAgreement(snapshot, consumerSignature);
+    assertEqual([agreement.consumer.address, agreement.provider.address], [consumer.address, provider.address], "parties");
+    assertEqual(agreement.terms.ratePerSecond, "100", "agreed rate");
+    assertEqual(book.verify(agreement), { valid: true }, "verifies");
+
+    const tampered = { ...agreement, terms: { ...agreement.terms, ratePerSecond: "1" } };
+    assertEqual(book.verify(tampered).valid, false, "tampered terms");
+    const swapped = { ...agreement, consumer: { ...agreement.consumer, address: stranger.address } };
+    assertEqual(book.verify(swapped).valid, false, "wrong consumer address");
+
+    // A consumer signature over revision 1 does not cover revision 2
+    updateContract("gpu-minutes", { ratePerSecond: "500" }, provider.address);
+    const revision2 = getContractRevision("gpu-minutes", 2);
+    book.signOffer(revision2, signQuote(book.quote(revision2), provider));
+    assertThrows(() => book.createAgreement(revision2, consumerSignature), /Consumer signature/, "stale consumer signature");
+  });
+
+  await runTest("Built-in contracts are signed by the system key", async () => {
+    const book = new AgreementBook();
+    const snapshot = getContractRevision("coffee-machine-basic", 1);
+    const agreement = book.createAgreement(snapshot, signAgreement(book.quote(snapshot).message, consumer));
+
+    assertEqual(agreement.provider.address, book.getSystemWallet().address, "system signer");
+    assertEqual(book.verify(agreement).valid, true, "verifies");
+  });
+
+  console.log("💾 PERSISTENCE");
+  console.log("-".repeat(50));
+
+  await runTest("Offers and session agreements survive a restart", async () => {
+    const file = path.join(tmpDir, "contracts.json");
+    const book = new AgreementBook();
+    await book.load(new ContractStore(new JsonStorageAdapter({ path: file })));
+
+    createContract(contractData(), provider.address);
+    const snapshot = getContractRevision("gpu-minutes", 1);
+    const quote = book.quote(snapshot);
+    book.signOffer(snapshot, signQuote(quote, provider));
+    const agreement = book.record("session-1", book.createAgreement(snapshot, signAgreement(quote.message, consumer)));
+    await flush();
+    await book.store.close();
+
+    const restarted = new AgreementBook();
+    await restarted.load(new ContractStore(new JsonStorageAdapter({ path: file })));
+    assertEqual(restarted.get("session-1"), agreement, "agreement");
+    assertEqual(restarted.verify(restarted.get("session-1")).valid, true, "still verifies");
+    assertEqual(restarted.getOffer("gpu-minutes", 1).address, provider.address, "offer");
+    await restarted.store.close();
+  });
+
+  resetContractRegistry();
+  resetAgreementBook();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 AGREEMENT TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some agreement tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL AGREEMENT TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testAgreements().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testAgreements };
@@ -0,0 +1,273 @@
+/**
+ * Channel Top-Up Tests - No tokens or network required
+ * Auto top-up of sender channels against a stubbed ledger: the low-balance
+ * threshold, refills by amount and by minutes, the maxTotal spending cap,
+ * refusals and channelLowBalance events, and retry backoff
+ */
+
+const config = require("../config");
+const { SessionManager } = require("../src/core/sessionManager");
+const {
+  ChannelTopUpMonitor,
+  validateTopUpPolicy,
+  createTopUpState,
+} = require("../src/core/channelTopUp");
+
+const CHANNEL = "A".repeat(64);
+const SESSION_ID = `${CHANNEL}-sender`;
+const INTERVAL_MS = config.channel.TOP_UP_CHECK_INTERVAL_MS;
+
+const realNow = Date.now;
+let clock = 0;
+
+function useFakeClock(start = 1700000000000) {
+  clock = start;
+  Date.now = () => clock;
+}
+
+function advance(ms) {
+  clock += ms;
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Ledger holding one channel; records every call, and fails the next
+ * `failures` funding transactions
+ */
+function fakeLedger(amount) {
+  const ledger = {
+    amount: BigInt(amount),
+    checks: 0,
+    funded: [],
+    failures: 0,
+    async checkFundingStatus(channelId, currentClaimed, thresholdPercent) {
+      ledger.checks++;
+      const usagePercent = Number(BigInt(currentClaimed) * 10000n / ledger.amount) / 100;
+      return { channelId, totalAmount: Number(ledger.amount), needsFunding: usagePercent >= thresholdPercent };
+    },
+    async fundChannel(wallet, channelId, drops) {
+      if (ledger.failures > 0) {
+        ledger.failures--;
+        throw new Error("tecUNFUNDED");
+      }
+      ledger.amount += BigInt(drops);
+      ledger.funded.push(drops);
+      return { transactionHash: `TX${ledger.funded.length}`, newBalance: ledger.amount.toString() };
+    },
+  };
+  return ledger;
+}
+
+/**
+ * Sender session whose signer has accrued `used` drops of the channel
+ */
+function senderSession(capacity, policy = null) {
+  const session = {
+    role: "sender",
+    channelId: CHANNEL,
+    channelInfo: { Amount: capacity },
+    topUp: policy ? createTopUpState(policy) : null,
+    signer: {
+      used: "0",
+      ratePerSecond: "100",
+      wallet: {},
+      getCurrentAmount: () => session.signer.used,
+      setCapacity: (amount) => { session.signer.capacity = amount; },
+    },
+  };
+  return session;
+}
+
+async function testChannelTopUp() {
+  console.log("💧 CHANNEL TOP-UP TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  let manager;
+  let events;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      useFakeClock();
+      manager = new SessionManager();
+      events = [];
+      for (const name of ["channelLowBalance", "channelToppedUp", "topUpRefused"]) {
+        manager.on(name, (data) => events.push([name, data]));
+      }
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  /**
+   * Monitor over a single sender session
+   */
+  function monitor(session, ledger) {
+    manager.xrpSessions.set(SESSION_ID, session);
+    return new ChannelTopUpMonitor(manager, ledger);
+  }
+
+  const names = () => events.map(([name]) => name);
+
+  await runTest("Policies take amount or minutes, and always a maxTotal", async () => {
+    assertEqual(validateTopUpPolicy({ amount: "1000", maxTotal: "5000" }).valid, true, "amount");
+    assertEqual(validateTopUpPolicy({ minutes: 5, maxTotal: "5000" }).valid, true, "minutes");
+    assertEqual(validateTopUpPolicy({ amount: "1000", minutes: 5, maxTotal: "5000" }).valid, false, "both");
+    assertEqual(validateTopUpPolicy({ amount: "1.5", maxTotal: "5000" }).valid, false, "fractional drops");
+    assertEqual(validateTopUpPolicy({ amount: "1000" }).valid, false, "no cap");
+    assertEqual(createTopUpState({ maxTotal: 5000 }).policy, { maxTotal: "5000", minutes: config.channel.DEFAULT_TOP_UP_MINUTES }, "default minutes");
+  });
+
+  await runTest("Below the threshold nothing is read from the ledger", async () => {
+    const session = senderSession("100000", { amount: "50000", maxTotal: "500000" });
+    const ledger = fakeLedger("100000");
+    const topUp = monitor(session, ledger);
+
+    session.signer.used = "79000"; // 79% used, threshold at 80%
+    await topUp.checkAll();
+    assertEqual([ledger.checks, ledger.funded, events], [0, [], []], "untouched");
+  });
+
+  await runTest("Crossing the threshold refills by amount and re-arms the low-balance report", async () => {
+    const session = senderSession("100000", { amount: "50000", maxTotal: "500000" });
+    const ledger = fakeLedger("100000");
+    const topUp = monitor(session, ledger);
+
+    session.signer.used = "80000";
+    await topUp.checkAll();
+    assertEqual(ledger.funded, ["50000"], "funded");
+    assertEqual([session.channelInfo.Amount, session.signer.capacity, session.topUp.totalAdded], ["150000", "150000", "50000"], "capacity");
+    assertEqual(names(), ["channelLowBalance", "channelToppedUp"], "events");
+    assertEqual(events[0][1], { sessionId: SESSION_ID, channelId: CHANNEL, used: "80000", capacity: "100000", usagePercent: 80 }, "low balance");
+    assertEqual([events[1][1].amount, events[1][1].newBalance, events[1][1].transactionHash], ["50000", "150000", "TX1"], "topped up");
+
+    // Reported once per crossing, again after the refill is used up
+    await topUp.checkAll();
+    assertEqual(names().length, 2, "no repeat below the new threshold");
+    session.signer.used = "120000";
+    await topUp.checkAll();
+    assertEqual(names().slice(2), ["channelLowBalance", "channelToppedUp"], "second crossing");
+  });
+
+  await runTest("Minute policies refill the session's rate for that long", async () => {
+    const session = senderSession("100000", { minutes: 5, maxTotal: "500000" });
+    const ledger = fakeLedger("100000");
+    const topUp = monitor(session, ledger);
+
+    session.signer.used = "90000";
+    await topUp.checkAll();
+    assertEqual(ledger.funded, ["30000"], "5 minutes at 100 drops/s");
+  });
+
+  await runTest("Refills stop at maxTotal and are then refused", async () => {
+    const session = senderSession("100000", { amount: "50000", maxTotal: "70000" });
+    const ledger = fakeLedger("100000");
+    const topUp = monitor(session, ledger);
+
+    session.signer.used = "80000";
+    await topUp.checkAll();
+    session.signer.used = "130000";
+    await topUp.checkAll();
+    assertEqual(ledger.funded, ["50000", "20000"], "second refill cut to the cap");
+
+    session.signer.used = "170000";
+    await topUp.checkAll();
+    assertEqual([session.topUp.capReached, ledger.funded.length], [true, 2], "cap reached");
+    assertEqual(events[events.length - 1], ["topUpRefused", { sessionId: SESSION_ID, channelId: CHANNEL, reason: "Spending cap reached" }], "refused");
+
+    // Nothing more is asked of the ledger
+    const checks = ledger.checks;
+    advance(INTERVAL_MS);
+    await topUp.checkAll();
+    assertEqual(ledger.checks, checks, "no more checks");
+  });
+
+  await runTest("A channel funded elsewhere is not topped up", async () => {
+    const session = senderSession("100000", { amount: "50000", maxTotal: "500000" });
+    const ledger = fakeLedger("200000");
+    const topUp = monitor(session, ledger);
+
+    session.signer.used = "85000";
+    await topUp.checkAll();
+    assertEqual([ledger.funded, session.channelInfo.Amount, session.signer.capacity], [[], "200000", "200000"], "capacity from the ledger");
+    assertEqual(names(), ["channelLowBalance"], "events");
+  });
+
+  await runTest("Failed funding is refused and retried with exponential backoff", async () => {
+    const session = senderSession("100000", { amount: "50000", maxTotal: "500000" });
+    const ledger = fakeLedger("100000");
+    ledger.failures = 5;
+    const topUp = monitor(session, ledger);
+    session.signer.used = "90000";
+
+    const delays = [];
+    while (ledger.funded.length === 0) {
+      await topUp.checkAll();
+      const retry = topUp.retries.get(SESSION_ID);
+      if (!retry) break;
+
+      const delay = retry.nextAttemptAt - Date.now();
+      delays.push(delay);
+      // Not attempted again before it is due
+      const checks = ledger.checks;
+      advance(delay - 1);
+      await topUp.checkAll();
+      assertEqual(ledger.checks, checks, `attempt ${delays.length + 1} waits`);
+      advance(1);
+    }
+
+    assertEqual(delays, [2, 4, 8, 16, 32].map((factor) => Math.min(INTERVAL_MS * factor, 300000)), "delays");
+    assertEqual(ledger.funded, ["50000"], "funded once it succeeds");
+    assertEqual(topUp.retries.has(SESSION_ID), false, "retries cleared");
+    const refusals = events.filter(([name]) => name === "topUpRefused").map(([, data]) => data.reason);
+    assertEqual(refusals, Array(5).fill("Funding failed: tecUNFUNDED"), "refusals");
+  });
+
+  await runTest("Senders without a policy only report the low balance", async () => {
+    const session = senderSession("100000");
+    const ledger = fakeLedger("100000");
+    const topUp = monitor(session, ledger);
+
+    session.signer.used = "95000";
+    await topUp.checkAll();
+    assertEqual([names(), ledger.checks], [["channelLowBalance"], 0], "reported, not funded");
+  });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CHANNEL TOP-UP TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some channel top-up tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CHANNEL TOP-UP TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testChannelTopUp().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testChannelTopUp };
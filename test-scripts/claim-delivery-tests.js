@@ -0,0 +1,192 @@
+/**
+ * Claim Delivery Tests - No tokens or network required
+ * Claims signed by auto-executing XRP senders are handed to the channel's
+ * receiver session: valid ones are stored for finalization, rejections are
+ * counted and reported, and too many in a row stop the sender
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const config = require("../config");
+const { getSessionStore, resetSessionStore } = require("../src/core/sessionStore");
+const { getSessionManager, resetSessionManager } = require("../src/core/sessionManager");
+const { getChannelStore, resetChannelStore } = require("../src/core/channelStore");
+const { signClaim } = require("../src/core/signer");
+const { startAutoExecution, deliverClaim, clearAutoExecutionTimers } = require("../src/api/unifiedRoutes");
+
+const CHANNEL = "C".repeat(64);
+const LIMIT = config.streaming.MAX_CONSECUTIVE_REJECTIONS;
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Receiver session whose validator answers from `results` (valid by
+ * default) and records the claims it was given
+ */
+function stubReceiver(manager, results = []) {
+  const validator = {
+    claims: [],
+    async validateStreamingClaim(amount, signature) {
+      validator.claims.push([amount, signature]);
+      return results.shift() || { valid: true };
+    },
+    getStats: () => ({}),
+    toJSON: () => ({}),
+  };
+  manager.xrpSessions.set(`${CHANNEL}-receiver`, {
+    role: "receiver",
+    channelId: CHANNEL,
+    validator,
+    channelInfo: { Amount: "1000000" },
+    startTime: Date.now(),
+  });
+  return validator;
+}
+
+async function testClaimDelivery() {
+  console.log("📨 CLAIM DELIVERY TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "claim-delivery-tests-"));
+  const payer = xrpl.Wallet.generate();
+  let manager;
+  let senderId;
+  let validation;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetSessionManager();
+      resetChannelStore();
+      getChannelStore({ driver: "json", path: path.join(tmpDir, `${testsPassed + testsFailed}.json`) });
+      manager = getSessionManager();
+
+      // Auto-executing sender; its validation state is the object passed in
+      senderId = await manager.startXRPSender({
+        channelId: CHANNEL,
+        wallet: Object.assign(payer, { keyId: "key_payer" }),
+        ratePerSecond: "1000",
+        channelInfo: { Amount: "1000000", Balance: "0", PublicKey: payer.publicKey },
+      });
+      validation = { validated: 0, rejected: 0, consecutiveRejections: 0, lastAmount: null, lastRejection: null };
+      startAutoExecution(senderId, { currency: "XRP", intervalSeconds: 3600 }, { validation });
+
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    } finally {
+      clearAutoExecutionTimers();
+      await manager.stopXRPSession(senderId);
+      await manager.stopXRPSession(`${CHANNEL}-receiver`);
+      await getChannelStore().close();
+    }
+  }
+
+  const claim = (amount) => ({ ...signClaim(payer, CHANNEL, amount), channelId: CHANNEL });
+
+  resetSessionStore();
+  getSessionStore({ driver: "json", enabled: false });
+
+  await runTest("A valid claim reaches the receiver's validator and the channel's claim history", async () => {
+    const validator = stubReceiver(manager);
+    const signed = claim("1000");
+
+    await deliverClaim(senderId, signed);
+
+    assertEqual(validator.claims, [["1000", signed.signature]], "validated by the receiver");
+    const history = await getChannelStore().getClaimHistory(CHANNEL);
+    assertEqual(history.map((entry) => [entry.amount, entry.signature]), [["1000", signed.signature]], "stored");
+    assertEqual([validation.validated, validation.rejected, validation.lastAmount], [1, 0, "1000"], "counters");
+
+    // Nothing accrued since: not delivered again
+    await deliverClaim(senderId, claim("1000"));
+    assertEqual(validator.claims.length, 1, "unchanged amount skipped");
+  });
+
+  await runTest("Rejected claims are counted and reported; a valid claim resets the run", async () => {
+    stubReceiver(manager, [
+      { valid: false, reason: "Invalid signature" },
+      { valid: false, reason: "Rate limit exceeded" },
+      { valid: true },
+    ]);
+    const rejected = [];
+    manager.on("claimRejected", (data) => rejected.push(data));
+
+    await deliverClaim(senderId, claim("1000"));
+    await deliverClaim(senderId, claim("2000"));
+    assertEqual([validation.rejected, validation.consecutiveRejections], [2, 2], "counted");
+    assertEqual(validation.lastRejection.reason, "Rate limit exceeded", "last rejection");
+    assertEqual(
+      rejected.map((event) => [event.sessionId, event.amount, event.consecutiveRejections, event.stopping]),
+      [[senderId, "1000", 1, false], [senderId, "2000", 2, false]],
+      "claim.rejected events"
+    );
+    assertEqual(await getChannelStore().getClaimHistory(CHANNEL), [], "nothing stored");
+
+    await deliverClaim(senderId, claim("3000"));
+    assertEqual([validation.validated, validation.rejected, validation.consecutiveRejections], [1, 2, 0], "run reset");
+    assertEqual(manager.getXRPSession(senderId) !== null, true, "sender still streaming");
+  });
+
+  await runTest(`The sender is stopped after ${LIMIT} rejections in a row`, async () => {
+    stubReceiver(manager, Array.from({ length: LIMIT }, () => ({ valid: false, reason: "Invalid signature" })));
+    const rejected = [];
+    manager.on("claimRejected", (data) => rejected.push(data));
+
+    for (let i = 1; i < LIMIT; i++) {
+      await deliverClaim(senderId, claim(String(i * 1000)));
+    }
+    assertEqual(manager.getXRPSession(senderId) !== null, true, "streaming below the limit");
+
+    await deliverClaim(senderId, claim(String(LIMIT * 1000)));
+    assertEqual(manager.getXRPSession(senderId), null, "sender stopped");
+    assertEqual(rejected.map((event) => event.stopping), [...Array(LIMIT - 1).fill(false), true], "last event says stopping");
+  });
+
+  await runTest("Claims are not delivered without a receiver session", async () => {
+    await deliverClaim(senderId, claim("1000"));
+    assertEqual([validation.validated, validation.rejected], [0, 0], "untouched");
+    assertEqual(await getChannelStore().getClaimHistory(CHANNEL), [], "nothing stored");
+  });
+
+  resetSessionManager();
+  resetSessionStore();
+  resetChannelStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CLAIM DELIVERY TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some claim delivery tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CLAIM DELIVERY TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testClaimDelivery().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testClaimDelivery };
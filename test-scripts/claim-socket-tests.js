@@ -0,0 +1,282 @@
+/**
+ * Claim Socket Tests - No tokens or network required
+ * Runs the claim WebSocket server on an ephemeral local port: claims pushed
+ * to subscribed receivers and their acks/nacks, claims pushed by remote
+ * senders, heartbeat termination and the connection limit
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const xrpl = require("xrpl");
+const { WebSocket } = require("ws");
+const config = require("../config");
+const { getSessionStore, resetSessionStore } = require("../src/core/sessionStore");
+const { getSessionManager, resetSessionManager } = require("../src/core/sessionManager");
+const { getChannelStore, resetChannelStore } = require("../src/core/channelStore");
+const { signClaim } = require("../src/core/signer");
+const { ClaimSocketServer } = require("../src/api/claimSocket");
+
+const CHANNEL = "D".repeat(64);
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Connect a client; `next(type)` resolves with the next message of that type
+ * @returns {Promise<object>} { ws, next, send }
+ */
+function connect(server, options = {}) {
+  const ws = new WebSocket(`ws://127.0.0.1:${server.wss.address().port}`, options);
+  const received = [];
+  const waiting = [];
+
+  ws.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    const index = waiting.findIndex((waiter) => waiter.type === message.type);
+    if (index === -1) {
+      received.push(message);
+      return;
+    }
+    const [waiter] = waiting.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(message);
+  });
+
+  const client = {
+    ws,
+    send: (message) => ws.send(JSON.stringify(message)),
+    next: (type) => {
+      const index = received.findIndex((message) => message.type === type);
+      if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${type} message received`)), 2000);
+        waiting.push({ type, resolve, timer });
+      });
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.once("open", () => resolve(client));
+    ws.once("error", reject);
+  });
+}
+
+async function testClaimSocket() {
+  console.log("🔌 CLAIM SOCKET TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "claim-socket-tests-"));
+  const payer = xrpl.Wallet.generate();
+  const claimInterval = config.channel.CLAIM_INTERVAL_MS;
+  const apiKey = process.env.API_KEY;
+  let server;
+  let clients;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetSessionManager();
+      resetChannelStore();
+      getChannelStore({ driver: "json", path: path.join(tmpDir, `${testsPassed + testsFailed}.json`) });
+      clients = [];
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    } finally {
+      clients.forEach((client) => client.ws.terminate());
+      if (server) await server.stop();
+      server = null;
+      const manager = getSessionManager();
+      for (const sessionId of [...manager.xrpSessions.keys()]) {
+        await manager.stopXRPSession(sessionId);
+      }
+      await getChannelStore().close();
+    }
+  }
+
+  /**
+   * Server on an ephemeral port
+   */
+  async function startServer(options = {}) {
+    server = new ClaimSocketServer({ port: 0, pingInterval: 30000, maxConnections: 10, ...options });
+    server.start();
+    await once(server.wss, "listening");
+    return server;
+  }
+
+  async function open(options) {
+    const client = await connect(server, options);
+    clients.push(client);
+    await client.next("welcome");
+    return client;
+  }
+
+  /**
+   * Server-held sender that has accrued `seconds` worth of claims
+   */
+  async function startSender(seconds) {
+    const manager = getSessionManager();
+    const sessionId = await manager.startXRPSender({
+      channelId: CHANNEL,
+      wallet: Object.assign(payer, { keyId: "key_payer" }),
+      ratePerSecond: "1000",
+      channelInfo: { Amount: "1000000", Balance: "0", PublicKey: payer.publicKey },
+    });
+    manager.getXRPSession(sessionId).signer.startTime -= seconds * 1000;
+    return sessionId;
+  }
+
+  delete process.env.API_KEY;
+  config.channel.CLAIM_INTERVAL_MS = 20;
+  resetSessionStore();
+  getSessionStore({ driver: "json", enabled: false });
+
+  await runTest("Subscribed receivers get each new claim and answer with ack or nack", async () => {
+    await startServer();
+    const sessionId = await startSender(3);
+    const receipts = [];
+    server.on("claimAcked", (event) => receipts.push(["ack", event]));
+    server.on("claimRejected", (event) => receipts.push(["nack", event]));
+
+    const client = await open();
+    client.send({ type: "subscribe", channelId: CHANNEL });
+    assertEqual(await client.next("subscribed"), { type: "subscribed", channelId: CHANNEL }, "subscribed");
+
+    const first = await client.next("claim");
+    assertEqual([first.claim.channelId, first.claim.amount], [CHANNEL, "3000"], "first claim");
+    assertEqual(
+      xrpl.verifyPaymentChannelClaim(CHANNEL, "0.003", first.claim.signature, payer.publicKey),
+      true,
+      "signed by the sender"
+    );
+    client.send({ type: "ack", id: first.id });
+
+    // The next claim goes out once another second has accrued
+    getSessionManager().getXRPSession(sessionId).signer.startTime -= 1000;
+    const second = await client.next("claim");
+    assertEqual([second.id, second.claim.amount], [first.id + 1, "4000"], "second claim");
+    client.send({ type: "nack", id: second.id, reason: "Over budget" });
+
+    client.send({ type: "ack", id: 99 });
+    assertEqual((await client.next("error")).error, "Unknown claim id: 99", "unknown id");
+    assertEqual(receipts, [
+      ["ack", { sessionId, channelId: CHANNEL, id: first.id, amount: "3000" }],
+      ["nack", { sessionId, channelId: CHANNEL, id: second.id, amount: "4000", reason: "Over budget" }],
+    ], "receipts");
+
+    await getSessionManager().stopXRPSession(sessionId);
+    assertEqual(
+      await client.next("streamEnded"),
+      { type: "streamEnded", channelId: CHANNEL, lastAckedAmount: "3000" },
+      "stream ended at the last acked claim"
+    );
+    assertEqual(server.getStats().subscriptions, 0, "subscription dropped");
+  });
+
+  await runTest("Claims pushed by a remote sender are validated by the receiver session", async () => {
+    await startServer();
+    const manager = getSessionManager();
+    await manager.startXRPReceiver({
+      channelId: CHANNEL,
+      publicKey: payer.publicKey,
+      channelInfo: { Amount: "1000000", PublicKey: payer.publicKey },
+    });
+    const client = await open();
+    const push = (id, claim, answer = "nack") => {
+      client.send({ type: "claim", id, claim });
+      return client.next(answer);
+    };
+
+    const signed = { ...signClaim(payer, CHANNEL, "1000"), channelId: CHANNEL };
+    assertEqual(await push(1, signed, "ack"), { type: "ack", id: 1, amount: "1000" }, "valid claim");
+    assertEqual((await push(2, signed)).reason, "Amount must be greater than previous claim", "replayed claim");
+
+    const forged = { ...signClaim(xrpl.Wallet.generate(), CHANNEL, "2000"), channelId: CHANNEL };
+    assertEqual((await push(3, forged)).reason, "Invalid signature", "forged claim");
+    assertEqual((await push(4, { channelId: CHANNEL })).reason, "Missing required fields: channelId, amount, signature", "incomplete");
+
+    const next = { ...signClaim(payer, CHANNEL, "2000"), channelId: CHANNEL };
+    assertEqual((await push(5, next, "ack")).amount, "2000", "next claim");
+    const history = await getChannelStore().getClaimHistory(CHANNEL);
+    assertEqual(history.map((entry) => entry.amount), ["1000", "2000"], "claim history");
+
+    const elsewhere = { ...signClaim(payer, "E".repeat(64), "1000"), channelId: "E".repeat(64) };
+    assertEqual((await push(6, elsewhere)).reason, "No active receiver stream found for this channel", "no receiver");
+  });
+
+  await runTest("Clients that stop answering pings are terminated", async () => {
+    await startServer({ pingInterval: 50 });
+    const live = await open();
+    const silent = await open({ autoPong: false });
+    const disconnected = once(server, "disconnected");
+
+    const [code] = await once(silent.ws, "close");
+    assertEqual(code, 1006, "terminated without a close frame");
+    assertEqual((await disconnected)[0], { clients: 1 }, "disconnected");
+
+    // Several heartbeats later the answering client is still connected
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assertEqual([live.ws.readyState, server.getStats().connections], [WebSocket.OPEN, 1], "live client kept");
+  });
+
+  await runTest("Handshakes beyond maxConnections are refused with 503", async () => {
+    await startServer({ maxConnections: 2 });
+    const first = await open();
+    await open();
+
+    let refused = null;
+    await connect(server).then((client) => clients.push(client), (error) => { refused = error; });
+    assertEqual(refused && refused.message, "Unexpected server response: 503", "refused at the handshake");
+    assertEqual(server.getStats().connections, 2, "connections");
+
+    // A freed slot admits the next client
+    const disconnected = once(server, "disconnected");
+    first.ws.close();
+    await disconnected;
+    await open();
+    assertEqual(server.getStats().connections, 2, "slot reused");
+  });
+
+  config.channel.CLAIM_INTERVAL_MS = claimInterval;
+  if (apiKey !== undefined) process.env.API_KEY = apiKey;
+  resetSessionManager();
+  resetSessionStore();
+  resetChannelStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CLAIM SOCKET TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some claim socket tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CLAIM SOCKET TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testClaimSocket().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testClaimSocket };
@@ -0,0 +1,215 @@
+/**
+ * Contract Admission Tests - No tokens or network required
+ * Concurrent POST /api/unified/start requests and waitlist admissions
+ * against a contract's maxConcurrentStreams: slots are taken in the same
+ * tick as the admission check, and released when a start fails
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const { sign } = require("ripple-keypairs");
+const config = require("../config");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const { getTenantService, resetTenantService } = require("../src/core/tenants");
+const { getSessionStore, resetSessionStore } = require("../src/core/sessionStore");
+const { getSessionManager } = require("../src/core/sessionManager");
+const { resetContractRegistry } = require("../src/core/contract");
+const { resetAgreementBook } = require("../src/core/agreements");
+const {
+  createContract,
+  signContractTerms,
+  getAgreementQuote,
+} = require("../src/config/contractsRegistry");
+const unifiedRoutes = require("../src/api/unifiedRoutes");
+
+const MAX_STREAMS = 3;
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Sign a quote's messageHex the way a wallet would
+ */
+function signQuote(quote, wallet) {
+  return { publicKey: wallet.publicKey, signature: sign(quote.messageHex, wallet.privateKey) };
+}
+
+/**
+ * Dispatch a request straight into the unified router
+ * The handler runs synchronously up to its first await, so requests sent
+ * in one tick all pass their admission check before any of them resumes.
+ * @returns {Promise<object>} { status, body }
+ */
+function post(route, body) {
+  return new Promise((resolve, reject) => {
+    const req = { method: "POST", url: route, headers: {}, query: {}, body };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(data) {
+        resolve({ status: res.statusCode, body: data });
+      },
+    };
+    unifiedRoutes.handle(req, res, (error) => reject(error || new Error(`No route for ${route}`)));
+  });
+}
+
+/**
+ * Non-custodial RLUSD start for a new consumer (nothing is paid or read
+ * from the ledger until /execute)
+ */
+function startBody(contractId, receiverAddress, extra = {}) {
+  const consumer = xrpl.Wallet.generate();
+  return {
+    contractId,
+    senderAddress: consumer.address,
+    receiverAddress,
+    agreement: signQuote(getAgreementQuote(contractId), consumer),
+    ...extra,
+  };
+}
+
+async function testContractAdmission() {
+  console.log("🎟️  CONTRACT ADMISSION TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "contract-admission-tests-"));
+  const provider = xrpl.Wallet.generate();
+  const receiver = xrpl.Wallet.generate().address;
+  const preflight = config.preflight.enabled;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetContractRegistry();
+      resetAgreementBook();
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    } finally {
+      const manager = getSessionManager();
+      for (const [sessionId] of manager.listRLUSDSessions()) {
+        await manager.stopRLUSDSession(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Provider-signed RLUSD contract capped at `maxConcurrentStreams`
+   */
+  function cappedContract(contractId, maxConcurrentStreams) {
+    const contract = createContract({
+      contractId,
+      currency: "RLUSD",
+      totalAmount: "1.00",
+      duration: 60,
+      intervalSeconds: 10,
+      displayName: "Capped",
+      description: "Contract with few slots",
+      category: "compute",
+      maxConcurrentStreams,
+    }, provider.address);
+    signContractTerms(contractId, signQuote(getAgreementQuote(contractId), provider), provider.address);
+    return contract;
+  }
+
+  config.preflight.enabled = false;
+  resetSessionStore();
+  getSessionStore({ driver: "json", enabled: false });
+  await resetTenantService();
+  getTenantService(new JsonStorageAdapter({ path: path.join(tmpDir, "tenants.json") }));
+
+  await runTest(`${MAX_STREAMS + 1} concurrent starts on a contract capped at ${MAX_STREAMS} admit ${MAX_STREAMS}`, async () => {
+    const contract = cappedContract("capped", MAX_STREAMS);
+
+    const results = await Promise.all(
+      Array.from({ length: MAX_STREAMS + 1 }, () => post("/start", startBody("capped", receiver)))
+    );
+
+    const statuses = results.map((result) => result.status).sort();
+    assertEqual(statuses, [...Array(MAX_STREAMS).fill(200), 409], "statuses");
+    assertEqual(
+      results.find((result) => result.status === 409).body.error,
+      "Contract is at its maximum number of concurrent streams",
+      "refusal"
+    );
+    assertEqual(contract.getActiveSubscriptionCount(), MAX_STREAMS, "subscriptions");
+    assertEqual(getSessionManager().listRLUSDSessions().length, MAX_STREAMS, "sessions");
+  });
+
+  await runTest("A failed start releases its slot", async () => {
+    const contract = cappedContract("single", 1);
+
+    const forged = startBody("single", receiver);
+    forged.agreement.signature = signQuote(getAgreementQuote("single"), xrpl.Wallet.generate()).signature;
+    const [refused, started] = await Promise.all([post("/start", forged), post("/start", startBody("single", receiver))]);
+
+    // The forged start held the only slot while it was checked
+    assertEqual([refused.status, started.status], [409, 409], "both refused while the slot was held");
+    assertEqual(contract.getActiveSubscriptionCount(), 0, "slot released");
+    assertEqual((await post("/start", startBody("single", receiver))).status, 200, "slot free again");
+  });
+
+  await runTest("A start racing a waitlist admission cannot take the freed slot", async () => {
+    const contract = cappedContract("queued", 1);
+    const manager = getSessionManager();
+
+    const first = await post("/start", startBody("queued", receiver));
+    const queued = await post("/start", startBody("queued", receiver, { waitlist: true }));
+    assertEqual([first.status, queued.status], [200, 202], "one streaming, one waiting");
+
+    // Sent right after the stop lets the waitlist in, in the same tick
+    const racing = new Promise((resolve) => {
+      manager.once("sessionStopped", () => resolve(post("/start", startBody("queued", receiver))));
+    });
+    await manager.stopRLUSDSession(first.body.sessionId);
+
+    assertEqual((await racing).status, 409, "racing start refused");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assertEqual(contract.getWaitlistEntry(queued.body.waitlistId).status, "started", "waitlist admitted");
+    assertEqual(contract.getActiveSubscriptionCount(), 1, "subscriptions");
+  });
+
+  config.preflight.enabled = preflight;
+  resetSessionStore();
+  await resetTenantService();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CONTRACT ADMISSION TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some contract admission tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CONTRACT ADMISSION TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testContractAdmission().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testContractAdmission };
@@ -0,0 +1,239 @@
+/**
+ * Contract Model Tests - No tokens or network required
+ * One contract model and registry: pricing shapes, templates, subscriptions,
+ * maxConcurrentStreams, pause/deactivate and the waitlist
+ */
+
+const xrpl = require("xrpl");
+const config = require("../config");
+const {
+  ServiceContract,
+  createContractFromTemplate,
+  getContractRegistry,
+  resetContractRegistry,
+} = require("../src/core/contract");
+const {
+  createContract,
+  updateContract,
+  setContractStatus,
+  getContract,
+  listContracts,
+  listTemplates,
+  getStats,
+} = require("../src/config/contractsRegistry");
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function assertThrows(fn, pattern, label) {
+  try {
+    fn();
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+async function testContractModel() {
+  console.log("📐 CONTRACT MODEL TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetContractRegistry();
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  const provider = xrpl.Wallet.generate();
+  const stranger = xrpl.Wallet.generate();
+
+  console.log("💲 PRICING SHAPES");
+  console.log("-".repeat(50));
+
+  await runTest("Flat XRP terms and nested rate pricing describe the same contract", async () => {
+    const flat = new ServiceContract({ contractId: "flat", providerAddress: provider.address, currency: "XRP", ratePerSecond: "250" });
+    assertEqual(flat.pricing.model, "rate", "model");
+    assertEqual([flat.pricing.frequency, flat.pricing.costPerInterval, flat.pricing.rate], [1, "250", "250"], "pricing");
+    assertEqual(flat.toStreamTerms(), { currency: "XRP", ratePerSecond: "250" }, "stream terms");
+    assertEqual(flat.agentAddress, provider.address, "agentAddress alias");
+
+    const nested = createContractFromTemplate("api-access", provider.address, provider.publicKey);
+    assertEqual(nested.ratePerSecond, "10", "ratePerSecond from frequency and cost");
+    assertEqual(nested.toJSON().providerAddress, provider.address, "flat shape in JSON");
+  });
+
+  await runTest("RLUSD contracts use fixed pricing", async () => {
+    const contract = new ServiceContract({
+      contractId: "rlusd",
+      currency: "RLUSD",
+      totalAmount: "2.50",
+      duration: 300,
+      intervalSeconds: 30,
+    });
+    assertEqual(contract.pricing.model, "fixed", "model");
+    assertEqual(contract.toStreamTerms(), { currency: "RLUSD", totalAmount: "2.50", duration: 300, intervalSeconds: 30 }, "stream terms");
+    assertEqual(contract.ratePerSecond, undefined, "no rate");
+    assertThrows(() => contract.calculateChannelAmount(60), /XRP rate contracts/, "no channel amounts");
+
+    const restored = ServiceContract.fromJSON(JSON.parse(JSON.stringify(contract)));
+    assertEqual(restored.toStreamTerms(), contract.toStreamTerms(), "round trip");
+  });
+
+  await runTest("Updates with flat terms reprice; names follow displayName", async () => {
+    createContract({
+      contractId: "gpu",
+      currency: "XRP",
+      ratePerSecond: "100",
+      displayName: "GPU",
+      description: "GPU time",
+      category: "compute",
+    }, provider.address);
+
+    const updated = updateContract("gpu", { ratePerSecond: "400", displayName: "GPU (fast)" }, provider.address);
+    assertEqual(updated.pricing.rate, "400", "repriced");
+    assertEqual(updated.name, "GPU (fast)", "renamed");
+    assertEqual(updated.revision, 2, "revision");
+
+    const rlusd = updateContract("gpu", { currency: "RLUSD", totalAmount: "3.00", duration: 600 }, provider.address);
+    assertEqual(rlusd.toStreamTerms(), { currency: "RLUSD", totalAmount: "3.00", duration: 600, intervalSeconds: 10 }, "currency switch");
+  });
+
+  console.log("🧩 TEMPLATES");
+  console.log("-".repeat(50));
+
+  await runTest("Providers create contracts from templates", async () => {
+    assertEqual(listTemplates().map((t) => t.template).includes("rlusd-session"), true, "RLUSD template listed");
+
+    const video = createContract({ template: "video-streaming", contractId: "video", ratePerSecond: "500" }, provider.address);
+    assertEqual(video.serviceType, "video", "template service type");
+    assertEqual(video.config.maxConcurrentStreams, 100, "template capacity");
+    assertEqual(video.ratePerSecond, "500", "flat rate overrides template");
+    assertEqual(video.providerAddress, provider.address, "owned by the signer");
+
+    const session = createContract({ template: "rlusd-session", displayName: "Laundry" }, provider.address);
+    assertEqual(session.currency, "RLUSD", "RLUSD template");
+    assertEqual(session.displayName, "Laundry", "display name overrides template");
+    assertEqual(getContract(session.contractId), session, "registered");
+
+    assertThrows(() => createContract({ template: "nope" }, provider.address), /Unknown template/, "unknown template");
+  });
+
+  console.log("🚦 SUBSCRIPTIONS AND STATUS");
+  console.log("-".repeat(50));
+
+  await runTest("maxConcurrentStreams limits subscriptions until one ends", async () => {
+    const contract = createContract({ template: "rlusd-session", contractId: "pair", maxConcurrentStreams: 2 }, provider.address);
+
+    contract.addSubscription("session-1", stranger.address);
+    contract.addSubscription("session-2", stranger.address);
+    assertEqual(contract.canAcceptNewSubscription(), false, "full");
+
+    assertEqual(getContractRegistry().endSubscription("session-1"), contract, "ended on its contract");
+    assertEqual(getContractRegistry().endSubscription("session-1"), null, "already ended");
+    assertEqual(contract.canAcceptNewSubscription(), true, "slot freed");
+    assertEqual(contract.getActiveSubscriptionCount(), 1, "remaining");
+  });
+
+  await runTest("Paused and deactivated contracts accept no new streams", async () => {
+    const contract = createContract({ template: "compute-service", contractId: "compute" }, provider.address);
+
+    assertThrows(() => setContractStatus("compute", "pause", stranger.address), /Unauthorized/, "stranger pause");
+    assertThrows(() => setContractStatus("coffee-machine-basic", "pause", provider.address), /Built-in/, "built-in pause");
+    assertThrows(() => setContractStatus("compute", "delete", provider.address), /Unknown contract action/, "unknown action");
+
+    setContractStatus("compute", "pause", provider.address);
+    assertEqual(contract.canAcceptNewSubscription(), false, "paused");
+    assertEqual(listContracts().some((c) => c.contractId === "compute"), false, "paused contracts are not listed");
+    assertEqual(listContracts({ status: "paused" }).map((c) => c.contractId), ["compute"], "listed by status");
+
+    setContractStatus("compute", "resume", provider.address);
+    assertEqual(contract.canAcceptNewSubscription(), true, "resumed");
+
+    setContractStatus("compute", "deactivate", provider.address);
+    assertEqual(contract.status, "inactive", "deactivated");
+    assertEqual(getStats().inactive, 1, "stats");
+  });
+
+  console.log("⏳ WAITLIST");
+  console.log("-".repeat(50));
+
+  await runTest("Waiting consumers are admitted in arrival order", async () => {
+    const contract = createContract({ template: "rlusd-session", contractId: "queue", maxConcurrentStreams: 1 }, provider.address);
+    contract.addSubscription("session-1", stranger.address);
+
+    const first = contract.joinWaitlist("rFirst", { apiKeyId: "tenant-a" });
+    const second = contract.joinWaitlist("rSecond");
+    assertEqual([first.position, second.position], [1, 2], "positions");
+    assertEqual(first.apiKeyId, "tenant-a", "metadata kept");
+
+    assertEqual(contract.leaveWaitlist(second.waitlistId), true, "left");
+    assertEqual(contract.getWaitingCount(), 1, "waiting");
+
+    contract.removeSubscription("session-1");
+    const admitted = contract.admitNextWaiting();
+    assertEqual(admitted.waitlistId, first.waitlistId, "first in line");
+    assertEqual(contract.getWaitlistEntry(first.waitlistId).position, null, "out of line");
+    assertEqual(contract.leaveWaitlist(first.waitlistId), false, "cannot leave once admitted");
+
+    contract.settleWaitlistEntry(first.waitlistId, { sessionId: "session-2" });
+    const settled = contract.getWaitlistEntry(first.waitlistId);
+    assertEqual([settled.status, settled.sessionId], ["started", "session-2"], "outcome");
+    assertEqual(contract.admitNextWaiting(), null, "nobody left");
+  });
+
+  await runTest("Waitlist entries expire and are forgotten after the TTL", async () => {
+    const contract = createContract({ template: "rlusd-session", contractId: "stale" }, provider.address);
+    const entry = contract.joinWaitlist("rLate");
+
+    const ttl = config.waitlist.ttlMs;
+    contract.pruneWaitlist(Date.now() + ttl + 1);
+    assertEqual(contract.getWaitlistEntry(entry.waitlistId).status, "expired", "expired");
+    assertEqual(contract.admitNextWaiting(), null, "expired entries are not admitted");
+
+    contract.pruneWaitlist(Date.now() + 2 * ttl + 2);
+    assertEqual(contract.getWaitlistEntry(entry.waitlistId), null, "forgotten");
+  });
+
+  resetContractRegistry();
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CONTRACT MODEL TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some contract model tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CONTRACT MODEL TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testContractModel().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testContractModel };
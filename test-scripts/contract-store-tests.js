@@ -0,0 +1,267 @@
+/**
+ * Contract Store Tests - No tokens or network required
+ * Persisted contract registries, revision history and export/import
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const { ContractStore } = require("../src/core/contractStore");
+const {
+  ServiceContract,
+  ContractRegistry,
+  createContractFromTemplate,
+  resetContractRegistry,
+} = require("../src/core/contract");
+
+const REGISTRY_MODULE = require.resolve("../src/config/contractsRegistry");
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Let background writes reach the store
+ */
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+/**
+ * A fresh contract registry behind contractsRegistry.js, as after a restart
+ */
+function freshRegistryModule() {
+  resetContractRegistry();
+  delete require.cache[REGISTRY_MODULE];
+  return require(REGISTRY_MODULE);
+}
+
+function contractData(overrides = {}) {
+  return {
+    contractId: "gpu-minutes",
+    currency: "XRP",
+    ratePerSecond: "100",
+    displayName: "GPU minutes",
+    description: "Metered GPU time",
+    category: "compute",
+    ...overrides,
+  };
+}
+
+async function testContractStore() {
+  console.log("🗄️  CONTRACT STORE TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "contract-store-tests-"));
+  let storeCount = 0;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  /**
+   * Contract store on a fresh JSON file (or an existing one to simulate a restart)
+   */
+  function openStore(file = path.join(tmpDir, `contracts-${++storeCount}.json`)) {
+    return { store: new ContractStore(new JsonStorageAdapter({ path: file })), file };
+  }
+
+  const provider = xrpl.Wallet.generate();
+
+  console.log("📜 STREAMING CONTRACTS");
+  console.log("-".repeat(50));
+
+  await runTest("Provider contracts and delegates survive a restart", async () => {
+    const { store, file } = openStore();
+    const registry = freshRegistryModule();
+    await registry.loadContracts(store);
+
+    const delegate = xrpl.Wallet.generate().address;
+    registry.addDelegate(provider.address, delegate);
+    registry.createContract(contractData(), provider.address, "tenant-a");
+    registry.createContract(contractData({ contractId: "short-lived" }), provider.address);
+    registry.deleteContract("short-lived", provider.address);
+    await flush();
+    await store.close();
+
+    const restarted = freshRegistryModule();
+    await restarted.loadContracts(openStore(file).store);
+    const contract = restarted.getContract("gpu-minutes");
+    assertEqual(contract.providerAddress, provider.address, "providerAddress");
+    assertEqual(contract.tenantId, "tenant-a", "tenantId");
+    assertEqual(restarted.listDelegates(provider.address), [delegate], "delegates");
+    assertEqual(restarted.getContract("coffee-machine-basic").providerId, "system", "built-ins seeded");
+
+    let deleted = null;
+    try {
+      restarted.getContract("short-lived");
+    } catch (error) {
+      deleted = error.message;
+    }
+    assertEqual(deleted, "Contract not found: short-lived", "deleted contract stays deleted");
+  });
+
+  await runTest("Updates add revisions; old terms outlive updates, deletes and restarts", async () => {
+    const { store, file } = openStore();
+    const registry = freshRegistryModule();
+    await registry.loadContracts(store);
+
+    const created = registry.createContract(contractData(), provider.address);
+    assertEqual(created.revision, 1, "first revision");
+    const updated = registry.updateContract("gpu-minutes", { ratePerSecond: "250", revision: 99 }, provider.address);
+    assertEqual(updated.revision, 2, "revision is not writable");
+
+    assertEqual(registry.getContractRevision("gpu-minutes", 1).ratePerSecond, "100", "revision 1 terms");
+    assertEqual(registry.getContractRevision("gpu-minutes", 2).ratePerSecond, "250", "revision 2 terms");
+
+    registry.deleteContract("gpu-minutes", provider.address);
+    assertEqual(registry.getContractHistory("gpu-minutes").length, 2, "history after delete");
+
+    const recreated = registry.createContract(contractData({ ratePerSecond: "50" }), provider.address);
+    assertEqual(recreated.revision, 3, "re-created ID continues the history");
+    await flush();
+    await store.close();
+
+    const restarted = freshRegistryModule();
+    await restarted.loadContracts(openStore(file).store);
+    assertEqual(restarted.getContractHistory("gpu-minutes").map((r) => r.ratePerSecond), ["100", "250", "50"], "history after restart");
+    assertEqual(Object.isFrozen(restarted.getContractRevision("gpu-minutes", 1)), true, "revisions are frozen");
+  });
+
+  await runTest("Export and import move contracts between environments", async () => {
+    const source = freshRegistryModule();
+    source.addDelegate(provider.address, xrpl.Wallet.generate().address);
+    source.createContract(contractData(), provider.address);
+    source.updateContract("gpu-minutes", { ratePerSecond: "300" }, provider.address);
+    const exported = JSON.parse(JSON.stringify(source.exportContracts()));
+
+    assertEqual(exported.contracts.map((c) => c.contractId), ["gpu-minutes"], "built-ins not exported");
+    assertEqual(exported.revisions.length, 2, "exported revisions");
+
+    const { store, file } = openStore();
+    const target = freshRegistryModule();
+    await target.loadContracts(store);
+    target.createContract(contractData({ ratePerSecond: "1" }), provider.address);
+
+    const skipped = target.importContracts(exported);
+    assertEqual(skipped.skipped, ["gpu-minutes"], "existing contract kept");
+    assertEqual(target.getContract("gpu-minutes").ratePerSecond, "1", "kept terms");
+
+    const result = target.importContracts(exported, { overwrite: true });
+    assertEqual(result.imported, 1, "imported");
+    assertEqual(target.getContract("gpu-minutes").ratePerSecond, "300", "imported terms");
+    assertEqual(target.listDelegates(provider.address).length, 1, "imported delegates");
+    await flush();
+    await store.close();
+
+    const restarted = freshRegistryModule();
+    await restarted.loadContracts(openStore(file).store);
+    assertEqual(restarted.getContract("gpu-minutes").ratePerSecond, "300", "import persisted");
+  });
+
+  console.log("🤖 SERVICE CONTRACTS");
+  console.log("-".repeat(50));
+
+  await runTest("ServiceContract.fromJSON keeps status, timestamps and service settings", async () => {
+    const contract = createContractFromTemplate("compute-service", provider.address, provider.publicKey);
+    contract.pause();
+    const restored = ServiceContract.fromJSON(JSON.parse(JSON.stringify(contract.toJSON())));
+
+    assertEqual(restored.status, "paused", "status");
+    assertEqual(restored.createdAt, contract.createdAt, "createdAt");
+    assertEqual(restored.config.maxConcurrentStreams, 20, "maxConcurrentStreams");
+    assertEqual(restored.pricing.rate, contract.pricing.rate, "rate");
+  });
+
+  await runTest("ContractRegistry writes contracts, status changes and revisions through", async () => {
+    const { store, file } = openStore();
+    const registry = new ContractRegistry();
+    await registry.load(store);
+
+    const contract = registry.registerContract(
+      createContractFromTemplate("api-access", provider.address, provider.publicKey, { id: "api-1" })
+    );
+    registry.updateContract("api-1", { description: "Faster API" });
+    contract.pause();
+    registry.registerContract(createContractFromTemplate("data-storage", provider.address, provider.publicKey, { id: "gone" }));
+    registry.removeContract("gone");
+    await flush();
+    await store.close();
+
+    const restarted = new ContractRegistry();
+    await restarted.load(openStore(file).store);
+    const restored = restarted.getContract("api-1");
+    assertEqual(restored.description, "Faster API", "updated description");
+    assertEqual(restored.status, "paused", "status");
+    assertEqual(restored.revision, 2, "revision");
+    assertEqual(restarted.getContractRevision("api-1", 1).description, "Pay-per-request API access with rate limiting", "revision 1");
+    assertEqual(restarted.getContract("gone"), null, "removed contract");
+    assertEqual(restarted.getContractHistory("gone").length, 1, "history of removed contract");
+    assertEqual(restarted.getStats().providers, 1, "agents");
+
+    // Status changes after a restart are persisted too
+    restored.resume();
+    await flush();
+    const again = new ContractRegistry();
+    await again.load(openStore(file).store);
+    assertEqual(again.getContract("api-1").status, "active", "resumed status");
+  });
+
+  await runTest("ContractRegistry.merge imports without replacing existing contracts", async () => {
+    const source = new ContractRegistry();
+    source.registerContract(createContractFromTemplate("video-streaming", provider.address, provider.publicKey, { id: "video-1" }));
+    source.registerContract(createContractFromTemplate("compute-service", provider.address, provider.publicKey, { id: "compute-1" }));
+    const exported = JSON.parse(JSON.stringify(source.toJSON()));
+
+    const target = new ContractRegistry();
+    target.registerContract(createContractFromTemplate("api-access", provider.address, provider.publicKey, { id: "video-1" }));
+    const result = target.merge(exported);
+    assertEqual(result.imported, 1, "imported");
+    assertEqual(result.skipped, ["video-1"], "skipped");
+    assertEqual(target.getContract("video-1").serviceType, "api", "existing kept");
+    assertEqual(target.getContract("compute-1").config.maxConcurrentStreams, 20, "imported settings");
+  });
+
+  resetContractRegistry();
+  delete require.cache[REGISTRY_MODULE];
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CONTRACT STORE TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some contract store tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CONTRACT STORE TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testContractStore().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testContractStore };
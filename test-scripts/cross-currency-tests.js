@@ -0,0 +1,297 @@
+/**
+ * Cross-Currency Tests - No tokens or network required
+ * RLUSD streams paid for in XRP: slippage limits, SendMax per installment,
+ * installments quoted above it, XRP spent against RLUSD delivered, tenant
+ * spend in XRP, and the preflight of such streams
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const config = require("../config");
+const { getSessionStore, resetSessionStore } = require("../src/core/sessionStore");
+const { SessionManager } = require("../src/core/sessionManager");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const { TenantService, currentPeriod } = require("../src/core/tenants");
+const { getToken, resetTokenRegistry } = require("../src/config/tokenRegistry");
+const { preflightTokenStream } = require("../src/core/preflight");
+const {
+  validateCrossCurrencyStream,
+  createCrossCurrency,
+  maxSendDrops,
+  describeCrossCurrency,
+} = require("../src/core/crossCurrency");
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+async function assertRejects(promise, pattern, label) {
+  try {
+    await promise;
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+/**
+ * A cross-currency session with some installments paid, as startRLUSDSession
+ * and executeRLUSDPayment leave it
+ */
+function crossCurrencySession(payments) {
+  return {
+    token: "RLUSD",
+    mode: "cross-currency",
+    totalAmount: "10.00",
+    paymentAmount: "3.33",
+    finalPaymentAmount: "3.34",
+    paymentCount: 3,
+    paymentsCompleted: payments.length,
+    crossCurrency: createCrossCurrency({ sourceDrops: "1665000" }, "3.33", 100),
+    payments,
+  };
+}
+
+/**
+ * Quotes every installment at `quote.sourceDrops` and records the payments
+ * submitted
+ */
+function fakeLedger(quote) {
+  const ledger = {
+    quote,
+    submitted: [],
+    async quoteXRPPayment() {
+      return ledger.quote;
+    },
+    async executeCrossCurrencyPayment(wallet, receiverAddress, amount, options) {
+      ledger.submitted.push([amount, options.sendMaxDrops]);
+      return { success: true, transactionHash: `TX${ledger.submitted.length}`, xrpSpent: ledger.quote.sourceDrops };
+    },
+  };
+  return ledger;
+}
+
+/**
+ * A server-held cross-currency session paying through `ledger`
+ */
+function startPaying(manager, ledger, apiKeyId = null) {
+  const sender = xrpl.Wallet.generate();
+  const sessionId = `${sender.address}-${xrpl.Wallet.generate().address}`;
+  manager.rlusdSessions.set(sessionId, {
+    ...crossCurrencySession([]),
+    senderWallet: sender,
+    senderAddress: sender.address,
+    receiverAddress: sessionId.split("-")[1],
+    custody: "server",
+    apiKeyId,
+  });
+
+  const payInstallment = manager.payCrossCurrencyInstallment.bind(manager);
+  manager.payCrossCurrencyInstallment = (session, amount, hooks) => payInstallment(session, amount, hooks, ledger);
+  return sessionId;
+}
+
+/**
+ * Let event listeners that record spend finish
+ */
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+async function testCrossCurrency() {
+  console.log("💱 CROSS-CURRENCY TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "cross-currency-tests-"));
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetTokenRegistry();
+      resetSessionStore();
+      getSessionStore({ driver: "json", path: path.join(tmpDir, `${testsPassed + testsFailed}.json`) });
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  await runTest("Cross-currency streams need a server-held key and a bounded slippage limit", async () => {
+    assertEqual(validateCrossCurrencyStream({ custodial: true, maxSlippageBps: 100 }).valid, true, "custodial");
+    assertEqual(validateCrossCurrencyStream({ custodial: false, maxSlippageBps: 100 }).valid, false, "client-signed");
+    assertEqual(validateCrossCurrencyStream({ custodial: true, maxSlippageBps: 0 }).valid, true, "no slippage");
+    assertEqual(validateCrossCurrencyStream({ custodial: true, maxSlippageBps: 1.5 }).valid, false, "fractional");
+    assertEqual(
+      validateCrossCurrencyStream({ custodial: true, maxSlippageBps: config.crossCurrency.maxSlippageBps + 1 }).valid,
+      false,
+      "above the maximum"
+    );
+
+    const manager = new SessionManager();
+    await assertRejects(
+      manager.startRLUSDSession({
+        senderAddress: xrpl.Wallet.generate().address,
+        receiverAddress: xrpl.Wallet.generate().address,
+        totalAmount: "10.00",
+        duration: 180,
+        intervalSeconds: 60,
+        mode: "cross-currency",
+      }),
+      /senderSeed or senderKeyId/,
+      "session without a wallet"
+    );
+    assertEqual(manager.listRLUSDSessions().length, 0, "nothing started");
+  });
+
+  await runTest("SendMax is the installment's share of the start quote plus the slippage limit", async () => {
+    // 3.33 RLUSD quoted at 1.665 XRP, 1% slippage
+    const state = createCrossCurrency({ sourceDrops: "1665000" }, "3.33", 100);
+    assertEqual([state.sourceCurrency, state.reference.amount, state.reference.drops], ["XRP", "3.33", "1665000"], "reference");
+
+    assertEqual(maxSendDrops(state, "3.33", 2), "1681650", "installment");
+    // 3.34 / 3.33 of the quote, rounded up to the next drop
+    assertEqual(maxSendDrops(state, "3.34", 2), "1686700", "final installment");
+    assertEqual(maxSendDrops({ ...state, maxSlippageBps: 0 }, "3.33", 2), "1665000", "no slippage");
+    assertEqual(maxSendDrops(createCrossCurrency({ sourceDrops: "1000001" }, "3.00", 0), "1.00", 2), "333334", "rounded up");
+  });
+
+  await runTest("Status reports XRP spent against RLUSD delivered per installment", async () => {
+    const session = crossCurrencySession([
+      { paymentNumber: 1, amount: "3.33", xrpSpent: "1670000", sendMax: "1681650", transactionHash: "A" },
+      { paymentNumber: 2, amount: "3.33", xrpSpent: "1675500", sendMax: "1681650", transactionHash: "B" },
+      // Reconciled after a restart, cost not recovered
+      { paymentNumber: 3, amount: "3.34", xrpSpent: null, sendMax: "1686700", transactionHash: "C", reconciled: true },
+    ]);
+
+    const view = describeCrossCurrency(session);
+    assertEqual([view.xrpSpent, view.delivered, view.maxSlippageBps], ["3345500", "10.00", 100], "totals");
+    assertEqual(
+      view.installments.map((installment) => [installment.delivered, installment.xrpSpent]),
+      [["3.33", "1670000"], ["3.33", "1675500"], ["3.34", null]],
+      "installments"
+    );
+  });
+
+  await runTest("An installment quoted above its SendMax is not submitted", async () => {
+    const manager = new SessionManager();
+    const ledger = fakeLedger({ sourceDrops: "1681651", paths: [] });
+    const sessionId = startPaying(manager, ledger);
+    const failures = [];
+    manager.on("paymentFailed", (data) => failures.push(data));
+
+    const refused = await manager.executeRLUSDPayment(sessionId);
+    assertEqual(refused.status, "failed", "refused");
+    if (!/costs 1681651 drops, above the slippage limit of 1681650 drops/.test(refused.error)) {
+      throw new Error(`unexpected error "${refused.error}"`);
+    }
+    assertEqual([ledger.submitted, manager.getRLUSDSession(sessionId).paymentsCompleted, failures.length], [[], 0, 1], "nothing sent");
+
+    // Quoted at the limit: submitted with the limit as SendMax
+    ledger.quote = { sourceDrops: "1681650", paths: [] };
+    const sent = await manager.executeRLUSDPayment(sessionId);
+    assertEqual(sent.status, "sent", "sent");
+    assertEqual(ledger.submitted, [["3.33", "1681650"]], "submitted");
+    assertEqual([sent.payment.xrpSpent, sent.payment.sendMax], ["1681650", "1681650"], "payment");
+  });
+
+  await runTest("Tenant spend counts the XRP paid for installments, not the RLUSD delivered", async () => {
+    const manager = new SessionManager();
+    const service = new TenantService(new JsonStorageAdapter({ path: path.join(tmpDir, "tenants.json") }));
+    await service.start(manager);
+    const { tenant } = await service.createTenant({ scopes: ["stream:start"], monthlySpendCap: { XRP: "3000000" } });
+    const sessionId = startPaying(manager, fakeLedger({ sourceDrops: "1670000", paths: [] }), tenant.tenantId);
+
+    await manager.executeRLUSDPayment(sessionId);
+    await flush();
+    assertEqual(await service.getSpend(tenant.tenantId), { period: currentPeriod(), XRP: "1670000", RLUSD: "0.00" }, "spend");
+    assertEqual((await service.checkSpendCap(tenant.tenantId, "RLUSD")).allowed, true, "RLUSD streams allowed");
+
+    // Reconciled after a restart: the cost is bounded by SendMax
+    manager.emit("paymentSent", { sessionId, currency: "RLUSD", payment: { amount: "3.33", xrpSpent: null, sendMax: "1681650" } });
+    await flush();
+    assertEqual((await service.getSpend(tenant.tenantId)).XRP, "3351650", "sendMax counted");
+    assertEqual((await service.checkSpendCap(tenant.tenantId, "XRP")).allowed, false, "XRP cap reached");
+    assertEqual(manager.getRLUSDSession(sessionId), null, "cross-currency stream stopped");
+
+    service.stop();
+    await service.close();
+  });
+
+  await runTest("Cross-currency sessions persist their reference quote", async () => {
+    const manager = new SessionManager();
+    // Tagged like a keystore wallet; records only reference wallets by key ID
+    const sender = Object.assign(xrpl.Wallet.generate(), { keyId: "key_sender" });
+    const sessionId = `${sender.address}-${xrpl.Wallet.generate().address}`;
+    manager.rlusdSessions.set(sessionId, { ...crossCurrencySession([]), senderWallet: sender, senderAddress: sender.address, persist: true });
+    await manager.saveRLUSDSession(sessionId);
+
+    const [record] = await getSessionStore().getSessions("rlusd");
+    assertEqual([record.mode, record.crossCurrency.reference.drops, record.crossCurrency.maxSlippageBps], ["cross-currency", "1665000", 100], "record");
+  });
+
+  await runTest("Preflight of a cross-currency stream needs no sender trust line", async () => {
+    const rlusd = getToken();
+    const sender = xrpl.Wallet.generate().address;
+    const receiver = xrpl.Wallet.generate().address;
+    const roots = new Map([[rlusd.issuer, { Flags: 0 }], [sender, { Flags: 0, Balance: "50000000" }], [receiver, { Flags: 0 }]]);
+    const ledger = {
+      async getAccountRoot(account) {
+        return roots.get(account) || null;
+      },
+      async getTrustLines(account) {
+        if (!roots.has(account)) return null;
+        return account === receiver ? [{ account: rlusd.issuer, currency: rlusd.currency, balance: "0", limit: "5" }] : [];
+      },
+    };
+    const options = { senderAddress: sender, receiverAddress: receiver, totalAmount: "10.00", mode: "cross-currency" };
+
+    const report = await preflightTokenStream(options, ledger);
+    assertEqual(report.errors.map((error) => error.code), ["RECEIVER_LIMIT_TOO_LOW"], "receiver still checked");
+    assertEqual([report.sender.paysIn, report.sender.xrpBalance], ["XRP", "50000000"], "sender pays XRP");
+
+    roots.delete(sender);
+    const missing = await preflightTokenStream(options, ledger);
+    assertEqual(missing.errors.map((error) => error.code), ["SENDER_NOT_FOUND", "RECEIVER_LIMIT_TOO_LOW"], "unfunded sender");
+  });
+
+  resetTokenRegistry();
+  resetSessionStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 CROSS-CURRENCY TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some cross-currency tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL CROSS-CURRENCY TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testCrossCurrency().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testCrossCurrency };
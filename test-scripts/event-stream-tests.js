@@ -0,0 +1,138 @@
+/**
+ * Event Stream Tests - No tokens or network required
+ * SSE feeds of session manager events: tenant feeds leaving out other
+ * tenants' and ownerless events, single-session feeds, and a feed ending
+ * once after a terminal event
+ */
+
+const { EventEmitter } = require("events");
+const { getSessionManager, resetSessionManager } = require("../src/core/sessionManager");
+const { openEventStream } = require("../src/api/eventStream");
+
+const CHANNEL_A = "A".repeat(64);
+const CHANNEL_B = "B".repeat(64);
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Open a feed on a fake request/response pair; records the event names
+ * written and how often the response was ended
+ */
+function openFeed(options) {
+  const req = new EventEmitter();
+  const feed = { names: [], ends: 0 };
+  const res = {
+    setHeader() {},
+    flushHeaders() {},
+    write: (chunk) => chunk.startsWith("event: ") && feed.names.push(chunk.trim().slice(7)),
+    end: () => feed.ends++,
+  };
+  openEventStream(req, res, options);
+  feed.close = () => req.emit("close");
+  return feed;
+}
+
+async function testEventStream() {
+  console.log("📡 EVENT STREAM TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetSessionManager();
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  await runTest("Tenant feeds leave out other tenants' and ownerless events", async () => {
+    const manager = getSessionManager();
+    const feeds = {
+      a: openFeed({ apiKeyId: "tenant-a" }),
+      b: openFeed({ apiKeyId: "tenant-b" }),
+      all: openFeed(),
+    };
+
+    manager.emit("sessionStarted", { sessionId: "s1", currency: "XRP", apiKeyId: "tenant-a" });
+    manager.emit("channelLowBalance", { channelId: CHANNEL_B, apiKeyId: "tenant-b" });
+    // Neither a session nor an owner: only the unscoped feed shows these
+    manager.emit("channelFinalized", { channelId: CHANNEL_A, amount: "10" });
+    manager.emit("paymentSent", { sessionId: "unknown", currency: "RLUSD", payment: { amount: "1.00" } });
+    Object.values(feeds).forEach((feed) => feed.close());
+
+    assertEqual(feeds.a.names, ["connected", "stream.started"], "tenant-a feed");
+    assertEqual(feeds.b.names, ["connected", "channel.low_balance"], "tenant-b feed");
+    assertEqual(
+      feeds.all.names,
+      ["connected", "stream.started", "channel.low_balance", "channel.finalized", "payment.sent"],
+      "unscoped feed"
+    );
+  });
+
+  await runTest("Session feeds show the session's and its channel's events", async () => {
+    const manager = getSessionManager();
+    const sessionId = `${CHANNEL_A}-receiver`;
+    const feed = openFeed({ sessionId, apiKeyId: "tenant-a" });
+
+    manager.emit("claimValidated", { sessionId, channelId: CHANNEL_A, apiKeyId: "tenant-a" });
+    manager.emit("claimValidated", { sessionId: `${CHANNEL_B}-receiver`, channelId: CHANNEL_B, apiKeyId: "tenant-a" });
+    manager.emit("channelFinalized", { channelId: CHANNEL_A, amount: "10", apiKeyId: "tenant-a" });
+    // Same channel, another tenant's event
+    manager.emit("channelLowBalance", { channelId: CHANNEL_A, apiKeyId: "tenant-b" });
+    feed.close();
+
+    assertEqual(feed.names, ["connected", "claim.validated", "channel.finalized"], "session feed");
+  });
+
+  await runTest("A terminal event ends the feed once, and the request closing after it is a no-op", async () => {
+    const manager = getSessionManager();
+    const before = manager.listenerCount("sessionStopped");
+    const feed = openFeed({ sessionId: "s1" });
+
+    manager.emit("sessionStopped", { sessionId: "s1", currency: "XRP" });
+    feed.close();
+    manager.emit("sessionStarted", { sessionId: "s1", currency: "XRP" });
+
+    assertEqual(feed.names, ["connected", "stream.stopped"], "events");
+    assertEqual(feed.ends, 1, "response ended once");
+    assertEqual(manager.listenerCount("sessionStopped"), before, "listeners removed");
+  });
+
+  resetSessionManager();
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 EVENT STREAM TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some event stream tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL EVENT STREAM TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testEventStream().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testEventStream };
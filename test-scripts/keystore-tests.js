@@ -0,0 +1,276 @@
+/**
+ * Keystore Tests - No tokens or network required
+ * Encrypted wallets referenced by key ID, scoped to API keys
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const {
+  Keystore,
+  getKeystore,
+  resetKeystore,
+  resolveWallet,
+} = require("../src/core/keystore");
+const { StreamingSigner } = require("../src/core/signer");
+const {
+  getSessionStore,
+  resetSessionStore,
+  serializeXRPSession,
+  restoreXRPSession,
+} = require("../src/core/sessionStore");
+const { SessionManager } = require("../src/core/sessionManager");
+
+const CHANNEL = "C".repeat(64);
+const PASSPHRASE = "correct horse battery staple";
+
+// Cheap key derivation keeps the suite fast
+const OPTIONS = { passphrase: PASSPHRASE, scrypt: { N: 1024, r: 8, p: 1 }, minPassphraseLength: 12 };
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+async function assertRejects(promise, label) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+async function testKeystore() {
+  console.log("🔑 KEYSTORE TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-tests-"));
+  let storeCount = 0;
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  /**
+   * Keystore on a fresh JSON file (or an existing one to simulate a restart)
+   */
+  function openKeystore(file = path.join(tmpDir, `keystore-${++storeCount}.json`), options = OPTIONS) {
+    const keystore = new Keystore(new JsonStorageAdapter({ path: file }), options);
+    return { keystore, file };
+  }
+
+  console.log("📝 KEYS");
+  console.log("-".repeat(50));
+
+  await runTest("Created and imported keys are listed per API key", async () => {
+    const { keystore } = openKeystore();
+    const created = await keystore.createKey("tenant-a", { label: "agent" });
+    const seed = xrpl.Wallet.generate().seed;
+    const imported = await keystore.importKey("tenant-b", { seed });
+
+    assertEqual(created.algorithm, "ed25519", "default algorithm");
+    assertEqual(created.label, "agent", "label");
+    assertEqual(imported.address, xrpl.Wallet.fromSeed(seed).address, "imported address");
+    assertEqual((await keystore.listKeys("tenant-a")).map((k) => k.keyId), [created.keyId], "tenant-a keys");
+    assertEqual((await keystore.listKeys("tenant-b")).map((k) => k.keyId), [imported.keyId], "tenant-b keys");
+    assertEqual(await keystore.getKey(created.keyId, "tenant-b"), null, "other tenant's key");
+    assertEqual("encrypted" in created || "seed" in created, false, "public record");
+
+    await assertRejects(keystore.getWallet(created.keyId, "tenant-b"), "wallet of another tenant");
+    const wallet = await keystore.getWallet(imported.keyId, "tenant-b");
+    assertEqual(wallet.seed, seed, "decrypted seed");
+    assertEqual(wallet.keyId, imported.keyId, "wallet tagged with keyId");
+    await keystore.close();
+  });
+
+  await runTest("Seeds are encrypted at rest and survive a restart", async () => {
+    const { keystore, file } = openKeystore();
+    const seed = xrpl.Wallet.generate().seed;
+    const { keyId } = await keystore.importKey("tenant-a", { seed });
+    await keystore.close();
+
+    const raw = fs.readFileSync(file, "utf8");
+    assertEqual(raw.includes(seed), false, "seed in stored file");
+    assertEqual(raw.includes(keyId), true, "keyId in stored file");
+
+    const reopened = openKeystore(file).keystore;
+    assertEqual((await reopened.getWallet(keyId)).seed, seed, "seed after restart");
+    await reopened.close();
+  });
+
+  await runTest("A wrong or missing passphrase cannot decrypt", async () => {
+    const { keystore, file } = openKeystore();
+    const { keyId } = await keystore.createKey("tenant-a");
+    await keystore.close();
+
+    const wrong = openKeystore(file, { ...OPTIONS, passphrase: "not the passphrase" }).keystore;
+    await assertRejects(wrong.getWallet(keyId), "wrong passphrase");
+    await wrong.close();
+
+    const locked = openKeystore(file, { ...OPTIONS, passphrase: undefined }).keystore;
+    assertEqual(locked.isUnlocked(), false, "locked without passphrase");
+    await assertRejects(locked.createKey("tenant-a"), "create while locked");
+    await locked.close();
+  });
+
+  await runTest("Rotation re-encrypts every key under the new passphrase", async () => {
+    const { keystore, file } = openKeystore();
+    const first = await keystore.createKey("tenant-a");
+    const second = await keystore.createKey("tenant-b", { algorithm: "secp256k1" });
+    const seed = (await keystore.getWallet(second.keyId)).seed;
+
+    await assertRejects(keystore.rotatePassphrase("guess", "a brand new passphrase"), "wrong current passphrase");
+    await assertRejects(keystore.rotatePassphrase(PASSPHRASE, "short"), "too short");
+
+    const newPassphrase = "a brand new passphrase";
+    assertEqual(await keystore.rotatePassphrase(PASSPHRASE, newPassphrase), 2, "rotated count");
+    await keystore.close();
+
+    const old = openKeystore(file).keystore;
+    await assertRejects(old.getWallet(first.keyId), "old passphrase after rotation");
+    await old.close();
+
+    const rotated = openKeystore(file, { ...OPTIONS, passphrase: newPassphrase }).keystore;
+    assertEqual((await rotated.getWallet(second.keyId)).seed, seed, "seed under new passphrase");
+    await rotated.close();
+  });
+
+  console.log("🔗 KEY IDS IN PLACE OF SEEDS");
+  console.log("-".repeat(50));
+
+  await resetKeystore();
+  const keystore = getKeystore(
+    new JsonStorageAdapter({ path: path.join(tmpDir, "singleton.json") }),
+    OPTIONS
+  );
+  const sender = await keystore.createKey("tenant-a");
+
+  await runTest("resolveWallet and StreamingSigner.fromKeyId resolve key IDs", async () => {
+    const wallet = xrpl.Wallet.generate();
+    assertEqual(await resolveWallet(wallet), wallet, "wallet passes through");
+    assertEqual((await resolveWallet(sender.keyId, "tenant-a")).address, sender.address, "resolved address");
+    await assertRejects(resolveWallet(sender.keyId, "tenant-b"), "other tenant");
+    await assertRejects(resolveWallet("key_missing"), "unknown key");
+
+    const signer = await StreamingSigner.fromKeyId(sender.keyId, CHANNEL, "1000", "50000", "tenant-a");
+    assertEqual(signer.wallet.address, sender.address, "signer wallet");
+  });
+
+  await runTest("Sessions started with a key ID persist the key ID, not the seed", async () => {
+    resetSessionStore();
+    getSessionStore({ driver: "json", enabled: false });
+
+    const manager = new SessionManager();
+    const wallet = await keystore.getWallet(sender.keyId);
+    const sessionId = await manager.startXRPSender({
+      channelId: CHANNEL,
+      wallet,
+      ratePerSecond: "1000",
+      channelInfo: { Amount: "50000", PublicKey: wallet.publicKey },
+    });
+
+    const record = JSON.parse(JSON.stringify(serializeXRPSession(manager.getXRPSession(sessionId))));
+    assertEqual("walletSeed" in record, false, "walletSeed");
+    assertEqual(record.keyId, sender.keyId, "keyId");
+    assertEqual(JSON.stringify(record).includes(wallet.seed), false, "seed in record");
+
+    const restored = await restoreXRPSession(record);
+    assertEqual(restored.signer.wallet.address, sender.address, "restored wallet");
+    await manager.stopXRPSession(sessionId);
+    resetSessionStore();
+  });
+
+  await runTest("Sessions started with a seed persist an imported key ID, never the seed", async () => {
+    resetSessionStore();
+    const storePath = path.join(tmpDir, "sessions-seed.json");
+    getSessionStore({ driver: "json", path: storePath });
+
+    const manager = new SessionManager();
+    const wallet = xrpl.Wallet.generate();
+    const sessionId = await manager.startXRPSender({
+      channelId: CHANNEL,
+      wallet: xrpl.Wallet.fromSeed(wallet.seed),
+      ratePerSecond: "1000",
+      channelInfo: { Amount: "50000", PublicKey: wallet.publicKey },
+      apiKeyId: "tenant-a",
+    });
+    await manager.signXRPClaim(sessionId);
+
+    const [record] = await getSessionStore().getSessions("xrp");
+    const imported = await keystore.findKeyByAddress("tenant-a", wallet.address);
+    assertEqual(record.keyId, imported.keyId, "imported key ID");
+    assertEqual(fs.readFileSync(storePath, "utf8").includes(wallet.seed), false, "seed in session file");
+
+    const restored = await restoreXRPSession(record);
+    assertEqual(restored.signer.wallet.address, wallet.address, "restored wallet");
+    await manager.stopXRPSession(sessionId);
+    resetSessionStore();
+  });
+
+  await runTest("Seed-started sessions are not persisted while the keystore is locked", async () => {
+    resetSessionStore();
+    getSessionStore({ driver: "json", path: path.join(tmpDir, "sessions-locked.json") });
+    const { passphrase } = keystore;
+    keystore.passphrase = null;
+
+    try {
+      const manager = new SessionManager();
+      const wallet = xrpl.Wallet.generate();
+      const sessionId = await manager.startXRPSender({
+        channelId: CHANNEL,
+        wallet,
+        ratePerSecond: "1000",
+        channelInfo: { Amount: "50000", PublicKey: wallet.publicKey },
+      });
+      await manager.signXRPClaim(sessionId);
+
+      assertEqual(await getSessionStore().getSessions("xrp"), [], "records");
+      await manager.stopXRPSession(sessionId);
+    } finally {
+      keystore.passphrase = passphrase;
+      resetSessionStore();
+    }
+  });
+
+  await resetKeystore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 KEYSTORE TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some keystore tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL KEYSTORE TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testKeystore().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testKeystore };
@@ -18,6 +18,7 @@ const {
 } = require("../src/utils/converters");
 
 const config = require("../config");
+const { getToken } = require("../src/config/tokenRegistry");
 
 async function testAllLogic() {
   console.log("🧮 PURE LOGIC TESTS - No Network Required");
@@ -194,18 +195,19 @@ async function testAllLogic() {
   });
 
   runTest("RLUSD Configuration", () => {
-    if (config.currency.currency !== "USD") {
-      throw new Error(`Expected USD currency, got ${config.currency.currency}`);
+    const rlusd = getToken("RLUSD", "testnet");
+    if (rlusd.currency !== "USD") {
+      throw new Error(`Expected USD currency, got ${rlusd.currency}`);
     }
-    if (!config.currency.issuer) {
+    if (!rlusd.issuer) {
       throw new Error("Missing RLUSD issuer address");
     }
-    if (config.currency.symbol !== "RLUSD") {
-      throw new Error(`Expected RLUSD symbol, got ${config.currency.symbol}`);
+    if (rlusd.symbol !== "RLUSD") {
+      throw new Error(`Expected RLUSD symbol, got ${rlusd.symbol}`);
     }
-    console.log(`     Currency: ${config.currency.currency} ✓`);
-    console.log(`     Symbol: ${config.currency.symbol} ✓`);
-    console.log(`     Issuer: ${config.currency.issuer.substring(0, 10)}... ✓`);
+    console.log(`     Currency: ${rlusd.currency} ✓`);
+    console.log(`     Symbol: ${rlusd.symbol} ✓`);
+    console.log(`     Issuer: ${rlusd.issuer.substring(0, 10)}... ✓`);
   });
 
   // ===== STREAMING SIMULATION TESTS =====
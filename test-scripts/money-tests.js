@@ -0,0 +1,290 @@
+/**
+ * Money Tests - No tokens or network required
+ * Exact decimal amounts: property tests of rounding, sums and installment
+ * splits over random amounts, and RLUSD sessions that pay exactly their total
+ *
+ * Random cases come from a seeded generator; rerun a failure with
+ * MONEY_TEST_SEED=<seed printed below>.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const {
+  IOU_PRECISION,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  sumAmounts,
+  subtractAmounts,
+  compareAmounts,
+  splitAmount,
+} = require("../src/utils/money");
+const { usdToCents, calculateRLUSDStreamingRate } = require("../src/utils/converters");
+const { planEscrowLadder } = require("../src/core/escrowLadder");
+const { getSessionStore, resetSessionStore } = require("../src/core/sessionStore");
+const {
+  SessionManager,
+  installmentAmount,
+  sessionAmountSent,
+  sessionAmountRemaining,
+} = require("../src/core/sessionManager");
+
+const CASES = 500;
+const SEED = parseInt(process.env.MONEY_TEST_SEED) || Date.now() % 2147483647;
+
+// mulberry32: small, seedable PRNG
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(SEED);
+const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Random amount in minor units with up to `digits` digits
+ */
+function randomUnits(digits = 12) {
+  let value = "";
+  for (let i = randomInt(1, digits); i > 0; i--) value += randomInt(0, 9);
+  return BigInt(value);
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual, (key, value) => (typeof value === "bigint" ? `${value}n` : value));
+  const e = JSON.stringify(expected, (key, value) => (typeof value === "bigint" ? `${value}n` : value));
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function assertThrows(fn, pattern, label) {
+  try {
+    fn();
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+async function assertRejects(promise, pattern, label) {
+  try {
+    await promise;
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+/**
+ * Check a property on CASES random inputs, naming the failing one
+ */
+function forAll(generate, property) {
+  for (let i = 0; i < CASES; i++) {
+    const input = generate();
+    try {
+      property(input);
+    } catch (error) {
+      throw new Error(`${error.message} (case ${JSON.stringify(input, (key, value) => (typeof value === "bigint" ? value.toString() : value))})`);
+    }
+  }
+}
+
+async function testMoney() {
+  console.log("💵 MONEY TESTS - No Network Required");
+  console.log("=".repeat(70));
+  console.log(`Seed: ${SEED}\n`);
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "money-tests-"));
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetSessionStore();
+      getSessionStore({ driver: "json", path: path.join(tmpDir, `${testsPassed + testsFailed}.json`) });
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  console.log("🔢 ROUNDING PROPERTIES");
+  console.log("-".repeat(50));
+
+  await runTest("Amounts survive a round trip through minor units", async () => {
+    forAll(
+      () => ({ units: randomUnits(), decimals: randomInt(0, 6), negative: random() < 0.2 }),
+      ({ units, decimals, negative }) => {
+        const value = negative ? -units : units;
+        const text = fromMinorUnits(value, decimals);
+        assertEqual(toMinorUnits(text, decimals), value, "round trip");
+        assertEqual(text.split(".")[1]?.length || 0, decimals, "decimal places");
+      }
+    );
+  });
+
+  await runTest("Extra digits round half away from zero", async () => {
+    forAll(
+      () => ({ units: randomUnits(), decimals: randomInt(0, 6), extra: randomUnits(3) }),
+      ({ units, decimals, extra }) => {
+        const tail = extra.toString().padStart(3, "0");
+        const text = `${fromMinorUnits(units, decimals)}${decimals === 0 ? "." : ""}${tail}`;
+        const expected = units + (tail[0] >= "5" ? 1n : 0n);
+
+        assertEqual(toMinorUnits(text, decimals), expected, "rounded");
+        assertEqual(toMinorUnits(`-${text}`, decimals), -expected, "symmetric");
+      }
+    );
+
+    assertEqual([roundAmount("3.335", 2), roundAmount("3.334", 2), roundAmount("-0.005", 2)], ["3.34", "3.33", "-0.01"], "examples");
+    assertEqual([roundAmount(1e-7, 8), roundAmount("1.5e2", 0), roundAmount(0.1 + 0.2, 2)], ["0.00000010", "150", "0.30"], "exponents and floats");
+  });
+
+  await runTest("Sums, differences and comparisons are exact", async () => {
+    forAll(
+      () => ({ a: randomUnits(), b: randomUnits(), decimals: randomInt(0, 6) }),
+      ({ a, b, decimals }) => {
+        const x = fromMinorUnits(a, decimals);
+        const y = fromMinorUnits(b, decimals);
+
+        assertEqual(sumAmounts([x, y], decimals), fromMinorUnits(a + b, decimals), "sum");
+        assertEqual(subtractAmounts(sumAmounts([x, y], decimals), y, decimals), x, "difference undoes the sum");
+        assertEqual(compareAmounts(x, y, decimals), a < b ? -1 : a > b ? 1 : 0, "comparison");
+        assertEqual(compareAmounts(y, x, decimals), -compareAmounts(x, y, decimals), "antisymmetric");
+      }
+    );
+
+    // Ten float cents do not make a dime; ten exact ones do
+    assertEqual(sumAmounts(Array(10).fill("0.1"), 2), "1.00", "no drift");
+  });
+
+  await runTest("Amounts beyond issued-currency precision are rejected", async () => {
+    assertEqual(IOU_PRECISION, 15, "precision");
+    assertEqual(toMinorUnits("9999999999999.99", 2), 999999999999999n, "15 digits");
+    assertEqual(toMinorUnits("1000000000000000000", 2), 100000000000000000000n, "trailing zeros are not significant");
+    assertThrows(() => toMinorUnits("99999999999999.99", 2), /15 significant digits/, "16 digits");
+    for (const bad of ["", ".", "abc", "1.2.3", "1,000", "--1", "0x10"]) {
+      assertThrows(() => toMinorUnits(bad, 2), /Invalid amount/, `"${bad}"`);
+    }
+  });
+
+  console.log("✂️  INSTALLMENTS");
+  console.log("-".repeat(50));
+
+  await runTest("Installments add up to the total, the last one taking the remainder", async () => {
+    forAll(
+      () => ({ count: randomInt(1, 500), decimals: randomInt(0, 6), units: randomUnits(12) }),
+      ({ count, decimals, units }) => {
+        const total = units + BigInt(count); // at least one unit per installment
+        const { amount, finalAmount } = splitAmount(fromMinorUnits(total, decimals), count, decimals);
+        const base = toMinorUnits(amount, decimals);
+        const final = toMinorUnits(finalAmount, decimals);
+
+        assertEqual(base * BigInt(count - 1) + final, total, "exact total");
+        assertEqual(base, total / BigInt(count), "equal installments rounded down");
+        assertEqual(final >= base && final - base < BigInt(count), true, "remainder below one unit per installment");
+      }
+    );
+
+    assertEqual(splitAmount("10.00", 3, 2), { amount: "3.33", finalAmount: "3.34" }, "10.00 over 3");
+    assertThrows(() => splitAmount("0.02", 3, 2), /too small to split into 3/, "less than a cent each");
+    assertThrows(() => splitAmount("1", 0, 2), /positive integer/, "no installments");
+  });
+
+  await runTest("Converters use exact cents", async () => {
+    // 1.005 * 100 is 100.49999999999999 in floating point
+    assertEqual([usdToCents("1.005"), usdToCents("0.29"), usdToCents(19.99)], ["101", "29", "1999"], "cents");
+    assertThrows(() => usdToCents("-1"), /Invalid USD amount/, "negative");
+
+    const rate = calculateRLUSDStreamingRate("0.29", 29);
+    assertEqual([rate.totalCents, rate.centsPerSecond], ["29", "1"], "rate");
+  });
+
+  await runTest("Escrow ladders lock exactly the total", async () => {
+    const { amount, finalAmount } = splitAmount("10.00", 3, 2);
+    const rungs = planEscrowLadder({ paymentAmount: amount, finalPaymentAmount: finalAmount, paymentCount: 3, intervalSeconds: 60 });
+
+    assertEqual(rungs.map((rung) => rung.amount), ["3.33", "3.33", "3.34"], "rung amounts");
+    assertEqual(sumAmounts(rungs.map((rung) => rung.amount), 2), "10.00", "locked total");
+  });
+
+  await runTest("RLUSD sessions pay exactly their total", async () => {
+    const manager = new SessionManager();
+    const sender = xrpl.Wallet.generate();
+    const receiver = xrpl.Wallet.generate();
+
+    const { session } = await manager.startRLUSDSession({
+      senderAddress: sender.address,
+      receiverAddress: receiver.address,
+      totalAmount: "10",
+      duration: 180,
+      intervalSeconds: 60,
+    });
+    assertEqual([session.totalAmount, session.paymentAmount, session.finalPaymentAmount], ["10.00", "3.33", "3.34"], "session amounts");
+
+    // Walk the installments as executeRLUSDPayment records them
+    const paid = [];
+    const sent = [];
+    while (session.paymentsCompleted < session.paymentCount) {
+      paid.push(installmentAmount(session, session.paymentsCompleted + 1));
+      assertEqual(manager.getRLUSDPaymentFields(session).Amount.value, paid[paid.length - 1], "payment amount");
+      session.paymentsCompleted++;
+      sent.push(sessionAmountSent(session));
+    }
+
+    assertEqual(paid, ["3.33", "3.33", "3.34"], "installments");
+    assertEqual(sent, ["3.33", "6.66", "10.00"], "totalSent");
+    assertEqual(sessionAmountRemaining(session), "0.00", "nothing left");
+
+    await assertRejects(
+      manager.startRLUSDSession({ senderAddress: receiver.address, receiverAddress: sender.address, totalAmount: "0.02", duration: 180, intervalSeconds: 60 }),
+      /too small/,
+      "dust stream"
+    );
+  });
+
+  resetSessionStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 MONEY TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log(`\n❌ Some money tests failed - rerun with MONEY_TEST_SEED=${SEED}`);
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL MONEY TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testMoney().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testMoney };
@@ -0,0 +1,269 @@
+/**
+ * Non-Custodial Mode Tests - No tokens or network required
+ * Client-signed claims and transaction blobs are verified without a server seed
+ */
+
+const xrpl = require("xrpl");
+const { signClaim } = require("../src/core/signer");
+const {
+  getSessionStore,
+  resetSessionStore,
+  serializeXRPSession,
+  restoreXRPSession,
+} = require("../src/core/sessionStore");
+const { SessionManager } = require("../src/core/sessionManager");
+const {
+  buildRLUSDPayment,
+  decodeSignedTransaction,
+  assertTransactionFields,
+} = require("../contracts/relayTransaction");
+
+const CHANNEL = "C".repeat(64);
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+async function assertRejects(promise, label) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+/**
+ * Sign a transaction offline (fields autofill would normally set are fixed)
+ */
+function signOffline(wallet, tx) {
+  return wallet.sign({
+    Fee: "12",
+    Sequence: 1,
+    LastLedgerSequence: 1000,
+    ...tx,
+  });
+}
+
+async function testNonCustodial() {
+  console.log("🔐 NON-CUSTODIAL MODE TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const client = xrpl.Wallet.generate(); // Keys only the client holds
+  const receiver = xrpl.Wallet.generate();
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  // Keep sessions in memory only
+  resetSessionStore();
+  getSessionStore({ driver: "json", enabled: false });
+
+  async function startClientSender(manager) {
+    return manager.startXRPSender({
+      channelId: CHANNEL,
+      ratePerSecond: "1000",
+      channelInfo: { Amount: "50000", PublicKey: client.publicKey },
+    });
+  }
+
+  console.log("📝 CLIENT-SIGNED CLAIMS");
+  console.log("-".repeat(50));
+
+  await runTest("Valid client claims are accepted and become the latest claim", async () => {
+    const manager = new SessionManager();
+    const signed = [];
+    manager.on("claimSigned", (event) => signed.push(event.amount));
+    const sessionId = await startClientSender(manager);
+
+    const claim = signClaim(client, CHANNEL, "5000");
+    const result = await manager.submitXRPClaim(sessionId, claim);
+    assertEqual(result.valid, true, "valid");
+
+    const latest = await manager.getXRPClaim(sessionId);
+    assertEqual(latest.amount, "5000", "latest amount");
+    assertEqual(latest.signature, claim.signature.toUpperCase(), "latest signature");
+    assertEqual(signed, ["5000"], "claimSigned events");
+  });
+
+  await runTest("Claims must grow, stay within capacity and verify", async () => {
+    const manager = new SessionManager();
+    const sessionId = await startClientSender(manager);
+    await manager.submitXRPClaim(sessionId, signClaim(client, CHANNEL, "5000"));
+
+    const older = await manager.submitXRPClaim(sessionId, signClaim(client, CHANNEL, "4000"));
+    assertEqual(older.valid, false, "decreasing claim");
+
+    const tooLarge = await manager.submitXRPClaim(sessionId, signClaim(client, CHANNEL, "60000"));
+    assertEqual(tooLarge.valid, false, "claim over capacity");
+
+    const forged = await manager.submitXRPClaim(sessionId, signClaim(receiver, CHANNEL, "6000"));
+    assertEqual(forged.valid, false, "claim signed by another key");
+
+    const otherChannel = signClaim(client, "D".repeat(64), "6000");
+    const wrongChannel = await manager.submitXRPClaim(sessionId, otherChannel);
+    assertEqual(wrongChannel.valid, false, "claim for another channel");
+
+    assertEqual((await manager.getXRPClaim(sessionId)).amount, "5000", "latest amount");
+  });
+
+  await runTest("Reaching capacity reports the channel exhausted", async () => {
+    const manager = new SessionManager();
+    const exhausted = [];
+    manager.on("channelExhausted", (event) => exhausted.push(event.capacity));
+    const sessionId = await startClientSender(manager);
+
+    await manager.submitXRPClaim(sessionId, signClaim(client, CHANNEL, "50000"));
+    assertEqual(exhausted, ["50000"], "channelExhausted events");
+  });
+
+  await runTest("The server never signs for client-custody streams", async () => {
+    const manager = new SessionManager();
+    const sessionId = await startClientSender(manager);
+
+    await assertRejects(manager.signXRPClaim(sessionId), "signXRPClaim");
+    assertEqual(await manager.getXRPClaim(sessionId), null, "claim before submission");
+
+    await manager.stopXRPSession(sessionId);
+    await assertRejects(
+      manager.startXRPSender({
+        channelId: CHANNEL,
+        ratePerSecond: "1000",
+        channelInfo: { Amount: "50000", PublicKey: client.publicKey },
+        autoTopUp: { minutes: 10, maxTotal: "100000" },
+      }),
+      "auto top-up without a wallet"
+    );
+  });
+
+  await runTest("Client-custody sessions survive serialization without a seed", async () => {
+    const manager = new SessionManager();
+    const sessionId = await startClientSender(manager);
+    await manager.submitXRPClaim(sessionId, signClaim(client, CHANNEL, "7000"));
+
+    const record = JSON.parse(JSON.stringify(serializeXRPSession(manager.getXRPSession(sessionId))));
+    assertEqual("walletSeed" in record, false, "walletSeed");
+    assertEqual(record.custody, "client", "custody");
+
+    const restored = await restoreXRPSession(record);
+    assertEqual(restored.custody, "client", "restored custody");
+    assertEqual(restored.latestClaim.amount, "7000", "restored latest claim");
+    assertEqual(restored.signer.lastSignedAmount.toString(), "7000", "restored lastSignedAmount");
+  });
+
+  console.log("📦 SIGNED TRANSACTION BLOBS");
+  console.log("-".repeat(50));
+
+  const expectedPayment = buildRLUSDPayment({
+    account: client.address,
+    destination: receiver.address,
+    amount: "0.50",
+  });
+
+  await runTest("A signed payment matching the installment is accepted", async () => {
+    const signed = signOffline(client, expectedPayment);
+    const { tx, hash } = decodeSignedTransaction(signed.tx_blob);
+    assertEqual(hash, signed.hash, "hash");
+    assertTransactionFields(tx, expectedPayment); // "0.5" on the ledger matches "0.50"
+  });
+
+  await runTest("Mismatched, partial or unsigned payments are rejected", async () => {
+    const wrongAmount = signOffline(client, {
+      ...expectedPayment,
+      Amount: { ...expectedPayment.Amount, value: "0.49" },
+    });
+    const { tx } = decodeSignedTransaction(wrongAmount.tx_blob);
+    await assertRejects(
+      Promise.resolve().then(() => assertTransactionFields(tx, expectedPayment)),
+      "wrong amount"
+    );
+
+    const partial = signOffline(client, {
+      ...expectedPayment,
+      Flags: xrpl.PaymentFlags.tfPartialPayment,
+    });
+    await assertRejects(
+      Promise.resolve().then(() => decodeSignedTransaction(partial.tx_blob)),
+      "partial payment"
+    );
+
+    const unsigned = xrpl.encode({ Fee: "12", Sequence: 1, ...expectedPayment });
+    await assertRejects(
+      Promise.resolve().then(() => decodeSignedTransaction(unsigned)),
+      "unsigned blob"
+    );
+
+    const trustSet = signOffline(client, {
+      TransactionType: "TrustSet",
+      Account: client.address,
+      LimitAmount: { ...expectedPayment.Amount, value: "1000" },
+    });
+    await assertRejects(
+      Promise.resolve().then(() => decodeSignedTransaction(trustSet.tx_blob)),
+      "unsupported type"
+    );
+  });
+
+  await runTest("Client-custody RLUSD sessions only take matching signed payments", async () => {
+    const manager = new SessionManager();
+    const { sessionId, session } = await manager.startRLUSDSession({
+      senderAddress: client.address,
+      receiverAddress: receiver.address,
+      totalAmount: "1.00",
+      duration: 120,
+      intervalSeconds: 60,
+      persist: false,
+    });
+    assertEqual(session.custody, "client", "custody");
+    assertEqual(sessionId, `${client.address}-${receiver.address}`, "sessionId");
+
+    const good = signOffline(client, expectedPayment);
+    assertEqual(manager.validateRLUSDPayment(sessionId, good.tx_blob).valid, true, "matching payment");
+
+    const otherSender = xrpl.Wallet.generate();
+    const impostor = signOffline(otherSender, { ...expectedPayment, Account: otherSender.address });
+    assertEqual(manager.validateRLUSDPayment(sessionId, impostor.tx_blob).valid, false, "other sender");
+
+    await assertRejects(manager.executeRLUSDPayment(sessionId), "payment without a signed blob");
+  });
+
+  resetSessionStore();
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 NON-CUSTODIAL TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some non-custodial tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL NON-CUSTODIAL TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testNonCustodial().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testNonCustodial };
@@ -0,0 +1,355 @@
+/**
+ * Session Restore Tests - No tokens or network required
+ * Sessions saved to a JSON session store and rebuilt by a fresh manager, as
+ * after a restart: claims keep increasing, downtime is not billed, claim
+ * saves stay small and coalesced, and an in-flight RLUSD payment is never
+ * paid twice. Streams reusing a channel continue above its earlier claims.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const { getKeystore, resetKeystore } = require("../src/core/keystore");
+const { getChannelStore, resetChannelStore } = require("../src/core/channelStore");
+const { signClaim } = require("../src/core/signer");
+const {
+  getSessionStore,
+  resetSessionStore,
+  restoreRLUSDSession,
+  resolvePendingPayment,
+  trackPendingPayment,
+} = require("../src/core/sessionStore");
+const { SessionManager, installmentAmount } = require("../src/core/sessionManager");
+
+const CHANNEL = "D".repeat(64);
+const RATE = "1000"; // drops per second
+const PASSPHRASE = "correct horse battery staple";
+
+const realNow = Date.now;
+let clock = 0;
+
+function useFakeClock(start = 1700000000000) {
+  clock = start;
+  Date.now = () => clock;
+}
+
+function advance(ms) {
+  clock += ms;
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Ledger that reports one outcome for every payment lookup
+ */
+function fakeLedger(status) {
+  return {
+    async getRLUSDPaymentStatus(transactionHash) {
+      return { status, transactionHash };
+    },
+  };
+}
+
+async function testSessionRestore() {
+  console.log("♻️  SESSION RESTORE TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "session-restore-tests-"));
+  let sessionFile;
+
+  /**
+   * Session and channel stores on the same files, as a restarted server sees them
+   */
+  function openStores() {
+    resetSessionStore();
+    resetChannelStore();
+    getSessionStore({ driver: "json", path: sessionFile });
+    getChannelStore({ driver: "json", path: path.join(path.dirname(sessionFile), "channels.json") });
+  }
+
+  async function restart() {
+    await getSessionStore().close();
+    await getChannelStore().close();
+    openStores();
+    const manager = new SessionManager();
+    await manager.restore();
+    return manager;
+  }
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      useFakeClock();
+      sessionFile = path.join(fs.mkdtempSync(path.join(tmpDir, "run-")), "sessions.json");
+      openStores();
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  // Server-held wallets are persisted by key ID
+  await resetKeystore();
+  const keystore = getKeystore(
+    new JsonStorageAdapter({ path: path.join(tmpDir, "keystore.json") }),
+    { passphrase: PASSPHRASE, scrypt: { N: 1024, r: 8, p: 1 }, minPassphraseLength: 12 }
+  );
+  const key = await keystore.createKey("default");
+  const wallet = await keystore.getWallet(key.keyId);
+
+  async function startSender(manager) {
+    return manager.startXRPSender({
+      channelId: CHANNEL,
+      wallet,
+      ratePerSecond: RATE,
+      channelInfo: { Amount: "1000000", PublicKey: wallet.publicKey },
+    });
+  }
+
+  console.log("🔏 XRP SESSIONS");
+  console.log("-".repeat(50));
+
+  await runTest("A restored sender keeps signing increasing claims without billing downtime", async () => {
+    const manager = new SessionManager();
+    const sessionId = await startSender(manager);
+
+    advance(10000);
+    assertEqual((await manager.signXRPClaim(sessionId)).amount, "10000", "claim before restart");
+    await manager.flushClaimSaves();
+
+    // Down for a minute
+    advance(60000);
+    const restored = await restart();
+    assertEqual(restored.getXRPSession(sessionId).signer.lastSignedAmount.toString(), "10000", "last signed");
+
+    advance(2000);
+    assertEqual((await restored.signXRPClaim(sessionId)).amount, "12000", "claim after restart");
+    await restored.stopXRPSession(sessionId);
+  });
+
+  await runTest("Claim saves are coalesced and flushed on shutdown", async () => {
+    const manager = new SessionManager();
+    const sessionId = await startSender(manager);
+
+    const adapter = getSessionStore().adapter;
+    const saveChannel = adapter.saveChannel.bind(adapter);
+    let writes = 0;
+    adapter.saveChannel = async (...args) => {
+      writes++;
+      return saveChannel(...args);
+    };
+
+    for (let i = 0; i < 5; i++) {
+      advance(1000);
+      await manager.signXRPClaim(sessionId);
+    }
+    assertEqual(writes, 1, "one write for a burst of claims");
+
+    await manager.flushClaimSaves();
+    assertEqual(writes, 2, "trailing write");
+    const [record] = await getSessionStore().getSessions("xrp");
+    assertEqual(record.signer.lastSignedAmount, "5000", "latest claim persisted");
+    await manager.stopXRPSession(sessionId);
+  });
+
+  await runTest("A restored sender never signs below a claim validated after its last save", async () => {
+    const manager = new SessionManager();
+    const sessionId = await startSender(manager);
+    advance(5000);
+    await manager.signXRPClaim(sessionId);
+    await manager.flushClaimSaves();
+
+    // Claims up to 9000 drops were validated, but the sender crashed before saving them
+    await getChannelStore().updateChannel(CHANNEL, { lastValidAmount: "9000" });
+
+    const restored = await restart();
+    const signer = restored.getXRPSession(sessionId).signer;
+    assertEqual(signer.lastSignedAmount.toString(), "9000", "caught up");
+
+    advance(1000);
+    assertEqual((await restored.signXRPClaim(sessionId)).amount, "10000", "next claim");
+    await restored.stopXRPSession(sessionId);
+  });
+
+  await runTest("A stream reusing a claimed channel continues above earlier claims", async () => {
+    const manager = new SessionManager();
+    const channelInfo = { Amount: "1000000", Balance: "0", PublicKey: wallet.publicKey };
+    const startPair = async (info) => [
+      await manager.startXRPSender({ channelId: CHANNEL, wallet, ratePerSecond: RATE, channelInfo: info }),
+      await manager.startXRPReceiver({ channelId: CHANNEL, publicKey: wallet.publicKey, channelInfo: info }),
+    ];
+    const deliver = async ([senderId, receiverId]) => {
+      const claim = await manager.signXRPClaim(senderId);
+      return [claim.amount, (await manager.validateXRPClaim(receiverId, claim.amount, claim.signature)).valid];
+    };
+
+    // First stream: 5000 drops validated, 2000 of them claimed on-chain
+    let sessions = await startPair(channelInfo);
+    advance(5000);
+    assertEqual(await deliver(sessions), ["5000", true], "first stream");
+    await Promise.all(sessions.map((sessionId) => manager.stopXRPSession(sessionId)));
+
+    sessions = await startPair({ ...channelInfo, Balance: "2000" });
+    const signer = manager.getXRPSession(sessions[0]).signer;
+    assertEqual([signer.getCurrentAmount(), signer.lastSignedAmount.toString()], ["5000", "5000"], "starts at the last claim");
+    advance(1000);
+    assertEqual(await deliver(sessions), ["6000", true], "reused after off-ledger claims");
+    await Promise.all(sessions.map((sessionId) => manager.stopXRPSession(sessionId)));
+
+    // Claimed on-chain beyond what this store validated
+    sessions = await startPair({ ...channelInfo, Balance: "8000" });
+    advance(1000);
+    assertEqual(await deliver(sessions), ["9000", true], "reused after on-chain claims");
+    await Promise.all(sessions.map((sessionId) => manager.stopXRPSession(sessionId)));
+  });
+
+  await runTest("Receiver records keep claim counts, not the whole claim history", async () => {
+    const manager = new SessionManager();
+    const sessionId = await manager.startXRPReceiver({
+      channelId: CHANNEL,
+      publicKey: wallet.publicKey,
+      channelInfo: { Amount: "1000000", PublicKey: wallet.publicKey },
+    });
+
+    const claims = 120;
+    for (let i = 1; i <= claims; i++) {
+      advance(1000);
+      const claim = signClaim(wallet, CHANNEL, String(i * 1000));
+      assertEqual((await manager.validateXRPClaim(sessionId, claim.amount, claim.signature)).valid, true, `claim ${i}`);
+    }
+    assertEqual(manager.getXRPSession(sessionId).validator.claimHistory.length, 100, "history in memory");
+    await manager.flushClaimSaves();
+
+    const [record] = await getSessionStore().getSessions("xrp");
+    assertEqual(["claimHistory" in record.validator, record.validator.totalClaims], [false, claims], "record");
+
+    const restored = await restart();
+    const stats = restored.getXRPSession(sessionId).validator.getStats();
+    assertEqual([stats.totalClaims, stats.latestAmount, stats.averageRate], [claims, "120000", 1000], "stats");
+    await restored.stopXRPSession(sessionId);
+  });
+
+  console.log("💵 RLUSD SESSIONS");
+  console.log("-".repeat(50));
+
+  /**
+   * RLUSD session whose first installment was signed but not confirmed when
+   * the server went down
+   */
+  async function crashDuringPayment() {
+    const manager = new SessionManager();
+    const { sessionId, session } = await manager.startRLUSDSession({
+      senderWallet: wallet,
+      receiverAddress: xrpl.Wallet.generate().address,
+      totalAmount: "10",
+      duration: 180,
+      intervalSeconds: 60,
+    });
+
+    const amount = installmentAmount(session, 1);
+    await trackPendingPayment("rlusd", sessionId, session, amount).onSigned({
+      transactionHash: "A".repeat(64),
+      lastLedgerSequence: 100,
+    });
+
+    await getSessionStore().close();
+    openStores();
+    const [record] = await getSessionStore().getSessions("rlusd");
+    return record;
+  }
+
+  await runTest("A payment that landed while the server was down is counted once", async () => {
+    const session = await restoreRLUSDSession(await crashDuringPayment(), fakeLedger("success"));
+
+    assertEqual([session.paymentsCompleted, session.pendingPayment], [1, null], "counted");
+    assertEqual(session.payments.map((payment) => [payment.amount, payment.reconciled]), [["3.33", true]], "payments");
+    assertEqual(installmentAmount(session, session.paymentsCompleted + 1), "3.33", "next installment is the second");
+    assertEqual(session.senderWallet.address, wallet.address, "wallet by key ID");
+  });
+
+  await runTest("A payment that may still land blocks the next one", async () => {
+    const session = await restoreRLUSDSession(await crashDuringPayment(), fakeLedger("pending"));
+
+    assertEqual(session.pendingPayment.transactionHash, "A".repeat(64), "still pending");
+    assertEqual(await resolvePendingPayment(session, fakeLedger("pending")), false, "not safe to pay");
+    assertEqual(session.paymentsCompleted, 0, "not counted");
+  });
+
+  await runTest("A payment that expired unvalidated is not counted", async () => {
+    const session = await restoreRLUSDSession(await crashDuringPayment(), fakeLedger("expired"));
+    assertEqual([session.paymentsCompleted, session.payments, session.pendingPayment], [0, [], null], "retried");
+  });
+
+  await runTest("Overlapping payment calls send one installment at a time", async () => {
+    const manager = new SessionManager();
+    const { sessionId } = await manager.startRLUSDSession({
+      senderWallet: wallet,
+      receiverAddress: xrpl.Wallet.generate().address,
+      totalAmount: "10",
+      duration: 180,
+      intervalSeconds: 60,
+    });
+
+    // Timer tick and manual /execute arrive while the first payment is being signed
+    let sends = 0;
+    let settle;
+    manager.sendRLUSDInstallment = () => {
+      sends++;
+      return new Promise((resolve) => { settle = resolve; });
+    };
+    const first = manager.executeRLUSDPayment(sessionId);
+    assertEqual(await manager.executeRLUSDPayment(sessionId), { status: "in-progress" }, "second call");
+
+    settle({ status: "sent" });
+    assertEqual([(await first).status, sends], ["sent", 1], "first call");
+    const next = manager.executeRLUSDPayment(sessionId);
+    assertEqual(sends, 2, "lock released");
+    settle({ status: "sent" });
+    await next;
+  });
+
+  await getSessionStore().close();
+  await getChannelStore().close();
+  resetSessionStore();
+  resetChannelStore();
+  await resetKeystore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 SESSION RESTORE TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some session restore tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL SESSION RESTORE TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testSessionRestore().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testSessionRestore };
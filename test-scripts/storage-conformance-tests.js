@@ -0,0 +1,276 @@
+/**
+ * Storage Conformance Tests - No tokens or network required
+ * Runs the same ChannelStore suite against every storage backend
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ChannelStore } = require("../src/core/channelStore");
+const {
+  JsonStorageAdapter,
+  SqliteStorageAdapter,
+  JournalStorageAdapter,
+} = require("../src/core/storage");
+
+const CHANNEL_A = "A".repeat(64);
+const CHANNEL_B = "B".repeat(64);
+
+const DRIVERS = {
+  json: (dir, options = {}) =>
+    new JsonStorageAdapter({ path: path.join(dir, "channels.json"), ...options }),
+  sqlite: (dir, options = {}) =>
+    new SqliteStorageAdapter({ sqlitePath: path.join(dir, "channels.db"), ...options }),
+  journal: (dir, options = {}) =>
+    new JournalStorageAdapter({
+      journalPath: path.join(dir, "channels.journal"),
+      ...options,
+    }),
+};
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Open a store on a fresh adapter pointing at the same files
+ */
+async function openStore(driver, dir, options) {
+  const store = new ChannelStore(DRIVERS[driver](dir, options));
+  await store.initialize();
+  return store;
+}
+
+async function testStorageConformance() {
+  console.log("🗄️  STORAGE CONFORMANCE TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "xrpl-stream-storage-"));
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  for (const driver of Object.keys(DRIVERS)) {
+    console.log(`📦 ${driver.toUpperCase()} BACKEND`);
+    console.log("-".repeat(50));
+
+    const freshDir = () => fs.mkdtempSync(path.join(tmpRoot, `${driver}-`));
+
+    await runTest(`[${driver}] Empty store on first start`, async () => {
+      const store = await openStore(driver, freshDir());
+      assertEqual(await store.getAllChannels(), [], "channels");
+      assertEqual(await store.getLastValidAmount(CHANNEL_A), "0", "lastValidAmount");
+      await store.close();
+    });
+
+    await runTest(`[${driver}] Channel updates survive a restart`, async () => {
+      const dir = freshDir();
+      let store = await openStore(driver, dir);
+      await store.initializeChannel(CHANNEL_A, { senderPublicKey: "ED01" });
+      await store.updateChannel(CHANNEL_A, {
+        lastValidAmount: "5000",
+        lastSignature: "SIG",
+      });
+      await store.updateFinalizedAmount(CHANNEL_A, "2000");
+      await store.close();
+
+      store = await openStore(driver, dir);
+      const channel = await store.getChannelData(CHANNEL_A);
+      assertEqual(channel.lastValidAmount, "5000", "lastValidAmount");
+      assertEqual(channel.lastSignature, "SIG", "lastSignature");
+      assertEqual(channel.senderPublicKey, "ED01", "senderPublicKey");
+      assertEqual(channel.lastFinalizedAmount, "2000", "lastFinalizedAmount");
+
+      const stats = await store.getChannelStats(CHANNEL_A);
+      assertEqual(stats.unclaimedAmount, "3000", "unclaimedAmount");
+      await store.close();
+    });
+
+    await runTest(`[${driver}] Claim history keeps order across restarts`, async () => {
+      const dir = freshDir();
+      let store = await openStore(driver, dir);
+      await store.initializeChannel(CHANNEL_A);
+      for (const amount of ["100", "200", "300"]) {
+        await store.addClaimToHistory(CHANNEL_A, { amount, signature: `S${amount}` });
+      }
+      await store.close();
+
+      store = await openStore(driver, dir);
+      const history = await store.getClaimHistory(CHANNEL_A);
+      assertEqual(history.map((c) => c.amount), ["100", "200", "300"], "history");
+      assertEqual((await store.getRecentClaims(CHANNEL_A)).length, 3, "recent claims");
+      await store.close();
+    });
+
+    await runTest(`[${driver}] Claim history is capped at maxClaimHistory`, async () => {
+      const dir = freshDir();
+      let store = await openStore(driver, dir, { maxClaimHistory: 3 });
+      for (let i = 1; i <= 5; i++) {
+        await store.addClaimToHistory(CHANNEL_A, { amount: String(i) });
+      }
+      assertEqual(
+        (await store.getClaimHistory(CHANNEL_A)).map((c) => c.amount),
+        ["3", "4", "5"],
+        "in-memory history"
+      );
+      await store.close();
+
+      store = await openStore(driver, dir, { maxClaimHistory: 3 });
+      assertEqual(
+        (await store.getClaimHistory(CHANNEL_A)).map((c) => c.amount),
+        ["3", "4", "5"],
+        "reloaded history"
+      );
+      await store.close();
+    });
+
+    await runTest(`[${driver}] Concurrent writes are all persisted`, async () => {
+      const dir = freshDir();
+      let store = await openStore(driver, dir);
+      const channelIds = Array.from({ length: 20 }, (_, i) => i.toString(16).toUpperCase().padStart(64, "0"));
+      await store.initializeChannel(CHANNEL_A);
+
+      // Not awaited one by one: every write is in flight at once
+      await Promise.all([
+        ...channelIds.map((channelId, i) => store.updateChannel(channelId, { lastValidAmount: String(i + 1) })),
+        ...channelIds.map((_, i) => store.addClaimToHistory(CHANNEL_A, { amount: String(i + 1) })),
+      ]);
+      await store.close();
+
+      store = await openStore(driver, dir);
+      const amounts = await Promise.all(channelIds.map((channelId) => store.getLastValidAmount(channelId)));
+      assertEqual(amounts, channelIds.map((_, i) => String(i + 1)), "channels");
+      const history = (await store.getClaimHistory(CHANNEL_A)).map((c) => Number(c.amount));
+      assertEqual(history.sort((a, b) => a - b), channelIds.map((_, i) => i + 1), "claims");
+      await store.close();
+    });
+
+    await runTest(`[${driver}] Delete and clear are persisted`, async () => {
+      const dir = freshDir();
+      let store = await openStore(driver, dir);
+      await store.initializeChannel(CHANNEL_A);
+      await store.initializeChannel(CHANNEL_B);
+      await store.addClaimToHistory(CHANNEL_A, { amount: "1" });
+      await store.deleteChannel(CHANNEL_A);
+      await store.close();
+
+      store = await openStore(driver, dir);
+      assertEqual(await store.hasChannel(CHANNEL_A), false, "deleted channel");
+      assertEqual(await store.getClaimHistory(CHANNEL_A), [], "deleted history");
+      assertEqual(await store.hasChannel(CHANNEL_B), true, "other channel");
+      await store.clearAll();
+      await store.close();
+
+      store = await openStore(driver, dir);
+      assertEqual(await store.getAllChannels(), [], "cleared channels");
+      await store.close();
+    });
+  }
+
+  console.log("🧯 CRASH SAFETY TESTS");
+  console.log("-".repeat(50));
+
+  await runTest("[journal] Torn final entry is discarded on restart", async () => {
+    const dir = fs.mkdtempSync(path.join(tmpRoot, "journal-torn-"));
+    let store = await openStore("journal", dir);
+    await store.updateChannel(CHANNEL_A, { lastValidAmount: "100" });
+    await store.close();
+
+    // Simulate a crash halfway through writing the next entry
+    const journalPath = path.join(dir, "channels.journal");
+    fs.appendFileSync(journalPath, '{"seq":2,"op":"put","channelId":"' + CHANNEL_A);
+
+    store = await openStore("journal", dir);
+    assertEqual(await store.getLastValidAmount(CHANNEL_A), "100", "lastValidAmount");
+    await store.updateChannel(CHANNEL_A, { lastValidAmount: "200" });
+    await store.close();
+
+    store = await openStore("journal", dir);
+    assertEqual(await store.getLastValidAmount(CHANNEL_A), "200", "after recovery");
+    await store.close();
+  });
+
+  await runTest("[journal] Compaction snapshots state without duplicating claims", async () => {
+    const dir = fs.mkdtempSync(path.join(tmpRoot, "journal-compact-"));
+    const options = { journalCompactionThreshold: 4 };
+    let store = await openStore("journal", dir, options);
+    for (let i = 1; i <= 6; i++) {
+      await store.addClaimToHistory(CHANNEL_A, { amount: String(i) });
+    }
+    await store.close();
+
+    if (!fs.existsSync(path.join(dir, "channels.journal.snapshot"))) {
+      throw new Error("Snapshot was not written");
+    }
+
+    // Simulate a crash after the snapshot rename but before truncation
+    const journalPath = path.join(dir, "channels.journal");
+    const replayed = [1, 2, 3, 4]
+      .map((seq) =>
+        JSON.stringify({ seq, op: "claim", channelId: CHANNEL_A, claim: { amount: String(seq) } })
+      )
+      .join("\n");
+    const tail = fs.readFileSync(journalPath, "utf8");
+    fs.writeFileSync(journalPath, replayed + "\n" + tail);
+
+    store = await openStore("journal", dir, options);
+    assertEqual(
+      (await store.getClaimHistory(CHANNEL_A)).map((c) => c.amount),
+      ["1", "2", "3", "4", "5", "6"],
+      "history"
+    );
+    await store.close();
+  });
+
+  await runTest("[json] Writes leave no partial temp file behind", async () => {
+    const dir = fs.mkdtempSync(path.join(tmpRoot, "json-atomic-"));
+    const store = await openStore("json", dir);
+    await store.updateChannel(CHANNEL_A, { lastValidAmount: "1" });
+    await store.close();
+
+    if (fs.existsSync(path.join(dir, "channels.json.tmp"))) {
+      throw new Error("Temp file left behind");
+    }
+    JSON.parse(fs.readFileSync(path.join(dir, "channels.json"), "utf8"));
+  });
+
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 STORAGE TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some storage tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL STORAGE TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testStorageConformance().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testStorageConformance };
@@ -0,0 +1,269 @@
+/**
+ * Token Registry Tests - No tokens or network required
+ * Issued tokens per network (3-character and 40-hex currency codes), amount
+ * formatting, and streams, contracts and spend caps in a registered token
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const xrpl = require("xrpl");
+const config = require("../config");
+const {
+  isValidCurrencyCode,
+  currencyCodeToText,
+  registerToken,
+  hasToken,
+  getToken,
+  listTokens,
+  tokenAmount,
+  resetTokenRegistry,
+} = require("../src/config/tokenRegistry");
+const {
+  formatRLUSD,
+  formatTokenAmount,
+  calculateTokenStreamingRate,
+} = require("../src/utils/converters");
+const { getSessionStore, resetSessionStore } = require("../src/core/sessionStore");
+const { SessionManager } = require("../src/core/sessionManager");
+const { resetContractRegistry } = require("../src/core/contract");
+const { createContract, updateContract } = require("../src/config/contractsRegistry");
+const { JsonStorageAdapter } = require("../src/core/storage");
+const { TenantService, currentPeriod, validateTenant } = require("../src/core/tenants");
+
+const RLUSD_HEX = "524C555344000000000000000000000000000000";
+const EUR_ISSUER = xrpl.Wallet.generate().address;
+
+// A euro stablecoin on whichever network the tests run against
+const EURC = {
+  decimals: 2,
+  symbol: "EURC",
+  displayName: "Euro Coin",
+  networks: { [config.network.type]: { currency: "EUR", issuer: EUR_ISSUER } },
+};
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+async function assertRejects(promise, pattern, label) {
+  try {
+    await promise;
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+async function testTokenRegistry() {
+  console.log("🪙 TOKEN REGISTRY TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "token-registry-tests-"));
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      resetTokenRegistry();
+      resetContractRegistry();
+      resetSessionStore();
+      getSessionStore({ driver: "json", path: path.join(tmpDir, `${testsPassed + testsFailed}.json`) });
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    }
+  }
+
+  console.log("📇 REGISTRY");
+  console.log("-".repeat(50));
+
+  await runTest("Currency codes are 3 characters or 40 hex characters", async () => {
+    assertEqual(isValidCurrencyCode("USD"), true, "standard code");
+    assertEqual(isValidCurrencyCode("XRP"), false, "XRP is not issued");
+    assertEqual(isValidCurrencyCode(RLUSD_HEX), true, "hex code");
+    assertEqual(isValidCurrencyCode(RLUSD_HEX.slice(1)), false, "39 hex characters");
+    assertEqual(isValidCurrencyCode(`00${RLUSD_HEX.slice(2)}`), false, "reserved 00 prefix");
+    assertEqual(isValidCurrencyCode("EURO"), false, "4 characters");
+    assertEqual(currencyCodeToText(RLUSD_HEX), "RLUSD", "hex decoded");
+    assertEqual(currencyCodeToText("USD"), "USD", "standard code unchanged");
+  });
+
+  await runTest("RLUSD uses its hex code on mainnet and the test issuer on testnet", async () => {
+    const mainnet = getToken("RLUSD", "mainnet");
+    assertEqual([mainnet.currency, mainnet.issuer], [RLUSD_HEX, "rMxCKbEDwqr76QuheSUMdEGf4B9xJ8m5De"], "mainnet");
+    assertEqual([mainnet.decimals, mainnet.symbol], [2, "RLUSD"], "display");
+    assertEqual(getToken("RLUSD", "testnet").currency, "USD", "testnet");
+
+    await assertRejects(Promise.resolve().then(() => getToken("EURC")), /Unknown token: EURC/, "unknown token");
+    await assertRejects(Promise.resolve().then(() => getToken("RLUSD", "devnet")), /not issued on devnet/, "other network");
+  });
+
+  await runTest("Tokens can be registered in code or from the registry file", async () => {
+    await assertRejects(
+      Promise.resolve().then(() => registerToken("EURC", { ...EURC, decimals: 2.5 })),
+      /decimals/,
+      "fractional decimals"
+    );
+    await assertRejects(
+      Promise.resolve().then(() => registerToken("EURC", { ...EURC, networks: { testnet: { currency: "XRP", issuer: EUR_ISSUER } } })),
+      /currency must be/,
+      "XRP currency code"
+    );
+    await assertRejects(Promise.resolve().then(() => registerToken("XRP", EURC)), /not an issued token/, "XRP token ID");
+
+    registerToken("EURC", EURC);
+    assertEqual(tokenAmount("EURC", "2.5"), { currency: "EUR", issuer: EUR_ISSUER, value: "2.5" }, "ledger amount");
+    assertEqual(listTokens().map((token) => token.id).includes("EURC"), true, "listed");
+
+    const file = path.join(tmpDir, "tokens.json");
+    fs.writeFileSync(file, JSON.stringify({ GBPC: { ...EURC, symbol: "GBPC", sign: "£" } }));
+    const previous = config.tokens.registryFile;
+    config.tokens.registryFile = file;
+    try {
+      resetTokenRegistry();
+      assertEqual([hasToken("GBPC"), hasToken("RLUSD"), hasToken("EURC")], [true, true, false], "loaded from file");
+    } finally {
+      config.tokens.registryFile = previous;
+    }
+  });
+
+  await runTest("Amounts are formatted with the token's decimals and symbol", async () => {
+    registerToken("EURC", EURC);
+    registerToken("JPYC", { ...EURC, decimals: 0, symbol: "JPYC", sign: "¥" });
+
+    assertEqual(formatRLUSD(1234.5), "$1,234.50", "RLUSD keeps its dollar sign");
+    assertEqual(formatTokenAmount(1234.5, "EURC"), "1,234.50 EURC", "symbol after the amount");
+    assertEqual(formatTokenAmount(1500, "JPYC"), "¥1,500", "no decimals");
+
+    const rate = calculateTokenStreamingRate(36, 3600, "EURC");
+    assertEqual([rate.totalUnits, rate.unitsPerSecond, rate.amountPerSecond], ["3600", "1", 0.01], "rate in cents");
+    assertEqual(rate.formatted.perMinute, "0.60 EURC", "formatted rate");
+  });
+
+  console.log("🌊 STREAMS, CONTRACTS AND SPEND");
+  console.log("-".repeat(50));
+
+  await runTest("Sessions pay in their token and emit it as their currency", async () => {
+    registerToken("EURC", EURC);
+    const manager = new SessionManager();
+    const sender = xrpl.Wallet.generate();
+    const receiver = xrpl.Wallet.generate();
+    const started = [];
+    manager.on("sessionStarted", (event) => started.push(event.currency));
+
+    const { sessionId, session } = await manager.startRLUSDSession({
+      senderAddress: sender.address,
+      receiverAddress: receiver.address,
+      totalAmount: "1.00",
+      duration: 180,
+      intervalSeconds: 60,
+      token: "EURC",
+    });
+    assertEqual(session.token, "EURC", "session token");
+    assertEqual(started, ["EURC"], "event currency");
+    assertEqual(manager.getRLUSDPaymentFields(session).Amount, { currency: "EUR", issuer: EUR_ISSUER, value: "0.33" }, "payment amount");
+
+    const saved = await getSessionStore().getSessions("rlusd");
+    assertEqual(saved.map((record) => [record.sessionId, record.token]), [[sessionId, "EURC"]], "persisted");
+
+    await assertRejects(
+      manager.startRLUSDSession({ senderAddress: receiver.address, receiverAddress: sender.address, totalAmount: "1", token: "DOGE" }),
+      /Unknown token: DOGE/,
+      "unknown token"
+    );
+  });
+
+  await runTest("Contracts can be priced in any registered token", async () => {
+    registerToken("EURC", EURC);
+    const provider = xrpl.Wallet.generate();
+
+    const contract = createContract({
+      contractId: "laundry-eur",
+      currency: "EURC",
+      totalAmount: "2.00",
+      duration: 600,
+      intervalSeconds: 60,
+      displayName: "Laundry",
+      description: "Washing machine",
+      category: "iot-payment",
+    }, provider.address);
+    assertEqual(contract.toStreamTerms(), { currency: "EURC", totalAmount: "2.00", duration: 600, intervalSeconds: 60 }, "terms");
+
+    const unregistered = { ...contract.toJSON(), contractId: "laundry-doge", currency: "DOGE" };
+    await assertRejects(Promise.resolve().then(() => createContract(unregistered, provider.address)), /Unsupported currency: DOGE/, "unregistered");
+    await assertRejects(
+      Promise.resolve().then(() => updateContract("laundry-eur", { currency: "DOGE" }, provider.address)),
+      /Unsupported currency: DOGE/,
+      "update to unregistered"
+    );
+  });
+
+  await runTest("Spend caps and spend are kept per token", async () => {
+    registerToken("EURC", EURC);
+    assertEqual(validateTenant({ monthlySpendCap: { EURC: "5.00" } }).valid, true, "token cap");
+    assertEqual(validateTenant({ monthlySpendCap: { EURC: "5.001" } }).valid, false, "more decimals than the token");
+    assertEqual(validateTenant({ monthlySpendCap: { DOGE: "5" } }).valid, false, "unregistered token");
+
+    const manager = new SessionManager();
+    const service = new TenantService(new JsonStorageAdapter({ path: path.join(tmpDir, "tenants.json") }));
+    await service.start(manager);
+    const { tenant } = await service.createTenant({ scopes: ["stream:start"], monthlySpendCap: { EURC: "1.00" } });
+
+    manager.emit("paymentSent", { apiKeyId: tenant.tenantId, currency: "EURC", payment: { amount: "0.60" } });
+    manager.emit("paymentSent", { apiKeyId: tenant.tenantId, currency: "RLUSD", payment: { amount: "0.25" } });
+    await flush();
+
+    assertEqual(await service.getSpend(tenant.tenantId), { period: currentPeriod(), XRP: "0", RLUSD: "0.25", EURC: "0.60" }, "spend");
+    assertEqual((await service.checkSpendCap(tenant.tenantId, "EURC")).allowed, true, "under the EURC cap");
+
+    manager.emit("paymentSent", { apiKeyId: tenant.tenantId, currency: "EURC", payment: { amount: "0.40" } });
+    await flush();
+    assertEqual((await service.checkSpendCap(tenant.tenantId, "EURC")).allowed, false, "EURC cap reached");
+    assertEqual((await service.checkSpendCap(tenant.tenantId, "RLUSD")).allowed, true, "RLUSD not capped");
+
+    await service.close();
+  });
+
+  resetTokenRegistry();
+  resetSessionStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 TOKEN REGISTRY TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some token registry tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL TOKEN REGISTRY TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testTokenRegistry().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTokenRegistry };
@@ -0,0 +1,266 @@
+/**
+ * Webhook Tests - No tokens or network required
+ * Deliveries to a local HTTP receiver: the HMAC signature over
+ * `${timestamp}.${body}`, the exponential retry schedule, deliveries that
+ * survive a restart, events only reaching the endpoints of their owner, and
+ * endpoints on private networks being refused
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { getChannelStore, resetChannelStore } = require("../src/core/channelStore");
+const { getSessionManager } = require("../src/core/sessionManager");
+const { WebhookService, validateEndpoint } = require("../src/core/webhooks");
+
+const OPTIONS = {
+  timeoutMs: 2000,
+  maxAttempts: 4,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 3000,
+  checkIntervalMs: 60000,
+  deliveryLogLimit: 100,
+};
+
+const realNow = Date.now;
+let clock = 0;
+
+function useFakeClock(start = 1700000000000) {
+  clock = start;
+  Date.now = () => clock;
+}
+
+function advance(ms) {
+  clock += ms;
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Local endpoint recording every request; answers with the next queued
+ * status (200 once the queue is empty)
+ */
+async function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      receiver.requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.server.listen(0, "127.0.0.1", resolve));
+  receiver.url = (name) => `http://127.0.0.1:${receiver.server.address().port}/${name}`;
+  return receiver;
+}
+
+/**
+ * Wait for listener-driven deliveries (real time, bounded)
+ */
+async function waitFor(condition, label) {
+  for (let i = 0; i < 100; i++) {
+    if (condition()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`${label}: timed out`);
+}
+
+async function testWebhooks() {
+  console.log("🪝 WEBHOOK TESTS - No Network Required");
+  console.log("=".repeat(70));
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-tests-"));
+  const receiver = await startReceiver();
+  let storePath;
+
+  function openService() {
+    return new WebhookService({ driver: "json", path: storePath }, OPTIONS);
+  }
+
+  async function runTest(testName, testFunction) {
+    try {
+      console.log(`🧪 ${testName}`);
+      useFakeClock();
+      receiver.requests = [];
+      receiver.statuses = [];
+      storePath = path.join(tmpDir, `${testsPassed + testsFailed}-webhooks.json`);
+      resetChannelStore();
+      getChannelStore({ driver: "json", path: path.join(tmpDir, `${testsPassed + testsFailed}-channels.json`) });
+      await testFunction();
+      console.log("   ✅ PASSED\n");
+      testsPassed++;
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}\n`);
+      testsFailed++;
+    } finally {
+      Date.now = realNow;
+      await getChannelStore().close();
+    }
+  }
+
+  await runTest("Deliveries are signed with HMAC-SHA256 over `${timestamp}.${body}`", async () => {
+    const service = openService();
+    const endpoint = await service.registerEndpoint("tenant_a", { url: receiver.url("signed") });
+    const [delivery] = await service.dispatch("stream.started", { sessionId: "s1" }, "tenant_a");
+
+    const [request] = receiver.requests;
+    const timestamp = request.headers["x-webhook-timestamp"];
+    const expected = crypto.createHmac("sha256", endpoint.secret).update(`${timestamp}.${request.body}`).digest("hex");
+    assertEqual(request.headers["x-webhook-signature"], `sha256=${expected}`, "signature");
+    assertEqual(
+      [request.headers["x-webhook-id"], request.headers["x-webhook-event"], timestamp],
+      [delivery.id, "stream.started", String(Date.now())],
+      "headers"
+    );
+
+    const body = JSON.parse(request.body);
+    assertEqual([body.id, body.event, body.data], [delivery.id, "stream.started", { sessionId: "s1" }], "body");
+    assertEqual(delivery.status, "delivered", "status");
+    await service.close();
+  });
+
+  await runTest("Failed deliveries are retried with exponential backoff until maxAttempts", async () => {
+    const service = openService();
+    await service.registerEndpoint("tenant_a", { url: receiver.url("failing") });
+    receiver.statuses = [500, 503, 500, 500];
+
+    const [delivery] = await service.dispatch("payment.failed", { sessionId: "s1" }, "tenant_a");
+    const delays = [];
+    while (delivery.status === "retrying") {
+      const delay = delivery.nextAttemptAt - Date.now();
+      delays.push(delay);
+
+      // Nothing is sent before the retry is due
+      advance(delay - 1);
+      await service.deliverDue();
+      assertEqual(receiver.requests.length, delays.length, `attempt ${delays.length + 1} waits`);
+      advance(1);
+      await service.deliverDue();
+    }
+
+    assertEqual(delays, [1000, 2000, 3000], "delays double up to retryMaxDelayMs");
+    assertEqual([delivery.status, delivery.attempts, delivery.responseStatus], ["failed", 4, 500], "gave up");
+    assertEqual(new Set(receiver.requests.map((request) => request.headers["x-webhook-id"])).size, 1, "same delivery ID");
+    await service.close();
+  });
+
+  await runTest("Pending deliveries survive a restart", async () => {
+    const service = openService();
+    await service.registerEndpoint("tenant_a", { url: receiver.url("restart") });
+    receiver.statuses = [500];
+    const [delivery] = await service.dispatch("stream.stopped", { sessionId: "s1" }, "tenant_a");
+    await service.close();
+
+    const restarted = openService();
+    await restarted.initialize();
+    advance(OPTIONS.retryBaseDelayMs);
+    await restarted.deliverDue();
+
+    const [log] = await restarted.getDeliveries("tenant_a");
+    assertEqual([log.id, log.status, log.attempts, receiver.requests.length], [delivery.id, "delivered", 2, 2], "delivered");
+    await restarted.close();
+  });
+
+  await runTest("Events only reach their owner's endpoints; ownerless events are dropped", async () => {
+    const service = openService();
+    await service.registerEndpoint("tenant_a", { url: receiver.url("a") });
+    await service.registerEndpoint("tenant_b", { url: receiver.url("b") });
+    await service.start();
+
+    const manager = getSessionManager();
+    const ownedChannel = "A".repeat(64);
+    await getChannelStore().initializeChannel(ownedChannel, { apiKeyId: "tenant_b" });
+
+    try {
+      manager.emit("sessionStopped", { sessionId: "s1", currency: "XRP", apiKeyId: "tenant_a" });
+      // Finalized after its sessions ended: owner from the channel record
+      manager.emit("channelFinalized", { channelId: ownedChannel, amount: "1000" });
+      manager.emit("channelFinalized", { channelId: "B".repeat(64), amount: "1000" });
+      manager.emit("sessionStopped", { sessionId: "unknown", currency: "XRP" });
+      await waitFor(() => receiver.requests.length >= 2, "owned events");
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    } finally {
+      service.stop();
+    }
+
+    assertEqual(
+      receiver.requests.map((request) => [request.path, request.headers["x-webhook-event"]]).sort(),
+      [["/a", "stream.stopped"], ["/b", "channel.finalized"]],
+      "deliveries"
+    );
+    assertEqual(
+      [(await service.getDeliveries("tenant_a")).length, (await service.getDeliveries("tenant_b")).length],
+      [1, 1],
+      "delivery logs"
+    );
+    await service.close();
+  });
+
+  await runTest("Endpoints on localhost or private networks are refused unless allowed", async () => {
+    const refused = [
+      "http://localhost:8080/hook",
+      "http://api.localhost/hook",
+      "http://127.0.0.1/hook",
+      "http://2130706433/hook", // 127.0.0.1
+      "http://10.1.2.3/hook",
+      "http://172.20.0.5/hook",
+      "http://192.168.1.10/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://100.64.0.1/hook",
+      "http://0.0.0.0/hook",
+      "http://[::1]/hook",
+      "http://[fd00::1]/hook",
+      "http://[fe80::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook",
+    ];
+    const accepted = ["https://example.com/hook", "http://8.8.8.8/hook", "http://172.32.0.1/hook", "http://[2001:db8::1]/hook"];
+
+    assertEqual(refused.filter((url) => validateEndpoint({ url }, { allowPrivateHosts: false }).valid), [], "refused");
+    assertEqual(accepted.filter((url) => validateEndpoint({ url }, { allowPrivateHosts: false }).valid), accepted, "accepted");
+    assertEqual(
+      validateEndpoint({ url: "http://127.0.0.1/hook" }, { allowPrivateHosts: false }).error,
+      "url must not point to localhost or a private network address",
+      "error"
+    );
+    assertEqual(validateEndpoint({ url: "http://127.0.0.1/hook" }, { allowPrivateHosts: true }).valid, true, "allowed by config");
+  });
+
+  await new Promise((resolve) => receiver.server.close(resolve));
+  resetChannelStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ===== FINAL RESULTS =====
+  console.log("🏁 WEBHOOK TEST RESULTS");
+  console.log("=".repeat(70));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+
+  if (testsFailed > 0) {
+    console.log("\n❌ Some webhook tests failed - check error messages above");
+    process.exit(1);
+  } else {
+    console.log("\n🎉 ALL WEBHOOK TESTS PASSED!");
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testWebhooks().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { testWebhooks };